@@ -0,0 +1,598 @@
+/**
+ * NPC Attack Routines for Shadowdark Extras
+ *
+ * Stat blocks list attacks as "2 claws + 1 bite". An attack routine is a
+ * named list of an NPC's attack items and how many times each is made. Rolling
+ * a routine makes every attack in sequence against the user's targets and
+ * posts one card with per-attack hit/miss and a combined damage button per
+ * target.
+ * - Each attack uses its item's attack and damage bonuses, critical
+ *   thresholds and multiplier, base damage type and extra typed damage.
+ * - NPC Special Attacks also apply their configured effects on a hit
+ *   (critical effects on a critical hit).
+ * - Cover between the NPC and each target is included when Combat Settings
+ *   apply it as AC.
+ *
+ * Storage (actor flag):
+ * - attackRoutines: [{ id, name, steps: [{ itemId, count }] }]
+ */
+
+import { applyDamageToToken, getSocket } from "./CombatSettingsSD.mjs";
+import { getCoverHitPart } from "./CoverSD.mjs";
+import { getDamageTypeLabel } from "./DamageTypesApp.mjs";
+
+const MODULE_ID = "shadowdark-extras";
+const ATTACK_TYPES = ["NPC Attack", "NPC Special Attack"];
+
+/**
+ * Get an NPC's attack routines
+ * @param {Actor} actor
+ * @returns {Object[]}
+ */
+export function getAttackRoutines(actor) {
+	return actor?.getFlag(MODULE_ID, "attackRoutines") ?? [];
+}
+
+/**
+ * Get the items an NPC can use in a routine
+ * @param {Actor} actor
+ * @returns {Item[]}
+ */
+function getRoutineAttacks(actor) {
+	return actor.items.filter(i => ATTACK_TYPES.includes(i.type));
+}
+
+/**
+ * Describe a routine the way stat blocks do ("2 Claw + 1 Bite")
+ * @param {Actor} actor
+ * @param {Object} routine
+ * @returns {string}
+ */
+export function describeRoutine(actor, routine) {
+	return routine.steps
+		.map(step => {
+			const item = actor.items.get(step.itemId);
+			return item ? `${step.count} ${item.name}` : null;
+		})
+		.filter(Boolean)
+		.join(" + ");
+}
+
+/**
+ * Create or update a routine
+ * @param {Actor} actor
+ * @param {Object} routine - { id?, name, steps }
+ * @returns {Promise<Object>} The saved routine
+ */
+export async function saveAttackRoutine(actor, routine) {
+	const routines = foundry.utils.deepClone(getAttackRoutines(actor));
+	const saved = { id: routine.id ?? foundry.utils.randomID(), name: routine.name, steps: routine.steps };
+	const index = routines.findIndex(r => r.id === saved.id);
+	if (index >= 0) routines[index] = saved;
+	else routines.push(saved);
+	await actor.setFlag(MODULE_ID, "attackRoutines", routines);
+	return saved;
+}
+
+/**
+ * Delete a routine
+ * @param {Actor} actor
+ * @param {string} routineId
+ */
+export async function deleteAttackRoutine(actor, routineId) {
+	const routines = getAttackRoutines(actor).filter(r => r.id !== routineId);
+	await actor.setFlag(MODULE_ID, "attackRoutines", routines);
+}
+
+/**
+ * Open the editor for a new or existing routine
+ * @param {Actor} actor
+ * @param {Object} [routine]
+ */
+export function openAttackRoutineDialog(actor, routine = null) {
+	const esc = foundry.utils.escapeHTML;
+	const attacks = getRoutineAttacks(actor);
+	if (!attacks.length) {
+		ui.notifications.warn(game.i18n.localize("SHADOWDARK_EXTRAS.attack_routines.no_attacks"));
+		return;
+	}
+
+	const rows = attacks.map(item => {
+		const step = routine?.steps.find(s => s.itemId === item.id);
+		// New routines start from the attack count on each item
+		const count = step?.count ?? (routine ? 0 : parseInt(item.system.attack?.num) || 0);
+		return `<div class="form-group">
+			<label>${esc(item.name)}</label>
+			<div class="form-fields">
+				<input type="number" name="${item.id}" value="${count}" min="0" max="20" step="1" />
+			</div>
+		</div>`;
+	}).join("");
+
+	const dialog = new foundry.applications.api.DialogV2({
+		window: {
+			title: game.i18n.localize(routine
+				? "SHADOWDARK_EXTRAS.attack_routines.edit"
+				: "SHADOWDARK_EXTRAS.attack_routines.add"),
+			icon: "fas fa-swords"
+		},
+		content: `
+			<div class="form-group">
+				<label>${game.i18n.localize("SHADOWDARK_EXTRAS.attack_routines.name")}</label>
+				<div class="form-fields">
+					<input type="text" name="name" value="${esc(routine?.name ?? "")}" autofocus />
+				</div>
+			</div>
+			<p class="hint">${game.i18n.localize("SHADOWDARK_EXTRAS.attack_routines.count_hint")}</p>
+			${rows}`,
+		buttons: [
+			{
+				action: "cancel",
+				label: game.i18n.localize("Cancel"),
+				icon: "fas fa-times"
+			},
+			{
+				action: "save",
+				label: game.i18n.localize("Save"),
+				icon: "fas fa-check",
+				default: true,
+				callback: async (event, button, dialogApp) => {
+					const form = dialogApp.element;
+					const steps = attacks
+						.map(item => ({ itemId: item.id, count: parseInt(form.querySelector(`input[name="${item.id}"]`).value) || 0 }))
+						.filter(step => step.count > 0);
+					if (!steps.length) {
+						ui.notifications.warn(game.i18n.localize("SHADOWDARK_EXTRAS.attack_routines.no_steps"));
+						return false;
+					}
+					const name = form.querySelector('input[name="name"]').value.trim()
+						|| describeRoutine(actor, { steps });
+					await saveAttackRoutine(actor, { id: routine?.id, name, steps });
+					return true;
+				}
+			}
+		]
+	});
+
+	dialog.render({ force: true });
+}
+
+/**
+ * Ask which target each attack goes to when several tokens are targeted
+ * @param {Object[]} attacks - [{ item, label }]
+ * @param {Token[]} targets
+ * @returns {Promise<number[]|null>} Target index per attack, null if cancelled
+ */
+async function promptTargetAssignment(attacks, targets) {
+	const esc = foundry.utils.escapeHTML;
+	const rows = attacks.map((attack, i) => {
+		const options = targets.map((t, j) =>
+			`<option value="${j}" ${j === i % targets.length ? "selected" : ""}>${esc(t.name)}</option>`
+		).join("");
+		return `<div class="form-group">
+			<label>${esc(attack.label)}</label>
+			<div class="form-fields"><select name="attack-${i}">${options}</select></div>
+		</div>`;
+	}).join("");
+
+	return foundry.applications.api.DialogV2.wait({
+		window: { title: game.i18n.localize("SHADOWDARK_EXTRAS.attack_routines.assign_targets"), icon: "fas fa-crosshairs" },
+		content: rows,
+		buttons: [{
+			action: "roll",
+			label: game.i18n.localize("SHADOWDARK_EXTRAS.attack_routines.roll"),
+			icon: "fas fa-dice-d20",
+			default: true,
+			callback: (event, button, dialogApp) => attacks.map((attack, i) =>
+				parseInt(dialogApp.element.querySelector(`select[name="attack-${i}"]`).value) || 0)
+		}],
+		rejectClose: false
+	});
+}
+
+/**
+ * Get the effects an attack applies on a hit
+ * @param {Item} item
+ * @param {boolean} critical
+ * @returns {Object[]} Effect entries ({ uuid, ... } or uuid strings)
+ */
+function getAttackEffects(item, critical) {
+	const config = item.getFlag(MODULE_ID, "spellDamage");
+	if (!config) return [];
+	const parse = value => {
+		if (Array.isArray(value)) return value;
+		if (typeof value !== "string" || !value) return [];
+		try {
+			return JSON.parse(value);
+		} catch (err) {
+			return [];
+		}
+	};
+	const critEffects = critical ? parse(config.criticalEffects) : [];
+	return critEffects.length ? critEffects : parse(config.effects);
+}
+
+/**
+ * Roll one attack of a routine
+ * @param {Actor} actor
+ * @param {Item} item
+ * @param {Token|null} targetToken
+ * @returns {Promise<Object>} The attack result
+ */
+async function rollRoutineAttack(actor, item, targetToken) {
+	const system = item.system;
+	const critical = system.bonuses?.critical ?? {};
+	const successThreshold = critical.successThreshold || 20;
+	const failureThreshold = critical.failureThreshold || 1;
+	const rolls = [];
+
+	const parts = ["1d20"];
+	const attackBonus = system.bonuses?.attackBonus ?? 0;
+	if (attackBonus) parts.push(`${attackBonus}`);
+	const coverPart = targetToken ? getCoverHitPart(actor, targetToken) : null;
+	if (coverPart) parts.push(coverPart.formula);
+
+	const attackRoll = await new Roll(parts.join(" + ")).evaluate();
+	rolls.push(attackRoll);
+	const natural = attackRoll.dice[0]?.total ?? attackRoll.total;
+
+	const targetAc = targetToken?.actor?.system?.attributes?.ac?.value ?? null;
+	let hit = null;
+	if (natural >= successThreshold) hit = true;
+	else if (natural <= failureThreshold) hit = false;
+	else if (targetAc !== null) hit = attackRoll.total >= targetAc;
+	const crit = natural >= successThreshold;
+
+	const result = {
+		itemId: item.id,
+		name: item.name,
+		targetTokenId: targetToken?.id ?? null,
+		targetName: targetToken?.name ?? "",
+		attackTotal: attackRoll.total,
+		natural,
+		targetAc,
+		hit,
+		crit,
+		fumble: natural <= failureThreshold,
+		cover: coverPart?.label ?? "",
+		damage: 0,
+		components: [],
+		effects: [],
+		special: system.damage?.special ?? ""
+	};
+
+	// Damage is rolled unless the attack is a known miss
+	if (hit === false) return { result, rolls };
+
+	const baseType = item.getFlag(MODULE_ID, "baseDamageType") || "physical";
+	const damageBonus = system.bonuses?.damageBonus ?? 0;
+	const baseFormula = [system.damage?.value, damageBonus ? `${damageBonus}` : null].filter(Boolean).join(" + ");
+	if (baseFormula) {
+		let baseRoll = new Roll(baseFormula);
+		if (crit) baseRoll = baseRoll.alter(critical.multiplier || 2, 0);
+		await baseRoll.evaluate();
+		rolls.push(baseRoll);
+		result.components.push({ formula: baseRoll.formula, amount: Math.max(0, baseRoll.total), type: baseType, label: getDamageTypeLabel(baseType) });
+	}
+
+	const extraFlag = item.getFlag(MODULE_ID, "extraDamages") || [];
+	const extras = Array.isArray(extraFlag) ? extraFlag : Object.values(extraFlag);
+	for (const extra of extras) {
+		if (!extra.formula) continue;
+		try {
+			const extraRoll = await new Roll(extra.formula).evaluate();
+			rolls.push(extraRoll);
+			result.components.push({ formula: extra.formula, amount: Math.max(0, extraRoll.total), type: extra.damageType || baseType, label: getDamageTypeLabel(extra.damageType || baseType) });
+		} catch (err) {
+			console.error(`${MODULE_ID} | Error rolling routine extra damage:`, err);
+		}
+	}
+
+	result.damage = result.components.reduce((sum, c) => sum + c.amount, 0);
+	if (item.type === "NPC Special Attack") result.effects = getAttackEffects(item, crit);
+	return { result, rolls };
+}
+
+/**
+ * Roll every attack of a routine and post the consolidated card
+ * @param {Actor} actor
+ * @param {string|Object} routine - Routine or routine id
+ * @param {Object} [options]
+ * @param {Token[]} [options.targets] - Defaults to the user's targets
+ * @returns {Promise<ChatMessage|null>}
+ */
+export async function rollAttackRoutine(actor, routine, { targets = null } = {}) {
+	if (typeof routine === "string") routine = getAttackRoutines(actor).find(r => r.id === routine);
+	if (!routine) return null;
+
+	const attacks = [];
+	for (const step of routine.steps) {
+		const item = actor.items.get(step.itemId);
+		if (!item) continue;
+		for (let n = 1; n <= step.count; n++) {
+			attacks.push({ item, label: step.count > 1 ? `${item.name} #${n}` : item.name });
+		}
+	}
+	if (!attacks.length) {
+		ui.notifications.warn(game.i18n.localize("SHADOWDARK_EXTRAS.attack_routines.no_steps"));
+		return null;
+	}
+
+	targets = targets ?? Array.from(game.user.targets);
+	let assignment = attacks.map(() => 0);
+	if (targets.length > 1) {
+		assignment = await promptTargetAssignment(attacks, targets);
+		if (!assignment) return null;
+	}
+
+	const results = [];
+	const rolls = [];
+	for (const [i, attack] of attacks.entries()) {
+		const outcome = await rollRoutineAttack(actor, attack.item, targets[assignment[i]] ?? null);
+		outcome.result.label = attack.label;
+		results.push(outcome.result);
+		rolls.push(...outcome.rolls);
+	}
+
+	Hooks.callAll("sdx.attackRoutineRolled", actor, routine, results);
+
+	return ChatMessage.create({
+		user: game.user.id,
+		speaker: ChatMessage.getSpeaker({ actor }),
+		content: buildRoutineCardHtml(actor, routine, results),
+		rolls,
+		flags: {
+			[MODULE_ID]: {
+				attackRoutineCard: {
+					actorUuid: actor.uuid,
+					routineName: routine.name,
+					results,
+					applied: []
+				}
+			}
+		}
+	});
+}
+
+/**
+ * Sum the damage a routine dealt to each target
+ * @param {Object[]} results
+ * @returns {Map<string, { name: string, damage: number, components: Object[], effects: Object[] }>}
+ */
+function getTargetTotals(results) {
+	const totals = new Map();
+	for (const r of results) {
+		if (!r.targetTokenId || r.hit === false || (!r.damage && !r.effects.length)) continue;
+		if (!totals.has(r.targetTokenId)) totals.set(r.targetTokenId, { name: r.targetName, damage: 0, components: [], effects: [] });
+		const total = totals.get(r.targetTokenId);
+		total.damage += r.damage;
+		total.effects.push(...r.effects);
+		for (const c of r.components) {
+			const existing = total.components.find(e => e.type === c.type);
+			if (existing) existing.amount += c.amount;
+			else total.components.push({ ...c });
+		}
+	}
+	return totals;
+}
+
+/**
+ * Build the routine chat card
+ * @param {Actor} actor
+ * @param {Object} routine
+ * @param {Object[]} results
+ * @returns {string}
+ */
+function buildRoutineCardHtml(actor, routine, results) {
+	const esc = foundry.utils.escapeHTML;
+	const rows = results.map(r => {
+		let status = "unknown";
+		if (r.crit) status = "crit";
+		else if (r.hit === true) status = "hit";
+		else if (r.hit === false) status = "miss";
+		const vsAc = r.targetAc !== null ? ` ${game.i18n.format("SHADOWDARK_EXTRAS.attack_routines.vs_ac", { ac: r.targetAc })}` : "";
+		const damage = r.hit === false ? "" : r.components.map(c => `${c.amount} ${esc(c.label)}`).join(", ");
+		return `<li class="sdx-routine-attack ${status}">
+			<div class="sdx-routine-attack-header">
+				<strong>${esc(r.label)}</strong>
+				${r.targetName ? `<span class="sdx-routine-target">&rarr; ${esc(r.targetName)}</span>` : ""}
+				<span class="sdx-routine-status">${game.i18n.localize(`SHADOWDARK_EXTRAS.attack_routines.status.${status}`)}</span>
+			</div>
+			<div class="sdx-routine-attack-details">
+				<span>${game.i18n.format("SHADOWDARK_EXTRAS.attack_routines.attack_total", { total: r.attackTotal, natural: r.natural })}${vsAc}</span>
+				${r.cover ? `<span class="sdx-routine-cover">${esc(r.cover)}</span>` : ""}
+				${damage ? `<span class="sdx-routine-damage">${damage}</span>` : ""}
+			</div>
+			${r.special && r.hit !== false ? `<div class="sdx-routine-special">${esc(r.special)}</div>` : ""}
+		</li>`;
+	}).join("");
+
+	const totals = [...getTargetTotals(results).entries()].map(([tokenId, total]) => `
+		<div class="sdx-routine-total" data-token-id="${tokenId}">
+			<span>${esc(total.name)}: <strong>${total.damage}</strong>${total.effects.length ? ` <i class="fas fa-bolt" data-tooltip="${game.i18n.localize("SHADOWDARK_EXTRAS.attack_routines.has_effects")}"></i>` : ""}</span>
+			<button type="button" class="sdx-routine-apply" data-token-id="${tokenId}">
+				<i class="fas fa-heart-crack"></i> ${game.i18n.localize("SHADOWDARK_EXTRAS.attack_routines.apply")}
+			</button>
+		</div>`).join("");
+
+	return `
+		<div class="shadowdark chat-card sdx-routine-card">
+			<header class="sdx-routine-header">
+				<i class="fas fa-swords"></i>
+				<h3>${esc(routine.name)}</h3>
+			</header>
+			<p class="sdx-routine-description">${esc(describeRoutine(actor, routine))}</p>
+			<ul class="sdx-routine-attacks">${rows}</ul>
+			${totals ? `<div class="sdx-routine-totals">${totals}</div>` : ""}
+		</div>`;
+}
+
+/**
+ * Mark a routine card's target as applied (GM side)
+ * @param {string} messageId
+ * @param {string} tokenId
+ * @returns {Promise<boolean>} False if the target was already applied
+ */
+export async function markRoutineApplied(messageId, tokenId) {
+	const message = game.messages.get(messageId);
+	const applied = message?.getFlag(MODULE_ID, "attackRoutineCard")?.applied ?? [];
+	if (!message || applied.includes(tokenId)) return false;
+	await message.setFlag(MODULE_ID, "attackRoutineCard.applied", [...applied, tokenId]);
+	return true;
+}
+
+/**
+ * Apply a routine's combined damage and effects to one target
+ * @param {ChatMessage} message
+ * @param {string} tokenId
+ * @returns {Promise<boolean>}
+ */
+export async function applyRoutineToTarget(message, tokenId) {
+	const data = message.getFlag(MODULE_ID, "attackRoutineCard");
+	const total = data ? getTargetTotals(data.results).get(tokenId) : null;
+	if (!total) return false;
+
+	// Mark the target first so a re-rendered card cannot apply it twice
+	const marked = game.user.isGM
+		? await markRoutineApplied(message.id, tokenId)
+		: await getSocket()?.executeAsGM("markRoutineApplied", { messageId: message.id, tokenId });
+	if (!marked) return false;
+
+	const actor = fromUuidSync(data.actorUuid);
+	if (total.damage > 0) {
+		// The type dealing the most damage colors the scrolling text
+		const dominant = total.components.reduce((a, b) => b.amount > a.amount ? b : a, total.components[0]);
+		await applyDamageToToken(tokenId, total.damage, {
+			damageType: dominant?.type ?? "standard",
+			damageComponents: total.components,
+			sourceActorId: actor?.id ?? null
+		});
+	}
+
+	for (const effect of total.effects) {
+		const effectUuid = typeof effect === "string" ? effect : effect.uuid;
+		if (!effectUuid) continue;
+		await getSocket()?.executeAsGM("applyTokenCondition", {
+			tokenId,
+			effectUuid,
+			cumulative: typeof effect === "object" ? effect.cumulative : undefined
+		});
+	}
+
+	return true;
+}
+
+/**
+ * Hook: wire the routine card's apply buttons
+ * @param {ChatMessage} message
+ * @param {jQuery} html
+ */
+function onRenderChatMessage(message, html) {
+	const data = message.getFlag(MODULE_ID, "attackRoutineCard");
+	if (!data) return;
+
+	let gmOnly = false;
+	try {
+		gmOnly = !!game.settings.get(MODULE_ID, "combatSettings")?.damageCard?.gmOnlyApplyDamage;
+	} catch (e) {
+		// Settings not registered yet
+	}
+
+	html.find(".sdx-routine-apply").each((i, btn) => {
+		const tokenId = btn.dataset.tokenId;
+		if (gmOnly && !game.user.isGM) {
+			btn.remove();
+			return;
+		}
+		if (data.applied?.includes(tokenId)) {
+			btn.disabled = true;
+			btn.innerHTML = `<i class="fas fa-check"></i> ${game.i18n.localize("SHADOWDARK_EXTRAS.attack_routines.applied")}`;
+			return;
+		}
+		btn.addEventListener("click", async (ev) => {
+			ev.preventDefault();
+			btn.disabled = true;
+			await applyRoutineToTarget(message, tokenId);
+		});
+	});
+}
+
+/**
+ * Inject the Attack Routines box into NPC sheets
+ * @param {Application} app
+ * @param {jQuery|HTMLElement} html
+ * @param {Actor} actor
+ */
+export function injectAttackRoutinesBox(app, html, actor) {
+	if (actor?.type !== "NPC") return;
+	const $html = html instanceof HTMLElement ? $(html) : html;
+	if ($html.find(".sdx-routines-box").length) return;
+
+	const esc = foundry.utils.escapeHTML;
+	const editable = !!(app.isEditable ?? actor.isOwner);
+	const routines = getAttackRoutines(actor);
+	if (!routines.length && !editable) return;
+
+	const rows = routines.map(r => `
+		<li class="sdx-routine-row" data-routine-id="${r.id}">
+			<a class="sdx-routine-roll" data-tooltip="${game.i18n.localize("SHADOWDARK_EXTRAS.attack_routines.roll")}"><i class="fas fa-dice-d20"></i></a>
+			<span class="sdx-routine-name">${esc(r.name)}</span>
+			<span class="sdx-routine-steps">${esc(describeRoutine(actor, r))}</span>
+			${editable ? `<a class="sdx-routine-edit" data-tooltip="${game.i18n.localize("SHADOWDARK_EXTRAS.attack_routines.edit")}"><i class="fas fa-pen"></i></a>
+			<a class="sdx-routine-delete" data-tooltip="${game.i18n.localize("SHADOWDARK_EXTRAS.attack_routines.delete")}"><i class="fas fa-trash"></i></a>` : ""}
+		</li>`).join("");
+
+	const boxHtml = `
+		<div class="SD-box sdx-routines-box">
+			<div class="header">
+				<label>${game.i18n.localize("SHADOWDARK_EXTRAS.attack_routines.title")}</label>
+				${editable ? `<a class="sdx-routine-add" data-tooltip="${game.i18n.localize("SHADOWDARK_EXTRAS.attack_routines.add")}"><i class="fas fa-plus"></i></a>` : "<span></span>"}
+			</div>
+			<div class="content">
+				${rows ? `<ul class="sdx-routine-list">${rows}</ul>` : `<p class="sdx-routine-none">${game.i18n.localize("SHADOWDARK_EXTRAS.attack_routines.none")}</p>`}
+			</div>
+		</div>`;
+
+	// Place right before the attacks box
+	const $attacksBox = $html.find(".grid-1-columns .SD-box").not(".sdx-defenses-box, .sdx-morale-box, .sdx-creature-type-box").first();
+	if (!$attacksBox.length) return;
+	$attacksBox.before(boxHtml);
+
+	const $box = $html.find(".sdx-routines-box");
+	$box.find(".sdx-routine-roll").on("click", async (e) => {
+		e.preventDefault();
+		await rollAttackRoutine(actor, e.currentTarget.closest(".sdx-routine-row").dataset.routineId);
+	});
+	if (!editable) return;
+	$box.find(".sdx-routine-add").on("click", (e) => {
+		e.preventDefault();
+		openAttackRoutineDialog(actor);
+	});
+	$box.find(".sdx-routine-edit").on("click", (e) => {
+		e.preventDefault();
+		const id = e.currentTarget.closest(".sdx-routine-row").dataset.routineId;
+		openAttackRoutineDialog(actor, routines.find(r => r.id === id));
+	});
+	$box.find(".sdx-routine-delete").on("click", async (e) => {
+		e.preventDefault();
+		await deleteAttackRoutine(actor, e.currentTarget.closest(".sdx-routine-row").dataset.routineId);
+	});
+}
+
+/**
+ * Initialize attack routines
+ */
+export function initAttackRoutines() {
+	Hooks.on("renderChatMessage", onRenderChatMessage);
+
+	Hooks.once("ready", () => {
+		if (!game.shadowdarkExtras) game.shadowdarkExtras = {};
+		game.shadowdarkExtras.attackRoutines = {
+			get: getAttackRoutines,
+			save: saveAttackRoutine,
+			delete: deleteAttackRoutine,
+			roll: rollAttackRoutine,
+			describe: describeRoutine
+		};
+	});
+}
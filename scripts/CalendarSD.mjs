@@ -0,0 +1,535 @@
+/**
+ * World Calendar for Shadowdark Extras
+ * In-game date, time of day and moon phases derived from Foundry's world time.
+ *
+ * Features:
+ * - GM-editable months, weekdays, seasons and moons
+ * - Time advances through a single API (travel days, camps, rests, carousing)
+ * - Active light sources burn down when the GM skips time
+ * - Other subsystems subscribe via the sdx.timeAdvanced and sdx.newDay hooks
+ *
+ * Hooks:
+ * - sdx.timeAdvanced (seconds, { reason, date, previousDate, userId })
+ * - sdx.newDay (date, daysPassed, { reason })
+ */
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+const MODULE_ID = "shadowdark-extras";
+
+const SECONDS_PER_MINUTE = 60;
+const SECONDS_PER_HOUR = 3600;
+const SECONDS_PER_DAY = 86400;
+
+// Eight phases, starting from the new moon
+const MOON_PHASES = [
+	"new", "waxing_crescent", "first_quarter", "waxing_gibbous",
+	"full", "waning_gibbous", "last_quarter", "waning_crescent"
+];
+
+// Hour at which each part of the day begins
+const TIMES_OF_DAY = [
+	{ key: "night", start: 0, icon: "fas fa-moon" },
+	{ key: "dawn", start: 5, icon: "fas fa-cloud-sun" },
+	{ key: "day", start: 7, icon: "fas fa-sun" },
+	{ key: "dusk", start: 18, icon: "fas fa-cloud-moon" },
+	{ key: "night", start: 20, icon: "fas fa-moon" }
+];
+
+const DEFAULT_CALENDAR = {
+	startYear: 1,
+	months: [
+		{ name: "Deepwinter", days: 30, season: "Winter" },
+		{ name: "Thawing", days: 30, season: "Winter" },
+		{ name: "Seedtime", days: 30, season: "Spring" },
+		{ name: "Blossom", days: 30, season: "Spring" },
+		{ name: "Greening", days: 30, season: "Spring" },
+		{ name: "Highsun", days: 30, season: "Summer" },
+		{ name: "Goldfields", days: 30, season: "Summer" },
+		{ name: "Harvest", days: 30, season: "Summer" },
+		{ name: "Leaffall", days: 30, season: "Autumn" },
+		{ name: "Frostfall", days: 30, season: "Autumn" },
+		{ name: "Darkening", days: 30, season: "Autumn" },
+		{ name: "Longnight", days: 30, season: "Winter" }
+	],
+	weekdays: ["Moonday", "Tideday", "Windsday", "Thunderday", "Fireday", "Starday", "Sunday"],
+	moons: [
+		{ name: "Moon", cycle: 28, offset: 0 }
+	],
+	restHours: 8,
+	campHours: 8,
+	carousingDays: 7
+};
+
+/**
+ * Get the calendar configuration
+ * @returns {Object}
+ */
+export function getCalendarConfig() {
+	const stored = game.settings.get(MODULE_ID, "calendarConfig") ?? {};
+	const config = foundry.utils.mergeObject(foundry.utils.deepClone(DEFAULT_CALENDAR), stored, { inplace: false });
+	// Arrays replace the defaults wholesale; guard against an unusable calendar
+	if (!config.months?.length) config.months = foundry.utils.deepClone(DEFAULT_CALENDAR.months);
+	if (!config.weekdays?.length) config.weekdays = [...DEFAULT_CALENDAR.weekdays];
+	config.moons ??= [];
+	return config;
+}
+
+/**
+ * Get the phase of a moon on a given day
+ * @param {Object} moon - { name, cycle, offset }
+ * @param {number} totalDays - Days since the calendar epoch
+ * @returns {string} Phase key
+ */
+function getMoonPhase(moon, totalDays) {
+	const cycle = Math.max(1, Number(moon.cycle) || 1);
+	const position = (((totalDays + (Number(moon.offset) || 0)) % cycle) + cycle) % cycle;
+	return MOON_PHASES[Math.floor((position / cycle) * MOON_PHASES.length)];
+}
+
+/**
+ * Convert a world time into a calendar date
+ * @param {number} [worldTime] - Seconds; defaults to the current world time
+ * @returns {Object} The calendar date
+ */
+export function getCalendarDate(worldTime = game.time.worldTime) {
+	const config = getCalendarConfig();
+	const totalDays = Math.floor(worldTime / SECONDS_PER_DAY);
+	const secondsToday = worldTime - (totalDays * SECONDS_PER_DAY);
+
+	const yearLength = config.months.reduce((sum, m) => sum + Math.max(1, Number(m.days) || 1), 0);
+	const yearOffset = Math.floor(totalDays / yearLength);
+	let dayOfYear = totalDays - (yearOffset * yearLength);
+
+	let monthIndex = 0;
+	while (dayOfYear >= Math.max(1, Number(config.months[monthIndex].days) || 1)) {
+		dayOfYear -= Math.max(1, Number(config.months[monthIndex].days) || 1);
+		monthIndex++;
+	}
+	const month = config.months[monthIndex];
+
+	const weekCount = config.weekdays.length;
+	const weekdayIndex = ((totalDays % weekCount) + weekCount) % weekCount;
+
+	const hour = Math.floor(secondsToday / SECONDS_PER_HOUR);
+	const minute = Math.floor((secondsToday % SECONDS_PER_HOUR) / SECONDS_PER_MINUTE);
+	const timeOfDay = [...TIMES_OF_DAY].reverse().find(t => hour >= t.start);
+
+	return {
+		worldTime,
+		totalDays,
+		year: (Number(config.startYear) || 0) + yearOffset,
+		monthIndex,
+		month: month.name,
+		season: month.season ?? "",
+		day: dayOfYear + 1,
+		weekdayIndex,
+		weekday: config.weekdays[weekdayIndex],
+		hour,
+		minute,
+		timeOfDay: timeOfDay.key,
+		timeOfDayIcon: timeOfDay.icon,
+		isDaylight: timeOfDay.key === "day" || timeOfDay.key === "dawn" || timeOfDay.key === "dusk",
+		moons: config.moons.map(moon => {
+			const phase = getMoonPhase(moon, totalDays);
+			return {
+				name: moon.name,
+				phase,
+				label: game.i18n.localize(`SHADOWDARK_EXTRAS.calendar.moon_phase.${phase}`)
+			};
+		})
+	};
+}
+
+/**
+ * Format a calendar date for display
+ * @param {Object} [date] - From getCalendarDate(); defaults to now
+ * @returns {string}
+ */
+export function formatCalendarDate(date = getCalendarDate()) {
+	return game.i18n.format("SHADOWDARK_EXTRAS.calendar.date_format", {
+		weekday: date.weekday,
+		day: date.day,
+		month: date.month,
+		year: date.year
+	});
+}
+
+/**
+ * Format the time of day as HH:MM
+ * @param {Object} [date] - From getCalendarDate(); defaults to now
+ * @returns {string}
+ */
+export function formatCalendarTime(date = getCalendarDate()) {
+	return `${String(date.hour).padStart(2, "0")}:${String(date.minute).padStart(2, "0")}`;
+}
+
+/**
+ * Advance the world clock (GM only)
+ * @param {Object} amount - { days, hours, minutes, seconds }
+ * @param {string} [reason] - Why time passed (travel, camp, rest, carousing, manual, ...)
+ * @returns {Promise<Object|null>} The new calendar date
+ */
+export async function advanceTime({ days = 0, hours = 0, minutes = 0, seconds = 0 } = {}, reason = "manual") {
+	if (!game.user.isGM) {
+		ui.notifications.warn(game.i18n.localize("SHADOWDARK_EXTRAS.calendar.gm_only"));
+		return null;
+	}
+
+	const delta = (days * SECONDS_PER_DAY) + (hours * SECONDS_PER_HOUR) + (minutes * SECONDS_PER_MINUTE) + seconds;
+	if (!(delta > 0)) return null;
+
+	await game.time.advance(delta, { [MODULE_ID]: { reason } });
+	return getCalendarDate();
+}
+
+/**
+ * Burn down active light sources on player characters by a number of seconds.
+ * Lights that run out are put out the same way the light tracker does it.
+ * @param {number} seconds
+ */
+async function burnLightSources(seconds) {
+	for (const actor of game.actors.filter(a => a.type === "Player")) {
+		for (const item of actor.items) {
+			const light = item.system?.light;
+			if (!light?.isSource || !light.active) continue;
+
+			const remaining = (light.remainingSecs ?? 0) - seconds;
+			if (remaining > 0) {
+				await item.update({ "system.light.remainingSecs": remaining });
+				continue;
+			}
+
+			console.log(`${MODULE_ID} | ${actor.name}'s ${item.name} burned out while time passed`);
+
+			if (typeof actor.yourLightWentOut === "function") {
+				await actor.yourLightWentOut(item.id);
+			}
+
+			if (item.type === "Effect") {
+				await actor.deleteEmbeddedDocuments("Item", [item.id]);
+			} else {
+				await actor.updateEmbeddedDocuments("Item", [{
+					"_id": item.id,
+					"system.light.active": false,
+					"system.light.remainingSecs": 0
+				}]);
+			}
+		}
+	}
+
+	const tracker = game.shadowdark?.lightSourceTracker;
+	if (tracker) tracker.dirty = true;
+}
+
+/**
+ * Handle any change of the world clock and broadcast calendar hooks
+ */
+async function onUpdateWorldTime(worldTime, delta, options = {}, userId) {
+	const ownAdvance = options?.[MODULE_ID];
+	// Clock changes driven by combat rounds are left to the combat trackers
+	const reason = ownAdvance?.reason ?? (game.combat?.started ? "combat" : "external");
+
+	const date = getCalendarDate(worldTime);
+	const previousDate = getCalendarDate(worldTime - delta);
+
+	Hooks.callAll("sdx.timeAdvanced", delta, { reason, date, previousDate, userId });
+
+	const daysPassed = date.totalDays - previousDate.totalDays;
+	if (daysPassed > 0) {
+		Hooks.callAll("sdx.newDay", date, daysPassed, { reason });
+	}
+
+	if (_instance?.rendered) _instance.render();
+	for (const app of Object.values(ui.windows)) {
+		if (app.constructor.name === "PartySheetSD") app.render(false);
+	}
+
+	// Skips made through the calendar also burn light sources; other modules
+	// moving the clock are left to the system's own light tracker
+	if (ownAdvance && delta > 0 && game.users.activeGM?.isSelf) {
+		await burnLightSources(delta);
+	}
+}
+
+// Singleton instance
+let _instance = null;
+
+/**
+ * Calendar AppV2 showing the current date, time of day and moons
+ */
+export class CalendarAppSD extends HandlebarsApplicationMixin(ApplicationV2) {
+	static DEFAULT_OPTIONS = {
+		tag: "div",
+		id: "sdx-calendar",
+		window: {
+			title: "SHADOWDARK_EXTRAS.calendar.title",
+			icon: "fas fa-calendar-days",
+			resizable: false,
+			classes: ["shadowdark", "sdx-calendar-window"]
+		},
+		position: {
+			width: 320,
+			height: "auto"
+		},
+		actions: {
+			advanceTurn: CalendarAppSD.onAdvanceTurn,
+			advanceHour: CalendarAppSD.onAdvanceHour,
+			rest: CalendarAppSD.onRest,
+			advanceDay: CalendarAppSD.onAdvanceDay,
+			openSettings: CalendarAppSD.onOpenSettings
+		}
+	};
+
+	static PARTS = {
+		content: {
+			template: `modules/${MODULE_ID}/templates/calendar.hbs`
+		}
+	};
+
+	/**
+	 * Get the singleton instance
+	 */
+	static getInstance() {
+		if (!_instance) {
+			_instance = new CalendarAppSD();
+		}
+		return _instance;
+	}
+
+	/**
+	 * Toggle the interface (open/close)
+	 */
+	static toggleInterface() {
+		const app = CalendarAppSD.getInstance();
+		if (app.rendered) {
+			app.close();
+		} else {
+			app.render(true);
+		}
+	}
+
+	/** @override */
+	async _prepareContext(options) {
+		const date = getCalendarDate();
+		const config = getCalendarConfig();
+		return {
+			date,
+			dateLabel: formatCalendarDate(date),
+			timeLabel: formatCalendarTime(date),
+			timeOfDayLabel: game.i18n.localize(`SHADOWDARK_EXTRAS.calendar.time_of_day.${date.timeOfDay}`),
+			restHours: config.restHours,
+			isGM: game.user.isGM
+		};
+	}
+
+	/* -------------------------------------------- */
+	/*  Action Handlers                             */
+	/* -------------------------------------------- */
+
+	/**
+	 * Advance by one dungeon turn (10 minutes)
+	 */
+	static async onAdvanceTurn(event, target) {
+		await advanceTime({ minutes: 10 }, "turn");
+	}
+
+	/**
+	 * Advance by one hour
+	 */
+	static async onAdvanceHour(event, target) {
+		await advanceTime({ hours: 1 }, "manual");
+	}
+
+	/**
+	 * Take a rest
+	 */
+	static async onRest(event, target) {
+		await advanceTime({ hours: getCalendarConfig().restHours }, "rest");
+	}
+
+	/**
+	 * Advance by one day
+	 */
+	static async onAdvanceDay(event, target) {
+		await advanceTime({ days: 1 }, "manual");
+	}
+
+	/**
+	 * Open the calendar configuration
+	 */
+	static async onOpenSettings(event, target) {
+		new CalendarSettingsApp().render(true);
+	}
+}
+
+/**
+ * Calendar Settings Application
+ */
+export class CalendarSettingsApp extends FormApplication {
+	static get defaultOptions() {
+		return foundry.utils.mergeObject(super.defaultOptions, {
+			id: "sdx-calendar-settings",
+			title: game.i18n.localize("SHADOWDARK_EXTRAS.calendar.settings_title"),
+			template: `modules/${MODULE_ID}/templates/calendar-settings.hbs`,
+			classes: ["shadowdark", "shadowdark-extras", "calendar-settings-app"],
+			width: 560,
+			height: "auto",
+			resizable: true,
+			closeOnSubmit: false,
+			submitOnChange: true
+		});
+	}
+
+	getData(options = {}) {
+		const config = getCalendarConfig();
+		return {
+			...config,
+			weekdaysText: config.weekdays.join(", "),
+			months: config.months.map((month, index) => ({ ...month, index })),
+			moons: config.moons.map((moon, index) => ({ ...moon, index })),
+			currentDate: formatCalendarDate(),
+			MODULE_ID
+		};
+	}
+
+	activateListeners(html) {
+		super.activateListeners(html);
+
+		html.find(".sdx-calendar-add-month").on("click", async (ev) => {
+			ev.preventDefault();
+			await this._modifyConfig(config => {
+				config.months.push({ name: game.i18n.localize("SHADOWDARK_EXTRAS.calendar.new_month"), days: 30, season: "" });
+			});
+		});
+
+		html.on("click", ".sdx-calendar-remove-month", async (ev) => {
+			ev.preventDefault();
+			const index = Number(ev.currentTarget.dataset.index);
+			await this._modifyConfig(config => {
+				if (config.months.length > 1) config.months.splice(index, 1);
+			});
+		});
+
+		html.find(".sdx-calendar-add-moon").on("click", async (ev) => {
+			ev.preventDefault();
+			await this._modifyConfig(config => {
+				config.moons.push({ name: game.i18n.localize("SHADOWDARK_EXTRAS.calendar.new_moon"), cycle: 28, offset: 0 });
+			});
+		});
+
+		html.on("click", ".sdx-calendar-remove-moon", async (ev) => {
+			ev.preventDefault();
+			const index = Number(ev.currentTarget.dataset.index);
+			await this._modifyConfig(config => {
+				config.moons.splice(index, 1);
+			});
+		});
+
+		html.find(".sdx-reset-defaults").on("click", async (ev) => {
+			ev.preventDefault();
+			const confirmed = await Dialog.confirm({
+				title: game.i18n.localize("SHADOWDARK_EXTRAS.calendar.reset_confirm_title"),
+				content: `<p>${game.i18n.localize("SHADOWDARK_EXTRAS.calendar.reset_confirm_content")}</p>`
+			});
+			if (confirmed) {
+				await game.settings.set(MODULE_ID, "calendarConfig", foundry.utils.deepClone(DEFAULT_CALENDAR));
+				this.render(true);
+				ui.notifications.info(game.i18n.localize("SHADOWDARK_EXTRAS.calendar.reset_complete"));
+			}
+		});
+	}
+
+	/**
+	 * Apply a mutation to the saved calendar and re-render
+	 * @param {Function} fn - Receives the config object to mutate
+	 */
+	async _modifyConfig(fn) {
+		const config = foundry.utils.deepClone(getCalendarConfig());
+		fn(config);
+		await game.settings.set(MODULE_ID, "calendarConfig", config);
+		this.render(false);
+	}
+
+	async _updateObject(event, formData) {
+		const data = foundry.utils.expandObject(formData);
+		const config = foundry.utils.deepClone(getCalendarConfig());
+
+		config.startYear = Number.isFinite(Number(data.startYear)) ? Number(data.startYear) : config.startYear;
+		config.restHours = Math.max(0, Number(data.restHours) || 0);
+		config.campHours = Math.max(0, Number(data.campHours) || 0);
+		config.carousingDays = Math.max(0, Number(data.carousingDays) || 0);
+
+		const weekdays = String(data.weekdays ?? "").split(",").map(w => w.trim()).filter(Boolean);
+		if (weekdays.length) config.weekdays = weekdays;
+
+		for (const [index, values] of Object.entries(data.months ?? {})) {
+			const month = config.months[Number(index)];
+			if (!month) continue;
+			month.name = String(values.name ?? "").trim() || month.name;
+			month.days = Math.max(1, Math.floor(Number(values.days) || 1));
+			month.season = String(values.season ?? "").trim();
+		}
+
+		for (const [index, values] of Object.entries(data.moons ?? {})) {
+			const moon = config.moons[Number(index)];
+			if (!moon) continue;
+			moon.name = String(values.name ?? "").trim() || moon.name;
+			moon.cycle = Math.max(1, Math.floor(Number(values.cycle) || 1));
+			moon.offset = Math.floor(Number(values.offset) || 0);
+		}
+
+		await game.settings.set(MODULE_ID, "calendarConfig", config);
+		if (_instance?.rendered) _instance.render();
+	}
+}
+
+/**
+ * Register Calendar settings
+ */
+export function registerCalendarSettings() {
+	game.settings.register(MODULE_ID, "calendarConfig", {
+		name: "Calendar Configuration",
+		scope: "world",
+		config: false,
+		type: Object,
+		default: foundry.utils.deepClone(DEFAULT_CALENDAR)
+	});
+
+	game.settings.registerMenu(MODULE_ID, "calendarConfigMenu", {
+		name: game.i18n.localize("SHADOWDARK_EXTRAS.settings.calendar.name"),
+		label: game.i18n.localize("SHADOWDARK_EXTRAS.settings.calendar.label"),
+		hint: game.i18n.localize("SHADOWDARK_EXTRAS.settings.calendar.hint"),
+		icon: "fas fa-calendar-days",
+		type: CalendarSettingsApp,
+		restricted: true
+	});
+}
+
+/**
+ * Initialize calendar hooks and the game.shadowdarkExtras.calendar API
+ */
+export function initCalendar() {
+	Hooks.on("updateWorldTime", onUpdateWorldTime);
+
+	// Carousing is a downtime activity that takes days
+	Hooks.on("sdx.carousingComplete", async () => {
+		if (!game.user.isGM) return;
+		const days = getCalendarConfig().carousingDays;
+		if (days > 0) await advanceTime({ days }, "carousing");
+	});
+
+	Hooks.once("ready", () => {
+		if (!game.shadowdarkExtras) game.shadowdarkExtras = {};
+		game.shadowdarkExtras.calendar = {
+			getDate: getCalendarDate,
+			formatDate: formatCalendarDate,
+			formatTime: formatCalendarTime,
+			advance: advanceTime,
+			toggle: () => CalendarAppSD.toggleInterface(),
+			app: CalendarAppSD
+		};
+	});
+}
+
+export { DEFAULT_CALENDAR, MOON_PHASES };
@@ -1322,6 +1322,7 @@ export async function executeCarousingRolls() {
     // Branch based on carousing mode
     if (mode === "expanded") {
         await executeExpandedCarousingRolls(session, tier, participants);
+        Hooks.callAll("sdx.carousingComplete", session, participants);
         return;
     }
 
@@ -1421,6 +1422,9 @@ export async function executeCarousingRolls() {
     });
 
     ui.notifications.info(game.i18n.localize("SHADOWDARK_EXTRAS.carousing.rolls_complete"));
+
+    // Let other systems (e.g. the calendar) react to the downtime
+    Hooks.callAll("sdx.carousingComplete", session, participants);
 }
 
 /**
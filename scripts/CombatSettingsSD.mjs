@@ -7,6 +7,13 @@ import { getWeaponBonuses, getWeaponEffectsToApply, evaluateRequirements, calcul
 import { startDurationSpell, linkEffectToDurationSpell, linkEffectToFocusSpell, linkTargetToFocusSpell, startFocusSpellIfNeeded, getActiveDurationSpells, endFocusSpell } from "./FocusSpellTrackerSD.mjs";
 import { setupTemplateEffectFlags, applyTemplateEffect, getTokensInTemplate } from "./TemplateEffectsSD.mjs";
 import { createAuraOnActor } from "./AuraEffectsSD.mjs";
+import { recordDamageEntry, undoDamageEntry, canUndoEntry, decorateDamageCard } from "./DamageLedgerSD.mjs";
+import { getWardState, absorbWithShields, absorbWithTempHp, getWardUpdateData } from "./TempHpSD.mjs";
+import { getDamageType, getDamageTypeLabel, getDamageTypeTextColor, isPhysicalDamageType } from "./DamageTypesApp.mjs";
+import { stabilizeDyingActor } from "./DyingSD.mjs";
+import { rollGroupInitiative, rerollAllInitiative } from "./InitiativeSD.mjs";
+import { endDispellableEffect } from "./DispelSD.mjs";
+import { markRoutineApplied } from "./AttackRoutinesSD.mjs";
 
 const MODULE_ID = "shadowdark-extras";
 let socketlibSocket = null;
@@ -105,8 +112,9 @@ function doubleDiceInFormula(formula) {
  * @param {Token} token - The token to show text on
  * @param {number} amount - The amount of damage (positive) or healing (negative for display, but we pass actual change)
  * @param {boolean} isHealing - Whether this is healing (green) or damage (red)
+ * @param {string} [damageType] - Damage type whose registry colour is used for damage
  */
-function showScrollingText(token, amount, isHealing) {
+function showScrollingText(token, amount, isHealing, damageType = null) {
 	if (!token || !canvas.interface) return;
 
 	// Get the text to display
@@ -118,7 +126,7 @@ function showScrollingText(token, amount, isHealing) {
 		anchor: CONST.TEXT_ANCHOR_POINTS.TOP,
 		direction: isHealing ? CONST.TEXT_ANCHOR_POINTS.TOP : CONST.TEXT_ANCHOR_POINTS.BOTTOM,
 		fontSize: 48,
-		fill: isHealing ? "#00ff00" : "#ff0000",
+		fill: isHealing ? "#00ff00" : (getDamageTypeTextColor(damageType) || "#ff0000"),
 		stroke: "#000000",
 		strokeThickness: 4,
 		jitter: 0.25
@@ -302,6 +310,9 @@ export function setupCombatSocket() {
 			return false;
 		}
 
+		// World scripts can adjust the payload in place or cancel the damage
+		if (Hooks.call("sdx.preApplyDamage", token.actor, data) === false) return false;
+
 		try {
 			const currentHp = token.actor.system?.attributes?.hp?.value ?? 0;
 			const maxHp = token.actor.system?.attributes?.hp?.max ?? 0;
@@ -309,6 +320,19 @@ export function setupCombatSocket() {
 			// Check for Glassbones effect (double damage)
 			const hasGlassbones = token.actor.getFlag("shadowdark-extras", "glassbones");
 
+			// Resistances, immunities etc. that fire are recorded in the damage ledger
+			const modifiers = [];
+			const noteModifier = (kind, type, amount = null) => modifiers.push(amount === null ? { kind, type } : { kind, type, amount });
+
+			// Typed shields soak matching damage after resistances; temp HP soaks the rest before HP
+			const wards = getWardState(token.actor);
+			const soakShields = (amount, type) => {
+				if (amount <= 0) return amount;
+				const { remaining, absorbed } = absorbWithShields(wards, amount, type);
+				if (absorbed > 0) noteModifier("shield", type, absorbed);
+				return remaining;
+			};
+
 			console.log(`shadowdark-extras | applyTokenDamage | Receiver | Data:`, data);
 
 			let finalDamage = 0;
@@ -335,9 +359,11 @@ export function setupCombatSocket() {
 							const absorptionValue = token.actor.getFlag("shadowdark-extras", `absorption.${componentType}`);
 							if (absorptionValue === -1 || absorptionValue === true) {
 								componentDamage = -componentDamage; // Convert to healing
+								noteModifier("absorbed", componentType);
 								isAbsorbed = true;
 							} else if (absorptionValue === 1) {
 								componentDamage = componentDamage * 2; // Double damage
+								noteModifier("amplified", componentType);
 								isAbsorbed = true;
 							}
 
@@ -345,6 +371,7 @@ export function setupCombatSocket() {
 							const isImmune = !isAbsorbed && token.actor.getFlag("shadowdark-extras", `immunity.${componentType}`);
 							if (isImmune) {
 								componentDamage = 0;
+								noteModifier("immune", componentType);
 							} else if (!isAbsorbed) {
 								// Check for resistance/vulnerability
 								const isResistant = token.actor.getFlag("shadowdark-extras", `resistance.${componentType}`);
@@ -352,26 +379,31 @@ export function setupCombatSocket() {
 
 								if (isResistant) {
 									componentDamage = Math.floor(componentDamage / 2);
+									noteModifier("resistance", componentType);
 								} else if (isVulnerable) {
 									componentDamage = componentDamage * 2;
+									noteModifier("vulnerability", componentType);
 								}
 							}
 						}
 
 						// Check for physical resistance/immunity/vulnerability
 						// Only check if not already absorbed
-						if (!isAbsorbed && ["bludgeoning", "slashing", "piercing"].includes(componentType)) {
+						if (!isAbsorbed && isPhysicalDamageType(componentType)) {
 							const isPhysicalImmune = token.actor.getFlag("shadowdark-extras", "immunity.physical");
 							if (isPhysicalImmune) {
 								componentDamage = 0;
+								noteModifier("immune", "physical");
 							} else if (componentDamage > 0) {
 								const isPhysicalResistant = token.actor.getFlag("shadowdark-extras", "resistance.physical");
 								const isPhysicalVulnerable = token.actor.getFlag("shadowdark-extras", "vulnerability.physical");
 
 								if (isPhysicalResistant) {
 									componentDamage = Math.floor(componentDamage / 2);
+									noteModifier("resistance", "physical");
 								} else if (isPhysicalVulnerable) {
 									componentDamage = componentDamage * 2;
+									noteModifier("vulnerability", "physical");
 								}
 							}
 
@@ -380,16 +412,18 @@ export function setupCombatSocket() {
 								const isNonMagicImmune = token.actor.getFlag("shadowdark-extras", "immunity.nonmagic");
 								if (isNonMagicImmune) {
 									componentDamage = 0;
+									noteModifier("immune", "nonmagic");
 								} else {
 									const isNonMagicResistant = token.actor.getFlag("shadowdark-extras", "resistance.nonmagic");
 									if (isNonMagicResistant) {
 										componentDamage = Math.floor(componentDamage / 2);
+										noteModifier("resistance", "nonmagic");
 									}
 								}
 							}
 						}
 
-						finalDamage += componentDamage;
+						finalDamage += soakShields(componentDamage, componentType);
 					}
 				}
 
@@ -405,9 +439,11 @@ export function setupCombatSocket() {
 						const absorptionValue = token.actor.getFlag("shadowdark-extras", `absorption.${baseType}`);
 						if (absorptionValue === -1 || absorptionValue === true) {
 							baseDamage = -baseDamage; // Convert to healing
+							noteModifier("absorbed", baseType);
 							isAbsorbed = true;
 						} else if (absorptionValue === 1) {
 							baseDamage = baseDamage * 2; // Double damage
+							noteModifier("amplified", baseType);
 							isAbsorbed = true;
 						}
 
@@ -415,30 +451,36 @@ export function setupCombatSocket() {
 						const isImmune = !isAbsorbed && token.actor.getFlag("shadowdark-extras", `immunity.${baseType}`);
 						if (isImmune) {
 							baseDamage = 0;
+							noteModifier("immune", baseType);
 						} else if (!isAbsorbed) {
 							const isResistant = token.actor.getFlag("shadowdark-extras", `resistance.${baseType}`);
 							const isVulnerable = token.actor.getFlag("shadowdark-extras", `vulnerability.${baseType}`);
 
 							if (isResistant) {
 								baseDamage = Math.floor(baseDamage / 2);
+								noteModifier("resistance", baseType);
 							} else if (isVulnerable) {
 								baseDamage = baseDamage * 2;
+								noteModifier("vulnerability", baseType);
 							}
 						}
 
 						// Check for physical resistance/immunity/vulnerability
-						if (!isAbsorbed && ["bludgeoning", "slashing", "piercing"].includes(baseType)) {
+						if (!isAbsorbed && isPhysicalDamageType(baseType)) {
 							const isPhysicalImmune = token.actor.getFlag("shadowdark-extras", "immunity.physical");
 							if (isPhysicalImmune) {
 								baseDamage = 0;
+								noteModifier("immune", "physical");
 							} else if (baseDamage > 0) {
 								const isPhysicalResistant = token.actor.getFlag("shadowdark-extras", "resistance.physical");
 								const isPhysicalVulnerable = token.actor.getFlag("shadowdark-extras", "vulnerability.physical");
 
 								if (isPhysicalResistant) {
 									baseDamage = Math.floor(baseDamage / 2);
+									noteModifier("resistance", "physical");
 								} else if (isPhysicalVulnerable) {
 									baseDamage = baseDamage * 2;
+									noteModifier("vulnerability", "physical");
 								}
 							}
 
@@ -447,22 +489,25 @@ export function setupCombatSocket() {
 								const isNonMagicImmune = token.actor.getFlag("shadowdark-extras", "immunity.nonmagic");
 								if (isNonMagicImmune) {
 									baseDamage = 0;
+									noteModifier("immune", "nonmagic");
 								} else {
 									const isNonMagicResistant = token.actor.getFlag("shadowdark-extras", "resistance.nonmagic");
 									if (isNonMagicResistant) {
 										baseDamage = Math.floor(baseDamage / 2);
+										noteModifier("resistance", "nonmagic");
 									}
 								}
 							}
 						}
 					}
 
-					finalDamage += baseDamage;
+					finalDamage += soakShields(baseDamage, baseType);
 				}
 
 				// 3. Final global modifiers (like Glassbones)
 				if (hasGlassbones && finalDamage > 0) {
 					finalDamage = finalDamage * 2;
+					noteModifier("glassbones", null);
 				}
 
 			} else {
@@ -476,9 +521,11 @@ export function setupCombatSocket() {
 					let isAbsorbed = false;
 					if (absorptionValue === -1 || absorptionValue === true) {
 						finalDamage = -finalDamage; // Convert to healing
+						noteModifier("absorbed", effectiveDamageType);
 						isAbsorbed = true;
 					} else if (absorptionValue === 1) {
 						finalDamage = finalDamage * 2; // Double damage
+						noteModifier("amplified", effectiveDamageType);
 						isAbsorbed = true;
 					}
 
@@ -486,6 +533,7 @@ export function setupCombatSocket() {
 					const isImmune = !isAbsorbed && token.actor.getFlag("shadowdark-extras", `immunity.${effectiveDamageType}`);
 					if (isImmune) {
 						finalDamage = 0;
+						noteModifier("immune", effectiveDamageType);
 					} else if (!isAbsorbed) {
 						// Check for resistance/vulnerability
 						const isResistant = token.actor.getFlag("shadowdark-extras", `resistance.${effectiveDamageType}`);
@@ -493,31 +541,45 @@ export function setupCombatSocket() {
 
 						if (isResistant) {
 							finalDamage = Math.floor(finalDamage / 2);
+							noteModifier("resistance", effectiveDamageType);
 						} else if (isVulnerable) {
 							finalDamage = finalDamage * 2;
+							noteModifier("vulnerability", effectiveDamageType);
 						}
 					}
 
 					// Check for non-magical weapon resistance/immunity
-					if (!isAbsorbed && finalDamage > 0 && ["bludgeoning", "slashing", "piercing"].includes(effectiveDamageType) && !data.isMagicalWeapon) {
+					if (!isAbsorbed && finalDamage > 0 && isPhysicalDamageType(effectiveDamageType) && !data.isMagicalWeapon) {
 						const isNonMagicImmune = token.actor.getFlag("shadowdark-extras", "immunity.nonmagic");
 						if (isNonMagicImmune) {
 							finalDamage = 0;
+							noteModifier("immune", "nonmagic");
 						} else {
 							const isNonMagicResistant = token.actor.getFlag("shadowdark-extras", "resistance.nonmagic");
 							if (isNonMagicResistant) {
 								finalDamage = Math.floor(finalDamage / 2);
+								noteModifier("resistance", "nonmagic");
 							}
 						}
 					}
 				}
 
+				if (isDamage) finalDamage = soakShields(finalDamage, effectiveDamageType);
+
 				// Glassbones (double damage) - applies after resistance/immunity
 				if (hasGlassbones && finalDamage > 0) {
 					finalDamage = finalDamage * 2;
+					noteModifier("glassbones", null);
 				}
 			}
 
+			// Temporary HP soaks whatever damage gets through
+			if (!isHealing && finalDamage > 0) {
+				const { remaining, absorbed } = absorbWithTempHp(wards, finalDamage);
+				if (absorbed > 0) noteModifier("tempHp", null, absorbed);
+				finalDamage = remaining;
+			}
+
 			// Negative damage means healing
 			// For healing: add the absolute value, for damage: subtract
 			// Use the calculated isHealing flag or check final damage
@@ -529,8 +591,40 @@ export function setupCombatSocket() {
 			const newHp = Math.max(0, Math.min(maxHp, currentHp + hpChange));
 
 
+			// The dominant damage type colours the scrolling combat text
+			const scrollingType = [...(data.damageComponents ?? []), { type: data.baseDamageType || data.damageType, amount: data.baseDamage || data.damage }]
+				.reduce((best, c) => ((c.amount || 0) > (best?.amount || 0) ? c : best), null)?.type;
+
 			await token.actor.update({
-				"system.attributes.hp.value": newHp
+				"system.attributes.hp.value": newHp,
+				...getWardUpdateData(wards)
+			}, { sdxDamageType: isFinalHealing ? null : (scrollingType || null) });
+
+			await recordDamageEntry({
+				messageId: data.messageId ?? null,
+				userId: data.userId ?? null,
+				sourceActorId: data.sourceActorId ?? null,
+				token,
+				raw: Math.abs(data.damage ?? 0),
+				final: isFinalHealing ? -Math.abs(finalDamage) : finalDamage,
+				damageType: data.baseDamageType || data.damageType || "standard",
+				isHealing: isFinalHealing,
+				modifiers,
+				hpBefore: currentHp,
+				hpAfter: newHp,
+				soaked: wards.soaked
+			});
+
+			Hooks.callAll("sdx.damageApplied", token.actor, {
+				tokenId: token.id,
+				hpBefore: currentHp,
+				hpAfter: newHp,
+				amount: isFinalHealing ? -Math.abs(finalDamage) : finalDamage,
+				damageType: data.baseDamageType || data.damageType || "standard",
+				isHealing: isFinalHealing,
+				modifiers,
+				soaked: wards.soaked,
+				userId: data.userId ?? null
 			});
 
 			// Scrolling combat text is now handled by the updateActor/updateToken hooks
@@ -543,12 +637,42 @@ export function setupCombatSocket() {
 		}
 	});
 
+	// Register socket handler for undoing a damage ledger entry
+	socketlibSocket.register("undoTokenDamage", async (data) => {
+		return undoDamageEntry(data.entryId, data.combatId, data.userId);
+	});
+
+	// Register socket handler for marking an attack routine target as applied
+	socketlibSocket.register("markRoutineApplied", async (data) => {
+		return markRoutineApplied(data.messageId, data.tokenId);
+	});
+
+	// Register socket handler for stabilising a dying character the helper does not own
+	socketlibSocket.register("stabilizeDying", async (data) => {
+		return stabilizeDyingActor(data.actorUuid, data.helperName);
+	});
+
+	// Register socket handlers for side/group initiative, which update every member of a group
+	socketlibSocket.register("rollGroupInitiative", async (data) => {
+		const combat = game.combats.get(data.combatId);
+		if (!combat) return false;
+		await rollGroupInitiative(combat, data.ids, { updateTurn: data.updateTurn });
+		return true;
+	});
+
+	socketlibSocket.register("rerollInitiative", async (data) => {
+		const combat = game.combats.get(data.combatId);
+		if (!combat) return false;
+		await rerollAllInitiative(combat);
+		return true;
+	});
+
 	// Register socket handler for showing scrolling text on all clients
 	socketlibSocket.register("showScrollingText", (data) => {
 		const token = canvas.tokens?.get(data.tokenId);
 		if (!token) return;
 
-		showScrollingText(token, data.amount, data.isHealing);
+		showScrollingText(token, data.amount, data.isHealing, data.damageType);
 	});
 
 	// Register socket handler for applying conditions/effects
@@ -786,6 +910,11 @@ export function setupCombatSocket() {
 		}
 	});
 
+	// Register socket handler to end a dispelled or countered spell effect
+	socketlibSocket.register("dispelEffect", async ({ entry }) => {
+		return endDispellableEffect(entry);
+	});
+
 	// Register socket handler to end a focus spell
 	socketlibSocket.register("endFocusSpell", async ({ casterId, spellId, reason }) => {
 		await endFocusSpell(casterId, spellId, reason);
@@ -1123,6 +1252,35 @@ export function getSocket() {
 	return socketlibSocket;
 }
 
+/**
+ * Apply damage or healing to a token through the GM damage socket, with the
+ * same resistances, shields, temp HP and damage ledger handling as the damage card
+ * @param {Token|TokenDocument|string} token - Token on the GM's viewed scene, or its id
+ * @param {number} amount - Damage, or healing when negative or isHealing is set
+ * @param {Object} [options]
+ * @param {string} [options.damageType="standard"] - Damage type id
+ * @param {boolean} [options.isHealing=false]
+ * @param {boolean} [options.isMagicalWeapon=false] - Bypasses non-magical weapon resistance
+ * @param {Array<{type: string, amount: number}>} [options.damageComponents] - Typed parts applied separately
+ * @param {string} [options.sourceActorId] - Recorded in the damage ledger
+ * @returns {Promise<boolean>} Whether the damage was applied
+ */
+export async function applyDamageToToken(token, amount, { damageType = "standard", isHealing = false, isMagicalWeapon = false, damageComponents = [], sourceActorId = null } = {}) {
+	const tokenId = typeof token === "string" ? token : token?.id;
+	if (!tokenId || !socketlibSocket) return false;
+	return socketlibSocket.executeAsGM("applyTokenDamage", {
+		tokenId,
+		damage: amount,
+		isHealing,
+		damageType,
+		damageComponents,
+		isMagicalWeapon,
+		messageId: null,
+		sourceActorId,
+		userId: game.user.id
+	});
+}
+
 /**
  * Combat Settings Configuration Application
  */
@@ -1176,6 +1334,10 @@ export const DEFAULT_COMBAT_SETTINGS = {
 	hideItemDescription: false, // Hide item description in chat cards (weapon/spell details)
 	requireTargetForAttack: "none", // 'none' = no check, 'warn' = warn but proceed, 'block' = prevent attack
 	checkWeaponRange: "none", // 'none' = no check, 'warn' = warn but proceed, 'block' = prevent attack if out of range
+	opportunityAttacks: false, // Default for new combats, toggled per combat from the tracker
+	initiativeMode: "individual", // 'individual', 'side' = one roll per disposition, 'group' = one roll per NPC actor
+	rerollInitiative: false, // Roll initiative again before every new round
+	coverMode: "none", // 'none' = ignore cover, 'ac' = +2/+5 AC for half/three-quarters cover, 'disadvantage' = prompt disadvantage
 	untargetAtEndOfTurn: "dead", // 'none' = no untargeting, 'dead' = untarget dead tokens, 'all' = untarget all
 	hideDamageCardOnFailedAttack: false, // Don't show damage card when weapon attack fails
 	damageCard: {
@@ -1259,16 +1421,6 @@ export function setupScrollingCombatText() {
 
 	// Show scrolling text after update
 	Hooks.on("updateActor", (actor, changes, options, userId) => {
-		// Check if scrolling combat text is enabled
-		let settings;
-		try {
-			settings = game.settings.get(MODULE_ID, "combatSettings");
-		} catch (e) {
-			return; // Settings not registered yet
-		}
-
-		if (settings.scrollingCombatText === false) return;
-
 		// Only process if HP was changed
 		const newHp = foundry.utils.getProperty(changes, "system.attributes.hp.value");
 		if (newHp === undefined) return;
@@ -1282,6 +1434,19 @@ export function setupScrollingCombatText() {
 		const hpChange = preData.oldHp - newHp;
 		if (hpChange === 0) return;
 
+		// Let other systems (e.g. morale) react on the client that made the change
+		Hooks.callAll("sdx.hpChanged", actor, { oldHp: preData.oldHp, newHp, maxHp: preData.maxHp, userId });
+
+		// Check if scrolling combat text is enabled
+		let settings;
+		try {
+			settings = game.settings.get(MODULE_ID, "combatSettings");
+		} catch (e) {
+			return; // Settings not registered yet
+		}
+
+		if (settings.scrollingCombatText === false) return;
+
 		const isHealing = hpChange < 0;
 
 		// Find the appropriate token(s) to show scrolling text on
@@ -1304,11 +1469,12 @@ export function setupScrollingCombatText() {
 				socketlibSocket.executeForEveryone("showScrollingText", {
 					tokenId: token.id,
 					amount: Math.abs(hpChange),
-					isHealing: isHealing
+					isHealing: isHealing,
+					damageType: options.sdxDamageType ?? null
 				});
 			} else {
 				// Fallback to local-only
-				showScrollingText(token, Math.abs(hpChange), isHealing);
+				showScrollingText(token, Math.abs(hpChange), isHealing, options.sdxDamageType ?? null);
 			}
 		}
 	});
@@ -2121,7 +2287,8 @@ export async function injectDamageCard(message, html, data) {
 							runItemMacro: templateEffectsConfig.runItemMacro || false,
 							spellId: item.id,
 							initialEnterTriggered: false, // Let the hook handle this naturally to avoid duplicates/race conditions
-							effectsRequirement: spellDamageConfig?.effectsRequirement || "" // Persist requirement for On Enter checks
+							effectsRequirement: spellDamageConfig?.effectsRequirement || "", // Persist requirement for On Enter checks
+							zones: templateEffectsConfig.zones || {} // Difficult terrain, darkness, silence, obscurement
 						});
 
 						// Manual "On Enter" Trigger removed to prevent duplicates with the createMeasuredTemplate hook.
@@ -3182,7 +3349,7 @@ export async function injectDamageCard(message, html, data) {
 
 					totalBonus += roll.total;
 
-					const label = game.i18n.localize(`SHADOWDARK_EXTRAS.damage_type.${extra.damageType}`);
+					const label = getDamageTypeLabel(extra.damageType);
 
 					damageComponents.push({
 						formula: extra.formula,
@@ -3352,8 +3519,9 @@ export async function injectDamageCard(message, html, data) {
 		let breakdownTooltipHtml = '';
 		if (rollSummary?.components && rollSummary.components.length > 0) {
 			const componentLines = rollSummary.components.map(c => {
-				const displayType = (c.type && c.type !== 'standard') ? c.type.charAt(0).toUpperCase() + c.type.slice(1).toLowerCase() : '';
-				const typeLabel = displayType ? ` ${displayType}` : '';
+				const displayType = (c.type && c.type !== 'standard') ? getDamageTypeLabel(c.type) : '';
+				const typeColor = getDamageType(c.type)?.color;
+				const typeLabel = displayType ? ` <span class="sdx-damage-type-label"${typeColor ? ` style="color: ${typeColor};"` : ''}>${displayType}</span>` : '';
 				const labelText = c.label ? `[${c.label}] ` : '';
 				const diceResults = (c.dice && c.dice.length > 0) ? ` [${c.dice.join(',')}] ` : ' ';
 				return `<div style="display: flex; justify-content: space-between; gap: 8px; border-bottom: 1px solid rgba(0,0,0,0.05); padding: 2px 0;">
@@ -4276,6 +4444,7 @@ function rebuildTargetsList($card, messageId, baseDamage) {
 	// Re-attach listeners for new elements
 	attachMultiplierListeners($card);
 	attachTargetEnableListeners($card);
+	decorateDamageCard($card[0]);
 }
 
 /**
@@ -4806,6 +4975,24 @@ function attachDamageCardListeners(html, messageId) {
 	// Initial target enable/disable listeners
 	attachTargetEnableListeners($card);
 
+	// Undo controls for damage already applied from this card
+	if ($card.length) decorateDamageCard($card[0]);
+
+	$card.on('click', '.sdx-undo-damage', async function (e) {
+		e.preventDefault();
+		e.stopPropagation();
+
+		const { entryId, combatId } = this.dataset;
+		if (!canUndoEntry(entryId, combatId)) return;
+		if (!socketlibSocket) {
+			ui.notifications.error("Socket communication not available");
+			return;
+		}
+
+		const undone = await socketlibSocket.executeAsGM("undoTokenDamage", { entryId, combatId, userId: game.user.id });
+		if (!undone) ui.notifications.warn(game.i18n.localize("SHADOWDARK_EXTRAS.damage_ledger.undo_failed"));
+	});
+
 	// Individual die click to reroll single die
 	$card.on('click', '.sdx-die-clickable', async function (e) {
 		e.preventDefault();
@@ -5219,7 +5406,10 @@ function attachDamageCardListeners(html, messageId) {
 							damageComponents: damageComponents,
 							baseDamage: weaponBaseDamage,
 							baseDamageType: baseDamageType,
-							isMagicalWeapon: isMagicalWeapon
+							isMagicalWeapon: isMagicalWeapon,
+							messageId: $card.data('message-id') || null,
+							sourceActorId: $card.data('caster-actor-id') || null,
+							userId: game.user.id
 						});
 
 
@@ -133,6 +133,36 @@ export async function removeContent(hexKey, name) {
     await _save(data);
 }
 
+/**
+ * Add a batch of entries, e.g. from an imported region package.
+ * Entries matching an existing hexKey + name + sceneId replace it.
+ * @param {object[]} entries
+ * @returns {number} Number of entries written
+ */
+export async function importContent(entries) {
+    const data = _load();
+    let count = 0;
+    for (const entry of entries) {
+        if (!entry?.hexKey || !entry?.sceneId || !entry?.name) continue;
+        data.entries = data.entries.filter(
+            e => !(e.hexKey === entry.hexKey && e.name === entry.name && e.sceneId === entry.sceneId)
+        );
+        data.entries.push({
+            hexKey: entry.hexKey,
+            sceneId: entry.sceneId,
+            type: entry.type,
+            subType: entry.subType || "",
+            name: entry.name,
+            roomCount: entry.roomCount || 0,
+            journalId: entry.journalId || "",
+            pageId: entry.pageId || "",
+        });
+        count++;
+    }
+    if (count) await _save(data);
+    return count;
+}
+
 // ── Hex distance (offset coordinates) ───────────────────────────────────────
 
 /**
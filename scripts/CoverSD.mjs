@@ -0,0 +1,187 @@
+/**
+ * Cover for Shadowdark Extras
+ *
+ * Works out how much cover a target has from an attacker when an attack is
+ * rolled. Five lines are traced from the attacker's center to the target's
+ * center and inset corners:
+ * - Lines blocked by sight-blocking walls: 1-2 give half cover, 3-4 give
+ *   three-quarters cover, all 5 give total cover.
+ * - Lines crossing another token give at most half cover.
+ *
+ * Depending on the Combat Settings cover mode, half cover gives +2 AC and
+ * three-quarters cover +5 AC (applied as a to-hit penalty in the hit bonus
+ * breakdown), or any cover highlights disadvantage in the attack dialog.
+ */
+
+const MODULE_ID = "shadowdark-extras";
+
+export const COVER_LEVELS = {
+	none: { ac: 0, label: "" },
+	half: { ac: 2, label: "SHADOWDARK_EXTRAS.cover.half" },
+	threeQuarters: { ac: 5, label: "SHADOWDARK_EXTRAS.cover.three_quarters" },
+	total: { ac: 0, label: "SHADOWDARK_EXTRAS.cover.total" }
+};
+
+/**
+ * Get the configured cover mode
+ * @returns {string} "none", "ac" or "disadvantage"
+ */
+export function getCoverMode() {
+	try {
+		return game.settings.get(MODULE_ID, "combatSettings")?.coverMode || "none";
+	} catch (e) {
+		return "none";
+	}
+}
+
+/**
+ * Whether a sight-blocking wall lies between two points
+ * @param {Object} startPos
+ * @param {Object} endPos
+ * @returns {boolean}
+ */
+function isWallBetween(startPos, endPos) {
+	if (CONFIG.Canvas?.polygonBackends?.sight?.testCollision) {
+		return !!CONFIG.Canvas.polygonBackends.sight.testCollision(startPos, endPos, { mode: "any", type: "sight" });
+	}
+	if (canvas.edges?.testCollision) {
+		return !!canvas.edges.testCollision(startPos, endPos, { mode: "any", type: "sight" });
+	}
+	return false;
+}
+
+/**
+ * Whether a token stands between two points
+ * @param {Object} startPos
+ * @param {Object} endPos
+ * @param {Token[]} blockers
+ * @returns {boolean}
+ */
+function isTokenBetween(startPos, endPos, blockers) {
+	return blockers.some(token => {
+		// Shrink the bounds slightly so lines grazing a token's edge don't count
+		const { x, y, width, height } = token.bounds;
+		const rect = new PIXI.Rectangle(x + 2, y + 2, width - 4, height - 4);
+		return rect.lineSegmentIntersects(startPos, endPos, { inside: true });
+	});
+}
+
+/**
+ * Work out the cover a target has against an attacker
+ * @param {Token} attackerToken
+ * @param {Token} targetToken
+ * @returns {{ level: string, ac: number, label: string, walls: number, tokens: number }}
+ */
+export function getCover(attackerToken, targetToken) {
+	const result = { level: "none", ac: 0, label: "", walls: 0, tokens: 0 };
+	if (!attackerToken || !targetToken || attackerToken.id === targetToken.id || !canvas.ready) return result;
+
+	const origin = attackerToken.center;
+	const { x, y, width, height } = targetToken.bounds;
+	const inset = Math.min(width, height) * 0.1;
+	const points = [
+		targetToken.center,
+		{ x: x + inset, y: y + inset },
+		{ x: x + width - inset, y: y + inset },
+		{ x: x + inset, y: y + height - inset },
+		{ x: x + width - inset, y: y + height - inset }
+	];
+
+	const blockers = canvas.tokens.placeables.filter(t =>
+		t.id !== attackerToken.id && t.id !== targetToken.id && t.actor && !t.document.hidden
+		&& !t.actor.statuses?.has("dead")
+	);
+
+	for (const point of points) {
+		if (isWallBetween(origin, point)) result.walls++;
+		else if (isTokenBetween(origin, point, blockers)) result.tokens++;
+	}
+
+	if (result.walls === points.length) result.level = "total";
+	else if (result.walls >= 3) result.level = "threeQuarters";
+	else if (result.walls > 0 || result.tokens > 0) result.level = "half";
+
+	result.ac = COVER_LEVELS[result.level].ac;
+	result.label = result.level === "none" ? "" : game.i18n.localize(COVER_LEVELS[result.level].label);
+	return result;
+}
+
+/**
+ * Find the token for the target of an attack
+ * @param {Actor} target
+ * @returns {Token|null}
+ */
+function getTargetToken(target) {
+	const targets = Array.from(game.user.targets);
+	return targets.find(t => t.actor === target) ?? targets[0] ?? null;
+}
+
+/**
+ * Get the cover a target has against an attacking actor
+ * @param {Actor} attacker
+ * @param {Actor|Token} [target] - Defaults to the user's first target
+ * @returns {Object|null} The cover result, or null when there is nothing to check
+ */
+export function getAttackCover(attacker, target = null) {
+	const attackerToken = attacker?.getActiveTokens?.()[0];
+	const targetToken = target instanceof foundry.canvas.placeables.Token ? target : getTargetToken(target);
+	if (!attackerToken || !targetToken) return null;
+	return getCover(attackerToken, targetToken);
+}
+
+/**
+ * Get the to-hit part for a target's cover when cover raises AC
+ * @param {Actor} attacker
+ * @param {Actor|Token} [target]
+ * @returns {Object|null} { formula, label, cover } or null
+ */
+export function getCoverHitPart(attacker, target = null) {
+	if (getCoverMode() !== "ac") return null;
+	const cover = getAttackCover(attacker, target);
+	if (!cover?.ac) return null;
+	return {
+		formula: `-${cover.ac}`,
+		label: game.i18n.format("SHADOWDARK_EXTRAS.cover.hit_part", { cover: cover.label, ac: cover.ac }),
+		cover: cover.level
+	};
+}
+
+/**
+ * Build the cover notice shown in the attack roll dialog
+ * @param {Object} cover - Result of getCover
+ * @returns {HTMLElement|null}
+ */
+export function buildCoverNotice(cover) {
+	const mode = getCoverMode();
+	if (mode === "none" || !cover || cover.level === "none") return null;
+
+	let key = "SHADOWDARK_EXTRAS.cover.notice_ac";
+	if (cover.level === "total") key = "SHADOWDARK_EXTRAS.cover.notice_total";
+	else if (mode === "disadvantage") key = "SHADOWDARK_EXTRAS.cover.notice_disadvantage";
+
+	const notice = document.createElement("div");
+	notice.className = `sdx-cover-notice ${cover.level}`;
+	notice.innerHTML = `<i class="fas fa-shield-halved"></i> `;
+	notice.append(game.i18n.format(key, { cover: cover.label, ac: cover.ac }));
+	return notice;
+}
+
+/**
+ * Initialize cover checks
+ */
+export function initCover() {
+	// Weapons: add the cover penalty to the hit bonus breakdown
+	Hooks.on("sdx.attackBonusEvaluated", (weapon, attacker, target, result) => {
+		const part = getCoverHitPart(attacker, target);
+		if (part) result.hitBonusParts.push(part);
+	});
+
+	Hooks.once("ready", () => {
+		if (!game.shadowdarkExtras) game.shadowdarkExtras = {};
+		game.shadowdarkExtras.cover = {
+			getCover,
+			getAttackCover,
+			getMode: getCoverMode
+		};
+	});
+}
@@ -0,0 +1,555 @@
+/**
+ * Scroll, Potion and Wand Crafting for Shadowdark Extras
+ *
+ * Downtime crafting for spellcasters:
+ * - Pick a known spell and what to make from it. The gold is paid up front and
+ *   the project joins the crafting queue shown on the spells tab.
+ * - Every calendar day that passes (sdx.newDay) counts as a day of work. Once
+ *   the days are done the crafter rolls a spellcasting check against
+ *   10 + the spell's tier (+ the kind's DC modifier).
+ * - On a success the scroll, potion or wand is created with the spell's SDX
+ *   activity flags (damage, effects, templates, auras, summons, macros)
+ *   copied over. On a failure the materials are lost.
+ *
+ * Gold and days per spell tier are set in the Crafting menu.
+ *
+ * Storage (actor flag):
+ * - craftingQueue: [{ id, kind, spellId, spellName, spellImg, tier, cost, days, daysWorked, dc }]
+ */
+
+import { getSpellcastingModifier } from "./DispelSD.mjs";
+
+const MODULE_ID = "shadowdark-extras";
+const FLAG_KEY = "craftingQueue";
+
+// Projects whose check is being rolled on this client
+const _rollingEntries = new Set();
+
+export const CRAFTING_KINDS = ["scroll", "potion", "wand"];
+
+const DEFAULT_CRAFTING_CONFIG = {
+	scroll: { gold: 50, days: 1, dc: 0 },
+	potion: { gold: 100, days: 2, dc: 0 },
+	wand: { gold: 250, days: 5, dc: 2 }
+};
+
+const CRAFTED_ITEM_TYPES = {
+	scroll: { type: "Scroll", img: "icons/sundries/scrolls/scroll-bound-sealed-red.webp" },
+	potion: { type: "Potion", img: "icons/consumables/potions/bottle-round-corked-red.webp" },
+	wand: { type: "Wand", img: "icons/weapons/wands/wand-gem-violet.webp" }
+};
+
+/**
+ * Get the crafting configuration merged over the defaults
+ * @returns {Object}
+ */
+export function getCraftingConfig() {
+	let saved = {};
+	try {
+		saved = game.settings.get(MODULE_ID, "craftingConfig") ?? {};
+	} catch (e) {
+		// Setting not registered yet, return defaults
+	}
+	return foundry.utils.mergeObject(foundry.utils.deepClone(DEFAULT_CRAFTING_CONFIG), saved, { inplace: false });
+}
+
+/**
+ * Whether crafting is enabled
+ * @returns {boolean}
+ */
+function isEnabled() {
+	try {
+		return game.settings.get(MODULE_ID, "enableCrafting");
+	} catch (e) {
+		return false;
+	}
+}
+
+/**
+ * Get an actor's crafting queue
+ * @param {Actor} actor
+ * @returns {Object[]}
+ */
+export function getCraftingQueue(actor) {
+	return foundry.utils.deepClone(actor?.getFlag(MODULE_ID, FLAG_KEY) ?? []);
+}
+
+/**
+ * Work out the cost, time and DC of crafting a spell
+ * @param {Item} spell
+ * @param {string} kind - One of CRAFTING_KINDS
+ * @returns {{ cost: number, days: number, dc: number }}
+ */
+export function getCraftingCost(spell, kind) {
+	const tier = Number(spell?.system?.tier) || 1;
+	const config = getCraftingConfig()[kind] ?? DEFAULT_CRAFTING_CONFIG.scroll;
+	return {
+		cost: Math.max(0, Number(config.gold) || 0) * tier,
+		days: Math.max(1, (Number(config.days) || 0) * tier),
+		dc: 10 + tier + (Number(config.dc) || 0)
+	};
+}
+
+/**
+ * Start a crafting project: pay the gold and add it to the queue
+ * @param {Actor} actor
+ * @param {Item} spell
+ * @param {string} kind
+ * @returns {Promise<Object|null>} The queue entry
+ */
+export async function startCrafting(actor, spell, kind) {
+	if (!CRAFTING_KINDS.includes(kind) || spell?.type !== "Spell") return null;
+	const { cost, days, dc } = getCraftingCost(spell, kind);
+
+	const gp = Number(actor.system?.coins?.gp) || 0;
+	if (gp < cost) {
+		ui.notifications.warn(game.i18n.format("SHADOWDARK_EXTRAS.crafting.not_enough_gold", { cost }));
+		return null;
+	}
+
+	const entry = {
+		id: foundry.utils.randomID(),
+		kind,
+		spellId: spell.id,
+		spellName: spell.name,
+		spellImg: spell.img,
+		tier: Number(spell.system?.tier) || 1,
+		cost,
+		days,
+		daysWorked: 0,
+		dc
+	};
+
+	if (Hooks.call("sdx.preStartCrafting", actor, spell, entry) === false) return null;
+
+	await actor.update({
+		"system.coins.gp": gp - cost,
+		[`flags.${MODULE_ID}.${FLAG_KEY}`]: [...getCraftingQueue(actor), entry]
+	});
+
+	ui.notifications.info(game.i18n.format("SHADOWDARK_EXTRAS.crafting.started", {
+		item: getCraftedItemName(entry),
+		days
+	}));
+	return entry;
+}
+
+/**
+ * Get the name of the item a project produces
+ * @param {Object} entry
+ * @returns {string}
+ */
+function getCraftedItemName(entry) {
+	return game.i18n.format(`SHADOWDARK_EXTRAS.crafting.item_name.${entry.kind}`, { spell: entry.spellName });
+}
+
+/**
+ * Cancel a crafting project. The gold already spent on materials is lost.
+ * @param {Actor} actor
+ * @param {string} entryId
+ */
+export async function cancelCrafting(actor, entryId) {
+	const queue = getCraftingQueue(actor).filter(e => e.id !== entryId);
+	await actor.setFlag(MODULE_ID, FLAG_KEY, queue);
+}
+
+/**
+ * Add days of work to every crafting project of an actor
+ * @param {Actor} actor
+ * @param {number} days
+ * @returns {Promise<Object[]>} Projects that became ready
+ */
+export async function advanceCrafting(actor, days = 1) {
+	const queue = getCraftingQueue(actor);
+	if (!queue.length || days <= 0) return [];
+
+	const finished = [];
+	for (const entry of queue) {
+		if (entry.daysWorked >= entry.days) continue;
+		entry.daysWorked = Math.min(entry.days, entry.daysWorked + days);
+		if (entry.daysWorked >= entry.days) finished.push(entry);
+	}
+	await actor.setFlag(MODULE_ID, FLAG_KEY, queue);
+
+	for (const entry of finished) {
+		await ChatMessage.create({
+			speaker: ChatMessage.getSpeaker({ actor }),
+			whisper: game.users.filter(u => u.isGM || actor.testUserPermission(u, "OWNER")).map(u => u.id),
+			content: `
+				<div class="shadowdark chat-card sdx-crafting-card">
+					<header class="sdx-crafting-header">
+						<img src="${entry.spellImg}" alt="${entry.spellName}">
+						<h3>${getCraftedItemName(entry)}</h3>
+					</header>
+					<p class="sdx-crafting-text">${game.i18n.format("SHADOWDARK_EXTRAS.crafting.ready", { name: actor.name, dc: entry.dc })}</p>
+					<button type="button" class="sdx-crafting-roll" data-actor-uuid="${actor.uuid}" data-entry-id="${entry.id}">
+						<i class="fas fa-dice-d20"></i> ${game.i18n.localize("SHADOWDARK_EXTRAS.crafting.roll")}
+					</button>
+				</div>`,
+			flags: { [MODULE_ID]: { craftingCard: true } }
+		});
+	}
+	return finished;
+}
+
+/**
+ * Build the data of the item a project produces from its spell
+ * @param {Actor} actor
+ * @param {Item} spell
+ * @param {Object} entry
+ * @returns {Promise<Object>}
+ */
+async function buildCraftedItemData(actor, spell, entry) {
+	const spellData = spell.toObject();
+	const { type, img } = CRAFTED_ITEM_TYPES[entry.kind];
+	const system = {
+		description: spellData.system.description,
+		cost: { gp: entry.cost, sp: 0, cp: 0 }
+	};
+
+	if (entry.kind !== "potion") {
+		const characterClass = await actor.getClass?.();
+		Object.assign(system, {
+			spellName: spellData.name,
+			class: spellData.system.class,
+			duration: spellData.system.duration,
+			range: spellData.system.range,
+			tier: spellData.system.tier,
+			ability: characterClass?.system?.spellcasting?.ability ?? spellData.system.ability,
+			lost: false
+		});
+	}
+
+	// Copy all flags from the spell (includes spellDamage, effects, templates, auras, summons, etc.)
+	const flags = foundry.utils.deepClone(spellData.flags ?? {});
+	foundry.utils.setProperty(flags, `${MODULE_ID}.crafted`, {
+		by: actor.name,
+		spellUuid: spell.uuid,
+		worldTime: game.time.worldTime
+	});
+
+	return {
+		name: getCraftedItemName(entry),
+		type,
+		img: entry.kind === "scroll" ? img : spellData.img || img,
+		system,
+		flags,
+		effects: spellData.effects ?? []
+	};
+}
+
+/**
+ * Roll the crafting check for a finished project
+ * @param {Actor} actor
+ * @param {string} entryId
+ * @returns {Promise<Item|null>} The crafted item on a success
+ */
+export async function rollCraftingCheck(actor, entryId) {
+	const queue = getCraftingQueue(actor);
+	const entry = queue.find(e => e.id === entryId);
+	if (!entry || entry.daysWorked < entry.days || !actor.isOwner) return null;
+	if (_rollingEntries.has(entryId)) return null;
+
+	// Take the project off the queue before rolling so a second click, here or
+	// on another client, finds it gone instead of crafting the item twice
+	_rollingEntries.add(entryId);
+	try {
+		await actor.setFlag(MODULE_ID, FLAG_KEY, queue.filter(e => e.id !== entryId));
+	} finally {
+		_rollingEntries.delete(entryId);
+	}
+
+	const spell = actor.items.get(entry.spellId);
+	const roll = await new Roll("1d20 + @mod", { mod: await getSpellcastingModifier(actor) }).evaluate();
+	const natural = roll.dice[0]?.total;
+	const success = !!spell && natural !== 1 && (natural === 20 || roll.total >= entry.dc);
+
+	let item = null;
+	if (success) {
+		[item] = await actor.createEmbeddedDocuments("Item", [await buildCraftedItemData(actor, spell, entry)]);
+	}
+
+	Hooks.callAll("sdx.itemCrafted", actor, item, { entry, roll, success });
+
+	const outcome = success
+		? game.i18n.format("SHADOWDARK_EXTRAS.crafting.success", { name: actor.name, item: item.name })
+		: game.i18n.format(spell ? "SHADOWDARK_EXTRAS.crafting.failure" : "SHADOWDARK_EXTRAS.crafting.spell_missing", {
+			name: actor.name, item: getCraftedItemName(entry), cost: entry.cost
+		});
+
+	await ChatMessage.create({
+		user: game.user.id,
+		speaker: ChatMessage.getSpeaker({ actor }),
+		rolls: [roll],
+		content: `
+			<div class="shadowdark chat-card sdx-crafting-card ${success ? "success" : "failure"}">
+				<header class="sdx-crafting-header">
+					<img src="${item?.img ?? entry.spellImg}" alt="${entry.spellName}">
+					<h3>${getCraftedItemName(entry)}</h3>
+				</header>
+				<div class="sdx-crafting-roll-result">${game.i18n.format("SHADOWDARK_EXTRAS.crafting.vs_dc", { total: roll.total, dc: entry.dc })}</div>
+				<p class="sdx-crafting-text">${outcome}</p>
+			</div>`,
+		flags: { [MODULE_ID]: { craftingCard: true } }
+	});
+	return item;
+}
+
+/**
+ * Open the dialog to start a crafting project
+ * @param {Actor} actor
+ * @returns {Promise<Object|null>} The queue entry
+ */
+export async function openCraftingDialog(actor) {
+	const spells = actor.items.filter(i => i.type === "Spell" && !i.system.lost)
+		.sort((a, b) => (a.system.tier - b.system.tier) || a.name.localeCompare(b.name));
+	if (!spells.length) {
+		ui.notifications.warn(game.i18n.localize("SHADOWDARK_EXTRAS.crafting.no_spells"));
+		return null;
+	}
+
+	const kindOptions = CRAFTING_KINDS.map(kind =>
+		`<option value="${kind}">${game.i18n.localize(`SHADOWDARK_EXTRAS.crafting.kind.${kind}`)}</option>`
+	).join("");
+	const spellOptions = spells.map(spell =>
+		`<option value="${spell.id}">${spell.name} (${game.i18n.format("SHADOWDARK_EXTRAS.crafting.tier", { tier: spell.system.tier })})</option>`
+	).join("");
+
+	const content = `
+		<div class="form-group">
+			<label>${game.i18n.localize("SHADOWDARK_EXTRAS.crafting.spell")}</label>
+			<select name="spellId">${spellOptions}</select>
+		</div>
+		<div class="form-group">
+			<label>${game.i18n.localize("SHADOWDARK_EXTRAS.crafting.make")}</label>
+			<select name="kind">${kindOptions}</select>
+		</div>
+		<p class="sdx-crafting-summary"></p>`;
+
+	const updateSummary = (form) => {
+		const { cost, days, dc } = getCraftingCost(actor.items.get(form.elements.spellId.value), form.elements.kind.value);
+		form.querySelector(".sdx-crafting-summary").textContent = game.i18n.format("SHADOWDARK_EXTRAS.crafting.summary", {
+			cost, days, dc, gp: Number(actor.system?.coins?.gp) || 0
+		});
+	};
+
+	const choice = await foundry.applications.api.DialogV2.wait({
+		window: { title: game.i18n.format("SHADOWDARK_EXTRAS.crafting.dialog_title", { name: actor.name }), icon: "fas fa-scroll" },
+		classes: ["sdx-crafting-dialog"],
+		content,
+		render: (event, dialog) => {
+			const form = dialog.element.querySelector("form");
+			form.addEventListener("change", () => updateSummary(form));
+			updateSummary(form);
+		},
+		buttons: [
+			{
+				action: "craft",
+				label: game.i18n.localize("SHADOWDARK_EXTRAS.crafting.start"),
+				icon: "fas fa-hammer",
+				default: true,
+				callback: (event, button) => ({
+					spellId: button.form.elements.spellId.value,
+					kind: button.form.elements.kind.value
+				})
+			},
+			{ action: "cancel", label: game.i18n.localize("Cancel"), icon: "fas fa-times" }
+		],
+		rejectClose: false
+	});
+	if (!choice?.spellId) return null;
+
+	return startCrafting(actor, actor.items.get(choice.spellId), choice.kind);
+}
+
+/**
+ * Add the crafting queue to the spells tab of a caster's sheet
+ * @param {jQuery} html
+ * @param {Actor} actor
+ */
+export function injectCraftingQueue(html, actor) {
+	if (!isEnabled() || !actor?.isOwner || !actor.items.some(i => i.type === "Spell")) return;
+	const $spellsTab = html.find('.tab[data-tab="tab-spells"]');
+	if (!$spellsTab.length || $spellsTab.find(".sdx-crafting-box").length) return;
+
+	const rows = getCraftingQueue(actor).map(entry => {
+		const ready = entry.daysWorked >= entry.days;
+		const status = ready
+			? `<a class="sdx-crafting-roll" data-entry-id="${entry.id}" data-tooltip="${game.i18n.localize("SHADOWDARK_EXTRAS.crafting.roll")}"><i class="fas fa-dice-d20"></i></a>`
+			: `<span class="sdx-crafting-progress">${game.i18n.format("SHADOWDARK_EXTRAS.crafting.progress", { worked: entry.daysWorked, days: entry.days })}</span>`;
+		return `
+			<li class="sdx-crafting-entry${ready ? " ready" : ""}" data-entry-id="${entry.id}">
+				<img src="${entry.spellImg}" alt="${entry.spellName}">
+				<span class="sdx-crafting-name">${getCraftedItemName(entry)}</span>
+				${status}
+				<a class="sdx-crafting-cancel" data-entry-id="${entry.id}" data-tooltip="${game.i18n.localize("SHADOWDARK_EXTRAS.crafting.cancel")}"><i class="fas fa-times"></i></a>
+			</li>`;
+	}).join("");
+
+	const $box = $(`
+		<div class="SD-box sdx-crafting-box">
+			<div class="header">
+				<label>${game.i18n.localize("SHADOWDARK_EXTRAS.crafting.title")}</label>
+				<a class="sdx-crafting-new" data-tooltip="${game.i18n.localize("SHADOWDARK_EXTRAS.crafting.new")}"><i class="fas fa-plus"></i></a>
+			</div>
+			<div class="content">
+				${rows ? `<ol class="sdx-crafting-list">${rows}</ol>` : `<p class="sdx-crafting-empty">${game.i18n.localize("SHADOWDARK_EXTRAS.crafting.empty")}</p>`}
+			</div>
+		</div>`);
+
+	$box.find(".sdx-crafting-new").on("click", async (ev) => {
+		ev.preventDefault();
+		await openCraftingDialog(actor);
+	});
+	$box.find(".sdx-crafting-roll").on("click", async (ev) => {
+		ev.preventDefault();
+		const link = ev.currentTarget;
+		if (link.classList.contains("disabled")) return;
+		link.classList.add("disabled");
+		await rollCraftingCheck(actor, link.dataset.entryId);
+	});
+	$box.find(".sdx-crafting-cancel").on("click", async (ev) => {
+		ev.preventDefault();
+		const confirmed = await foundry.applications.api.DialogV2.confirm({
+			window: { title: game.i18n.localize("SHADOWDARK_EXTRAS.crafting.cancel") },
+			content: `<p>${game.i18n.localize("SHADOWDARK_EXTRAS.crafting.cancel_confirm")}</p>`,
+			rejectClose: false
+		});
+		if (confirmed) await cancelCrafting(actor, ev.currentTarget.dataset.entryId);
+	});
+
+	const $dispel = $spellsTab.find(".sdx-dispel-btn");
+	if ($dispel.length) $dispel.after($box);
+	else $spellsTab.prepend($box);
+}
+
+/**
+ * Hook: count passing calendar days as days of crafting work
+ * @param {Object} date
+ * @param {number} daysPassed
+ */
+async function onNewDay(date, daysPassed) {
+	if (!game.users.activeGM?.isSelf || !isEnabled()) return;
+
+	for (const actor of game.actors) {
+		if (actor.type !== "Player" || !getCraftingQueue(actor).length) continue;
+		await advanceCrafting(actor, daysPassed);
+	}
+}
+
+/**
+ * Hook: wire the crafting card buttons
+ * @param {ChatMessage} message
+ * @param {jQuery} html
+ */
+function onRenderChatMessage(message, html) {
+	if (!message.getFlag(MODULE_ID, "craftingCard")) return;
+
+	html.find(".sdx-crafting-roll").each((i, btn) => {
+		const actor = fromUuidSync(btn.dataset.actorUuid);
+		const entry = getCraftingQueue(actor).find(e => e.id === btn.dataset.entryId);
+		if (!actor?.isOwner || !entry) {
+			btn.remove();
+			return;
+		}
+		btn.addEventListener("click", async (ev) => {
+			ev.preventDefault();
+			if (btn.disabled) return;
+			btn.disabled = true;
+			await rollCraftingCheck(actor, btn.dataset.entryId);
+		});
+	});
+}
+
+/**
+ * Crafting configuration application
+ * Edits the gold, days and DC modifier per spell tier for each kind
+ */
+export class CraftingSettingsApp extends FormApplication {
+	static get defaultOptions() {
+		return foundry.utils.mergeObject(super.defaultOptions, {
+			id: "sdx-crafting-settings",
+			title: game.i18n.localize("SHADOWDARK_EXTRAS.crafting.settings_title"),
+			template: `modules/${MODULE_ID}/templates/crafting-settings.hbs`,
+			classes: ["shadowdark", "shadowdark-extras", "crafting-settings-app"],
+			width: 460,
+			height: "auto",
+			closeOnSubmit: true
+		});
+	}
+
+	getData(options = {}) {
+		const config = getCraftingConfig();
+		return {
+			kinds: CRAFTING_KINDS.map(kind => ({
+				kind,
+				label: game.i18n.localize(`SHADOWDARK_EXTRAS.crafting.kind.${kind}`),
+				...config[kind]
+			}))
+		};
+	}
+
+	async _updateObject(event, formData) {
+		const data = foundry.utils.expandObject(formData);
+		const config = Object.fromEntries(CRAFTING_KINDS.map(kind => [kind, {
+			gold: Math.max(0, Number(data[kind]?.gold) || 0),
+			days: Math.max(0, Number(data[kind]?.days) || 0),
+			dc: parseInt(data[kind]?.dc) || 0
+		}]));
+		await game.settings.set(MODULE_ID, "craftingConfig", config);
+	}
+}
+
+/**
+ * Register Crafting settings
+ */
+export function registerCraftingSettings() {
+	game.settings.register(MODULE_ID, "enableCrafting", {
+		name: game.i18n.localize("SHADOWDARK_EXTRAS.settings.enable_crafting.name"),
+		hint: game.i18n.localize("SHADOWDARK_EXTRAS.settings.enable_crafting.hint"),
+		scope: "world",
+		config: true,
+		default: false,
+		type: Boolean,
+		requiresReload: false,
+	});
+
+	game.settings.register(MODULE_ID, "craftingConfig", {
+		name: "Crafting Configuration",
+		scope: "world",
+		config: false,
+		type: Object,
+		default: foundry.utils.deepClone(DEFAULT_CRAFTING_CONFIG)
+	});
+
+	game.settings.registerMenu(MODULE_ID, "craftingSettingsMenu", {
+		name: game.i18n.localize("SHADOWDARK_EXTRAS.settings.crafting.name"),
+		label: game.i18n.localize("SHADOWDARK_EXTRAS.settings.crafting.label"),
+		hint: game.i18n.localize("SHADOWDARK_EXTRAS.settings.crafting.hint"),
+		icon: "fas fa-hammer",
+		type: CraftingSettingsApp,
+		restricted: true
+	});
+}
+
+/**
+ * Initialize crafting hooks
+ */
+export function initCrafting() {
+	Hooks.on("sdx.newDay", onNewDay);
+	Hooks.on("renderChatMessage", onRenderChatMessage);
+
+	Hooks.once("ready", () => {
+		if (!game.shadowdarkExtras) game.shadowdarkExtras = {};
+		game.shadowdarkExtras.crafting = {
+			getConfig: getCraftingConfig,
+			getQueue: getCraftingQueue,
+			getCost: getCraftingCost,
+			start: startCrafting,
+			advance: advanceCrafting,
+			roll: rollCraftingCheck,
+			cancel: cancelCrafting,
+			openDialog: openCraftingDialog
+		};
+	});
+}
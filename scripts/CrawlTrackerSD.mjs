@@ -0,0 +1,294 @@
+/**
+ * Crawl Tracker AppV2 for Shadowdark Extras
+ *
+ * Tracks crawling rounds outside of Foundry combat.
+ * - Rolls the danger-level encounter check every N rounds (dungeon encounter table)
+ * - Passes world time each round so light sources burn down in sync
+ * - Moving the marching mode leader can advance rounds
+ *
+ * Hooks:
+ * - sdx.crawlRoundAdvanced (state, { rounds, source })
+ */
+
+import { DANGER_LEVELS, getCrawlCheckInterval, rollCrawlEncounterCheck } from "./EncounterSD.mjs";
+import { advanceTime } from "./CalendarSD.mjs";
+import { getMarchingModeState } from "./MarchingModeSD.mjs";
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+const MODULE_ID = "shadowdark-extras";
+
+const DEFAULT_CRAWL_STATE = {
+    active: false,
+    round: 0,
+    lastCheckRound: 0,
+    danger: "unsafe",
+    secondsPerRound: 60,
+    followLeader: true,
+    feetPerRound: 60,
+    feetMoved: 0
+};
+
+// Singleton instance
+let _instance = null;
+
+// Pending crawl state changes. Leader moves arrive faster than encounter checks
+// resolve, so each one waits for the previous to save before reading the state.
+let _crawlQueue = Promise.resolve();
+
+/**
+ * Run a crawl state read-modify-write after the ones queued before it
+ * @param {Function} fn
+ * @returns {Promise<*>} The function's result
+ */
+function queueCrawlUpdate(fn) {
+    const result = _crawlQueue.then(fn);
+    _crawlQueue = result.catch(() => {});
+    return result;
+}
+
+/**
+ * Get the current crawl state
+ * @returns {Object}
+ */
+export function getCrawlState() {
+    const saved = game.settings.get(MODULE_ID, "crawlState") ?? {};
+    return foundry.utils.mergeObject(foundry.utils.deepClone(DEFAULT_CRAWL_STATE), saved, { inplace: false });
+}
+
+/**
+ * Save changes to the crawl state (GM only)
+ * @param {Object} changes
+ */
+async function updateCrawlState(changes) {
+    if (!game.user.isGM) return;
+    const state = foundry.utils.mergeObject(getCrawlState(), changes, { inplace: false });
+    await game.settings.set(MODULE_ID, "crawlState", state);
+}
+
+/**
+ * CHA modifier of the marching leader, used for encounter reaction rolls
+ * @returns {number}
+ */
+function getLeaderChaMod() {
+    const { leaderId } = getMarchingModeState();
+    const actor = leaderId ? canvas.tokens?.get(leaderId)?.actor : null;
+    if (actor?.type !== "Player") return 0;
+    return actor.abilityModifier?.("cha") ?? actor.system?.abilities?.cha?.mod ?? 0;
+}
+
+/**
+ * Advance the crawl by a number of rounds (GM only).
+ * Rolls an encounter check whenever the danger level's interval has elapsed.
+ * @param {number} rounds
+ * @param {string} [source] - What advanced the crawl (manual, marching)
+ * @returns {Promise<Object|null>} The new crawl state
+ */
+export async function advanceCrawlRound(rounds = 1, source = "manual") {
+    if (!game.user.isGM) return null;
+    return queueCrawlUpdate(() => applyCrawlRounds(rounds, source));
+}
+
+/**
+ * Advance the crawl (runs inside the crawl update queue)
+ * @param {number} rounds
+ * @param {string} source
+ * @returns {Promise<Object>} The new crawl state
+ */
+async function applyCrawlRounds(rounds, source) {
+    const state = getCrawlState();
+    const interval = getCrawlCheckInterval(state.danger);
+
+    for (let i = 0; i < rounds; i++) {
+        state.round++;
+        if (state.round - state.lastCheckRound >= interval) {
+            state.lastCheckRound = state.round;
+            await rollCrawlEncounterCheck({ danger: state.danger, round: state.round, chaMod: getLeaderChaMod() });
+        }
+    }
+
+    await game.settings.set(MODULE_ID, "crawlState", state);
+
+    // Passing world time through the calendar burns light sources down
+    if (state.secondsPerRound > 0) {
+        await advanceTime({ seconds: state.secondsPerRound * rounds }, "crawl");
+    }
+
+    Hooks.callAll("sdx.crawlRoundAdvanced", state, { rounds, source });
+    return state;
+}
+
+/**
+ * Hook: the marching leader moved; convert distance into crawling rounds
+ * @param {Token} token
+ * @param {number} distance - Distance in scene units
+ */
+async function onMarchingLeaderMoved(token, distance) {
+    if (!game.user.isGM) return;
+
+    await queueCrawlUpdate(async () => {
+        const state = getCrawlState();
+        if (!state.active || !state.followLeader || !(state.feetPerRound > 0)) return;
+
+        const feetMoved = state.feetMoved + (Number(distance) || 0);
+        const rounds = Math.floor(feetMoved / state.feetPerRound);
+        await updateCrawlState({ feetMoved: feetMoved - (rounds * state.feetPerRound) });
+
+        if (rounds > 0) await applyCrawlRounds(rounds, "marching");
+    });
+}
+
+export class CrawlTrackerAppSD extends HandlebarsApplicationMixin(ApplicationV2) {
+    static DEFAULT_OPTIONS = {
+        tag: "div",
+        id: "sdx-crawl-tracker",
+        window: {
+            title: "SHADOWDARK_EXTRAS.crawl.title",
+            icon: "fas fa-dungeon",
+            resizable: false,
+            classes: ["shadowdark", "sdx-crawl-tracker-window"]
+        },
+        position: {
+            width: 340,
+            height: "auto"
+        },
+        actions: {
+            toggleActive: CrawlTrackerAppSD.onToggleActive,
+            nextRound: CrawlTrackerAppSD.onNextRound,
+            rollCheck: CrawlTrackerAppSD.onRollCheck,
+            reset: CrawlTrackerAppSD.onReset
+        }
+    };
+
+    static PARTS = {
+        content: {
+            template: `modules/${MODULE_ID}/templates/crawl-tracker.hbs`
+        }
+    };
+
+    /**
+     * Get the singleton instance
+     */
+    static getInstance() {
+        if (!_instance) {
+            _instance = new CrawlTrackerAppSD();
+        }
+        return _instance;
+    }
+
+    /**
+     * Toggle the interface (open/close)
+     */
+    static toggleInterface() {
+        const app = CrawlTrackerAppSD.getInstance();
+        if (app.rendered) {
+            app.close();
+        } else {
+            app.render(true);
+        }
+    }
+
+    /** @override */
+    async _prepareContext(options) {
+        const state = getCrawlState();
+        const interval = getCrawlCheckInterval(state.danger);
+        const roundsUntilCheck = Math.max(0, interval - (state.round - state.lastCheckRound));
+
+        return {
+            ...state,
+            interval,
+            roundsUntilCheck,
+            checkDue: roundsUntilCheck <= 1,
+            dangers: DANGER_LEVELS.map(key => ({
+                key,
+                label: game.i18n.localize(`SHADOWDARK_EXTRAS.encounters.danger.${key}`),
+                selected: key === state.danger
+            })),
+            leaderSet: !!getMarchingModeState().leaderId,
+            isGM: game.user.isGM
+        };
+    }
+
+    /** @override */
+    _onRender(context, options) {
+        super._onRender(context, options);
+
+        // Settings inputs save straight to the crawl state
+        for (const input of this.element.querySelectorAll("[data-setting]")) {
+            input.addEventListener("change", async (event) => {
+                const { setting } = event.currentTarget.dataset;
+                let value = event.currentTarget.value;
+                if (event.currentTarget.type === "checkbox") value = event.currentTarget.checked;
+                else if (event.currentTarget.type === "number") value = Math.max(0, Number(value) || 0);
+                await updateCrawlState({ [setting]: value });
+            });
+        }
+    }
+
+    /* -------------------------------------------- */
+    /*  Action Handlers                             */
+    /* -------------------------------------------- */
+
+    /**
+     * Start or stop the crawl
+     */
+    static async onToggleActive(event, target) {
+        const state = getCrawlState();
+        await updateCrawlState({ active: !state.active, feetMoved: 0 });
+    }
+
+    /**
+     * Advance one crawling round
+     */
+    static async onNextRound(event, target) {
+        await advanceCrawlRound(1, "manual");
+    }
+
+    /**
+     * Roll an encounter check outside the normal cadence
+     */
+    static async onRollCheck(event, target) {
+        const state = getCrawlState();
+        await rollCrawlEncounterCheck({ danger: state.danger, round: state.round, chaMod: getLeaderChaMod() });
+    }
+
+    /**
+     * Reset the round counter
+     */
+    static async onReset(event, target) {
+        await updateCrawlState({ round: 0, lastCheckRound: 0, feetMoved: 0 });
+    }
+}
+
+/**
+ * Register Crawl Tracker settings
+ */
+export function registerCrawlTrackerSettings() {
+    game.settings.register(MODULE_ID, "crawlState", {
+        name: "Crawl Tracker State",
+        scope: "world",
+        config: false,
+        type: Object,
+        default: foundry.utils.deepClone(DEFAULT_CRAWL_STATE),
+        onChange: () => {
+            if (_instance?.rendered) _instance.render();
+        }
+    });
+}
+
+/**
+ * Initialize the Crawl Tracker
+ */
+export function initCrawlTracker() {
+    Hooks.on("sdx.marchingLeaderMoved", onMarchingLeaderMoved);
+
+    Hooks.once("ready", () => {
+        if (!game.shadowdarkExtras) game.shadowdarkExtras = {};
+        game.shadowdarkExtras.crawlTracker = {
+            toggle: () => CrawlTrackerAppSD.toggleInterface(),
+            advance: advanceCrawlRound,
+            getState: getCrawlState,
+            app: CrawlTrackerAppSD
+        };
+    });
+}
@@ -0,0 +1,458 @@
+/**
+ * Damage Ledger for Shadowdark Extras
+ *
+ * Every application of damage or healing from a damage card is recorded after
+ * resistance, immunity, vulnerability, absorption and Glassbones have been
+ * processed: who dealt it, to whom, the raw and final amounts, which modifiers
+ * fired and the target's HP before and after. An entry can be undone from the
+ * damage card (by the GM or the user who applied it) or from the GM review
+ * window, which restores the HP delta the application caused.
+ *
+ * Storage:
+ * - During combat: combat flag "damageLedger" (entries[])
+ * - Outside combat: world setting "damageLedger" ({ entries[] })
+ */
+
+import { getWardRestoreData } from "./TempHpSD.mjs";
+import { getSocket } from "./CombatSettingsSD.mjs";
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+const MODULE_ID = "shadowdark-extras";
+const FLAG_KEY = "damageLedger";
+const SETTING_KEY = "damageLedger";
+const MAX_COMBAT_ENTRIES = 200;
+const MAX_WORLD_ENTRIES = 50;
+
+// Key used in the review window for the out-of-combat ledger
+const NO_COMBAT = "none";
+
+// Singleton instance
+let _instance = null;
+
+// Pending ledger writes. Damage to several targets arrives as separate socket
+// calls, so each read-modify-write waits for the previous one to land.
+let _ledgerQueue = Promise.resolve();
+
+/**
+ * Get the ledger entries of a combat, or the out-of-combat ledger
+ * @param {string|null} [combatId]
+ * @returns {Object[]}
+ */
+export function getLedger(combatId = null) {
+	if (combatId) {
+		const combat = game.combats.get(combatId);
+		return foundry.utils.deepClone(combat?.getFlag(MODULE_ID, FLAG_KEY) ?? []);
+	}
+	return foundry.utils.deepClone(game.settings.get(MODULE_ID, SETTING_KEY)?.entries ?? []);
+}
+
+/**
+ * Write a ledger back to its combat or the world setting
+ * @param {string|null} combatId
+ * @param {Object[]} entries
+ */
+async function saveLedger(combatId, entries) {
+	if (combatId) {
+		const combat = game.combats.get(combatId);
+		if (!combat) return;
+		await combat.setFlag(MODULE_ID, FLAG_KEY, entries.slice(-MAX_COMBAT_ENTRIES));
+		return;
+	}
+	await game.settings.set(MODULE_ID, SETTING_KEY, { entries: entries.slice(-MAX_WORLD_ENTRIES) });
+}
+
+/**
+ * Run a ledger read-modify-write after the writes queued before it
+ * @param {Function} fn - Async function doing the read and write
+ * @returns {Promise<*>} The function's result
+ */
+function queueLedgerWrite(fn) {
+	const result = _ledgerQueue.then(fn);
+	_ledgerQueue = result.catch(() => {});
+	return result;
+}
+
+/**
+ * Find a ledger entry
+ * @param {string} entryId
+ * @param {string|null} combatId
+ * @returns {Object|null}
+ */
+function findEntry(entryId, combatId) {
+	return getLedger(combatId || null).find(e => e.id === entryId) ?? null;
+}
+
+/**
+ * The combat a token's damage should be recorded against
+ * @param {Token} token
+ * @returns {Combat|null}
+ */
+function getCombatForToken(token) {
+	const sceneId = token.document?.parent?.id;
+	const combats = game.combats.filter(c => c.started && (!c.scene || c.scene.id === sceneId));
+	return combats.find(c => c.getCombatantsByToken(token.document).length) ?? combats.find(c => c.active) ?? null;
+}
+
+/**
+ * Record an application of damage or healing (GM side, called from the
+ * applyTokenDamage socket handler once HP has been updated)
+ * @param {Object} data
+ * @param {Token} data.token - Target token
+ * @param {number} data.raw - Damage/healing as sent from the card
+ * @param {number} data.final - Amount after modifiers (negative for healing)
+ * @param {Object[]} data.modifiers - { kind, type, amount? } for each modifier that fired
+ * @param {number} data.hpBefore
+ * @param {number} data.hpAfter
+ * @param {Object} [data.soaked] - Temp HP and shield amounts consumed
+ * @returns {Promise<Object|null>} The recorded entry
+ */
+export async function recordDamageEntry(data) {
+	const token = data.token;
+	if (!token?.actor) return null;
+
+	try {
+		const combat = getCombatForToken(token);
+		const source = data.sourceActorId ? game.actors.get(data.sourceActorId) : null;
+
+		const entry = {
+			id: foundry.utils.randomID(),
+			combatId: combat?.id ?? null,
+			round: combat?.round ?? null,
+			time: Date.now(),
+			messageId: data.messageId ?? null,
+			userId: data.userId ?? null,
+			sourceActorId: source?.id ?? null,
+			sourceName: source?.name ?? "",
+			targetTokenUuid: token.document.uuid,
+			tokenId: token.id,
+			targetName: token.name,
+			raw: data.raw ?? 0,
+			final: data.final ?? 0,
+			damageType: data.damageType ?? "standard",
+			isHealing: !!data.isHealing,
+			modifiers: data.modifiers ?? [],
+			hpBefore: data.hpBefore,
+			hpAfter: data.hpAfter,
+			soaked: data.soaked ?? null,
+			undone: false
+		};
+
+		await queueLedgerWrite(async () => {
+			const entries = getLedger(entry.combatId);
+			entries.push(entry);
+			await saveLedger(entry.combatId, entries);
+		});
+		return entry;
+	} catch (err) {
+		console.error(`${MODULE_ID} | Failed to record damage ledger entry:`, err);
+		return null;
+	}
+}
+
+/**
+ * Whether a user may undo a ledger entry
+ * @param {string|Object} entryOrId - Entry or entry id
+ * @param {string|null} [combatId]
+ * @param {User} [user]
+ * @returns {boolean}
+ */
+export function canUndoEntry(entryOrId, combatId = null, user = game.user) {
+	const entry = typeof entryOrId === "string" ? findEntry(entryOrId, combatId) : entryOrId;
+	if (!entry || entry.undone) return false;
+	return !!user?.isGM || entry.userId === user?.id;
+}
+
+/**
+ * Undo a ledger entry by reversing the HP change it caused and giving back
+ * any temp HP and shields it consumed (GM side)
+ * @param {string} entryId
+ * @param {string|null} combatId
+ * @param {string} [userId] - Requesting user
+ * @returns {Promise<boolean>}
+ */
+export async function undoDamageEntry(entryId, combatId, userId = game.user.id) {
+	return queueLedgerWrite(() => applyUndo(entryId, combatId || null, userId));
+}
+
+/**
+ * Reverse a ledger entry (runs inside the ledger write queue)
+ * @param {string} entryId
+ * @param {string|null} combatId
+ * @param {string} userId
+ * @returns {Promise<boolean>}
+ */
+async function applyUndo(entryId, combatId, userId) {
+	const entries = getLedger(combatId);
+	const entry = entries.find(e => e.id === entryId);
+	if (!entry || !canUndoEntry(entry, combatId, game.users.get(userId))) return false;
+
+	const tokenDoc = fromUuidSync(entry.targetTokenUuid);
+	const actor = tokenDoc?.actor;
+	if (!actor) {
+		console.warn(`${MODULE_ID} | Damage ledger: target of entry ${entryId} no longer exists`);
+		return false;
+	}
+
+	const hp = actor.system.attributes?.hp ?? {};
+	const currentHp = hp.value ?? 0;
+	const maxHp = hp.max ?? currentHp;
+	const delta = (entry.hpAfter ?? 0) - (entry.hpBefore ?? 0);
+	const restoredHp = Math.max(0, Math.min(maxHp, currentHp - delta));
+
+	await actor.update({
+		"system.attributes.hp.value": restoredHp,
+		...getWardRestoreData(actor, entry.soaked)
+	});
+
+	entry.undone = true;
+	entry.undoneBy = userId ?? null;
+	await saveLedger(combatId, entries);
+	return true;
+}
+
+/**
+ * Undo a ledger entry from any client, asking the GM to do it for players
+ * @param {string} entryId
+ * @param {string|null} combatId
+ * @returns {Promise<boolean>}
+ */
+export async function requestUndoDamageEntry(entryId, combatId) {
+	if (game.user.isGM) return undoDamageEntry(entryId, combatId, game.user.id);
+	const socket = getSocket();
+	if (!socket) {
+		ui.notifications.error("Socket communication not available");
+		return false;
+	}
+	return !!(await socket.executeAsGM("undoTokenDamage", { entryId, combatId, userId: game.user.id }));
+}
+
+/**
+ * Add undo controls to a damage card for the damage applied from it
+ * @param {HTMLElement} cardEl - The .sdx-damage-card element
+ */
+export function decorateDamageCard(cardEl) {
+	const messageId = cardEl?.dataset?.messageId;
+	if (!messageId) return;
+
+	cardEl.querySelectorAll(".sdx-undo-damage").forEach(el => el.remove());
+
+	const entries = [...getLedger(null), ...game.combats.contents.flatMap(c => getLedger(c.id))]
+		.filter(e => e.messageId === messageId && canUndoEntry(e));
+	if (!entries.length) return;
+
+	for (const item of cardEl.querySelectorAll(".sdx-target-item[data-token-id]")) {
+		// Newest entry for this target first; once undone the previous one surfaces
+		const entry = entries.filter(e => e.tokenId === item.dataset.tokenId).sort((a, b) => b.time - a.time)[0];
+		const header = item.querySelector(".sdx-target-header");
+		if (!entry || !header) continue;
+
+		const link = document.createElement("a");
+		link.classList.add("sdx-undo-damage");
+		link.dataset.entryId = entry.id;
+		link.dataset.combatId = entry.combatId ?? "";
+		link.dataset.tooltip = game.i18n.format("SHADOWDARK_EXTRAS.damage_ledger.undo_hint", {
+			amount: Math.abs(entry.final),
+			hp: entry.hpBefore
+		});
+		link.innerHTML = `<i class="fas fa-rotate-left"></i>`;
+		header.appendChild(link);
+	}
+}
+
+/**
+ * Re-decorate every damage card currently in the DOM
+ */
+function refreshDamageCards() {
+	document.querySelectorAll(".sdx-damage-card[data-message-id]").forEach(card => decorateDamageCard(card));
+}
+
+/**
+ * Called when the out-of-combat ledger setting changes
+ */
+function onLedgerChanged() {
+	refreshDamageCards();
+	if (_instance?.rendered) _instance.render();
+}
+
+/**
+ * Register the damage ledger storage setting
+ */
+export function registerDamageLedgerSettings() {
+	game.settings.register(MODULE_ID, SETTING_KEY, {
+		scope: "world",
+		config: false,
+		type: Object,
+		default: { entries: [] },
+		onChange: () => onLedgerChanged()
+	});
+}
+
+/**
+ * GM review window listing the damage ledger of a combat
+ */
+export class DamageLedgerAppSD extends HandlebarsApplicationMixin(ApplicationV2) {
+	static DEFAULT_OPTIONS = {
+		tag: "div",
+		id: "sdx-damage-ledger",
+		window: {
+			title: "SHADOWDARK_EXTRAS.damage_ledger.title",
+			icon: "fas fa-scroll",
+			resizable: true,
+			classes: ["shadowdark", "sdx-damage-ledger-window"]
+		},
+		position: {
+			width: 560,
+			height: 520
+		},
+		actions: {
+			undoEntry: DamageLedgerAppSD.onUndoEntry,
+			clearLedger: DamageLedgerAppSD.onClearLedger,
+			panToTarget: DamageLedgerAppSD.onPanToTarget
+		}
+	};
+
+	static PARTS = {
+		content: {
+			template: `modules/${MODULE_ID}/templates/damage-ledger.hbs`
+		}
+	};
+
+	// Selected combat id, or NO_COMBAT for the out-of-combat ledger
+	ledgerKey = null;
+
+	/**
+	 * Get the singleton instance
+	 */
+	static getInstance() {
+		if (!_instance) {
+			_instance = new DamageLedgerAppSD();
+		}
+		return _instance;
+	}
+
+	/**
+	 * Toggle the interface (open/close)
+	 */
+	static toggleInterface() {
+		const app = DamageLedgerAppSD.getInstance();
+		if (app.rendered) {
+			app.close();
+		} else {
+			app.render(true);
+		}
+	}
+
+	get combatId() {
+		const key = this.ledgerKey ?? game.combat?.id ?? NO_COMBAT;
+		if (key === NO_COMBAT || !game.combats.has(key)) return null;
+		return key;
+	}
+
+	/** @override */
+	async _prepareContext(options) {
+		const combatId = this.combatId;
+
+		const ledgers = game.combats.contents.map(c => ({
+			key: c.id,
+			label: c.scene?.name ?? game.i18n.localize("SHADOWDARK_EXTRAS.damage_ledger.unlinked_combat"),
+			selected: c.id === combatId
+		}));
+		ledgers.push({
+			key: NO_COMBAT,
+			label: game.i18n.localize("SHADOWDARK_EXTRAS.damage_ledger.no_combat"),
+			selected: !combatId
+		});
+
+		const entries = getLedger(combatId).reverse().map(e => ({
+			...e,
+			amount: Math.abs(e.final),
+			sourceName: e.sourceName || (e.userId ? game.users.get(e.userId)?.name : "") || "—",
+			appliedBy: game.users.get(e.userId)?.name ?? "",
+			timeLabel: new Date(e.time).toLocaleTimeString(),
+			changed: e.raw !== Math.abs(e.final),
+			modifierLabels: e.modifiers.map(m => {
+				const kind = game.i18n.localize(`SHADOWDARK_EXTRAS.damage_ledger.modifier.${m.kind}`);
+				const label = m.type ? `${kind} (${m.type})` : kind;
+				return m.amount ? `${label} ${m.amount}` : label;
+			}),
+			canUndo: canUndoEntry(e)
+		}));
+
+		return {
+			ledgers,
+			entries,
+			hasEntries: entries.length > 0
+		};
+	}
+
+	/** @override */
+	_onRender(context, options) {
+		super._onRender(context, options);
+
+		this.element.querySelector("[name='ledger']")?.addEventListener("change", (event) => {
+			this.ledgerKey = event.target.value;
+			this.render();
+		});
+	}
+
+	/**
+	 * Undo an entry from the review window
+	 */
+	static async onUndoEntry(event, target) {
+		const entryId = target.closest("[data-entry-id]")?.dataset.entryId;
+		if (!entryId) return;
+		const undone = await requestUndoDamageEntry(entryId, this.combatId);
+		if (!undone) ui.notifications.warn(game.i18n.localize("SHADOWDARK_EXTRAS.damage_ledger.undo_failed"));
+	}
+
+	/**
+	 * Clear the selected ledger
+	 */
+	static async onClearLedger(event, target) {
+		const confirmed = await foundry.applications.api.DialogV2.confirm({
+			window: { title: game.i18n.localize("SHADOWDARK_EXTRAS.damage_ledger.clear") },
+			content: `<p>${game.i18n.localize("SHADOWDARK_EXTRAS.damage_ledger.clear_confirm")}</p>`
+		});
+		if (!confirmed) return;
+		await queueLedgerWrite(() => saveLedger(this.combatId, []));
+	}
+
+	/**
+	 * Pan to and select the target of an entry
+	 */
+	static onPanToTarget(event, target) {
+		const uuid = target.closest("[data-target-uuid]")?.dataset.targetUuid;
+		const token = uuid ? fromUuidSync(uuid)?.object : null;
+		if (!token) return;
+		token.control({ releaseOthers: true });
+		canvas.animatePan({ x: token.center.x, y: token.center.y });
+	}
+}
+
+/**
+ * Initialize the damage ledger
+ */
+export function initDamageLedger() {
+	// Combat ledgers live in combat flags
+	Hooks.on("updateCombat", (combat, changes) => {
+		if (changes.flags?.[MODULE_ID]?.[FLAG_KEY] === undefined && changes.flags?.[MODULE_ID]?.[`-=${FLAG_KEY}`] === undefined) return;
+		onLedgerChanged();
+	});
+
+	Hooks.on("deleteCombat", () => onLedgerChanged());
+	Hooks.on("createCombat", () => {
+		if (_instance?.rendered) _instance.render();
+	});
+
+	Hooks.once("ready", () => {
+		if (!game.shadowdarkExtras) game.shadowdarkExtras = {};
+		game.shadowdarkExtras.damageLedger = {
+			getLedger,
+			canUndo: canUndoEntry,
+			undo: requestUndoDamageEntry,
+			toggle: () => DamageLedgerAppSD.toggleInterface(),
+			app: DamageLedgerAppSD
+		};
+	});
+}
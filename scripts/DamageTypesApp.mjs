@@ -0,0 +1,633 @@
+/**
+ * Damage Types Registry and Editor Application
+ * World-level list of damage types used by every damage dropdown, damage card
+ * breakdown, scrolling combat text and the predefined resistance, immunity,
+ * vulnerability, absorption and shield effects. GMs can add homebrew types
+ * (e.g. "void", "holy fire") which then behave like the built-in ones.
+ *
+ * Each type: { id, name, category, icon, color, textColor } plus optional
+ * per-effect images (resistanceImg, immunityImg, vulnerabilityImg, absorptionImg).
+ * Types in the "physical" category also trigger the generic physical and
+ * non-magical weapon resistances.
+ */
+
+const MODULE_ID = "shadowdark-extras";
+
+/**
+ * Categories a damage type can belong to
+ */
+export const DAMAGE_TYPE_CATEGORIES = ["physical", "magical", "other"];
+
+/**
+ * Ids with a special meaning in damage configs that cannot be used for types
+ */
+const RESERVED_IDS = ["standard", "damage", "healing", "temphp", "all"];
+
+/**
+ * Default damage types
+ */
+export const DEFAULT_DAMAGE_TYPES = [
+    {
+        id: "bludgeoning",
+        name: "Bludgeoning",
+        category: "physical",
+        icon: "icons/skills/melee/strike-hammer-destructive-orange.webp",
+        color: "#a8a29e",
+        textColor: "#ff0000",
+        resistanceImg: "icons/skills/melee/shield-block-bash-blue.webp",
+        immunityImg: "icons/skills/melee/shield-block-gray-yellow.webp",
+        vulnerabilityImg: "icons/skills/melee/strike-hammer-destructive-orange.webp",
+        absorptionImg: "icons/magic/life/heart-cross-blue.webp"
+    },
+    {
+        id: "slashing",
+        name: "Slashing",
+        category: "physical",
+        icon: "icons/skills/melee/strike-blade-blood-red.webp",
+        color: "#dc2626",
+        textColor: "#ff0000",
+        resistanceImg: "icons/skills/melee/shield-damaged-broken-blue.webp",
+        immunityImg: "icons/skills/melee/shield-damaged-broken-gold.webp",
+        vulnerabilityImg: "icons/skills/melee/strike-blade-blood-red.webp",
+        absorptionImg: "icons/magic/life/heart-cross-green.webp"
+    },
+    {
+        id: "piercing",
+        name: "Piercing",
+        category: "physical",
+        icon: "icons/skills/melee/strike-spear-red.webp",
+        color: "#f59e0b",
+        textColor: "#ff0000",
+        resistanceImg: "icons/skills/melee/shield-block-bash-yellow.webp",
+        immunityImg: "icons/skills/melee/shield-block-gray-orange.webp",
+        vulnerabilityImg: "icons/skills/melee/strike-spear-red.webp",
+        absorptionImg: "icons/magic/life/heart-cross-red.webp"
+    },
+    {
+        id: "physical",
+        name: "Physical",
+        category: "physical",
+        icon: "icons/skills/wounds/blood-drip-droplet-red.webp",
+        color: "#78716c",
+        textColor: "#ff0000",
+        resistanceImg: "icons/skills/melee/shield-damaged-broken-brown.webp",
+        immunityImg: "icons/skills/melee/shield-damaged-broken-orange.webp",
+        vulnerabilityImg: "icons/skills/wounds/blood-drip-droplet-red.webp",
+        absorptionImg: "icons/magic/life/heart-cross-purple-orange.webp"
+    },
+    {
+        id: "fire",
+        name: "Fire",
+        category: "magical",
+        icon: "icons/magic/fire/explosion-fireball-medium-orange.webp",
+        color: "#f97316",
+        textColor: "#ff7a1a",
+        resistanceImg: "icons/magic/fire/barrier-wall-flame-ring-yellow.webp",
+        immunityImg: "icons/magic/fire/orb-vortex.webp",
+        vulnerabilityImg: "icons/magic/fire/explosion-fireball-medium-orange.webp",
+        absorptionImg: "icons/magic/fire/flame-burning-hand-orange.webp"
+    },
+    {
+        id: "cold",
+        name: "Cold",
+        category: "magical",
+        icon: "icons/magic/water/ice-crystal-white.webp",
+        color: "#38bdf8",
+        textColor: "#7dd3fc",
+        resistanceImg: "icons/magic/water/barrier-ice-crystal-wall-jagged-blue.webp",
+        immunityImg: "icons/magic/water/snowflake-ice-blue-white.webp",
+        vulnerabilityImg: "icons/magic/water/ice-crystal-white.webp",
+        absorptionImg: "icons/magic/water/heart-ice-cold.webp"
+    },
+    {
+        id: "lightning",
+        name: "Lightning",
+        category: "magical",
+        icon: "icons/magic/lightning/bolt-strike-blue.webp",
+        color: "#facc15",
+        textColor: "#fde047",
+        resistanceImg: "icons/magic/lightning/bolt-forked-blue.webp",
+        immunityImg: "icons/magic/lightning/orb-ball-blue.webp",
+        vulnerabilityImg: "icons/magic/lightning/bolt-strike-blue.webp",
+        absorptionImg: "icons/magic/lightning/bolt-blue.webp"
+    },
+    {
+        id: "acid",
+        name: "Acid",
+        category: "magical",
+        icon: "icons/magic/acid/dissolve-arm-flesh.webp",
+        color: "#84cc16",
+        textColor: "#a3e635",
+        resistanceImg: "icons/magic/acid/projectile-faceted-glob.webp",
+        immunityImg: "icons/magic/acid/orb-bubble-smoke-drip.webp",
+        vulnerabilityImg: "icons/magic/acid/dissolve-arm-flesh.webp",
+        absorptionImg: "icons/magic/acid/orb-bubble-green.webp"
+    },
+    {
+        id: "poison",
+        name: "Poison",
+        category: "magical",
+        icon: "icons/skills/toxins/symbol-poison-drop-skull-green.webp",
+        color: "#22c55e",
+        textColor: "#4ade80",
+        resistanceImg: "icons/skills/toxins/poison-bottle-corked-fire-green.webp",
+        immunityImg: "icons/consumables/potions/flask-ornate-skull-green.webp",
+        vulnerabilityImg: "icons/skills/toxins/symbol-poison-drop-skull-green.webp",
+        absorptionImg: "icons/consumables/potions/potion-tube-corked-teal.webp"
+    },
+    {
+        id: "necrotic",
+        name: "Necrotic",
+        category: "magical",
+        icon: "icons/magic/death/hand-withered-gray.webp",
+        color: "#7c3aed",
+        textColor: "#a78bfa",
+        resistanceImg: "icons/magic/death/skull-humanoid-crown-white-blue.webp",
+        immunityImg: "icons/magic/death/skull-energy-light-purple.webp",
+        vulnerabilityImg: "icons/magic/death/hand-withered-gray.webp",
+        absorptionImg: "icons/magic/death/undead-skeleton-rags-green.webp"
+    },
+    {
+        id: "radiant",
+        name: "Radiant",
+        category: "magical",
+        icon: "icons/magic/light/explosion-star-glow-yellow.webp",
+        color: "#fde047",
+        textColor: "#fef08a",
+        resistanceImg: "icons/magic/holy/angel-wings-gray.webp",
+        immunityImg: "icons/magic/holy/barrier-shield-winged-cross.webp",
+        vulnerabilityImg: "icons/magic/light/explosion-star-glow-yellow.webp",
+        absorptionImg: "icons/magic/holy/angel-winged-humanoid-yellow.webp"
+    },
+    {
+        id: "psychic",
+        name: "Psychic",
+        category: "magical",
+        icon: "icons/commodities/biological/organ-brain-pink-purple.webp",
+        color: "#ec4899",
+        textColor: "#f472b6",
+        resistanceImg: "icons/magic/control/silhouette-hold-beam-blue.webp",
+        immunityImg: "icons/magic/control/fear-fright-monster-grin-red-orange.webp",
+        vulnerabilityImg: "icons/commodities/biological/organ-brain-pink-purple.webp",
+        absorptionImg: "icons/magic/control/telepathy-psychic-mind.webp"
+    },
+    {
+        id: "force",
+        name: "Force",
+        category: "magical",
+        icon: "icons/magic/sonic/explosion-impact-shock-wave.webp",
+        color: "#6366f1",
+        textColor: "#818cf8",
+        resistanceImg: "icons/magic/sonic/explosion-shock-wave-teal.webp",
+        immunityImg: "icons/magic/defensive/barrier-shield-dome-blue-purple.webp",
+        vulnerabilityImg: "icons/magic/sonic/explosion-impact-shock-wave.webp",
+        absorptionImg: "icons/magic/sonic/barrier-shock-wave-blue.webp"
+    }
+];
+
+// Predefined effect keys registered for the current registry
+const _registeredEffectKeys = new Set();
+
+/**
+ * Get the current list of damage types
+ * Returns custom types if defined, otherwise defaults
+ * @returns {Object[]}
+ */
+export function getDamageTypes() {
+    try {
+        const customTypes = game.settings.get(MODULE_ID, "customDamageTypes");
+        if (Array.isArray(customTypes) && customTypes.length > 0) {
+            return customTypes;
+        }
+    } catch (e) {
+        console.warn(`${MODULE_ID} | Error reading customDamageTypes setting:`, e);
+    }
+    return DEFAULT_DAMAGE_TYPES;
+}
+
+/**
+ * Find a damage type by id (case-insensitive)
+ * @param {string} id
+ * @returns {Object|null}
+ */
+export function getDamageType(id) {
+    if (!id) return null;
+    const key = String(id).toLowerCase();
+    return getDamageTypes().find(t => t.id === key) ?? null;
+}
+
+/**
+ * Display label for a damage type id
+ * Built-in types keep their translated names unless renamed
+ * @param {string} id
+ * @returns {string}
+ */
+export function getDamageTypeLabel(id) {
+    if (!id) return "";
+    const key = String(id).toLowerCase();
+    const type = getDamageType(key);
+    const i18nKey = `SHADOWDARK_EXTRAS.damage_type.${key}`;
+    const defaultType = DEFAULT_DAMAGE_TYPES.find(t => t.id === key);
+
+    if (type && (!defaultType || defaultType.name !== type.name)) return type.name;
+    if (game.i18n.has(i18nKey)) return game.i18n.localize(i18nKey);
+    return type?.name ?? key.charAt(0).toUpperCase() + key.slice(1);
+}
+
+/**
+ * Whether a damage type is a specific physical type (triggers the generic
+ * physical and non-magical weapon resistances)
+ * @param {string} id
+ * @returns {boolean}
+ */
+export function isPhysicalDamageType(id) {
+    const type = getDamageType(id);
+    return !!type && type.id !== "physical" && type.category === "physical";
+}
+
+/**
+ * Scrolling combat text colour for a damage type
+ * @param {string} id
+ * @returns {string|null}
+ */
+export function getDamageTypeTextColor(id) {
+    return getDamageType(id)?.textColor || null;
+}
+
+/**
+ * Dropdown choices for the damage types
+ * @param {Object} [options]
+ * @param {boolean} [options.capitalize] - Use capitalized values ("Fire"), as stored by spell, potion and feature configs
+ * @returns {{value: string, label: string}[]}
+ */
+export function getDamageTypeChoices({ capitalize = false } = {}) {
+    return getDamageTypes().map(t => ({
+        value: capitalize ? t.id.charAt(0).toUpperCase() + t.id.slice(1) : t.id,
+        label: getDamageTypeLabel(t.id)
+    }));
+}
+
+/**
+ * Build <option> elements for the damage types
+ * @param {string} selected - Currently selected value (compared case-insensitively)
+ * @param {Object} [options] - See getDamageTypeChoices
+ * @returns {string}
+ */
+export function getDamageTypeOptionsHtml(selected, options = {}) {
+    const current = String(selected ?? "").toLowerCase();
+    return getDamageTypeChoices(options).map(c =>
+        `<option value="${c.value}" ${c.value.toLowerCase() === current ? 'selected' : ''}>${foundry.utils.escapeHTML(c.label)}</option>`
+    ).join('');
+}
+
+/**
+ * Predefined effect key suffix for a type id ("holy-fire" -> "HolyFire")
+ * @param {string} id
+ * @returns {string}
+ */
+function effectSuffix(id) {
+    return id.split(/[-_\s]+/).filter(Boolean).map(p => p.charAt(0).toUpperCase() + p.slice(1)).join('');
+}
+
+/**
+ * Register the resistance, immunity, vulnerability, absorption and shield
+ * predefined effects for every damage type in the registry
+ */
+export function registerDamageTypeEffects() {
+    const effects = CONFIG.SHADOWDARK?.PREDEFINED_EFFECTS;
+    if (!effects) return;
+
+    // Drop effects of types removed since the last registration
+    for (const key of _registeredEffectKeys) delete effects[key];
+    _registeredEffectKeys.clear();
+
+    const effectName = (kind, type) => {
+        const key = `SHADOWDARK_EXTRAS.item.effect.predefined_effect.${kind}${effectSuffix(type.id)}`;
+        if (game.i18n.has(key) && DEFAULT_DAMAGE_TYPES.some(t => t.id === type.id && t.name === type.name)) return key;
+        return game.i18n.format(`SHADOWDARK_EXTRAS.damage_types.effect.${kind}`, { type: type.name });
+    };
+
+    const add = (key, data) => {
+        effects[key] = { ...data, mode: "CONST.ACTIVE_EFFECT_MODES.OVERRIDE" };
+        _registeredEffectKeys.add(key);
+    };
+
+    for (const type of getDamageTypes()) {
+        const suffix = effectSuffix(type.id);
+
+        // Resistance
+        add(`resistance${suffix}`, {
+            defaultValue: true,
+            effectKey: `flags.${MODULE_ID}.resistance.${type.id}`,
+            img: type.resistanceImg || type.icon || "icons/equipment/shield/buckler-wooden-boss-brass.webp",
+            name: effectName("resistance", type)
+        });
+
+        // Immunity
+        add(`immunity${suffix}`, {
+            defaultValue: true,
+            effectKey: `flags.${MODULE_ID}.immunity.${type.id}`,
+            img: type.immunityImg || type.icon || "icons/magic/defensive/shield-barrier-blue.webp",
+            name: effectName("immunity", type)
+        });
+
+        // Vulnerability (double damage)
+        add(`vulnerability${suffix}`, {
+            defaultValue: true,
+            effectKey: `flags.${MODULE_ID}.vulnerability.${type.id}`,
+            img: type.vulnerabilityImg || type.icon || "icons/skills/wounds/injury-pain-body-orange.webp",
+            name: effectName("vulnerability", type)
+        });
+
+        // Absorption (value -1 = heal from damage, value 1 = double damage)
+        add(`absorption${suffix}`, {
+            defaultValue: -1,
+            effectKey: `flags.${MODULE_ID}.absorption.${type.id}`,
+            img: type.absorptionImg || type.icon || "icons/magic/life/heart-cross-purple-orange.webp",
+            name: effectName("absorption", type)
+        });
+
+        // Damage shield (absorbs this much damage of the type before HP)
+        add(`shield${suffix}`, {
+            defaultValue: 10,
+            effectKey: `flags.${MODULE_ID}.grantShield.${type.id}`,
+            img: type.immunityImg || type.icon || "icons/magic/defensive/shield-barrier-blue.webp",
+            name: effectName("shield", type)
+        });
+    }
+}
+
+/**
+ * Normalize and save custom damage types
+ * @param {Object[]} types
+ */
+export async function saveDamageTypes(types) {
+    const seen = new Set();
+    const finalTypes = [];
+    for (const type of types) {
+        const id = String(type.id ?? "").toLowerCase();
+        if (!id || seen.has(id) || RESERVED_IDS.includes(id)) continue;
+        seen.add(id);
+        finalTypes.push({
+            ...type,
+            id,
+            name: String(type.name || id).trim(),
+            category: DAMAGE_TYPE_CATEGORIES.includes(type.category) ? type.category : "other",
+            icon: type.icon || "",
+            color: type.color || "#999999",
+            textColor: type.textColor || "#ff0000"
+        });
+    }
+    await game.settings.set(MODULE_ID, "customDamageTypes", finalTypes);
+}
+
+/**
+ * Application for managing the damage type registry
+ */
+export class DamageTypesApp extends FormApplication {
+    static get defaultOptions() {
+        return foundry.utils.mergeObject(super.defaultOptions, {
+            id: "damage-types-app",
+            title: game.i18n.localize("SHADOWDARK_EXTRAS.damage_types.editor_title"),
+            template: "modules/shadowdark-extras/templates/damage-types-app.hbs",
+            width: 620,
+            height: 600,
+            resizable: true,
+            closeOnSubmit: false,
+            submitOnChange: true,
+            classes: ["shadowdark-extras", "damage-types-app"]
+        });
+    }
+
+    constructor(options = {}) {
+        super({}, options);
+    }
+
+    /**
+     * Get data for the template
+     */
+    getData() {
+        const types = getDamageTypes().map(t => ({
+            ...t,
+            isDefault: DEFAULT_DAMAGE_TYPES.some(d => d.id === t.id)
+        }));
+        return {
+            types,
+            hasTypes: types.length > 0,
+            categories: DAMAGE_TYPE_CATEGORIES.map(c => ({
+                value: c,
+                label: game.i18n.localize(`SHADOWDARK_EXTRAS.damage_types.category.${c}`)
+            }))
+        };
+    }
+
+    /**
+     * Activate listeners
+     */
+    activateListeners(html) {
+        super.activateListeners(html);
+
+        // Add new type
+        html.find('[data-action="add-type"]').click(() => {
+            const input = html.find('#new-damage-type-input');
+            const name = input.val()?.trim();
+            if (name) {
+                this._addType(name);
+                input.val('');
+            }
+        });
+
+        // Allow Enter key to add
+        html.find('#new-damage-type-input').on('keypress', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                html.find('[data-action="add-type"]').click();
+            }
+        });
+
+        // Delete type
+        html.on('click', '[data-action="delete-type"]', (event) => {
+            const id = $(event.currentTarget).data('type');
+            this._deleteType(id);
+        });
+
+        // Pick an icon
+        html.on('click', '[data-action="pick-icon"]', (event) => {
+            const index = $(event.currentTarget).data('index');
+            const $input = html.find(`input[name="types.${index}.icon"]`);
+            new FilePicker({
+                type: "image",
+                current: $input.val(),
+                callback: (path) => {
+                    $input.val(path).trigger('change');
+                }
+            }).browse();
+        });
+
+        // Reset to defaults
+        html.find('[data-action="reset-defaults"]').click(async () => {
+            const confirmed = await Dialog.confirm({
+                title: game.i18n.localize("SHADOWDARK_EXTRAS.damage_types.reset_confirm_title"),
+                content: `<p>${game.i18n.localize("SHADOWDARK_EXTRAS.damage_types.reset_confirm_content")}</p>`
+            });
+            if (confirmed) {
+                await game.settings.set(MODULE_ID, "customDamageTypes", []);
+                this.render();
+                ui.notifications.info(game.i18n.localize("SHADOWDARK_EXTRAS.damage_types.reset_success"));
+            }
+        });
+
+        // Export types
+        html.find('[data-action="export-types"]').click(() => {
+            this._exportTypes();
+        });
+
+        // Import types
+        html.find('[data-action="import-types"]').click(() => {
+            this._importTypes();
+        });
+    }
+
+    /**
+     * Add a new damage type
+     */
+    async _addType(name) {
+        const id = name.slugify({ strict: true });
+        const currentTypes = foundry.utils.deepClone(getDamageTypes());
+        if (!id || RESERVED_IDS.includes(id) || currentTypes.some(t => t.id === id)) {
+            ui.notifications.warn(game.i18n.localize("SHADOWDARK_EXTRAS.damage_types.type_exists"));
+            return;
+        }
+        currentTypes.push({ id, name, category: "magical", icon: "", color: "#999999", textColor: "#ff0000" });
+        await saveDamageTypes(currentTypes);
+        this.render();
+        ui.notifications.info(game.i18n.format("SHADOWDARK_EXTRAS.damage_types.type_added", { type: name }));
+    }
+
+    /**
+     * Delete a damage type
+     */
+    async _deleteType(id) {
+        const type = getDamageType(id);
+        const currentTypes = getDamageTypes().filter(t => t.id !== id);
+        await saveDamageTypes(currentTypes);
+        this.render();
+        ui.notifications.info(game.i18n.format("SHADOWDARK_EXTRAS.damage_types.type_deleted", { type: type?.name ?? id }));
+    }
+
+    /**
+     * Export types as JSON
+     */
+    _exportTypes() {
+        const exportData = {
+            type: "shadowdark-damage-types",
+            version: 1,
+            damageTypes: getDamageTypes()
+        };
+
+        const filename = "damage_types.json";
+        const data = JSON.stringify(exportData, null, 2);
+        saveDataToFile(data, "application/json", filename);
+
+        ui.notifications.info(game.i18n.localize("SHADOWDARK_EXTRAS.damage_types.export_success"));
+    }
+
+    /**
+     * Import types from JSON
+     */
+    async _importTypes() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json';
+
+        input.onchange = async (event) => {
+            const file = event.target.files[0];
+            if (!file) return;
+
+            try {
+                const text = await file.text();
+                const importData = JSON.parse(text);
+
+                // Validate import data
+                if (importData.type !== "shadowdark-damage-types" || !Array.isArray(importData.damageTypes)) {
+                    ui.notifications.error(game.i18n.localize("SHADOWDARK_EXTRAS.damage_types.invalid_import"));
+                    return;
+                }
+
+                await saveDamageTypes(importData.damageTypes);
+                this.render();
+                ui.notifications.info(game.i18n.format("SHADOWDARK_EXTRAS.damage_types.import_success", {
+                    count: importData.damageTypes.length
+                }));
+            } catch (err) {
+                console.error(`${MODULE_ID} | Failed to import damage types:`, err);
+                ui.notifications.error(game.i18n.localize("SHADOWDARK_EXTRAS.damage_types.import_error"));
+            }
+        };
+
+        input.click();
+    }
+
+    /**
+     * Save edits to names, categories, icons and colours
+     */
+    async _updateObject(event, formData) {
+        const edits = foundry.utils.expandObject(formData).types ?? {};
+        const types = foundry.utils.deepClone(getDamageTypes()).map((type, index) => ({
+            ...type,
+            ...(edits[index] ?? {}),
+            id: type.id
+        }));
+        await saveDamageTypes(types);
+    }
+}
+
+/**
+ * Open the damage types editor
+ */
+export function openDamageTypesEditor() {
+    new DamageTypesApp().render(true);
+}
+
+/**
+ * Register the damage type registry setting and its editor menu
+ */
+export function registerDamageTypeSettings() {
+    // Custom damage types storage (empty = defaults)
+    game.settings.register(MODULE_ID, "customDamageTypes", {
+        scope: "world",
+        config: false,
+        default: [],
+        type: Array,
+        onChange: () => registerDamageTypeEffects()
+    });
+
+    // Menu button to open damage types editor
+    game.settings.registerMenu(MODULE_ID, "manageDamageTypes", {
+        name: game.i18n.localize("SHADOWDARK_EXTRAS.settings.manage_damage_types.name"),
+        label: game.i18n.localize("SHADOWDARK_EXTRAS.settings.manage_damage_types.name"),
+        hint: game.i18n.localize("SHADOWDARK_EXTRAS.settings.manage_damage_types.hint"),
+        icon: "fas fa-burst",
+        type: DamageTypesApp,
+        restricted: true,
+    });
+}
+
+/**
+ * Initialize the damage type registry
+ */
+export function initDamageTypes() {
+    // Predefined effects need translations for homebrew type names
+    Hooks.once("i18nInit", () => registerDamageTypeEffects());
+
+    Hooks.once("ready", () => {
+        if (!game.shadowdarkExtras) game.shadowdarkExtras = {};
+        game.shadowdarkExtras.damageTypes = {
+            getAll: getDamageTypes,
+            get: getDamageType,
+            getLabel: getDamageTypeLabel,
+            isPhysical: isPhysicalDamageType,
+            openEditor: openDamageTypesEditor
+        };
+    });
+}
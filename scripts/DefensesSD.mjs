@@ -0,0 +1,366 @@
+/**
+ * Defenses for Shadowdark Extras
+ *
+ * Resistances, immunities and vulnerabilities are actor flags read by the
+ * damage socket (see applyTokenDamage in CombatSettingsSD):
+ * - flags.shadowdark-extras.resistance.<type>     = true (half damage)
+ * - flags.shadowdark-extras.immunity.<type>       = true (no damage)
+ * - flags.shadowdark-extras.vulnerability.<type>  = true (double damage)
+ * Condition immunities use the same shape and block the condition from being
+ * added to the actor:
+ * - flags.shadowdark-extras.conditionImmunity.<condition> = true
+ *
+ * The Defenses box on Player and NPC sheets edits the flags stored on the
+ * actor. Values set by active effects (Effect items, spells, potions) show as
+ * derived and read-only; they go away with the effect that grants them.
+ */
+
+import { getDamageTypes, getDamageType, getDamageTypeLabel } from "./DamageTypesApp.mjs";
+
+const MODULE_ID = "shadowdark-extras";
+
+export const DEFENSE_KINDS = ["resistance", "immunity", "vulnerability"];
+
+// Pseudo damage type checked by the damage socket for non-magical weapons
+const NONMAGIC_TYPE = "nonmagic";
+
+/**
+ * Condition key for a condition item name ("Condition: Blinded (1)" -> "blinded")
+ * @param {string} name
+ * @returns {string}
+ */
+export function getConditionKey(name) {
+	return String(name ?? "")
+		.replace(/^Condition:\s*/i, "")
+		.replace(/\s*\([^)]+\)\s*$/, "")
+		.trim()
+		.slugify();
+}
+
+/**
+ * Conditions available for condition immunity, read from the condition compendium indexes
+ * @returns {Array<{value: string, label: string}>}
+ */
+export function getConditionChoices() {
+	const choices = new Map();
+	for (const packId of ["shadowdark-extras.pack-sdxitems", "shadowdark.conditions"]) {
+		const pack = game.packs.get(packId);
+		if (!pack) continue;
+		for (const entry of pack.index) {
+			// The module pack mixes conditions with other items
+			if (packId !== "shadowdark.conditions" && !entry.name?.startsWith("Condition:")) continue;
+			const key = getConditionKey(entry.name);
+			if (!key || choices.has(key)) continue;
+			const label = entry.name.replace(/^Condition:\s*/i, "").replace(/\s*\([^)]+\)\s*$/, "").trim();
+			choices.set(key, label);
+		}
+	}
+	return [...choices.entries()]
+		.map(([value, label]) => ({ value, label }))
+		.sort((a, b) => a.label.localeCompare(b.label));
+}
+
+/**
+ * Damage types that can be picked for a defense kind
+ * @param {string} kind - resistance, immunity or vulnerability
+ * @returns {Array<{value: string, label: string}>}
+ */
+export function getDefenseTypeChoices(kind) {
+	const choices = getDamageTypes().map(t => ({ value: t.id, label: getDamageTypeLabel(t.id) }));
+	// The damage socket only checks non-magical weapons for resistance and immunity
+	if (kind !== "vulnerability") {
+		choices.push({ value: NONMAGIC_TYPE, label: game.i18n.localize("SHADOWDARK_EXTRAS.defenses.nonmagic") });
+	}
+	return choices;
+}
+
+/**
+ * Label for a defense entry
+ * @param {string} kind - A defense kind or "conditionImmunity"
+ * @param {string} id
+ * @returns {string}
+ */
+function getDefenseLabel(kind, id) {
+	if (kind === "conditionImmunity") {
+		return getConditionChoices().find(c => c.value === id)?.label
+			?? id.charAt(0).toUpperCase() + id.slice(1);
+	}
+	if (id === NONMAGIC_TYPE) return game.i18n.localize("SHADOWDARK_EXTRAS.defenses.nonmagic");
+	return getDamageTypeLabel(id);
+}
+
+/**
+ * Names of the applied effects that set a defense flag
+ * @param {Actor} actor
+ * @param {string} key - Flag key, e.g. "resistance.fire"
+ * @returns {string[]}
+ */
+function getGrantingEffects(actor, key) {
+	const changeKey = `flags.${MODULE_ID}.${key}`;
+	const names = [];
+	for (const effect of actor.appliedEffects ?? []) {
+		if (!effect.changes?.some(c => c.key === changeKey)) continue;
+		names.push(effect.parent instanceof Item ? effect.parent.name : effect.name);
+	}
+	return names;
+}
+
+/**
+ * Collect an actor's defenses, separating values stored on the actor from
+ * values derived from active effects
+ * @param {Actor} actor
+ * @returns {Object<string, Array<{id: string, label: string, derived: boolean, sources: string[]}>>}
+ *   Keyed by resistance, immunity, vulnerability and conditionImmunity
+ */
+export function getActorDefenses(actor) {
+	const defenses = {};
+	for (const kind of [...DEFENSE_KINDS, "conditionImmunity"]) {
+		const effective = actor?.flags?.[MODULE_ID]?.[kind] ?? {};
+		const stored = actor?._source?.flags?.[MODULE_ID]?.[kind] ?? {};
+		defenses[kind] = Object.keys(effective)
+			.filter(id => effective[id] && effective[id] !== "false")
+			.map(id => ({
+				id,
+				label: getDefenseLabel(kind, id),
+				derived: !stored[id],
+				sources: getGrantingEffects(actor, `${kind}.${id}`)
+			}))
+			.sort((a, b) => a.label.localeCompare(b.label));
+	}
+	return defenses;
+}
+
+/**
+ * Check whether an actor is immune to a condition
+ * @param {Actor} actor
+ * @param {string} condition - Condition key or condition item name
+ * @returns {boolean}
+ */
+export function isConditionImmune(actor, condition) {
+	const key = getConditionKey(condition);
+	if (!key) return false;
+	const value = actor?.getFlag(MODULE_ID, `conditionImmunity.${key}`);
+	return !!value && value !== "false";
+}
+
+/**
+ * Add or remove a defense stored on the actor
+ * @param {Actor} actor
+ * @param {string} kind - A defense kind or "conditionImmunity"
+ * @param {string} id - Damage type id or condition key
+ * @param {boolean} enabled
+ */
+export async function setActorDefense(actor, kind, id, enabled) {
+	if (!actor || !id) return;
+	if (enabled) await actor.setFlag(MODULE_ID, `${kind}.${id}`, true);
+	else await actor.unsetFlag(MODULE_ID, `${kind}.${id}`);
+}
+
+/**
+ * Build the chips for one defense row
+ * @param {string} kind
+ * @param {Array} entries - From getActorDefenses
+ * @param {boolean} editable
+ * @returns {string}
+ */
+function buildChipsHtml(kind, entries, editable) {
+	const esc = foundry.utils.escapeHTML;
+	return entries.map(entry => {
+		const type = kind === "conditionImmunity" ? null : getDamageType(entry.id);
+		const style = type?.color ? `style="border-color: ${type.color};"` : "";
+		const icon = type?.icon ? `<img src="${type.icon}" alt="">` : "";
+		const tooltip = entry.sources.length
+			? game.i18n.format("SHADOWDARK_EXTRAS.defenses.granted_by", { sources: entry.sources.join(", ") })
+			: "";
+		const control = entry.derived
+			? `<i class="fas fa-lock"></i>`
+			: editable
+				? `<a class="sdx-defense-remove" data-kind="${kind}" data-id="${entry.id}" data-tooltip="${game.i18n.localize("SHADOWDARK_EXTRAS.defenses.remove")}"><i class="fas fa-times"></i></a>`
+				: "";
+		return `<span class="sdx-defense-chip ${entry.derived ? "derived" : ""}" ${style} ${tooltip ? `data-tooltip="${esc(tooltip)}"` : ""}>
+			${icon}${esc(entry.label)}${control}
+		</span>`;
+	}).join("");
+}
+
+/**
+ * Build the Defenses box HTML
+ * @param {Actor} actor
+ * @param {boolean} editable
+ * @param {string} extraClass
+ * @returns {string}
+ */
+function buildDefensesBoxHtml(actor, editable, extraClass = "") {
+	const esc = foundry.utils.escapeHTML;
+	const defenses = getActorDefenses(actor);
+	const rows = [...DEFENSE_KINDS, "conditionImmunity"].map(kind => {
+		const entries = defenses[kind];
+		let addHtml = "";
+		if (editable) {
+			const present = new Set(entries.filter(e => !e.derived).map(e => e.id));
+			const choices = kind === "conditionImmunity" ? getConditionChoices() : getDefenseTypeChoices(kind);
+			const options = choices
+				.filter(c => !present.has(c.value))
+				.map(c => `<option value="${c.value}">${esc(c.label)}</option>`)
+				.join("");
+			addHtml = `<select class="sdx-defense-add" data-kind="${kind}">
+				<option value="">${game.i18n.localize("SHADOWDARK_EXTRAS.defenses.add")}</option>
+				${options}
+			</select>`;
+		}
+		const chips = entries.length
+			? buildChipsHtml(kind, entries, editable)
+			: `<span class="sdx-defense-none">${game.i18n.localize("SHADOWDARK_EXTRAS.defenses.none")}</span>`;
+		return `<div class="sdx-defense-row" data-kind="${kind}">
+			<label class="sdx-defense-label">${game.i18n.localize(`SHADOWDARK_EXTRAS.defenses.${kind}`)}</label>
+			<div class="sdx-defense-chips">${chips}${addHtml}</div>
+		</div>`;
+	}).join("");
+
+	return `
+		<div class="SD-box sdx-defenses-box ${extraClass}">
+			<div class="header">
+				<label>${game.i18n.localize("SHADOWDARK_EXTRAS.defenses.title")}</label>
+				<span></span>
+			</div>
+			<div class="content">${rows}</div>
+		</div>
+	`;
+}
+
+/**
+ * Inject the Defenses box into Player and NPC sheets
+ * @param {Application} app - The actor sheet application
+ * @param {jQuery|HTMLElement} html - The rendered HTML
+ * @param {Actor} actor
+ */
+export function injectDefensesBox(app, html, actor) {
+	if (actor?.type !== "Player" && actor?.type !== "NPC") return;
+	if (!game.settings.get(MODULE_ID, "enableDefensesPanel")) return;
+
+	const $html = html instanceof HTMLElement ? $(html) : html;
+	if ($html.find(".sdx-defenses-box").length) return;
+
+	const editable = !!(app.isEditable ?? actor.isOwner);
+
+	if (actor.type === "NPC") {
+		const boxHtml = buildDefensesBoxHtml(actor, editable);
+		// Place after the morale or creature type boxes when present, otherwise before the attacks box
+		const $previous = $html.find(".sdx-morale-box, .sdx-creature-type-box").last();
+		if ($previous.length) {
+			$previous.after(boxHtml);
+		} else {
+			const $attacksBox = $html.find(".grid-1-columns .SD-box").first();
+			if (!$attacksBox.length) return;
+			$attacksBox.before(boxHtml);
+		}
+	} else {
+		const boxHtml = buildDefensesBoxHtml(actor, editable, "grid-colspan-2");
+		// Place after renown when present, otherwise after the luck box
+		const $renown = $html.find(".shadowdark-extras-renown");
+		let $luck = $();
+		$html.find(".tab[data-tab='tab-abilities'] .SD-box").each(function () {
+			if ($(this).find(".header label").first().text().toLowerCase().includes("luck")) {
+				$luck = $(this);
+				return false;
+			}
+		});
+		if ($renown.length) $renown.after(boxHtml);
+		else if ($luck.length) $luck.after(boxHtml);
+		else $html.find(".tab[data-tab='tab-abilities'] .grid-2-columns").first().append(boxHtml);
+	}
+
+	if (!editable) return;
+
+	const $box = $html.find(".sdx-defenses-box");
+	$box.find(".sdx-defense-add").on("change", async (e) => {
+		const id = e.currentTarget.value;
+		if (!id) return;
+		await setActorDefense(actor, e.currentTarget.dataset.kind, id, true);
+	});
+	$box.find(".sdx-defense-remove").on("click", async (e) => {
+		e.preventDefault();
+		const { kind, id } = e.currentTarget.dataset;
+		await setActorDefense(actor, kind, id, false);
+	});
+}
+
+/**
+ * Build the defenses lines for the DisplayNpc card
+ * @param {Actor} actor
+ * @returns {string} Empty when the actor has no defenses
+ */
+export function buildDefensesCardHtml(actor) {
+	const esc = foundry.utils.escapeHTML;
+	const defenses = getActorDefenses(actor);
+	const lines = [...DEFENSE_KINDS, "conditionImmunity"]
+		.filter(kind => defenses[kind].length)
+		.map(kind => `<div class="sdx-npc-defense">
+			<strong>${game.i18n.localize(`SHADOWDARK_EXTRAS.defenses.card.${kind}`)}</strong>
+			${defenses[kind].map(e => esc(e.label)).join(", ")}
+		</div>`);
+	if (!lines.length) return "";
+	return `<div class="sdx-npc-defenses">${lines.join("")}</div>`;
+}
+
+/**
+ * Register Defenses settings
+ */
+export function registerDefensesSettings() {
+	game.settings.register(MODULE_ID, "enableDefensesPanel", {
+		name: game.i18n.localize("SHADOWDARK_EXTRAS.settings.enable_defenses_panel.name"),
+		hint: game.i18n.localize("SHADOWDARK_EXTRAS.settings.enable_defenses_panel.hint"),
+		scope: "world",
+		config: true,
+		default: true,
+		type: Boolean,
+		requiresReload: false,
+	});
+}
+
+/**
+ * Notify that a condition was blocked by an immunity
+ * @param {Actor} actor
+ * @param {string} condition - Condition display name
+ */
+function notifyConditionBlocked(actor, condition) {
+	ui.notifications.info(game.i18n.format("SHADOWDARK_EXTRAS.defenses.condition_blocked", {
+		name: actor.name,
+		condition
+	}));
+}
+
+/**
+ * Initialize condition immunity enforcement
+ */
+export function initDefenses() {
+	// Condition Effect items dropped or toggled onto an actor, from either pack.
+	// Keyed by normalised name like getConditionChoices, so "Condition: Blinded"
+	// and the system's "Blinded" match the same immunity.
+	Hooks.on("preCreateItem", (item) => {
+		const actor = item.parent;
+		if (!(actor instanceof Actor) || item.type !== "Effect") return;
+		if (!isConditionImmune(actor, item.name)) return;
+		notifyConditionBlocked(actor, item.name.replace(/^Condition:\s*/i, ""));
+		return false;
+	});
+
+	// Status effects toggled from the token HUD
+	Hooks.on("preCreateActiveEffect", (effect) => {
+		const actor = effect.parent;
+		if (!(actor instanceof Actor) || !effect.statuses?.size) return;
+		const blocked = [...effect.statuses].find(status => isConditionImmune(actor, status));
+		if (!blocked) return;
+		notifyConditionBlocked(actor, effect.name || blocked);
+		return false;
+	});
+
+	Hooks.once("ready", () => {
+		if (!game.shadowdarkExtras) game.shadowdarkExtras = {};
+		game.shadowdarkExtras.defenses = {
+			get: getActorDefenses,
+			set: setActorDefense,
+			isConditionImmune
+		};
+	});
+}
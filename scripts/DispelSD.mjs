@@ -0,0 +1,473 @@
+/**
+ * Dispel and Counterspell for Shadowdark Extras
+ *
+ * Lists the magic tracked by SDX on a targeted token or a selected template
+ * and lets a caster try to end one effect with a contested spellcasting check
+ * (d20 + spellcasting modifier against the original caster's roll; ties go to
+ * the original caster):
+ * - duration spells (FocusSpellTrackerSD) ending through endDurationSpell
+ * - focus spells ending through endFocusSpell
+ * - auras (AuraEffectsSD), whose effects are cleared through
+ *   removeAuraEffectsFromAll when the aura is deleted
+ * - template zones (TemplateEffectsSD) not owned by one of the spells above
+ *
+ * Effects cast by the dispelling caster aren't listed. Successful spell cards
+ * get a Counterspell button that contests every effect the caster still has
+ * in play from that spell at once.
+ * Ending the effects runs on the GM through the dispelEffect socket, as the
+ * caster's flags and the targets' effects usually belong to someone else.
+ */
+
+import { getSocket } from "./CombatSettingsSD.mjs";
+import { getActiveDurationSpells, getActiveFocusSpells, endDurationSpell, endFocusSpell } from "./FocusSpellTrackerSD.mjs";
+import { getActiveAuras } from "./AuraEffectsSD.mjs";
+import { getTemplatesContainingToken } from "./TemplateEffectsSD.mjs";
+
+const MODULE_ID = "shadowdark-extras";
+const SPELL_CARD_TYPES = ["Spell", "NPC Spell", "Scroll", "Wand"];
+
+/**
+ * Get an actor's spellcasting check modifier
+ * @param {Actor} actor
+ * @returns {Promise<number>}
+ */
+export async function getSpellcastingModifier(actor) {
+	if (!actor) return 0;
+	const characterClass = actor.type === "Player" ? await actor.getClass?.() : null;
+	let ability = characterClass?.system?.spellcasting?.ability ?? actor.system?.spellcastingAbility;
+
+	// Casters without a spellcasting ability use their best mental ability
+	if (!ability) {
+		ability = ["int", "wis", "cha"].reduce((best, a) =>
+			(actor.abilityModifier?.(a) ?? 0) > (actor.abilityModifier?.(best) ?? 0) ? a : best
+		);
+	}
+
+	const abilityMod = actor.abilityModifier?.(ability.toLowerCase()) ?? 0;
+	const bonus = Number(actor.system?.bonuses?.spellcastingCheckBonus ?? actor.system?.spellcastingBonus) || 0;
+	return abilityMod + bonus;
+}
+
+/**
+ * Find the caster who created an aura
+ * @param {ActiveEffect} effect
+ * @returns {Actor|null}
+ */
+function getAuraCaster(effect) {
+	const origin = effect.origin ? fromUuidSync(effect.origin) : null;
+	return origin?.parent instanceof Actor ? origin.parent : effect.parent;
+}
+
+/**
+ * Build the list entry for a duration spell
+ * @param {Actor} caster
+ * @param {Object} entry
+ * @returns {Object}
+ */
+function durationEntry(caster, entry) {
+	return {
+		kind: "duration",
+		key: `duration-${entry.instanceId ?? entry.spellId}`,
+		casterId: caster.id,
+		casterName: caster.name,
+		spellId: entry.spellId,
+		spellName: entry.spellName,
+		img: entry.spellImg,
+		tier: Number(caster.items.get(entry.spellId)?.system?.tier) || 1,
+		instanceId: entry.instanceId ?? entry.spellId
+	};
+}
+
+/**
+ * Build the list entry for a focus spell
+ * @param {Actor} caster
+ * @param {Object} entry
+ * @returns {Object}
+ */
+function focusEntry(caster, entry) {
+	return {
+		kind: "focus",
+		key: `focus-${caster.id}-${entry.spellId}`,
+		casterId: caster.id,
+		casterName: caster.name,
+		spellId: entry.spellId,
+		spellName: entry.spellName,
+		img: entry.spellImg,
+		tier: Number(entry.spellData?.tier) || 1
+	};
+}
+
+/**
+ * Build the list entry for an aura
+ * @param {ActiveEffect} effect
+ * @param {string} fallbackName - Name to show when the caster is unknown
+ * @returns {Object}
+ */
+function auraEntry(effect, fallbackName = "") {
+	const caster = getAuraCaster(effect);
+	const spell = effect.origin ? fromUuidSync(effect.origin) : null;
+	return {
+		kind: "aura",
+		key: `aura-${effect.uuid}`,
+		casterId: caster?.id ?? null,
+		casterName: caster?.name ?? fallbackName,
+		spellId: effect.flags[MODULE_ID].aura.spellId ?? null,
+		spellName: effect.name,
+		img: effect.img,
+		tier: Number(spell?.system?.tier) || 1,
+		effectUuid: effect.uuid
+	};
+}
+
+/**
+ * Build the list entry for a template zone, preferring the duration or focus
+ * spell that owns it so ending it also cleans up the spell
+ * @param {MeasuredTemplateDocument} templateDoc
+ * @returns {Object|null}
+ */
+function templateEntry(templateDoc) {
+	const config = templateDoc.flags?.[MODULE_ID]?.templateEffects;
+	if (!config?.enabled) return null;
+	const caster = game.actors.get(config.casterActorId ?? config.casterId);
+
+	if (caster) {
+		const duration = getActiveDurationSpells(caster).find(d => d.templateId === templateDoc.id);
+		if (duration) return durationEntry(caster, duration);
+		const focus = config.spellId ? getActiveFocusSpells(caster).find(f => f.spellId === config.spellId) : null;
+		if (focus) return focusEntry(caster, focus);
+	}
+
+	const spell = caster?.items.get(config.spellId);
+	return {
+		kind: "template",
+		key: `template-${templateDoc.id}`,
+		casterId: caster?.id ?? null,
+		casterName: caster?.name ?? "",
+		spellId: config.spellId ?? null,
+		spellName: config.spellName,
+		img: spell?.img ?? "icons/magic/symbols/circled-gem-pink.webp",
+		tier: Number(spell?.system?.tier) || 1,
+		templateUuid: templateDoc.uuid
+	};
+}
+
+/**
+ * List the SDX magic affecting a token or held in a template
+ * @param {Object} target
+ * @param {Token} [target.token]
+ * @param {MeasuredTemplateDocument} [target.template]
+ * @returns {Object[]} Dispellable entries
+ */
+export function getDispellableEffects({ token = null, template = null } = {}) {
+	const entries = new Map();
+	const add = (entry) => {
+		if (entry && !entries.has(entry.key)) entries.set(entry.key, entry);
+	};
+
+	if (template) add(templateEntry(template));
+
+	if (token) {
+		for (const caster of game.actors) {
+			for (const entry of getActiveDurationSpells(caster)) {
+				const affects = entry.targets?.some(t => t.tokenId === token.id)
+					|| entry.targetEffects?.some(e => e.targetTokenId === token.id);
+				if (affects) add(durationEntry(caster, entry));
+			}
+			for (const entry of getActiveFocusSpells(caster)) {
+				if (entry.targetEffects?.some(e => e.targetTokenId === token.id)) add(focusEntry(caster, entry));
+			}
+		}
+
+		for (const { effect, token: source } of getActiveAuras()) {
+			const affects = source.id === token.id || token.actor?.items.some(i =>
+				i.type === "Effect" && i.flags?.[MODULE_ID]?.auraOrigin === effect.id
+			);
+			if (affects) add(auraEntry(effect, source.name));
+		}
+
+		for (const templateDoc of getTemplatesContainingToken(token)) add(templateEntry(templateDoc));
+	}
+
+	return Array.from(entries.values());
+}
+
+/**
+ * End a dispelled effect. Runs on the GM through the dispelEffect socket.
+ * @param {Object} entry - Entry from getDispellableEffects
+ * @returns {Promise<boolean>}
+ */
+export async function endDispellableEffect(entry) {
+	switch (entry?.kind) {
+		case "duration":
+			await endDurationSpell(entry.casterId, entry.instanceId, "dispelled");
+			return true;
+		case "focus":
+			await endFocusSpell(entry.casterId, entry.spellId, "dispelled");
+			return true;
+		case "aura": {
+			// Deleting the aura clears its effects from every token (removeAuraEffectsFromAll)
+			const effect = await fromUuid(entry.effectUuid);
+			await effect?.delete();
+			return !!effect;
+		}
+		case "template": {
+			const templateDoc = await fromUuid(entry.templateUuid);
+			await templateDoc?.delete();
+			return !!templateDoc;
+		}
+	}
+	return false;
+}
+
+/**
+ * Roll the contested check for a dispel
+ * @param {Actor} dispeller
+ * @param {Object} entry
+ * @returns {Promise<Object>} { success, roll, opposedRoll, dc }
+ */
+async function rollDispelContest(dispeller, entry) {
+	const roll = await new Roll("1d20 + @mod", { mod: await getSpellcastingModifier(dispeller) }).evaluate();
+
+	// Without the original caster, the effect holds at its casting DC
+	const caster = entry.casterId ? game.actors.get(entry.casterId) : null;
+	let opposedRoll = null;
+	let dc = 10 + entry.tier;
+	if (caster) {
+		opposedRoll = await new Roll("1d20 + @mod", { mod: await getSpellcastingModifier(caster) }).evaluate();
+		dc = opposedRoll.total + 1;
+	}
+
+	return { success: roll.total >= dc, roll, opposedRoll, dc };
+}
+
+/**
+ * Try to dispel some effects with one contested check and post the result
+ * @param {Actor} dispeller
+ * @param {Object[]} entries - Effects of one caster to end together
+ * @param {Object} [options]
+ * @param {boolean} [options.counterspell] - Word the card as a counterspell
+ * @returns {Promise<Object|null>} The contest result, or null when cancelled
+ */
+export async function attemptDispel(dispeller, entries, { counterspell = false } = {}) {
+	entries = entries.filter(e => e.casterId !== dispeller.id);
+	if (!entries.length) return null;
+	const entry = entries.reduce((best, e) => e.tier > best.tier ? e : best);
+	if (Hooks.call("sdx.preDispel", dispeller, entries) === false) return null;
+
+	const result = await rollDispelContest(dispeller, entry);
+	if (result.success) {
+		for (const e of entries) {
+			if (game.user.isGM) await endDispellableEffect(e);
+			else await getSocket()?.executeAsGM("dispelEffect", { entry: e });
+		}
+	}
+	Hooks.callAll("sdx.dispelled", dispeller, entries, result);
+
+	const names = [...new Set(entries.map(e => e.spellName))].join(", ");
+	const outcomeKey = counterspell
+		? (result.success ? "SHADOWDARK_EXTRAS.dispel.countered" : "SHADOWDARK_EXTRAS.dispel.counter_failed")
+		: (result.success ? "SHADOWDARK_EXTRAS.dispel.success" : "SHADOWDARK_EXTRAS.dispel.failure");
+	const opposedHtml = result.opposedRoll
+		? game.i18n.format("SHADOWDARK_EXTRAS.dispel.opposed", { name: entry.casterName, total: result.opposedRoll.total })
+		: game.i18n.format("SHADOWDARK_EXTRAS.dispel.against_dc", { dc: result.dc });
+
+	const content = `
+		<div class="shadowdark chat-card sdx-dispel-card ${result.success ? "success" : "failure"}">
+			<header class="sdx-dispel-header">
+				<img src="${entry.img}" alt="${entry.spellName}">
+				<h3>${game.i18n.localize(counterspell ? "SHADOWDARK_EXTRAS.dispel.counterspell" : "SHADOWDARK_EXTRAS.dispel.title")}: ${names}</h3>
+			</header>
+			<div class="sdx-dispel-rolls">
+				<span>${game.i18n.format("SHADOWDARK_EXTRAS.dispel.check", { name: dispeller.name, total: result.roll.total })}</span>
+				<span>${opposedHtml}</span>
+			</div>
+			<p class="sdx-dispel-outcome">${game.i18n.format(outcomeKey, { spell: names, name: dispeller.name })}</p>
+		</div>`;
+
+	await ChatMessage.create({
+		user: game.user.id,
+		speaker: ChatMessage.getSpeaker({ actor: dispeller }),
+		content,
+		rolls: [result.roll, result.opposedRoll].filter(Boolean),
+		flags: { [MODULE_ID]: { dispelCard: true } }
+	});
+	return result;
+}
+
+/**
+ * Get what the user is aiming a dispel at: a selected template, else their
+ * first targeted token
+ * @returns {Object} { token, template }
+ */
+function getDispelTarget() {
+	const template = canvas.templates?.controlled?.[0]?.document ?? null;
+	const token = template ? null : game.user.targets.first() ?? null;
+	return { token, template };
+}
+
+/**
+ * Open the dispel dialog for a caster
+ * @param {Actor} dispeller
+ * @param {Object} [target] - { token, template }; defaults to the user's selection
+ * @returns {Promise<Object|null>} The contest result
+ */
+export async function openDispelDialog(dispeller, target = getDispelTarget()) {
+	if (!dispeller) return null;
+	if (!target.token && !target.template) {
+		ui.notifications.warn(game.i18n.localize("SHADOWDARK_EXTRAS.dispel.no_target"));
+		return null;
+	}
+
+	const entries = getDispellableEffects(target).filter(e => e.casterId !== dispeller.id);
+	if (!entries.length) {
+		ui.notifications.info(game.i18n.localize("SHADOWDARK_EXTRAS.dispel.nothing"));
+		return null;
+	}
+
+	const rows = entries.map((e, i) => `
+		<label class="sdx-dispel-option">
+			<input type="radio" name="entry" value="${i}" ${i === 0 ? "checked" : ""}>
+			<img src="${e.img}" alt="${e.spellName}">
+			<span class="sdx-dispel-option-name">${e.spellName}</span>
+			<span class="sdx-dispel-option-caster">${e.casterName} · ${game.i18n.format("SHADOWDARK_EXTRAS.dispel.tier", { tier: e.tier })}</span>
+		</label>`).join("");
+
+	const index = await foundry.applications.api.DialogV2.wait({
+		window: { title: game.i18n.localize("SHADOWDARK_EXTRAS.dispel.title"), icon: "fas fa-wand-magic-sparkles" },
+		classes: ["sdx-dispel-dialog"],
+		content: `<p>${game.i18n.format("SHADOWDARK_EXTRAS.dispel.prompt", { target: target.token?.name ?? target.template?.flags?.[MODULE_ID]?.templateEffects?.spellName ?? "" })}</p>
+			<div class="sdx-dispel-options">${rows}</div>`,
+		buttons: [
+			{
+				action: "dispel",
+				label: game.i18n.localize("SHADOWDARK_EXTRAS.dispel.roll"),
+				icon: "fas fa-dice-d20",
+				default: true,
+				callback: (event, button) => Number(button.form.elements.entry.value)
+			},
+			{ action: "cancel", label: game.i18n.localize("Cancel"), icon: "fas fa-times" }
+		],
+		rejectClose: false
+	});
+	if (!Number.isInteger(index)) return null;
+
+	return attemptDispel(dispeller, [entries[index]]);
+}
+
+/**
+ * Get the actor the current user counters or dispels with
+ * @returns {Actor|null}
+ */
+function getUserCaster() {
+	return canvas.tokens?.controlled?.[0]?.actor ?? game.user.character ?? null;
+}
+
+/**
+ * Add a dispel button to the spells tab of a caster's sheet
+ * @param {jQuery} html
+ * @param {Actor} actor
+ */
+export function injectDispelButton(html, actor) {
+	if (!actor?.isOwner || !actor.items.some(i => i.type === "Spell")) return;
+	const $spellsTab = html.find('.tab[data-tab="tab-spells"]');
+	if (!$spellsTab.length || $spellsTab.find(".sdx-dispel-btn").length) return;
+
+	const $button = $(`
+		<button type="button" class="sdx-dispel-btn" data-tooltip="${game.i18n.localize("SHADOWDARK_EXTRAS.dispel.button_hint")}">
+			<i class="fas fa-wand-magic-sparkles"></i> ${game.i18n.localize("SHADOWDARK_EXTRAS.dispel.button")}
+		</button>`);
+	$button.on("click", async (ev) => {
+		ev.preventDefault();
+		await openDispelDialog(actor);
+	});
+	$spellsTab.prepend($button);
+}
+
+/**
+ * Hook: add the counterspell button to successful spell cards
+ * @param {ChatMessage} message
+ * @param {jQuery} html
+ */
+function onRenderChatMessage(message, html) {
+	if (message.flags?.shadowdark?.rolls?.main?.success !== true) return;
+	const cardData = html.find(".chat-card").data();
+	if (!cardData?.itemId || !cardData?.actorId) return;
+	const caster = game.actors.get(cardData.actorId);
+	const item = caster?.items.get(cardData.itemId);
+	if (!item || !SPELL_CARD_TYPES.includes(item.type)) return;
+	if (caster.isOwner && !game.user.isGM) return;
+
+	const $button = $(`
+		<button type="button" class="sdx-counterspell-btn">
+			<i class="fas fa-ban"></i> ${game.i18n.localize("SHADOWDARK_EXTRAS.dispel.counterspell")}
+		</button>`);
+	$button.on("click", async (ev) => {
+		ev.preventDefault();
+		const dispeller = getUserCaster();
+		if (!dispeller || dispeller.id === caster.id) {
+			ui.notifications.warn(game.i18n.localize("SHADOWDARK_EXTRAS.dispel.select_caster"));
+			return;
+		}
+
+		// Everything the caster still has in play from this spell
+		const entries = [];
+		for (const entry of getActiveDurationSpells(caster)) {
+			if (entry.spellId === item.id) entries.push(durationEntry(caster, entry));
+		}
+		for (const entry of getActiveFocusSpells(caster)) {
+			if (entry.spellId === item.id) entries.push(focusEntry(caster, entry));
+		}
+		for (const { effect } of getActiveAuras()) {
+			if (effect.flags[MODULE_ID].aura.spellId === item.id && getAuraCaster(effect)?.id === caster.id) {
+				entries.push(auraEntry(effect));
+			}
+		}
+		for (const templateDoc of canvas.scene?.templates ?? []) {
+			const config = templateDoc.flags?.[MODULE_ID]?.templateEffects;
+			if (!config?.enabled || config.spellId !== item.id || (config.casterActorId ?? config.casterId) !== caster.id) continue;
+			const entry = templateEntry(templateDoc);
+			if (entry && !entries.some(e => e.key === entry.key)) entries.push(entry);
+		}
+
+		if (!entries.length) {
+			ui.notifications.info(game.i18n.localize("SHADOWDARK_EXTRAS.dispel.nothing_to_counter"));
+			return;
+		}
+		await attemptDispel(dispeller, entries, { counterspell: true });
+	});
+	html.find(".chat-card").append($button);
+}
+
+/**
+ * Register Dispel settings
+ */
+export function registerDispelSettings() {
+	game.settings.register(MODULE_ID, "enableCounterspell", {
+		name: game.i18n.localize("SHADOWDARK_EXTRAS.settings.enable_counterspell.name"),
+		hint: game.i18n.localize("SHADOWDARK_EXTRAS.settings.enable_counterspell.hint"),
+		scope: "world",
+		config: true,
+		default: true,
+		type: Boolean,
+		requiresReload: false,
+	});
+}
+
+/**
+ * Initialize dispel and counterspell
+ */
+export function initDispel() {
+	Hooks.on("renderChatMessage", (message, html) => {
+		if (game.settings.get(MODULE_ID, "enableCounterspell")) onRenderChatMessage(message, html);
+	});
+
+	Hooks.once("ready", () => {
+		if (!game.shadowdarkExtras) game.shadowdarkExtras = {};
+		game.shadowdarkExtras.dispel = {
+			getEffects: getDispellableEffects,
+			open: openDispelDialog,
+			attempt: attemptDispel,
+			getSpellcastingModifier
+		};
+	});
+}
@@ -8,6 +8,8 @@
  * Based on Dragonbane's DisplayMonsterCard implementation.
  */
 
+import { buildDefensesCardHtml } from "./DefensesSD.mjs";
+
 const MODULE_ID = "shadowdark-extras";
 
 /**
@@ -283,6 +285,7 @@ export async function enrichDisplayNpcCard(match, _options, detailed = false) {
 
         // Build sections
         const abilityScoresHtml = buildAbilityScoresHtml(npc);
+        const defensesHtml = buildDefensesCardHtml(npc);
         const descriptionHtml = await buildDescriptionHtml(npc);
 
         // Pre-localized labels
@@ -315,6 +318,7 @@ export async function enrichDisplayNpcCard(match, _options, detailed = false) {
                     <span class="sdx-npc-stat-value">${moveDisplay}</span>
                 </div>
             </div>
+            ${defensesHtml}
             ${descriptionHtml}`;
 
         // Add detailed sections if requested
@@ -0,0 +1,462 @@
+/**
+ * Dying and Death Timer for Shadowdark Extras
+ *
+ * When a player character drops to 0 HP they fall unconscious and start
+ * dying: a death timer of 1d4 + CON modifier rounds (minimum 1) is rolled.
+ * - At the start of each of their turns the timer counts down; when it runs
+ *   out the character dies. Otherwise their owner is prompted to roll a d20 and
+ *   a natural 20 brings them back with 1 HP.
+ * - An ally can stabilise them with a DC 15 INT check; a stable character is
+ *   still unconscious but no longer dying.
+ * - Any healing that brings HP above 0 ends the dying state.
+ *
+ * HP changes are watched on the active GM through updateActor, so damage
+ * and healing applied by anyone (damage cards, sheets, potions, macros) start
+ * or end the timer. A drop to 0 HP starts it when the character is not
+ * already dying; HP above 0 ends it.
+ *
+ * Storage (actor flag):
+ * - dying: { rounds, remaining, stable, combatId, startRound, promptRound, rolledRound }
+ */
+
+import { getSocket } from "./CombatSettingsSD.mjs";
+
+const MODULE_ID = "shadowdark-extras";
+const STABILIZE_DC = 15;
+
+/**
+ * Get an ability modifier for any actor type
+ * @param {Actor} actor
+ * @param {string} ability
+ * @returns {number}
+ */
+function getAbilityMod(actor, ability) {
+	return actor?.abilityModifier?.(ability) ?? actor?.system?.abilities?.[ability]?.mod ?? 0;
+}
+
+/**
+ * Get an actor's dying state
+ * @param {Actor} actor
+ * @returns {Object|null}
+ */
+export function getDyingState(actor) {
+	return actor?.getFlag(MODULE_ID, "dying") ?? null;
+}
+
+/**
+ * Whether an actor is dying (at 0 HP, not stabilised)
+ * @param {Actor} actor
+ * @returns {boolean}
+ */
+export function isDying(actor) {
+	const state = getDyingState(actor);
+	return !!state && !state.stable;
+}
+
+/**
+ * Toggle a core status effect when the system provides it
+ * @param {Actor} actor
+ * @param {string} statusId
+ * @param {boolean} active
+ * @param {Object} [options]
+ */
+async function setStatus(actor, statusId, active, options = {}) {
+	if (!CONFIG.statusEffects?.some(s => s.id === statusId)) return;
+	if (actor.statuses?.has(statusId) === active) return;
+	await actor.toggleStatusEffect(statusId, { active, ...options });
+}
+
+/**
+ * Find the combatant for an actor in a combat
+ * @param {Combat} combat
+ * @param {Actor} actor
+ * @returns {Combatant|undefined}
+ */
+function findCombatant(combat, actor) {
+	return combat?.combatants.find(c =>
+		actor.isToken ? c.tokenId === actor.token?.id : c.actorId === actor.id
+	);
+}
+
+/**
+ * Post a dying chat card
+ * @param {Actor} actor
+ * @param {Object} options
+ * @param {string} options.icon - Font Awesome icon class
+ * @param {string} options.title
+ * @param {string} options.text
+ * @param {string} [options.cls] - Extra card class
+ * @param {Roll} [options.roll]
+ * @param {boolean} [options.stabilize] - Show the stabilise button
+ * @param {boolean} [options.revive] - Show the revive roll button
+ */
+async function postDyingCard(actor, { icon, title, text, cls = "", roll = null, stabilize = false, revive = false }) {
+	const reviveHtml = revive ? `
+			<button type="button" class="sdx-dying-revive" data-actor-uuid="${actor.uuid}">
+				<i class="fas fa-dice-d20"></i> ${game.i18n.localize("SHADOWDARK_EXTRAS.dying.roll_revive")}
+			</button>` : "";
+	const buttonsHtml = stabilize || revive ? `
+		<div class="sdx-dying-buttons">${reviveHtml}
+			<button type="button" class="sdx-dying-stabilize" data-actor-uuid="${actor.uuid}">
+				<i class="fas fa-hand-holding-medical"></i> ${game.i18n.format("SHADOWDARK_EXTRAS.dying.stabilize", { dc: STABILIZE_DC })}
+			</button>
+		</div>` : "";
+
+	const content = `
+		<div class="shadowdark chat-card sdx-dying-card ${cls}">
+			<header class="sdx-dying-header">
+				<i class="fas ${icon}"></i>
+				<h3>${title}</h3>
+			</header>
+			<p class="sdx-dying-text">${text}</p>
+			${roll ? `<div class="sdx-dying-roll"><strong>${roll.total}</strong> <em>(${roll.formula})</em></div>` : ""}
+			${buttonsHtml}
+		</div>`;
+
+	await ChatMessage.create({
+		user: game.user.id,
+		speaker: ChatMessage.getSpeaker({ actor }),
+		content,
+		rolls: roll ? [roll] : [],
+		flags: { [MODULE_ID]: { dyingCard: true } }
+	});
+}
+
+/**
+ * Start the dying state: roll the death timer and knock the character out
+ * @param {Actor} actor
+ */
+export async function startDying(actor) {
+	if (getDyingState(actor)) return;
+
+	const conMod = getAbilityMod(actor, "con");
+	const roll = await new Roll(`1d4 + ${conMod}`).evaluate();
+	const rounds = Math.max(1, roll.total);
+	const combat = game.combat?.started && findCombatant(game.combat, actor) ? game.combat : null;
+
+	await actor.setFlag(MODULE_ID, "dying", {
+		rounds,
+		remaining: rounds,
+		stable: false,
+		combatId: combat?.id ?? null,
+		startRound: combat?.round ?? null,
+		promptRound: null,
+		rolledRound: null
+	});
+	await setStatus(actor, "unconscious", true);
+
+	await postDyingCard(actor, {
+		icon: "fa-skull",
+		title: game.i18n.format("SHADOWDARK_EXTRAS.dying.title", { name: actor.name }),
+		text: game.i18n.format("SHADOWDARK_EXTRAS.dying.started", { name: actor.name, rounds }),
+		roll,
+		stabilize: true
+	});
+
+	Hooks.callAll("sdx.dyingStarted", actor, { rounds });
+}
+
+/**
+ * Post the summary for a finished dying state and clear it
+ * @param {Actor} actor
+ * @param {string} outcome - "revived", "healed", "stabilized" or "died"
+ * @param {Object} [data] - Extra format data
+ */
+async function resolveDying(actor, outcome, data = {}) {
+	const state = getDyingState(actor);
+	if (!state) return;
+
+	const combat = state.combatId ? game.combats.get(state.combatId) : null;
+	const elapsed = combat && state.startRound !== null ? Math.max(0, combat.round - state.startRound) : null;
+	const elapsedText = elapsed !== null
+		? game.i18n.format("SHADOWDARK_EXTRAS.dying.summary_rounds", { elapsed, rounds: state.rounds })
+		: "";
+
+	if (outcome === "stabilized") {
+		await actor.setFlag(MODULE_ID, "dying.stable", true);
+	} else {
+		await actor.unsetFlag(MODULE_ID, "dying");
+	}
+	if (outcome === "revived" || outcome === "healed") await setStatus(actor, "unconscious", false);
+	if (outcome === "died") {
+		await setStatus(actor, "unconscious", false);
+		await setStatus(actor, "dead", true, { overlay: true });
+	}
+
+	const icons = { revived: "fa-dice-d20", healed: "fa-heart", stabilized: "fa-hand-holding-medical", died: "fa-skull-crossbones" };
+	await postDyingCard(actor, {
+		icon: icons[outcome],
+		cls: outcome,
+		title: game.i18n.format("SHADOWDARK_EXTRAS.dying.title", { name: actor.name }),
+		text: `${game.i18n.format(`SHADOWDARK_EXTRAS.dying.outcome.${outcome}`, { name: actor.name, ...data })} ${elapsedText}`.trim()
+	});
+
+	Hooks.callAll("sdx.dyingResolved", actor, { outcome, ...data });
+}
+
+/**
+ * Mark a dying character as stable (GM side)
+ * @param {string} actorUuid
+ * @param {string} helperName - Who stabilised them
+ * @returns {Promise<boolean>}
+ */
+export async function stabilizeDyingActor(actorUuid, helperName) {
+	const actor = await fromUuid(actorUuid);
+	if (!actor || !isDying(actor)) return false;
+	await resolveDying(actor, "stabilized", { helper: helperName });
+	return true;
+}
+
+/**
+ * Count down the death timer at the start of a dying character's turn
+ * @param {Actor} actor
+ * @param {Combat} combat
+ */
+async function tickDying(actor, combat) {
+	const state = getDyingState(actor);
+	if (!state || state.stable) return;
+
+	// Healed since the timer started (e.g. before the HP change was seen)
+	if (actor.system?.attributes?.hp?.value > 0) {
+		await resolveDying(actor, "healed");
+		return;
+	}
+
+	const remaining = state.remaining - 1;
+	if (remaining <= 0) {
+		await resolveDying(actor, "died");
+		return;
+	}
+
+	await actor.setFlag(MODULE_ID, "dying", { ...state, remaining, promptRound: combat.round });
+	await postDyingCard(actor, {
+		icon: "fa-hourglass-half",
+		title: game.i18n.format("SHADOWDARK_EXTRAS.dying.title", { name: actor.name }),
+		text: game.i18n.format("SHADOWDARK_EXTRAS.dying.turn_start", { name: actor.name, remaining }),
+		stabilize: true,
+		revive: true
+	});
+}
+
+/**
+ * Roll a d20 for a dying character; a natural 20 brings them back with 1 HP
+ * @param {Actor} actor
+ */
+export async function rollDyingRevive(actor) {
+	const state = getDyingState(actor);
+	if (!state || state.stable) return;
+	if (!actor.isOwner) return;
+
+	// Already back above 0 HP: there is nothing to roll for
+	if (actor.system?.attributes?.hp?.value > 0) {
+		await resolveDying(actor, "healed");
+		return;
+	}
+
+	// One roll per turn start
+	if (state.promptRound !== null && state.rolledRound === state.promptRound) {
+		ui.notifications.warn(game.i18n.format("SHADOWDARK_EXTRAS.dying.already_rolled", { name: actor.name }));
+		return;
+	}
+	await actor.setFlag(MODULE_ID, "dying.rolledRound", state.promptRound);
+
+	const roll = await new Roll("1d20").evaluate();
+	const natural20 = roll.dice[0]?.total === 20;
+	await roll.toMessage({
+		speaker: ChatMessage.getSpeaker({ actor }),
+		flavor: game.i18n.localize(natural20 ? "SHADOWDARK_EXTRAS.dying.revive_success" : "SHADOWDARK_EXTRAS.dying.revive_failure")
+	});
+	if (!natural20) return;
+
+	// Resolve before healing so the HP change does not report as a plain heal
+	await resolveDying(actor, "revived");
+	await actor.update({ "system.attributes.hp.value": 1 });
+}
+
+/**
+ * Try to stabilise a dying character with a DC 15 INT check
+ * @param {Actor} actor - The dying character
+ * @param {Actor} helper - The character making the check
+ */
+export async function attemptStabilize(actor, helper) {
+	if (!isDying(actor)) return;
+	if (!helper) {
+		ui.notifications.warn(game.i18n.localize("SHADOWDARK_EXTRAS.dying.no_helper"));
+		return;
+	}
+	if (helper === actor || isDying(helper)) {
+		ui.notifications.warn(game.i18n.format("SHADOWDARK_EXTRAS.dying.helper_unable", { name: helper.name }));
+		return;
+	}
+
+	const roll = await new Roll(`1d20 + ${getAbilityMod(helper, "int")}`).evaluate();
+	const success = roll.total >= STABILIZE_DC;
+	await roll.toMessage({
+		speaker: ChatMessage.getSpeaker({ actor: helper }),
+		flavor: game.i18n.format(success ? "SHADOWDARK_EXTRAS.dying.stabilize_success" : "SHADOWDARK_EXTRAS.dying.stabilize_failure", {
+			name: actor.name,
+			dc: STABILIZE_DC
+		})
+	});
+	if (!success) return;
+
+	if (actor.isOwner) {
+		await stabilizeDyingActor(actor.uuid, helper.name);
+	} else {
+		await getSocket()?.executeAsGM("stabilizeDying", { actorUuid: actor.uuid, helperName: helper.name });
+	}
+}
+
+/**
+ * The character the current user acts with: their assigned character or a controlled token
+ * @returns {Actor|null}
+ */
+function getHelperActor() {
+	return canvas.tokens?.controlled?.[0]?.actor ?? game.user.character ?? null;
+}
+
+/**
+ * Hook: an actor was updated. Runs on the active GM for updates made by any
+ * client and compares the new HP with the stored dying state.
+ * @param {Actor} actor
+ * @param {Object} changes
+ */
+async function onUpdateActor(actor, changes) {
+	if (!game.users.activeGM?.isSelf) return;
+	if (actor.type !== "Player") return;
+	const newHp = foundry.utils.getProperty(changes, "system.attributes.hp.value");
+	if (newHp === undefined) return;
+	if (!game.settings.get(MODULE_ID, "enableDyingAutomation")) return;
+
+	const state = getDyingState(actor);
+	if (newHp <= 0 && !state) {
+		// crawl-helper rolls its own death timer (see the rollDeathTimer override)
+		if (game.modules.get("shadowdark-crawl-helper")?.active) return;
+		if (actor.statuses?.has("dead")) return;
+		await startDying(actor);
+	} else if (newHp > 0 && state) {
+		await resolveDying(actor, "healed");
+	}
+}
+
+/**
+ * Hook: a combat advanced. Counts down the timer of the combatant whose turn starts.
+ * @param {Combat} combat
+ * @param {Object} changes
+ * @param {Object} options
+ */
+async function onUpdateCombat(combat, changes, options) {
+	if (!game.users.activeGM?.isSelf) return;
+	if (!("turn" in changes) && !("round" in changes)) return;
+	if ((options.direction ?? 1) < 0) return;
+
+	const actor = combat.combatant?.actor;
+	if (!actor || !isDying(actor)) return;
+	await tickDying(actor, combat);
+}
+
+/**
+ * Hook: show the death timer on dying combatants in the combat tracker
+ * @param {Application} app
+ * @param {HTMLElement|jQuery} html
+ */
+function onRenderCombatTracker(app, html) {
+	const root = html instanceof HTMLElement ? html : html[0];
+	const combat = app.viewed ?? game.combat;
+	if (!root || !combat) return;
+
+	for (const combatant of combat.combatants) {
+		const state = getDyingState(combatant.actor);
+		if (!state) continue;
+		const li = root.querySelector(`[data-combatant-id="${combatant.id}"]`);
+		if (!li || li.querySelector(".sdx-dying-badge")) continue;
+
+		const badge = document.createElement("span");
+		badge.classList.add("sdx-dying-badge");
+		if (state.stable) {
+			badge.classList.add("stable");
+			badge.dataset.tooltip = game.i18n.localize("SHADOWDARK_EXTRAS.dying.stable");
+			badge.innerHTML = `<i class="fas fa-heart-pulse"></i>`;
+		} else {
+			badge.dataset.tooltip = game.i18n.format("SHADOWDARK_EXTRAS.dying.timer_tooltip", { remaining: state.remaining });
+			badge.innerHTML = `<i class="fas fa-skull"></i> ${state.remaining}`;
+		}
+		(li.querySelector(".token-name") ?? li).append(badge);
+	}
+}
+
+/**
+ * Hook: wire the dying card buttons
+ * @param {ChatMessage} message
+ * @param {jQuery} html
+ */
+function onRenderChatMessage(message, html) {
+	if (!message.getFlag(MODULE_ID, "dyingCard")) return;
+
+	html.find(".sdx-dying-revive").each((i, btn) => {
+		const actor = fromUuidSync(btn.dataset.actorUuid);
+		if (!actor?.isOwner || !isDying(actor)) {
+			btn.remove();
+			return;
+		}
+		btn.addEventListener("click", async (ev) => {
+			ev.preventDefault();
+			await rollDyingRevive(actor);
+		});
+	});
+
+	html.find(".sdx-dying-stabilize").each((i, btn) => {
+		const actor = fromUuidSync(btn.dataset.actorUuid);
+		if (!actor || !isDying(actor)) {
+			btn.remove();
+			return;
+		}
+		btn.addEventListener("click", async (ev) => {
+			ev.preventDefault();
+			await attemptStabilize(actor, getHelperActor());
+		});
+	});
+}
+
+/**
+ * Register Dying settings
+ */
+export function registerDyingSettings() {
+	game.settings.register(MODULE_ID, "enableDyingAutomation", {
+		name: game.i18n.localize("SHADOWDARK_EXTRAS.settings.enable_dying_automation.name"),
+		hint: game.i18n.localize("SHADOWDARK_EXTRAS.settings.enable_dying_automation.hint"),
+		scope: "world",
+		config: true,
+		default: true,
+		type: Boolean,
+		requiresReload: false,
+	});
+}
+
+/**
+ * Initialize dying hooks
+ */
+export function initDying() {
+	Hooks.on("updateActor", onUpdateActor);
+	Hooks.on("updateCombat", onUpdateCombat);
+	Hooks.on("renderCombatTracker", onRenderCombatTracker);
+	Hooks.on("renderChatMessage", onRenderChatMessage);
+
+	// Refresh the tracker badges when a dying state changes
+	Hooks.on("updateActor", (actor, changes) => {
+		if (!foundry.utils.hasProperty(changes, `flags.${MODULE_ID}.dying`)
+			&& !foundry.utils.hasProperty(changes, `flags.${MODULE_ID}.-=dying`)) return;
+		ui.combat?.render();
+	});
+
+	Hooks.once("ready", () => {
+		if (!game.shadowdarkExtras) game.shadowdarkExtras = {};
+		game.shadowdarkExtras.dying = {
+			getState: getDyingState,
+			isDying,
+			start: startDying,
+			rollRevive: rollDyingRevive,
+			stabilize: attemptStabilize
+		};
+	});
+}
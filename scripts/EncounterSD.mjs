@@ -0,0 +1,614 @@
+/**
+ * Random Encounters for Shadowdark Extras
+ * Per-biome / per-danger-level wandering monster tables for the Party Sheet Travel tab.
+ *
+ * Features:
+ * - Encounter tables keyed by the hexroll biome keys, one list per danger level
+ * - Party biome detected from the hex terrain under the party token
+ * - Check cadence driven by danger level and the party's travel speed
+ * - Distance, activity and reaction rolls
+ * - Chat card with a "spawn" button that places the rolled monsters
+ * - A "dungeon" table and per-round cadence for the crawl tracker
+ */
+
+import { getAvailableBiomes } from "./HexContentGenerator.mjs";
+import { getHexRecord } from "./HexTooltipSD.mjs";
+import { getTravelSpeeds } from "./TravelSpeedsSettingsSD.mjs";
+import { placeActorTokenWithPreview } from "./PartySheetSD.mjs";
+
+const MODULE_ID = "shadowdark-extras";
+
+export const DANGER_LEVELS = ["unsafe", "risky", "deadly"];
+
+// Table key used for dungeon crawling encounters (not a hexroll biome)
+export const CRAWL_BIOME = "dungeon";
+
+// Maps hex terrain labels (see HexPainterSD BIOME_TO_TERRAIN) to hexroll biome keys
+const TERRAIN_TO_BIOME = {
+	water: "ocean",
+	swamp: "swamps",
+	vegetation: "forest",
+	mountains: "mountains",
+	desert: "desert",
+	badlands: "desert",
+	snow: "tundra",
+};
+
+const DEFAULT_ENCOUNTER_CONFIG = {
+	encounterChance: 1,
+	dangerChecks: { unsafe: 1, risky: 2, deadly: 3 },
+	speedChecks: { slow: 0, normal: 0, fast: 1 },
+	// Shadowdark core: check every 3 / 2 / 1 crawling rounds
+	crawlRounds: { unsafe: 3, risky: 2, deadly: 1 },
+	gmOnly: true,
+	tables: {}
+};
+
+// Shadowdark core distance / activity / reaction tables
+const DISTANCE_TABLE = [
+	{ min: 1, max: 1, key: "close" },
+	{ min: 2, max: 4, key: "near" },
+	{ min: 5, max: 6, key: "far" },
+];
+
+const ACTIVITY_TABLE = [
+	{ min: 2, max: 4, key: "hunting" },
+	{ min: 5, max: 6, key: "eating" },
+	{ min: 7, max: 8, key: "nesting" },
+	{ min: 9, max: 10, key: "socializing" },
+	{ min: 11, max: 11, key: "guarding" },
+	{ min: 12, max: 12, key: "sleeping" },
+];
+
+const REACTION_TABLE = [
+	{ min: -Infinity, max: 6, key: "hostile" },
+	{ min: 7, max: 8, key: "suspicious" },
+	{ min: 9, max: 9, key: "neutral" },
+	{ min: 10, max: 11, key: "curious" },
+	{ min: 12, max: Infinity, key: "friendly" },
+];
+
+function lookupTable(table, total) {
+	return table.find(row => total >= row.min && total <= row.max)?.key ?? table[table.length - 1].key;
+}
+
+/**
+ * Get the encounter configuration merged over defaults
+ * @returns {Object}
+ */
+export function getEncounterConfig() {
+	let saved = {};
+	try {
+		saved = game.settings.get(MODULE_ID, "encounterConfig") ?? {};
+	} catch (e) {
+		// Setting not registered yet, return defaults
+	}
+	return foundry.utils.mergeObject(foundry.utils.deepClone(DEFAULT_ENCOUNTER_CONFIG), saved, { inplace: false });
+}
+
+/**
+ * Get the encounter entries for a biome / danger level
+ * @param {string} biome - hexroll biome key
+ * @param {string} danger - One of DANGER_LEVELS
+ * @returns {Object[]} Entries of { uuid, name, img, quantity, weight }
+ */
+export function getEncounterEntries(biome, danger) {
+	const config = getEncounterConfig();
+	return foundry.utils.deepClone(config.tables?.[biome]?.[danger] ?? []);
+}
+
+/**
+ * Biomes that can hold encounter tables: the dungeon table followed by the hexroll biomes
+ * @returns {Promise<Object[]>} Entries of { key, label }
+ */
+async function getEncounterBiomes() {
+	return [
+		{ key: CRAWL_BIOME, label: game.i18n.localize("SHADOWDARK_EXTRAS.encounters.dungeon") },
+		...await getAvailableBiomes()
+	];
+}
+
+/**
+ * Number of crawling rounds between encounter checks
+ * @param {string} danger
+ * @returns {number}
+ */
+export function getCrawlCheckInterval(danger) {
+	const config = getEncounterConfig();
+	return Math.max(1, parseInt(config.crawlRounds?.[danger]) || 1);
+}
+
+/**
+ * Map a hex terrain label or biome label to a hexroll biome key
+ * @param {string} terrain
+ * @param {Object[]} biomes - Result of getAvailableBiomes()
+ * @returns {string|null}
+ */
+function terrainToBiome(terrain, biomes) {
+	if (!terrain) return null;
+	const normalized = String(terrain).trim().toLowerCase();
+	const direct = biomes.find(b => b.key === normalized || b.label.toLowerCase() === normalized);
+	if (direct) return direct.key;
+	return TERRAIN_TO_BIOME[normalized] ?? null;
+}
+
+/**
+ * Find the first token of the party actor on the current scene
+ * @param {Actor} partyActor
+ * @returns {Token|null}
+ */
+function getPartyToken(partyActor) {
+	return canvas?.tokens?.placeables?.find(t => t.actor?.id === partyActor.id) ?? null;
+}
+
+/**
+ * Resolve the biome the party is currently travelling through.
+ * Uses the party's manual override, or the terrain of the hex under the party token.
+ * @param {Actor} partyActor
+ * @returns {Promise<string|null>} hexroll biome key
+ */
+export async function getPartyBiome(partyActor) {
+	const biomes = await getAvailableBiomes();
+	const override = partyActor.getFlag(MODULE_ID, "encounterBiome") ?? "auto";
+	if (override !== "auto" && biomes.some(b => b.key === override)) return override;
+
+	const token = getPartyToken(partyActor);
+	if (!token || !canvas.grid?.isHexagonal) return null;
+
+	const offset = canvas.grid.getOffset(token.center);
+	const record = getHexRecord(canvas.scene.id, `${offset.i}_${offset.j}`);
+	return terrainToBiome(record?.terrain, biomes);
+}
+
+/**
+ * Number of encounter checks for one travel day
+ * @param {string} danger
+ * @param {string} speedKey - Travel speed key from getTravelSpeeds()
+ * @returns {number}
+ */
+export function getChecksPerDay(danger, speedKey) {
+	const config = getEncounterConfig();
+	const base = parseInt(config.dangerChecks?.[danger]) || 0;
+	const speedMod = parseInt(config.speedChecks?.[speedKey]) || 0;
+	return Math.max(1, base + speedMod);
+}
+
+/**
+ * Pick a weighted entry from an encounter list
+ * @param {Object[]} entries
+ * @returns {Object|null}
+ */
+function pickWeightedEntry(entries) {
+	const weighted = entries.map(e => ({ entry: e, weight: Math.max(0, parseInt(e.weight) || 1) }));
+	const total = weighted.reduce((sum, w) => sum + w.weight, 0);
+	if (total <= 0) return null;
+	let roll = Math.random() * total;
+	for (const w of weighted) {
+		roll -= w.weight;
+		if (roll < 0) return w.entry;
+	}
+	return weighted[weighted.length - 1].entry;
+}
+
+/**
+ * Highest CHA modifier among the party's player characters (used for reaction rolls)
+ * @param {Actor} partyActor
+ * @returns {Promise<number>}
+ */
+async function getBestPartyChaMod(partyActor) {
+	const memberIds = partyActor.getFlag(MODULE_ID, "members") ?? [];
+	let best = 0;
+	let found = false;
+	for (const id of memberIds) {
+		let actor = game.actors.get(id);
+		if (!actor && id.includes(".")) {
+			try {
+				actor = await fromUuid(id);
+			} catch {
+				continue;
+			}
+		}
+		if (actor?.type !== "Player") continue;
+		const mod = actor.abilityModifier?.("cha") ?? actor.system?.abilities?.cha?.mod ?? 0;
+		if (!found || mod > best) best = mod;
+		found = true;
+	}
+	return best;
+}
+
+/**
+ * Roll a reaction check (2d6 + CHA) on the Shadowdark reaction table
+ * @param {number} chaMod
+ * @returns {Promise<Object>} { roll, total, key }
+ */
+export async function rollReactionCheck(chaMod = 0) {
+	const roll = await new Roll(`2d6 + ${chaMod}`).evaluate();
+	return { roll, total: roll.total, key: lookupTable(REACTION_TABLE, roll.total) };
+}
+
+/**
+ * Roll the details of a single encounter: creature, quantity, distance, activity, reaction
+ * @param {string|null} biome
+ * @param {string} danger
+ * @param {number} chaMod
+ * @returns {Promise<Object>}
+ */
+export async function rollEncounter(biome, danger, chaMod = 0) {
+	const entry = biome ? pickWeightedEntry(getEncounterEntries(biome, danger)) : null;
+
+	let quantity = 0;
+	if (entry) {
+		try {
+			const qtyRoll = await new Roll(entry.quantity || "1").evaluate();
+			quantity = Math.max(1, qtyRoll.total);
+		} catch (e) {
+			console.warn(`${MODULE_ID} | Invalid encounter quantity formula "${entry.quantity}"`, e);
+			quantity = 1;
+		}
+	}
+
+	const distanceRoll = await new Roll("1d6").evaluate();
+	const activityRoll = await new Roll("2d6").evaluate();
+	const reaction = await rollReactionCheck(chaMod);
+
+	return {
+		entry,
+		quantity,
+		distance: { total: distanceRoll.total, key: lookupTable(DISTANCE_TABLE, distanceRoll.total) },
+		activity: { total: activityRoll.total, key: lookupTable(ACTIVITY_TABLE, activityRoll.total) },
+		reaction: { total: reaction.total, key: reaction.key },
+	};
+}
+
+/**
+ * Roll a full day of encounter checks for a party and post the result to chat
+ * @param {Actor} partyActor
+ * @returns {Promise<Object[]>} The encounters that occurred
+ */
+export async function rollEncounterChecks(partyActor) {
+	const config = getEncounterConfig();
+	const danger = partyActor.getFlag(MODULE_ID, "encounterDanger") ?? "unsafe";
+	const speedKey = partyActor.getFlag(MODULE_ID, "travelSpeed") ?? "normal";
+	const biome = await getPartyBiome(partyActor);
+	const checks = getChecksPerDay(danger, speedKey);
+	const chance = Math.clamp(parseInt(config.encounterChance) || 1, 1, 6);
+
+	if (shadowdark.utils.diceSound) {
+		shadowdark.utils.diceSound();
+	}
+
+	const checkRoll = await new Roll(`${checks}d6`).evaluate();
+	const results = checkRoll.dice[0].results.map(r => r.result);
+
+	const chaMod = await getBestPartyChaMod(partyActor);
+	const encounters = [];
+	for (const result of results) {
+		if (result <= chance) encounters.push(await rollEncounter(biome, danger, chaMod));
+	}
+
+	const speedLabel = getTravelSpeeds().find(s => s.key === speedKey)?.name ?? speedKey;
+	await postEncounterCard(ChatMessage.getSpeaker({ actor: partyActor }), {
+		biome, danger, chance, results, encounters, gmOnly: config.gmOnly, meta: [speedLabel]
+	});
+	return encounters;
+}
+
+/**
+ * Roll a single dungeon crawl encounter check against the dungeon table and post the result
+ * @param {Object} options
+ * @param {string} options.danger - One of DANGER_LEVELS
+ * @param {number} [options.round] - Crawling round shown on the card
+ * @param {number} [options.chaMod] - CHA modifier for the reaction roll
+ * @param {Object} [options.speaker] - Chat speaker
+ * @returns {Promise<Object|null>} The encounter, or null when the check is quiet
+ */
+export async function rollCrawlEncounterCheck({ danger, round = null, chaMod = 0, speaker = null } = {}) {
+	const config = getEncounterConfig();
+	const chance = Math.clamp(parseInt(config.encounterChance) || 1, 1, 6);
+
+	if (shadowdark.utils.diceSound) {
+		shadowdark.utils.diceSound();
+	}
+
+	const checkRoll = await new Roll("1d6").evaluate();
+	const encounter = checkRoll.total <= chance ? await rollEncounter(CRAWL_BIOME, danger, chaMod) : null;
+
+	const meta = round !== null
+		? [game.i18n.format("SHADOWDARK_EXTRAS.crawl.round_label", { round })]
+		: [];
+	await postEncounterCard(speaker ?? { alias: game.i18n.localize("SHADOWDARK_EXTRAS.crawl.title") }, {
+		biome: CRAWL_BIOME, danger, chance, results: [checkRoll.total],
+		encounters: encounter ? [encounter] : [], gmOnly: config.gmOnly, meta
+	});
+	return encounter;
+}
+
+/**
+ * Build and post the encounter check chat card
+ * @param {Object} speaker - Chat speaker data
+ * @param {Object} data - Check results; `meta` holds extra labels shown after biome and danger
+ */
+async function postEncounterCard(speaker, { biome, danger, chance, results, encounters, gmOnly, meta = [] }) {
+	const biomes = await getEncounterBiomes();
+	const biomeLabel = biomes.find(b => b.key === biome)?.label
+		?? game.i18n.localize("SHADOWDARK_EXTRAS.encounters.unknown_biome");
+	const dangerLabel = game.i18n.localize(`SHADOWDARK_EXTRAS.encounters.danger.${danger}`);
+	const metaHtml = [biomeLabel, dangerLabel, ...meta].map(label => `<span>${label}</span>`).join(" · ");
+
+	const checksHtml = results.map(r =>
+		`<span class="sdx-encounter-die ${r <= chance ? "hit" : ""}">${r}</span>`
+	).join("");
+
+	let encountersHtml = "";
+	for (const enc of encounters) {
+		const distance = game.i18n.localize(`SHADOWDARK_EXTRAS.encounters.distance.${enc.distance.key}`);
+		const activity = game.i18n.localize(`SHADOWDARK_EXTRAS.encounters.activity.${enc.activity.key}`);
+		const reaction = game.i18n.localize(`SHADOWDARK_EXTRAS.encounters.reaction.${enc.reaction.key}`);
+
+		const header = enc.entry
+			? `<img src="${enc.entry.img || "icons/svg/mystery-man.svg"}" />
+				<span class="sdx-encounter-name">${enc.quantity} × @UUID[${enc.entry.uuid}]{${enc.entry.name}}</span>`
+			: `<i class="fas fa-question-circle"></i>
+				<span class="sdx-encounter-name">${game.i18n.localize("SHADOWDARK_EXTRAS.encounters.no_table")}</span>`;
+
+		const spawnButton = enc.entry
+			? `<button type="button" class="sdx-encounter-spawn" data-actor-uuid="${enc.entry.uuid}" data-count="${enc.quantity}">
+					<i class="fas fa-dragon"></i> ${game.i18n.localize("SHADOWDARK_EXTRAS.encounters.spawn")}
+				</button>`
+			: "";
+
+		encountersHtml += `
+			<div class="sdx-encounter-entry">
+				<div class="sdx-encounter-creature">${header}</div>
+				<ul class="sdx-encounter-details">
+					<li><strong>${game.i18n.localize("SHADOWDARK_EXTRAS.encounters.distance.label")}:</strong> ${distance} <em>(${enc.distance.total})</em></li>
+					<li><strong>${game.i18n.localize("SHADOWDARK_EXTRAS.encounters.activity.label")}:</strong> ${activity} <em>(${enc.activity.total})</em></li>
+					<li class="sdx-reaction-${enc.reaction.key}"><strong>${game.i18n.localize("SHADOWDARK_EXTRAS.encounters.reaction.label")}:</strong> ${reaction} <em>(${enc.reaction.total})</em></li>
+				</ul>
+				${spawnButton}
+			</div>`;
+	}
+
+	const title = encounters.length
+		? game.i18n.format("SHADOWDARK_EXTRAS.encounters.card_encounter", { count: encounters.length })
+		: game.i18n.localize("SHADOWDARK_EXTRAS.encounters.card_quiet");
+
+	const content = `
+		<div class="shadowdark chat-card sdx-encounter-card ${encounters.length ? "has-encounter" : ""}">
+			<header class="sdx-encounter-header">
+				<i class="fas ${encounters.length ? "fa-dragon" : "fa-binoculars"}"></i>
+				<h3>${title}</h3>
+			</header>
+			<div class="sdx-encounter-meta">
+				${metaHtml}
+			</div>
+			<div class="sdx-encounter-checks">
+				${game.i18n.format("SHADOWDARK_EXTRAS.encounters.checks", { chance })}
+				${checksHtml}
+			</div>
+			${encountersHtml}
+		</div>`;
+
+	await ChatMessage.create({
+		user: game.user.id,
+		speaker,
+		content,
+		flavor: game.i18n.localize("SHADOWDARK_EXTRAS.encounters.flavor"),
+		whisper: gmOnly ? ChatMessage.getWhisperRecipients("GM") : [],
+		flags: { [MODULE_ID]: { encounterCheck: true } }
+	});
+}
+
+/**
+ * Place the rolled creatures one by one using the party sheet placement preview
+ * @param {string} actorUuid
+ * @param {number} count
+ */
+export async function spawnEncounter(actorUuid, count) {
+	if (!canvas.scene) {
+		ui.notifications.warn(game.i18n.localize("SHADOWDARK_EXTRAS.party.warn.no_scene"));
+		return;
+	}
+
+	const actor = await fromUuid(actorUuid);
+	if (!actor) {
+		ui.notifications.warn(game.i18n.localize("SHADOWDARK_EXTRAS.encounters.actor_missing"));
+		return;
+	}
+
+	let placed = 0;
+	for (let i = 0; i < count; i++) {
+		if (!await placeActorTokenWithPreview(actor)) break;
+		placed++;
+	}
+
+	if (placed > 0) {
+		ui.notifications.info(game.i18n.format("SHADOWDARK_EXTRAS.party.members_placed", { count: placed }));
+	}
+}
+
+/**
+ * Encounter Tables Settings Application
+ * Edits the per-biome / per-danger encounter lists and the check cadence
+ */
+export class EncounterTablesApp extends FormApplication {
+	constructor(object = {}, options = {}) {
+		super(object, options);
+		this._biome = null;
+		this._danger = DANGER_LEVELS[0];
+	}
+
+	static get defaultOptions() {
+		return foundry.utils.mergeObject(super.defaultOptions, {
+			id: "sdx-encounter-tables",
+			title: game.i18n.localize("SHADOWDARK_EXTRAS.encounters.settings_title"),
+			template: `modules/${MODULE_ID}/templates/encounter-tables-settings.hbs`,
+			classes: ["shadowdark", "shadowdark-extras", "encounter-tables-settings-app"],
+			width: 560,
+			height: "auto",
+			resizable: true,
+			closeOnSubmit: false,
+			submitOnChange: true,
+			scrollY: [".sdx-encounter-entries"],
+			dragDrop: [{ dragSelector: null, dropSelector: ".sdx-encounter-entries" }]
+		});
+	}
+
+	async getData(options = {}) {
+		const config = getEncounterConfig();
+		const biomes = await getEncounterBiomes();
+		if (!this._biome) this._biome = biomes[0]?.key ?? null;
+
+		const entries = config.tables?.[this._biome]?.[this._danger] ?? [];
+
+		return {
+			biomes: biomes.map(b => ({ ...b, selected: b.key === this._biome })),
+			dangers: DANGER_LEVELS.map(key => ({
+				key,
+				label: game.i18n.localize(`SHADOWDARK_EXTRAS.encounters.danger.${key}`),
+				selected: key === this._danger,
+				checks: config.dangerChecks?.[key] ?? 1,
+				crawlRounds: config.crawlRounds?.[key] ?? 1
+			})),
+			speeds: getTravelSpeeds().map(speed => ({
+				...speed,
+				checks: config.speedChecks?.[speed.key] ?? 0
+			})),
+			entries: entries.map((entry, index) => ({ ...entry, index })),
+			encounterChance: config.encounterChance,
+			gmOnly: config.gmOnly,
+			MODULE_ID
+		};
+	}
+
+	activateListeners(html) {
+		super.activateListeners(html);
+
+		html.find("[name='selectedBiome']").on("change", (ev) => {
+			this._biome = ev.currentTarget.value;
+			this.render(false);
+		});
+
+		html.find("[name='selectedDanger']").on("change", (ev) => {
+			this._danger = ev.currentTarget.value;
+			this.render(false);
+		});
+
+		html.on("click", ".sdx-encounter-remove", async (ev) => {
+			ev.preventDefault();
+			const index = Number(ev.currentTarget.dataset.index);
+			const entries = getEncounterEntries(this._biome, this._danger);
+			entries.splice(index, 1);
+			await this._saveEntries(entries);
+		});
+
+		html.on("click", ".sdx-encounter-open", async (ev) => {
+			ev.preventDefault();
+			const doc = await fromUuid(ev.currentTarget.dataset.uuid);
+			doc?.sheet?.render(true);
+		});
+	}
+
+	async _onDrop(event) {
+		const data = TextEditor.getDragEventData(event);
+		if (data?.type !== "Actor") return;
+
+		const actor = await fromUuid(data.uuid);
+		if (!actor) return;
+
+		const entries = getEncounterEntries(this._biome, this._danger);
+		entries.push({ uuid: actor.uuid, name: actor.name, img: actor.img, quantity: "1", weight: 1 });
+		await this._saveEntries(entries);
+	}
+
+	/**
+	 * Save the entry list for the currently selected biome / danger level
+	 * @param {Object[]} entries
+	 */
+	async _saveEntries(entries) {
+		const saved = foundry.utils.deepClone(game.settings.get(MODULE_ID, "encounterConfig") ?? {});
+		saved.tables ??= {};
+		saved.tables[this._biome] ??= {};
+		saved.tables[this._biome][this._danger] = entries;
+		await game.settings.set(MODULE_ID, "encounterConfig", saved);
+		this.render(false);
+	}
+
+	async _updateObject(event, formData) {
+		// Switching the edited biome / danger level is view state, not a change to save
+		if (event?.target?.name?.startsWith("selected")) return;
+
+		const data = foundry.utils.expandObject(formData);
+		const saved = foundry.utils.deepClone(game.settings.get(MODULE_ID, "encounterConfig") ?? {});
+
+		saved.encounterChance = Math.clamp(parseInt(data.encounterChance) || 1, 1, 6);
+		saved.gmOnly = !!data.gmOnly;
+		saved.dangerChecks = Object.fromEntries(
+			DANGER_LEVELS.map(key => [key, Math.max(0, parseInt(data.dangerChecks?.[key]) || 0)])
+		);
+		saved.crawlRounds = Object.fromEntries(
+			DANGER_LEVELS.map(key => [key, Math.max(1, parseInt(data.crawlRounds?.[key]) || 1)])
+		);
+		saved.speedChecks = Object.fromEntries(
+			Object.entries(data.speedChecks ?? {}).map(([key, value]) => [key, parseInt(value) || 0])
+		);
+
+		if (this._biome && data.entries) {
+			const entries = getEncounterEntries(this._biome, this._danger);
+			for (const [index, values] of Object.entries(data.entries)) {
+				const entry = entries[Number(index)];
+				if (!entry) continue;
+				entry.quantity = String(values.quantity || "1").trim();
+				entry.weight = Math.max(1, parseInt(values.weight) || 1);
+			}
+			saved.tables ??= {};
+			saved.tables[this._biome] ??= {};
+			saved.tables[this._biome][this._danger] = entries;
+		}
+
+		await game.settings.set(MODULE_ID, "encounterConfig", saved);
+	}
+}
+
+/**
+ * Register Encounter settings
+ */
+export function registerEncounterSettings() {
+	game.settings.register(MODULE_ID, "encounterConfig", {
+		name: "Encounter Tables Configuration",
+		scope: "world",
+		config: false,
+		type: Object,
+		default: foundry.utils.deepClone(DEFAULT_ENCOUNTER_CONFIG)
+	});
+
+	game.settings.registerMenu(MODULE_ID, "encounterTablesMenu", {
+		name: game.i18n.localize("SHADOWDARK_EXTRAS.settings.encounters.name"),
+		label: game.i18n.localize("SHADOWDARK_EXTRAS.settings.encounters.label"),
+		hint: game.i18n.localize("SHADOWDARK_EXTRAS.settings.encounters.hint"),
+		icon: "fas fa-dragon",
+		type: EncounterTablesApp,
+		restricted: true
+	});
+}
+
+/**
+ * Initialize encounter chat card listeners
+ */
+export function initEncounters() {
+	Hooks.on("renderChatMessage", (message, html) => {
+		if (!message.getFlag(MODULE_ID, "encounterCheck")) return;
+
+		html.find(".sdx-encounter-spawn").each((i, btn) => {
+			if (!game.user.isGM) {
+				btn.remove();
+				return;
+			}
+			btn.addEventListener("click", async (ev) => {
+				ev.preventDefault();
+				const { actorUuid, count } = ev.currentTarget.dataset;
+				await spawnEncounter(actorUuid, parseInt(count) || 1);
+			});
+		});
+	});
+}
@@ -75,6 +75,9 @@ export function initFocusSpellTracker() {
 	// Hook into combat updates to process duration spells (per-turn damage, expiry)
 	Hooks.on("updateCombat", handleDurationSpellCombatUpdate);
 
+	// Expire duration spells when the calendar skips past them
+	Hooks.on("sdx.timeAdvanced", handleDurationSpellTimeAdvanced);
+
 	// Hook into chat message rendering to add click handlers for focus roll buttons
 	Hooks.on("renderChatMessage", handleFocusReminderChatClick);
 
@@ -341,6 +344,15 @@ export async function startDurationSpell(caster, spell, targetTokenIds = [], spe
 
 	console.log(`shadowdark-extras | Duration spell tracking: current round ${currentRound}, expiry round ${expiryRound}`);
 
+	// Real-world length of the spell so it can also expire when the calendar skips time
+	const roundSeconds = CONFIG.time?.roundTime || 6;
+	const durationSeconds = {
+		rounds: durationValue * roundSeconds,
+		turns: durationValue * 10 * roundSeconds,
+		hours: durationValue * 3600,
+		days: durationValue * 86400
+	}[durationType] ?? null;
+
 	// Build target info
 	const targets = targetTokenIds.map(tokenId => {
 		const token = canvas.tokens?.get(tokenId);
@@ -367,6 +379,8 @@ export async function startDurationSpell(caster, spell, targetTokenIds = [], spe
 		expiryRound: expiryRound,
 		durationValue: durationValue,
 		durationType: durationType,
+		startTime: game.time.worldTime,
+		durationSeconds: durationSeconds,
 		targets: targets,
 		targetEffects: [], // Track effects applied to targets for cleanup
 		perTurnTrigger: spellConfig.perTurnTrigger || "start",
@@ -396,6 +410,29 @@ export async function startDurationSpell(caster, spell, targetTokenIds = [], spe
 	return durationData;
 }
 
+/**
+ * End duration spells whose time has run out after the world clock moved.
+ * Combat rounds are left to handleDurationSpellCombatUpdate.
+ * @param {number} seconds - Seconds that passed
+ * @param {Object} context - { reason, date }
+ */
+async function handleDurationSpellTimeAdvanced(seconds, { reason, date } = {}) {
+	if (!game.users.activeGM?.isSelf) return;
+	if (reason === "combat" || !(seconds > 0)) return;
+
+	for (const actor of game.actors) {
+		const activeDuration = actor.getFlag(MODULE_ID, DURATION_SPELL_FLAG) || [];
+		const expired = activeDuration.filter(d =>
+			d.durationSeconds && Number.isFinite(d.startTime) && date.worldTime >= d.startTime + d.durationSeconds
+		);
+
+		for (const durationSpell of expired) {
+			console.log(`shadowdark-extras | Duration spell ${durationSpell.spellName} ran out while time passed`);
+			await endDurationSpell(actor.id, durationSpell.instanceId || durationSpell.spellId, "expired");
+		}
+	}
+}
+
 /**
  * Get all active duration spells for an actor
  */
@@ -608,7 +645,7 @@ async function revertSpellModifications(spellId, casterId) {
  * End a duration spell and remove all associated effects from targets
  * @param {string} casterId - The caster actor ID
  * @param {string} instanceId - The unique instance ID of the spell (or spellId for backwards compatibility)
- * @param {string} reason - The reason for ending ("expired" or "manual")
+ * @param {string} reason - The reason for ending ("expired", "manual" or "dispelled")
  */
 export async function endDurationSpell(casterId, instanceId, reason = "expired") {
 	console.warn(`shadowdark-extras | [ENTRY] endDurationSpell called with casterId=${casterId}, instanceId=${instanceId}, reason=${reason}`);
@@ -837,7 +874,7 @@ export async function endDurationSpell(casterId, instanceId, reason = "expired")
 				</div>
 			</header>
 			<div class="card-content">
-				<p class="reason-text">${reason === "expired" ? game.i18n.localize("SHADOWDARK_EXTRAS.duration_tracker.reason_expired") : game.i18n.localize("SHADOWDARK_EXTRAS.duration_tracker.reason_manual")}</p>
+				<p class="reason-text">${game.i18n.localize(`SHADOWDARK_EXTRAS.duration_tracker.reason_${["expired", "dispelled"].includes(reason) ? reason : "manual"}`)}</p>
 				${durationEntry.targetEffects?.length > 0 ? `<p style="font-size: 11px; color: #999;">${game.i18n.format("SHADOWDARK_EXTRAS.duration_tracker.effects_removed", { count: durationEntry.targetEffects.length })}</p>` : ""}
 			</div>
 		</div>
@@ -1998,7 +2035,7 @@ export async function removeTargetFromDurationSpell(casterId, instanceId, tokenI
  * End a focus spell and remove all associated effects
  * @param {string} casterId - The actor ID of the caster
  * @param {string} spellId - The spell item ID
- * @param {string} reason - Why the focus ended ("focus_failed", "manual", "spell_lost")
+ * @param {string} reason - Why the focus ended ("focus_failed", "manual", "spell_lost", "dispelled")
  */
 export async function endFocusSpell(casterId, spellId, reason = "manual") {
 	const caster = game.actors.get(casterId);
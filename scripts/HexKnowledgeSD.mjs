@@ -0,0 +1,613 @@
+/**
+ * Per-Party Hex Knowledge for Shadowdark Extras
+ *
+ * When "Per-Party Hex Knowledge" is enabled, every party actor keeps its own
+ * record of each hex map: the hexes it has revealed and explored, the rumours
+ * it has heard and the notes its players wrote. Hex fog and hex tooltips are
+ * then rendered from the knowledge of the viewing user's parties, so split
+ * parties no longer share one fog. Scene-wide reveals and the exploration state
+ * set in the hex editor still apply to everyone.
+ *
+ * Storage: party actor flag "hexKnowledge"
+ *   { [sceneId]: { revealed: { "i-j": true }, previewed: { "i-j": true },
+ *                  hexes: { "i_j": { exploration, rumours: [], notes: [] } } } }
+ * Fog keys use "i-j" and hex keys "i_j", matching the fog and tooltip systems.
+ *
+ * Hooks:
+ * - sdx.hexKnowledgeChanged (partyActor|null, sceneId|null)
+ */
+
+import { getPartiesContainingActor } from "./PartySheetSD.mjs";
+import { formatHexCoord } from "./SDXCoordsSD.mjs";
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+const MODULE_ID = "shadowdark-extras";
+const FLAG_KEY = "hexKnowledge";
+const SOCKET_ACTION = "sdxHexKnowledge";
+
+export const EXPLORATION_RANK = { unexplored: 0, explored: 1, mapped: 2 };
+
+// Party the GM is previewing the hex map as (client only)
+let _viewAsPartyId = null;
+
+// Singleton instance
+let _instance = null;
+
+/**
+ * Whether hex fog and tooltips follow per-party knowledge
+ * @returns {boolean}
+ */
+export function isPartyKnowledgeEnabled() {
+	return !!game.settings.get(MODULE_ID, "hexFog.perPartyKnowledge");
+}
+
+/**
+ * Get all party actors
+ * @returns {Actor[]}
+ */
+export function getPartyActors() {
+	return game.actors.filter(a => Array.isArray(a.getFlag(MODULE_ID, "members")));
+}
+
+/**
+ * Get the parties a user belongs to: parties they own and parties containing
+ * an actor they own (their assigned character first)
+ * @param {User} [user]
+ * @returns {Actor[]}
+ */
+export function getUserParties(user = game.user) {
+	const parties = new Map();
+	const add = (party) => parties.set(party.id, party);
+
+	if (user.character) getPartiesContainingActor(user.character).forEach(add);
+	for (const party of getPartyActors()) {
+		if (party.testUserPermission(user, "OWNER")) add(party);
+	}
+	for (const actor of game.actors) {
+		if (actor.type !== "Player" || !actor.testUserPermission(user, "OWNER")) continue;
+		getPartiesContainingActor(actor).forEach(add);
+	}
+	return [...parties.values()];
+}
+
+/**
+ * Get the parties whose knowledge the current user sees.
+ * Players see their own parties; the GM sees every party unless previewing one.
+ * @returns {Actor[]}
+ */
+export function getViewerParties() {
+	if (!game.user.isGM) return getUserParties(game.user);
+	const previewed = _viewAsPartyId ? game.actors.get(_viewAsPartyId) : null;
+	return previewed ? [previewed] : getPartyActors();
+}
+
+/**
+ * Get the party the GM is previewing the map as
+ * @returns {Actor|null}
+ */
+export function getViewAsParty() {
+	return _viewAsPartyId ? game.actors.get(_viewAsPartyId) ?? null : null;
+}
+
+/**
+ * Preview the hex map as one party (GM only, client side)
+ * @param {string|null} partyId - null to see every party again
+ */
+export function setViewAsParty(partyId) {
+	if (!game.user.isGM) return;
+	_viewAsPartyId = partyId || null;
+	Hooks.callAll("sdx.hexKnowledgeChanged", getViewAsParty(), canvas.scene?.id ?? null);
+}
+
+/**
+ * Get the parties a token explores for: the party itself for party tokens,
+ * otherwise every party the token's actor is a member of
+ * @param {TokenDocument} tokenDoc
+ * @returns {Actor[]}
+ */
+export function getPartiesForToken(tokenDoc) {
+	const actor = tokenDoc?.actor;
+	if (!actor) return [];
+	if (Array.isArray(actor.getFlag(MODULE_ID, "members"))) return [actor];
+	return getPartiesContainingActor(actor);
+}
+
+/**
+ * Get a party's knowledge of a scene
+ * @param {Actor} party
+ * @param {string} sceneId
+ * @returns {Object} { revealed, previewed, hexes }
+ */
+export function getPartySceneKnowledge(party, sceneId) {
+	const data = party?.getFlag(MODULE_ID, FLAG_KEY)?.[sceneId] ?? {};
+	return {
+		revealed: data.revealed ?? {},
+		previewed: data.previewed ?? {},
+		hexes: data.hexes ?? {}
+	};
+}
+
+/**
+ * Merge the knowledge of the viewing user's parties for a scene
+ * @param {string} sceneId
+ * @returns {Object|null} { revealed, previewed, hexes } or null when per-party knowledge is off
+ */
+export function getViewerKnowledge(sceneId) {
+	if (!sceneId || !isPartyKnowledgeEnabled()) return null;
+
+	const merged = { revealed: {}, previewed: {}, hexes: {} };
+	for (const party of getViewerParties()) {
+		const knowledge = getPartySceneKnowledge(party, sceneId);
+		for (const [key, value] of Object.entries(knowledge.revealed)) {
+			if (value) merged.revealed[key] = true;
+		}
+		for (const [key, value] of Object.entries(knowledge.previewed)) {
+			if (value) merged.previewed[key] = true;
+		}
+		for (const [hexKey, hex] of Object.entries(knowledge.hexes)) {
+			const target = merged.hexes[hexKey] ??= { exploration: "unexplored", rumours: [], notes: [] };
+			if ((EXPLORATION_RANK[hex.exploration] ?? 0) > EXPLORATION_RANK[target.exploration]) {
+				target.exploration = hex.exploration;
+			}
+			target.rumours.push(...(hex.rumours ?? []).map(r => ({ ...r, partyId: party.id, partyName: party.name })));
+			target.notes.push(...(hex.notes ?? []).map(n => ({ ...n, partyId: party.id, partyName: party.name })));
+		}
+	}
+	return merged;
+}
+
+/**
+ * Get what the viewing user's parties know about one hex
+ * @param {string} sceneId
+ * @param {string} hexKey - "i_j"
+ * @returns {Object|null} { exploration, rumours, notes } or null if nothing is known
+ */
+export function getViewerHexKnowledge(sceneId, hexKey) {
+	const knowledge = getViewerKnowledge(sceneId);
+	const hex = knowledge?.hexes[hexKey];
+	if (!hex) return null;
+	if (hex.exploration === "unexplored" && !hex.rumours.length && !hex.notes.length) return null;
+	return hex;
+}
+
+/**
+ * Write a partial update of a party's scene knowledge (merged into the flag)
+ * @param {Actor} party
+ * @param {string} sceneId
+ * @param {Object} data
+ */
+async function updatePartyKnowledge(party, sceneId, data) {
+	await party.update({ [`flags.${MODULE_ID}.${FLAG_KEY}.${sceneId}`]: data });
+}
+
+/**
+ * Record hexes a party revealed by moving (GM only).
+ * Hexes the token passed through become explored for the party.
+ * @param {Actor[]} parties
+ * @param {string} sceneId
+ * @param {Object} keys
+ * @param {Set<string>} keys.revealed - Fog keys "i-j" now visible
+ * @param {Set<string>} [keys.previewed] - Fog keys "i-j" half visible
+ * @param {string[]} [keys.entered] - Hex keys "i_j" the token passed through
+ */
+export async function revealForParties(parties, sceneId, { revealed, previewed = new Set(), entered = [] }) {
+	if (!game.user.isGM) return;
+
+	for (const party of parties) {
+		const knowledge = getPartySceneKnowledge(party, sceneId);
+		const update = {};
+
+		const newRevealed = [...revealed].filter(key => !knowledge.revealed[key]);
+		if (newRevealed.length) {
+			update.revealed = Object.fromEntries(newRevealed.map(key => [key, true]));
+			update.previewed = Object.fromEntries(newRevealed.filter(key => knowledge.previewed[key]).map(key => [`-=${key}`, null]));
+		}
+
+		const newPreviewed = [...previewed].filter(key => !knowledge.revealed[key] && !revealed.has(key) && !knowledge.previewed[key]);
+		if (newPreviewed.length) {
+			update.previewed = { ...update.previewed, ...Object.fromEntries(newPreviewed.map(key => [key, true])) };
+		}
+
+		for (const hexKey of entered) {
+			const hex = knowledge.hexes[hexKey];
+			if ((EXPLORATION_RANK[hex?.exploration] ?? 0) >= EXPLORATION_RANK.explored) continue;
+			update.hexes ??= {};
+			update.hexes[hexKey] = { exploration: "explored" };
+		}
+
+		if (Object.keys(update).length) await updatePartyKnowledge(party, sceneId, update);
+	}
+}
+
+/**
+ * Reveal or re-fog hexes for a party by hand (GM fog painting)
+ * @param {Actor} party
+ * @param {string} sceneId
+ * @param {Object<string, boolean>} changes - Fog key "i-j" → revealed
+ */
+export async function paintPartyFog(party, sceneId, changes) {
+	if (!game.user.isGM) return;
+	const revealed = {};
+	const previewed = {};
+	for (const [key, value] of Object.entries(changes)) {
+		if (value) revealed[key] = true;
+		else revealed[`-=${key}`] = null;
+		previewed[`-=${key}`] = null;
+	}
+	await updatePartyKnowledge(party, sceneId, { revealed, previewed });
+}
+
+/**
+ * Forget hexes for every party (used when the GM re-fogs the shared map)
+ * @param {string} sceneId
+ * @param {string[]} keys - Fog keys "i-j"
+ */
+export async function forgetForAllParties(sceneId, keys) {
+	if (!game.user.isGM || !keys.length) return;
+	for (const party of getPartyActors()) {
+		const knowledge = getPartySceneKnowledge(party, sceneId);
+		const known = keys.filter(key => knowledge.revealed[key] || knowledge.previewed[key]);
+		if (!known.length) continue;
+		const removal = Object.fromEntries(known.map(key => [`-=${key}`, null]));
+		await updatePartyKnowledge(party, sceneId, { revealed: removal, previewed: removal });
+	}
+}
+
+/**
+ * Set how well a party has explored a hex
+ * @param {Actor} party
+ * @param {string} sceneId
+ * @param {string} hexKey - "i_j"
+ * @param {string} exploration - unexplored, explored or mapped
+ */
+export async function setPartyHexExploration(party, sceneId, hexKey, exploration) {
+	if (!(exploration in EXPLORATION_RANK)) return;
+	await updatePartyKnowledge(party, sceneId, { hexes: { [hexKey]: { exploration } } });
+}
+
+/**
+ * Add a rumour or note to a party's knowledge of a hex.
+ * Players without permission on the party actor go through the GM.
+ * @param {Actor} party
+ * @param {string} sceneId
+ * @param {string} hexKey - "i_j"
+ * @param {string} kind - "rumours" or "notes"
+ * @param {string} text
+ */
+export async function addPartyHexEntry(party, sceneId, hexKey, kind, text) {
+	text = String(text ?? "").trim();
+	if (!text || !["rumours", "notes"].includes(kind)) return;
+	if (kind === "rumours" && !game.user.isGM) return;
+
+	const entry = { id: foundry.utils.randomID(), text, author: game.user.name, userId: game.user.id };
+	if (!party.isOwner) {
+		game.socket.emit(`module.${MODULE_ID}`, { action: SOCKET_ACTION, op: "add", userId: game.user.id, partyId: party.id, sceneId, hexKey, kind, entry });
+		return;
+	}
+
+	const hex = getPartySceneKnowledge(party, sceneId).hexes[hexKey];
+	await updatePartyKnowledge(party, sceneId, { hexes: { [hexKey]: { [kind]: [...(hex?.[kind] ?? []), entry] } } });
+}
+
+/**
+ * Remove a rumour or note from a party's knowledge of a hex.
+ * Players may only remove their own notes.
+ * @param {Actor} party
+ * @param {string} sceneId
+ * @param {string} hexKey - "i_j"
+ * @param {string} kind - "rumours" or "notes"
+ * @param {string} entryId
+ */
+export async function removePartyHexEntry(party, sceneId, hexKey, kind, entryId) {
+	const hex = getPartySceneKnowledge(party, sceneId).hexes[hexKey];
+	const entry = hex?.[kind]?.find(e => e.id === entryId);
+	if (!entry) return;
+	if (!game.user.isGM && (kind !== "notes" || entry.userId !== game.user.id)) return;
+
+	if (!party.isOwner) {
+		game.socket.emit(`module.${MODULE_ID}`, { action: SOCKET_ACTION, op: "remove", userId: game.user.id, partyId: party.id, sceneId, hexKey, kind, entryId });
+		return;
+	}
+
+	await updatePartyKnowledge(party, sceneId, { hexes: { [hexKey]: { [kind]: hex[kind].filter(e => e.id !== entryId) } } });
+}
+
+/**
+ * GM side of the player note relay. Only the first active GM handles it.
+ * @param {Object} data - Socket payload
+ */
+async function onSocketMessage(data) {
+	if (data?.action !== SOCKET_ACTION) return;
+	const firstGM = game.users.find(u => u.isGM && u.active);
+	if (!game.user.isGM || firstGM !== game.user) return;
+
+	const user = game.users.get(data.userId);
+	const party = game.actors.get(data.partyId);
+	if (!user || !party || data.kind !== "notes") return;
+	if (!getUserParties(user).some(p => p.id === party.id)) return;
+
+	const hex = getPartySceneKnowledge(party, data.sceneId).hexes[data.hexKey];
+	const notes = hex?.notes ?? [];
+
+	if (data.op === "add") {
+		const entry = { id: data.entry?.id || foundry.utils.randomID(), text: String(data.entry?.text ?? "").trim(), author: user.name, userId: user.id };
+		if (!entry.text) return;
+		await updatePartyKnowledge(party, data.sceneId, { hexes: { [data.hexKey]: { notes: [...notes, entry] } } });
+	} else if (data.op === "remove") {
+		const filtered = notes.filter(n => !(n.id === data.entryId && n.userId === user.id));
+		if (filtered.length === notes.length) return;
+		await updatePartyKnowledge(party, data.sceneId, { hexes: { [data.hexKey]: { notes: filtered } } });
+	}
+}
+
+/**
+ * Prompt for a rumour or note and add it to a party
+ * @param {string} sceneId
+ * @param {string} hexKey - "i_j"
+ * @param {string} kind - "rumours" or "notes"
+ */
+export async function promptPartyHexEntry(sceneId, hexKey, kind) {
+	const parties = game.user.isGM ? getPartyActors() : getUserParties();
+	if (!parties.length) {
+		ui.notifications.warn(game.i18n.localize("SHADOWDARK_EXTRAS.hex_knowledge.no_party"));
+		return;
+	}
+	const selected = getViewAsParty()?.id ?? parties[0].id;
+
+	const content = `
+		<div class="form-group">
+			<label>${game.i18n.localize("SHADOWDARK_EXTRAS.hex_knowledge.party")}</label>
+			<select name="partyId">
+				${parties.map(p => `<option value="${p.id}" ${p.id === selected ? "selected" : ""}>${p.name}</option>`).join("")}
+			</select>
+		</div>
+		<div class="form-group stacked">
+			<textarea name="text" rows="4"></textarea>
+		</div>`;
+
+	await Dialog.prompt({
+		title: game.i18n.format(`SHADOWDARK_EXTRAS.hex_knowledge.add_${kind}_title`, { hex: hexLabel(hexKey) }),
+		content,
+		label: game.i18n.localize("SHADOWDARK_EXTRAS.hex_knowledge.add"),
+		rejectClose: false,
+		callback: async (html) => {
+			const party = game.actors.get(html.find("[name='partyId']").val());
+			const text = html.find("[name='text']").val();
+			if (party) await addPartyHexEntry(party, sceneId, hexKey, kind, text);
+		}
+	});
+}
+
+function hexLabel(hexKey) {
+	const [i, j] = hexKey.split("_").map(Number);
+	try {
+		return formatHexCoord({ i, j });
+	} catch {
+		return `${i}.${j}`;
+	}
+}
+
+/**
+ * Hex journal: a party's explored hexes, rumours and notes for the current scene
+ */
+export class HexKnowledgeAppSD extends HandlebarsApplicationMixin(ApplicationV2) {
+	static DEFAULT_OPTIONS = {
+		tag: "div",
+		id: "sdx-hex-knowledge",
+		window: {
+			title: "SHADOWDARK_EXTRAS.hex_knowledge.title",
+			icon: "fas fa-map",
+			resizable: true,
+			classes: ["shadowdark", "sdx-hex-knowledge-window"]
+		},
+		position: {
+			width: 380,
+			height: 520
+		},
+		actions: {
+			addNote: HexKnowledgeAppSD.onAddNote,
+			addRumour: HexKnowledgeAppSD.onAddRumour,
+			removeEntry: HexKnowledgeAppSD.onRemoveEntry,
+			setExploration: HexKnowledgeAppSD.onSetExploration,
+			panToHex: HexKnowledgeAppSD.onPanToHex,
+			toggleViewAs: HexKnowledgeAppSD.onToggleViewAs
+		}
+	};
+
+	static PARTS = {
+		content: {
+			template: `modules/${MODULE_ID}/templates/hex-knowledge.hbs`
+		}
+	};
+
+	partyId = null;
+
+	/**
+	 * Get the singleton instance
+	 */
+	static getInstance() {
+		if (!_instance) {
+			_instance = new HexKnowledgeAppSD();
+		}
+		return _instance;
+	}
+
+	/**
+	 * Open the journal, optionally for a specific party
+	 * @param {Actor} [party]
+	 */
+	static open(party = null) {
+		const app = HexKnowledgeAppSD.getInstance();
+		if (party) app.partyId = party.id;
+		app.render(true);
+		return app;
+	}
+
+	/**
+	 * Toggle the interface (open/close)
+	 */
+	static toggleInterface() {
+		const app = HexKnowledgeAppSD.getInstance();
+		if (app.rendered) {
+			app.close();
+		} else {
+			app.render(true);
+		}
+	}
+
+	get parties() {
+		return game.user.isGM ? getPartyActors() : getUserParties();
+	}
+
+	get party() {
+		const parties = this.parties;
+		return parties.find(p => p.id === this.partyId) ?? parties[0] ?? null;
+	}
+
+	/** @override */
+	async _prepareContext(options) {
+		const party = this.party;
+		const sceneId = canvas.scene?.id;
+		const knowledge = party && sceneId ? getPartySceneKnowledge(party, sceneId) : null;
+		const userId = game.user.id;
+
+		const hexes = Object.entries(knowledge?.hexes ?? {})
+			.map(([hexKey, hex]) => ({
+				hexKey,
+				label: hexLabel(hexKey),
+				exploration: hex.exploration ?? "unexplored",
+				explorationLabel: game.i18n.localize(`SHADOWDARK_EXTRAS.hex_knowledge.exploration.${hex.exploration ?? "unexplored"}`),
+				rumours: (hex.rumours ?? []).map(r => ({ ...r, canRemove: game.user.isGM })),
+				notes: (hex.notes ?? []).map(n => ({ ...n, canRemove: game.user.isGM || n.userId === userId }))
+			}))
+			.filter(hex => hex.exploration !== "unexplored" || hex.rumours.length || hex.notes.length)
+			.sort((a, b) => a.label.localeCompare(b.label, undefined, { numeric: true }));
+
+		return {
+			enabled: isPartyKnowledgeEnabled(),
+			sceneName: canvas.scene?.name ?? "",
+			parties: this.parties.map(p => ({ id: p.id, name: p.name, selected: p.id === party?.id })),
+			party,
+			hexes,
+			revealedCount: Object.values(knowledge?.revealed ?? {}).filter(Boolean).length,
+			viewingAs: !!party && getViewAsParty()?.id === party.id,
+			explorationOptions: Object.keys(EXPLORATION_RANK).map(key => ({
+				key,
+				label: game.i18n.localize(`SHADOWDARK_EXTRAS.hex_knowledge.exploration.${key}`)
+			})),
+			isGM: game.user.isGM
+		};
+	}
+
+	/** @override */
+	_onRender(context, options) {
+		super._onRender(context, options);
+
+		this.element.querySelector("[name='party']")?.addEventListener("change", (event) => {
+			this.partyId = event.currentTarget.value;
+			this.render();
+		});
+	}
+
+	/* -------------------------------------------- */
+	/*  Action Handlers                             */
+	/* -------------------------------------------- */
+
+	/**
+	 * Add a note to a listed hex
+	 */
+	static async onAddNote(event, target) {
+		const { hex } = target.closest("[data-hex]").dataset;
+		const party = this.party;
+		if (!party || !canvas.scene) return;
+		await promptPartyHexEntry(canvas.scene.id, hex, "notes");
+	}
+
+	/**
+	 * Add a rumour to a listed hex (GM)
+	 */
+	static async onAddRumour(event, target) {
+		const { hex } = target.closest("[data-hex]").dataset;
+		if (!canvas.scene) return;
+		await promptPartyHexEntry(canvas.scene.id, hex, "rumours");
+	}
+
+	/**
+	 * Remove a rumour or note
+	 */
+	static async onRemoveEntry(event, target) {
+		const { hex } = target.closest("[data-hex]").dataset;
+		const { kind, entryId } = target.dataset;
+		const party = this.party;
+		if (!party || !canvas.scene) return;
+		await removePartyHexEntry(party, canvas.scene.id, hex, kind, entryId);
+	}
+
+	/**
+	 * Change the party's exploration state of a hex (GM)
+	 */
+	static async onSetExploration(event, target) {
+		const { hex } = target.closest("[data-hex]").dataset;
+		const party = this.party;
+		if (!party || !canvas.scene || !game.user.isGM) return;
+		await setPartyHexExploration(party, canvas.scene.id, hex, target.dataset.exploration);
+	}
+
+	/**
+	 * Pan the canvas to a hex
+	 */
+	static onPanToHex(event, target) {
+		const { hex } = target.closest("[data-hex]").dataset;
+		const [i, j] = hex.split("_").map(Number);
+		const center = canvas.grid.getCenterPoint({ i, j });
+		canvas.animatePan({ x: center.x, y: center.y });
+	}
+
+	/**
+	 * Preview the fog as the selected party (GM)
+	 */
+	static onToggleViewAs(event, target) {
+		const party = this.party;
+		if (!party) return;
+		setViewAsParty(getViewAsParty()?.id === party.id ? null : party.id);
+		this.render();
+	}
+}
+
+/**
+ * Initialize per-party hex knowledge
+ */
+export function initHexKnowledge() {
+	// Re-render the journal when party knowledge changes
+	Hooks.on("updateActor", (actor, changes) => {
+		if (changes.flags?.[MODULE_ID]?.[FLAG_KEY] === undefined && changes.flags?.[MODULE_ID]?.members === undefined) return;
+		Hooks.callAll("sdx.hexKnowledgeChanged", actor, canvas.scene?.id ?? null);
+	});
+
+	Hooks.on("sdx.hexKnowledgeChanged", () => {
+		if (_instance?.rendered) _instance.render();
+	});
+
+	Hooks.on("canvasReady", () => {
+		if (_instance?.rendered) _instance.render();
+	});
+
+	Hooks.once("ready", () => {
+		game.socket.on(`module.${MODULE_ID}`, onSocketMessage);
+
+		if (!game.shadowdarkExtras) game.shadowdarkExtras = {};
+		game.shadowdarkExtras.hexKnowledge = {
+			isEnabled: isPartyKnowledgeEnabled,
+			getViewerKnowledge,
+			getPartyKnowledge: getPartySceneKnowledge,
+			setExploration: setPartyHexExploration,
+			addEntry: addPartyHexEntry,
+			removeEntry: removePartyHexEntry,
+			viewAs: setViewAsParty,
+			open: (party) => HexKnowledgeAppSD.open(party),
+			toggle: () => HexKnowledgeAppSD.toggleInterface(),
+			app: HexKnowledgeAppSD
+		};
+	});
+}
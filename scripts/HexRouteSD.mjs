@@ -0,0 +1,618 @@
+/**
+ * Hex Route Planner for Shadowdark Extras
+ *
+ * Features:
+ * - Cheapest path between two hexes using configurable per-terrain movement costs
+ * - Hexes with a "road" feature are cheaper to enter (roads named "river" use the river multiplier)
+ * - Travel days from the party's (weather adjusted) travel speed
+ * - Routes are drawn on the canvas and can be saved to a party actor
+ *
+ * Hooks:
+ * - sdx.routeSaved (partyActor, route)
+ */
+
+import { getSceneHexData } from "./HexTooltipSD.mjs";
+import { formatHexCoord } from "./SDXCoordsSD.mjs";
+import { getTravelSpeeds, getHexesPerDay } from "./TravelSpeedsSettingsSD.mjs";
+import { getEffectiveHexesPerDay } from "./WeatherSD.mjs";
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+const MODULE_ID = "shadowdark-extras";
+
+// A cost of 0 makes a terrain impassable unless a road crosses it
+const DEFAULT_ROUTE_CONFIG = {
+	defaultCost: 1,
+	roadMultiplier: 0.5,
+	riverMultiplier: 0.75,
+	terrainCosts: [
+		{ terrain: "Plains", cost: 1 },
+		{ terrain: "Vegetation", cost: 1 },
+		{ terrain: "Forest", cost: 2 },
+		{ terrain: "Desert", cost: 2 },
+		{ terrain: "Badlands", cost: 2 },
+		{ terrain: "Tundra", cost: 2 },
+		{ terrain: "Snow", cost: 2 },
+		{ terrain: "Swamp", cost: 3 },
+		{ terrain: "Swamps", cost: 3 },
+		{ terrain: "Jungle", cost: 3 },
+		{ terrain: "Mountains", cost: 3 },
+		{ terrain: "Water", cost: 0 },
+		{ terrain: "Ocean", cost: 0 }
+	]
+};
+
+const ROUTE_COLOR = 0xf39c12;
+const START_COLOR = 0x2ecc71;
+const END_COLOR = 0xe74c3c;
+
+// Singleton instance and the route currently drawn on the canvas
+let _instance = null;
+let _routeGraphics = null;
+
+/**
+ * Get the route configuration merged with defaults
+ * @returns {Object}
+ */
+export function getRouteConfig() {
+	const saved = game.settings.get(MODULE_ID, "hexRouteConfig") ?? {};
+	const config = foundry.utils.mergeObject(foundry.utils.deepClone(DEFAULT_ROUTE_CONFIG), saved, { inplace: false });
+	if (Array.isArray(saved.terrainCosts)) config.terrainCosts = saved.terrainCosts;
+	return config;
+}
+
+/**
+ * Cost of entering a hex, or 0 if it cannot be entered
+ * @param {Object|null} record - Hex record from the hex data journal
+ * @param {Object} [config]
+ * @returns {number}
+ */
+export function getHexMoveCost(record, config = getRouteConfig()) {
+	const terrain = (record?.terrain ?? "").trim().toLowerCase();
+	const entry = terrain ? config.terrainCosts.find(t => t.terrain.toLowerCase() === terrain) : null;
+	let cost = entry ? Number(entry.cost) || 0 : config.defaultCost;
+
+	const roads = (record?.features ?? []).filter(f => f.type === "road");
+	if (!roads.length) return cost;
+
+	// A road or river makes otherwise impassable terrain crossable (bridges, fords, boats)
+	if (cost <= 0) cost = config.defaultCost;
+	const multipliers = roads.map(f => /river/i.test(f.name ?? "") ? config.riverMultiplier : config.roadMultiplier);
+	return cost * Math.min(...multipliers);
+}
+
+/**
+ * Whether a hex lies inside the scene rectangle (excludes the padding)
+ * @param {Object} offset - { i, j }
+ * @returns {boolean}
+ */
+function inSceneBounds(offset) {
+	const tl = canvas.grid.getTopLeftPoint(offset);
+	const d = canvas.dimensions;
+	return !(tl.x < d.sceneX || tl.y < d.sceneY ||
+		tl.x >= d.sceneX + d.sceneWidth ||
+		tl.y >= d.sceneY + d.sceneHeight);
+}
+
+function keyToOffset(hexKey) {
+	const [i, j] = hexKey.split("_").map(Number);
+	return { i, j };
+}
+
+function hexLabel(hexKey) {
+	try {
+		return formatHexCoord(keyToOffset(hexKey));
+	} catch {
+		return hexKey.replace("_", ".");
+	}
+}
+
+/**
+ * Find the cheapest path between two hexes of the current scene (Dijkstra)
+ * @param {string} start - Start hex key "i_j"
+ * @param {string} end - Destination hex key "i_j"
+ * @param {Object} [config]
+ * @returns {Object|null} { path: string[], cost: number, hexes: number } or null if unreachable
+ */
+export function findHexRoute(start, end, config = getRouteConfig()) {
+	if (!canvas.ready || !canvas.grid.isHexagonal) return null;
+
+	const hexData = getSceneHexData(canvas.scene.id);
+	const costs = new Map([[start, 0]]);
+	const previous = new Map();
+	const heap = [[0, start]];
+
+	// Binary min-heap of [cost, hexKey]
+	const push = (item) => {
+		heap.push(item);
+		let i = heap.length - 1;
+		while (i > 0) {
+			const parent = (i - 1) >> 1;
+			if (heap[parent][0] <= heap[i][0]) break;
+			[heap[parent], heap[i]] = [heap[i], heap[parent]];
+			i = parent;
+		}
+	};
+	const pop = () => {
+		const top = heap[0];
+		const last = heap.pop();
+		if (heap.length) {
+			heap[0] = last;
+			let i = 0;
+			while (true) {
+				const left = (i * 2) + 1;
+				const right = left + 1;
+				let smallest = i;
+				if (left < heap.length && heap[left][0] < heap[smallest][0]) smallest = left;
+				if (right < heap.length && heap[right][0] < heap[smallest][0]) smallest = right;
+				if (smallest === i) break;
+				[heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+				i = smallest;
+			}
+		}
+		return top;
+	};
+
+	while (heap.length) {
+		const [cost, key] = pop();
+		if (key === end) break;
+		if (cost > costs.get(key)) continue;
+
+		for (const neighbor of canvas.grid.getAdjacentOffsets(keyToOffset(key))) {
+			if (!inSceneBounds(neighbor)) continue;
+			const neighborKey = `${neighbor.i}_${neighbor.j}`;
+			const step = getHexMoveCost(hexData[neighborKey], config);
+			if (step <= 0) continue;
+
+			const next = cost + step;
+			if (next < (costs.get(neighborKey) ?? Infinity)) {
+				costs.set(neighborKey, next);
+				previous.set(neighborKey, key);
+				push([next, neighborKey]);
+			}
+		}
+	}
+
+	if (!costs.has(end)) return null;
+
+	const path = [end];
+	while (path[0] !== start) path.unshift(previous.get(path[0]));
+
+	return {
+		path,
+		cost: Math.round(costs.get(end) * 100) / 100,
+		hexes: path.length - 1
+	};
+}
+
+/**
+ * Days needed to travel a route cost at a pace
+ * @param {number} cost - Route cost in hexes of clear terrain
+ * @param {number} hexesPerDay
+ * @returns {number}
+ */
+export function estimateTravelDays(cost, hexesPerDay) {
+	return Math.round((cost / hexesPerDay) * 10) / 10;
+}
+
+/**
+ * Remove the route drawing from the canvas
+ */
+export function clearRouteDrawing() {
+	if (_routeGraphics && !_routeGraphics.destroyed) _routeGraphics.destroy();
+	_routeGraphics = null;
+}
+
+/**
+ * Draw a route on the canvas (local to this client)
+ * @param {string[]} path - Hex keys from start to destination
+ */
+export function drawRoute(path) {
+	clearRouteDrawing();
+	if (!canvas.ready || !path?.length) return;
+
+	const points = path.map(key => canvas.grid.getCenterPoint(keyToOffset(key)));
+	const width = Math.max(4, canvas.grid.size / 12);
+	const graphics = new PIXI.Graphics();
+
+	graphics.lineStyle(width, ROUTE_COLOR, 0.85);
+	graphics.moveTo(points[0].x, points[0].y);
+	for (const point of points.slice(1)) graphics.lineTo(point.x, point.y);
+
+	graphics.lineStyle(0);
+	graphics.beginFill(START_COLOR, 0.9).drawCircle(points[0].x, points[0].y, width * 2).endFill();
+	const last = points[points.length - 1];
+	graphics.beginFill(END_COLOR, 0.9).drawCircle(last.x, last.y, width * 2).endFill();
+
+	_routeGraphics = canvas.controls.addChild(graphics);
+}
+
+/**
+ * Get the actors that are parties and that the user owns
+ * @returns {Actor[]}
+ */
+function getOwnedParties() {
+	return game.actors.filter(a => a.getFlag(MODULE_ID, "members") && a.isOwner);
+}
+
+/**
+ * Get the route saved to a party, with travel days at the party's current speed
+ * @param {Actor} partyActor
+ * @returns {Object|null}
+ */
+export function getPartyRoute(partyActor) {
+	const route = partyActor?.getFlag(MODULE_ID, "route");
+	if (!route?.path?.length) return null;
+
+	return {
+		...route,
+		startLabel: hexLabel(route.start),
+		endLabel: hexLabel(route.end),
+		speedKey: partyActor.getFlag(MODULE_ID, "travelSpeed") ?? "normal",
+		days: estimateTravelDays(route.cost, getEffectiveHexesPerDay(partyActor))
+	};
+}
+
+/**
+ * Save a planned route to a party actor
+ * @param {Actor} partyActor
+ * @param {Object} route - From findHexRoute, plus start and end
+ */
+export async function saveRouteToParty(partyActor, route) {
+	const data = {
+		sceneId: canvas.scene.id,
+		sceneName: canvas.scene.name,
+		start: route.start,
+		end: route.end,
+		path: route.path,
+		cost: route.cost,
+		hexes: route.hexes,
+		savedAt: game.time.worldTime
+	};
+	await partyActor.setFlag(MODULE_ID, "route", data);
+	Hooks.callAll("sdx.routeSaved", partyActor, data);
+}
+
+/**
+ * Draw the route saved to a party, if it belongs to the viewed scene
+ * @param {Actor} partyActor
+ * @returns {boolean} Whether the route was drawn
+ */
+export function showPartyRoute(partyActor) {
+	const route = getPartyRoute(partyActor);
+	if (!route) return false;
+	if (route.sceneId !== canvas.scene?.id) {
+		ui.notifications.warn(game.i18n.format("SHADOWDARK_EXTRAS.route.other_scene", { scene: route.sceneName }));
+		return false;
+	}
+	drawRoute(route.path);
+	return true;
+}
+
+export class HexRouteAppSD extends HandlebarsApplicationMixin(ApplicationV2) {
+	static DEFAULT_OPTIONS = {
+		tag: "div",
+		id: "sdx-hex-route",
+		window: {
+			title: "SHADOWDARK_EXTRAS.route.title",
+			icon: "fas fa-route",
+			resizable: false,
+			classes: ["shadowdark", "sdx-hex-route-window"]
+		},
+		position: {
+			width: 320,
+			height: "auto"
+		},
+		actions: {
+			pickStart: HexRouteAppSD.onPickStart,
+			pickEnd: HexRouteAppSD.onPickEnd,
+			clear: HexRouteAppSD.onClear,
+			save: HexRouteAppSD.onSave,
+			openSettings: HexRouteAppSD.onOpenSettings
+		}
+	};
+
+	static PARTS = {
+		content: {
+			template: `modules/${MODULE_ID}/templates/hex-route.hbs`
+		}
+	};
+
+	start = null;
+	end = null;
+	route = null;
+	partyId = null;
+
+	/**
+	 * Get the singleton instance
+	 */
+	static getInstance() {
+		if (!_instance) {
+			_instance = new HexRouteAppSD();
+		}
+		return _instance;
+	}
+
+	/**
+	 * Toggle the interface (open/close)
+	 */
+	static toggleInterface() {
+		const app = HexRouteAppSD.getInstance();
+		if (app.rendered) {
+			app.close();
+		} else {
+			app.render(true);
+		}
+	}
+
+	get party() {
+		const parties = getOwnedParties();
+		return parties.find(p => p.id === this.partyId) ?? parties[0] ?? null;
+	}
+
+	/** @override */
+	async _prepareContext(options) {
+		const party = this.party;
+		const speedKey = party?.getFlag(MODULE_ID, "travelSpeed") ?? "normal";
+		const speed = getTravelSpeeds().find(s => s.key === speedKey);
+		const hexesPerDay = party ? getEffectiveHexesPerDay(party) : getHexesPerDay(speedKey);
+
+		return {
+			isHexScene: !!canvas.ready && canvas.grid.isHexagonal,
+			startLabel: this.start ? hexLabel(this.start) : null,
+			endLabel: this.end ? hexLabel(this.end) : null,
+			route: this.route,
+			unreachable: !!(this.start && this.end && !this.route),
+			days: this.route ? estimateTravelDays(this.route.cost, hexesPerDay) : 0,
+			speedName: speed?.name ?? speedKey,
+			hexesPerDay,
+			parties: getOwnedParties().map(p => ({ id: p.id, name: p.name, selected: p.id === party?.id })),
+			canSave: !!(this.route && party),
+			isGM: game.user.isGM
+		};
+	}
+
+	/** @override */
+	_onRender(context, options) {
+		super._onRender(context, options);
+
+		this.element.querySelector("[name='party']")?.addEventListener("change", (event) => {
+			this.partyId = event.currentTarget.value;
+			this.render();
+		});
+	}
+
+	/** @override */
+	_onClose(options) {
+		super._onClose(options);
+		clearRouteDrawing();
+	}
+
+	/**
+	 * Wait for a click on the canvas and store the clicked hex
+	 * @param {string} which - "start" or "end"
+	 */
+	pickHex(which) {
+		if (!canvas.ready || !canvas.grid.isHexagonal) {
+			ui.notifications.warn(game.i18n.localize("SHADOWDARK_EXTRAS.route.not_hex_scene"));
+			return;
+		}
+		ui.notifications.info(game.i18n.localize(`SHADOWDARK_EXTRAS.route.pick_${which}`));
+
+		canvas.stage.once("mousedown", (event) => {
+			const offset = canvas.grid.getOffset(event.getLocalPosition(canvas.stage));
+			if (!offset || !inSceneBounds(offset)) return;
+			this[which] = `${offset.i}_${offset.j}`;
+			this.computeRoute();
+		});
+	}
+
+	/**
+	 * Recalculate and draw the route between the picked hexes
+	 */
+	computeRoute() {
+		this.route = null;
+		clearRouteDrawing();
+
+		if (this.start && this.end) {
+			const found = findHexRoute(this.start, this.end);
+			if (found) {
+				this.route = { ...found, start: this.start, end: this.end };
+				drawRoute(found.path);
+			}
+		} else if (this.start || this.end) {
+			drawRoute([this.start ?? this.end]);
+		}
+
+		this.render();
+	}
+
+	/* -------------------------------------------- */
+	/*  Action Handlers                             */
+	/* -------------------------------------------- */
+
+	/**
+	 * Pick the start hex
+	 */
+	static onPickStart(event, target) {
+		this.pickHex("start");
+	}
+
+	/**
+	 * Pick the destination hex
+	 */
+	static onPickEnd(event, target) {
+		this.pickHex("end");
+	}
+
+	/**
+	 * Clear the planned route
+	 */
+	static onClear(event, target) {
+		this.start = null;
+		this.end = null;
+		this.computeRoute();
+	}
+
+	/**
+	 * Save the planned route to the selected party
+	 */
+	static async onSave(event, target) {
+		const party = this.party;
+		if (!party || !this.route) return;
+		await saveRouteToParty(party, this.route);
+		ui.notifications.info(game.i18n.format("SHADOWDARK_EXTRAS.route.saved", { party: party.name }));
+	}
+
+	/**
+	 * Open the terrain cost settings
+	 */
+	static onOpenSettings(event, target) {
+		new HexRouteSettingsApp().render(true);
+	}
+}
+
+/**
+ * Terrain movement cost settings
+ */
+export class HexRouteSettingsApp extends FormApplication {
+	static get defaultOptions() {
+		return foundry.utils.mergeObject(super.defaultOptions, {
+			id: "sdx-hex-route-settings",
+			title: game.i18n.localize("SHADOWDARK_EXTRAS.route.settings_title"),
+			template: `modules/${MODULE_ID}/templates/hex-route-settings.hbs`,
+			classes: ["shadowdark", "shadowdark-extras", "hex-route-settings-app"],
+			width: 460,
+			height: "auto",
+			resizable: true,
+			closeOnSubmit: false,
+			submitOnChange: true
+		});
+	}
+
+	getData(options = {}) {
+		const config = getRouteConfig();
+		return {
+			...config,
+			terrainCosts: config.terrainCosts.map((entry, index) => ({ ...entry, index })),
+			MODULE_ID
+		};
+	}
+
+	activateListeners(html) {
+		super.activateListeners(html);
+
+		html.find(".sdx-route-add-terrain").on("click", async (ev) => {
+			ev.preventDefault();
+			await this._modifyConfig(config => {
+				config.terrainCosts.push({ terrain: "", cost: 1 });
+			});
+		});
+
+		html.on("click", ".sdx-route-remove-terrain", async (ev) => {
+			ev.preventDefault();
+			const index = Number(ev.currentTarget.dataset.index);
+			await this._modifyConfig(config => {
+				config.terrainCosts.splice(index, 1);
+			});
+		});
+
+		html.find(".sdx-reset-defaults").on("click", async (ev) => {
+			ev.preventDefault();
+			const confirmed = await Dialog.confirm({
+				title: game.i18n.localize("SHADOWDARK_EXTRAS.route.reset_confirm_title"),
+				content: `<p>${game.i18n.localize("SHADOWDARK_EXTRAS.route.reset_confirm_content")}</p>`
+			});
+			if (confirmed) {
+				await game.settings.set(MODULE_ID, "hexRouteConfig", foundry.utils.deepClone(DEFAULT_ROUTE_CONFIG));
+				this.render(true);
+			}
+		});
+	}
+
+	/**
+	 * Apply a mutation to the saved configuration and re-render
+	 * @param {Function} fn - Receives the config object to mutate
+	 */
+	async _modifyConfig(fn) {
+		const config = foundry.utils.deepClone(getRouteConfig());
+		fn(config);
+		await game.settings.set(MODULE_ID, "hexRouteConfig", config);
+		this.render(false);
+	}
+
+	async _updateObject(event, formData) {
+		const data = foundry.utils.expandObject(formData);
+		const config = foundry.utils.deepClone(getRouteConfig());
+
+		config.defaultCost = Math.max(0.1, Number(data.defaultCost) || 1);
+		config.roadMultiplier = Math.max(0.1, Number(data.roadMultiplier) || 1);
+		config.riverMultiplier = Math.max(0.1, Number(data.riverMultiplier) || 1);
+
+		for (const [index, values] of Object.entries(data.terrainCosts ?? {})) {
+			const entry = config.terrainCosts[Number(index)];
+			if (!entry) continue;
+			entry.terrain = String(values.terrain ?? "").trim();
+			entry.cost = Math.max(0, Number(values.cost) || 0);
+		}
+
+		await game.settings.set(MODULE_ID, "hexRouteConfig", config);
+		if (_instance?.rendered) _instance.computeRoute();
+	}
+}
+
+/**
+ * Register Hex Route settings
+ */
+export function registerHexRouteSettings() {
+	game.settings.register(MODULE_ID, "hexRouteConfig", {
+		name: "Hex Route Configuration",
+		scope: "world",
+		config: false,
+		type: Object,
+		default: foundry.utils.deepClone(DEFAULT_ROUTE_CONFIG)
+	});
+
+	game.settings.registerMenu(MODULE_ID, "hexRouteConfigMenu", {
+		name: game.i18n.localize("SHADOWDARK_EXTRAS.settings.hex_route.name"),
+		label: game.i18n.localize("SHADOWDARK_EXTRAS.settings.hex_route.label"),
+		hint: game.i18n.localize("SHADOWDARK_EXTRAS.settings.hex_route.hint"),
+		icon: "fas fa-route",
+		type: HexRouteSettingsApp,
+		restricted: true
+	});
+}
+
+/**
+ * Initialize the route planner and the game.shadowdarkExtras.route API
+ */
+export function initHexRoute() {
+	// The drawing belongs to the canvas being torn down
+	Hooks.on("canvasTearDown", () => {
+		_routeGraphics = null;
+		if (_instance) {
+			_instance.start = null;
+			_instance.end = null;
+			_instance.route = null;
+			if (_instance.rendered) _instance.render();
+		}
+	});
+
+	Hooks.once("ready", () => {
+		if (!game.shadowdarkExtras) game.shadowdarkExtras = {};
+		game.shadowdarkExtras.route = {
+			find: findHexRoute,
+			getMoveCost: getHexMoveCost,
+			estimateDays: estimateTravelDays,
+			draw: drawRoute,
+			clear: clearRouteDrawing,
+			getPartyRoute,
+			saveToParty: saveRouteToParty,
+			showPartyRoute,
+			toggle: () => HexRouteAppSD.toggleInterface(),
+			app: HexRouteAppSD
+		};
+	});
+}
+
+export { DEFAULT_ROUTE_CONFIG };
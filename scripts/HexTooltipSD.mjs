@@ -6,6 +6,10 @@ import { getDungeonTypes, getDungeonSizes, generateDungeonHtml } from "./Dungeon
 import { formatHexCoord } from "./SDXCoordsSD.mjs";
 import { registerContentRegistrySetting, registerContent } from "./ContentRegistry.mjs";
 import { MaphubViewerApp } from "./MaphubViewerApp.mjs";
+import {
+	EXPLORATION_RANK, isPartyKnowledgeEnabled, getViewerHexKnowledge,
+	getPartyActors, getUserParties, promptPartyHexEntry
+} from "./HexKnowledgeSD.mjs";
 
 const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
 
@@ -57,6 +61,25 @@ function loadAllHexDataSync() {
 	return foundry.utils.deepClone(journal.getFlag(MODULE_ID, "hexData") ?? {});
 }
 
+/**
+ * Get a single hex record (read-only copy) without touching the journal.
+ * @param {string} sceneId
+ * @param {string} hexKey  – "i_j" offset key
+ * @returns {object|null}
+ */
+export function getHexRecord(sceneId, hexKey) {
+	return loadAllHexDataSync()[sceneId]?.[hexKey] ?? null;
+}
+
+/**
+ * Get every hex record of a scene (read-only copy) in one read.
+ * @param {string} sceneId
+ * @returns {Object<string, object>} records keyed by "i_j"
+ */
+export function getSceneHexData(sceneId) {
+	return loadAllHexDataSync()[sceneId] ?? {};
+}
+
 export async function saveHexRecord(sceneId, hexKey, record) {
 	const journal = await ensureHexJournal();
 	if (!journal) return;
@@ -135,10 +158,14 @@ function featureLabel(f) {
 
 // ─── Tooltip HTML Builder ─────────────────────────────────────────────────────
 
-function buildTooltipHtml(hexKey, record, isGM) {
+function buildTooltipHtml(hexKey, record, isGM, knowledge = null) {
 	const r = record ?? {};
 	const name = r.name ?? "";
-	const exploration = r.exploration ?? "unexplored";
+	let exploration = r.exploration ?? "unexplored";
+	// The viewer's parties may know a hex better than the shared map does
+	if (knowledge && EXPLORATION_RANK[knowledge.exploration] > (EXPLORATION_RANK[exploration] ?? 0)) {
+		exploration = knowledge.exploration;
+	}
 	const zone = r.zone ?? "";
 	const terrain = r.terrain ?? "";
 	const travel = r.travel ?? "";
@@ -190,6 +217,25 @@ function buildTooltipHtml(hexKey, record, isGM) {
 		html += `</div>`;
 	}
 
+	// Party knowledge — rumours heard and notes written by the viewer's parties
+	if (knowledge?.rumours.length) {
+		html += `<div class="sdx-hex-tt-rumours">`;
+		for (const rumour of knowledge.rumours) {
+			html += `<div class="sdx-hex-tt-rumour"><i class="fas fa-comment-dots"></i> ${Handlebars.escapeExpression(rumour.text)}</div>`;
+		}
+		html += `</div>`;
+	}
+	if (knowledge?.notes.length) {
+		html += `<div class="sdx-hex-tt-party-notes">`;
+		for (const note of knowledge.notes) {
+			html += `<div class="sdx-hex-tt-party-note">
+				<span class="sdx-hex-tt-party-note-author">${Handlebars.escapeExpression(note.author ?? "")}</span>
+				${Handlebars.escapeExpression(note.text)}
+			</div>`;
+		}
+		html += `</div>`;
+	}
+
 	// Feature pills
 	if (visibleFeatures.length) {
 		html += `<div class="sdx-hex-tt-features">`;
@@ -228,6 +274,7 @@ export class SDXHexTooltip {
 	#onDownRef = null;
 	#onRightDownRef = null;
 	#onJournalRef = null;
+	#onKnowledgeRef = null;
 	#onKeyDownRef = null;
 	#onKeyUpRef = null;
 
@@ -282,6 +329,10 @@ export class SDXHexTooltip {
 			this.#lastKey = null;
 		};
 		Hooks.on("updateJournalEntry", this.#onJournalRef);
+
+		// Party knowledge changes what players may see — rebuild on next move
+		this.#onKnowledgeRef = () => { this.#lastKey = null; };
+		Hooks.on("sdx.hexKnowledgeChanged", this.#onKnowledgeRef);
 	}
 
 	get enabled() { return this.#enabled; }
@@ -309,6 +360,7 @@ export class SDXHexTooltip {
 		if (this.#hlName) try { canvas.grid.destroyHighlightLayer(this.#hlName); } catch { }
 		if (this.#hlAllName) try { canvas.grid.destroyHighlightLayer(this.#hlAllName); } catch { }
 		if (this.#onJournalRef) Hooks.off("updateJournalEntry", this.#onJournalRef);
+		if (this.#onKnowledgeRef) Hooks.off("sdx.hexKnowledgeChanged", this.#onKnowledgeRef);
 		this.#tooltipEl?.remove();
 		this.#tooltipEl = null;
 		this.#imgTooltipEl?.remove();
@@ -357,7 +409,7 @@ export class SDXHexTooltip {
 		const record = this.#allData[sceneId]?.[hexKey] ?? null;
 
 		this.#drawHighlight(offset, record?.zoneColor);
-		const canShow = isGM || record?.showToPlayers;
+		const canShow = isGM || record?.showToPlayers || !!getViewerHexKnowledge(sceneId, hexKey);
 
 		if (hexKey !== this.#lastKey) {
 			this.#lastKey = hexKey;
@@ -433,8 +485,12 @@ export class SDXHexTooltip {
 			f => f.type === "journal" && f.journalId && (isGM || f.discovered)
 		);
 
+		// Party notes and rumours need per-party knowledge and a party to write to
+		const canAddKnowledge = isPartyKnowledgeEnabled()
+			&& (isGM ? getPartyActors() : getUserParties()).length > 0;
+
 		// Players get no menu if there's nothing to show
-		if (!isGM && journalFeats.length === 0) return;
+		if (!isGM && journalFeats.length === 0 && !canAddKnowledge) return;
 
 		const menu = document.createElement("div");
 		menu.className = "sdx-hex-ctx-menu";
@@ -463,6 +519,18 @@ export class SDXHexTooltip {
 			}
 		}
 
+		if (canAddKnowledge) {
+			html += `<div class="sdx-hex-ctx-divider"></div>`;
+			html += `<div class="sdx-hex-ctx-item sdx-hex-ctx-knowledge" data-kind="notes">
+				<i class="fas fa-pen"></i>Add Party Note
+			</div>`;
+			if (isGM) {
+				html += `<div class="sdx-hex-ctx-item sdx-hex-ctx-knowledge" data-kind="rumours">
+					<i class="fas fa-comment-dots"></i>Add Rumour
+				</div>`;
+			}
+		}
+
 		// GM-only: Generate options
 		if (isGM) {
 			html += `<div class="sdx-hex-ctx-divider"></div>`;
@@ -489,7 +557,7 @@ export class SDXHexTooltip {
 		menu.style.top = `${Math.min(clientY, H - menu.offsetHeight - 8)}px`;
 
 		// Journal click handlers
-		menu.querySelectorAll(".sdx-hex-ctx-item:not(.sdx-hex-ctx-generate):not(.sdx-hex-ctx-generate-settlement):not(.sdx-hex-ctx-generate-dungeon)").forEach(item => {
+		menu.querySelectorAll(".sdx-hex-ctx-item:not(.sdx-hex-ctx-generate):not(.sdx-hex-ctx-generate-settlement):not(.sdx-hex-ctx-generate-dungeon):not(.sdx-hex-ctx-knowledge)").forEach(item => {
 			item.addEventListener("click", async () => {
 				const j = game.journal.get(item.dataset.jid);
 				if (!j) { this.#closeContextMenu(); return; }
@@ -534,6 +602,14 @@ export class SDXHexTooltip {
 			});
 		});
 
+		// Party note / rumour click handlers
+		menu.querySelectorAll(".sdx-hex-ctx-knowledge").forEach(item => {
+			item.addEventListener("click", () => {
+				this.#closeContextMenu();
+				promptPartyHexEntry(canvas.scene?.id, hexKey, item.dataset.kind);
+			});
+		});
+
 		// Generate Wilderness click handler
 		menu.querySelector(".sdx-hex-ctx-generate")?.addEventListener("click", () => {
 			this.#closeContextMenu();
@@ -1019,11 +1095,15 @@ export class SDXHexTooltip {
 
 	#show(hexKey, record) {
 		if (!this.#tooltipEl) return;
-		this.#tooltipEl.innerHTML = buildTooltipHtml(hexKey, record, game.user.isGM);
+		const isGM = game.user.isGM;
+		const knowledge = getViewerHexKnowledge(canvas.scene?.id, hexKey);
+		// Players only see the shared record of hexes shown to them
+		const visibleRecord = (isGM || record?.showToPlayers) ? record : null;
+		this.#tooltipEl.innerHTML = buildTooltipHtml(hexKey, visibleRecord, isGM, knowledge);
 		this.#tooltipEl.style.display = "block";
 
 		// Image tooltip
-		const img = record?.image;
+		const img = visibleRecord?.image;
 		if (img && this.#imgTooltipEl) {
 			this.#imgTooltipEl.innerHTML = `<img src="${img}">`;
 			this.#imgTooltipEl.style.display = "block";
@@ -0,0 +1,410 @@
+/**
+ * Hirelings and Retainers for Shadowdark Extras
+ *
+ * Features:
+ * - Hireling records on party actors (name, role, daily wage, loyalty)
+ * - Daily wages paid from the party treasury whenever calendar days pass
+ *   (travel, camping, downtime); unpaid days are owed and cost loyalty
+ * - Loyalty checks (d20 roll-under loyalty) and desertion warnings
+ * - Hiring flow that generates candidates with the settlement NPC generator
+ *
+ * Hooks:
+ * - sdx.hirelingLoyaltyCheck (partyActor, hireling, { roll, success })
+ */
+
+import { loadSettlementData, loadHiddenTraitsData, generateNpc, cap } from "./SettlementGenerator.mjs";
+import { spendPartyCoins } from "./PartySheetSD.mjs";
+import { formatCalendarDate } from "./CalendarSD.mjs";
+
+const MODULE_ID = "shadowdark-extras";
+const FLAG_KEY = "hirelings";
+
+export const LOYALTY_MIN = 1;
+export const LOYALTY_MAX = 20;
+export const DEFAULT_LOYALTY = 12;
+export const DESERTION_THRESHOLD = 5;
+const CANDIDATE_COUNT = 3;
+
+/**
+ * Hireling roles with their default daily wage in gp
+ */
+export const HIRELING_ROLES = [
+	{ key: "torchbearer", wage: 0.5 },
+	{ key: "porter", wage: 0.5 },
+	{ key: "guide", wage: 2 },
+	{ key: "mercenary", wage: 3 },
+	{ key: "specialist", wage: 5 }
+];
+
+/**
+ * Get the hireling records of a party
+ * @param {Actor} partyActor
+ * @returns {Object[]}
+ */
+export function getHirelings(partyActor) {
+	return foundry.utils.deepClone(partyActor?.getFlag(MODULE_ID, FLAG_KEY) ?? []);
+}
+
+/**
+ * Save a party's hireling records
+ * @param {Actor} partyActor
+ * @param {Object[]} hirelings
+ */
+async function setHirelings(partyActor, hirelings) {
+	await partyActor.setFlag(MODULE_ID, FLAG_KEY, hirelings);
+}
+
+/**
+ * Update a single hireling record (GM only)
+ * @param {Actor} partyActor
+ * @param {string} hirelingId
+ * @param {Object} changes
+ */
+export async function updateHireling(partyActor, hirelingId, changes) {
+	if (!game.user.isGM) return;
+	const hirelings = getHirelings(partyActor).map(h => h.id === hirelingId ? { ...h, ...changes } : h);
+	await setHirelings(partyActor, hirelings);
+}
+
+/**
+ * Whether a hireling is at risk of deserting
+ * @param {Object} hireling
+ * @returns {boolean}
+ */
+export function isAtRiskOfDesertion(hireling) {
+	return hireling.loyalty <= DESERTION_THRESHOLD || hireling.owed > 0;
+}
+
+/**
+ * Generate hireling candidates with the settlement NPC generator
+ * @param {number} [count]
+ * @returns {Promise<Object[]>}
+ */
+export async function generateCandidates(count = CANDIDATE_COUNT) {
+	const data = await loadSettlementData();
+	try {
+		await loadHiddenTraitsData();
+	} catch {
+		// Hidden traits are optional
+	}
+
+	const candidates = [];
+	for (let i = 0; i < count; i++) {
+		const npc = generateNpc(data);
+		const role = HIRELING_ROLES[Math.floor(Math.random() * HIRELING_ROLES.length)];
+		candidates.push({
+			...npc,
+			trait: cap(npc.trait),
+			appearance: cap(npc.appearance),
+			role: role.key,
+			wage: role.wage,
+			loyalty: DEFAULT_LOYALTY
+		});
+	}
+	return candidates;
+}
+
+/**
+ * Hire a candidate onto a party (GM only)
+ * @param {Actor} partyActor
+ * @param {Object} candidate
+ * @returns {Promise<Object|null>} The new hireling record
+ */
+export async function hireCandidate(partyActor, candidate) {
+	if (!game.user.isGM) return null;
+
+	const hireling = {
+		id: foundry.utils.randomID(),
+		name: candidate.name,
+		role: candidate.role,
+		wage: Math.max(0, Number(candidate.wage) || 0),
+		loyalty: Math.clamp(Number(candidate.loyalty) || DEFAULT_LOYALTY, LOYALTY_MIN, LOYALTY_MAX),
+		owed: 0,
+		trait: candidate.trait ?? "",
+		appearance: candidate.appearance ?? "",
+		pocket: candidate.pocket ?? "",
+		hiddenTrait: candidate.hiddenTrait ?? "",
+		hiredOn: formatCalendarDate()
+	};
+
+	await setHirelings(partyActor, [...getHirelings(partyActor), hireling]);
+	ui.notifications.info(game.i18n.format("SHADOWDARK_EXTRAS.hirelings.hired", { name: hireling.name, party: partyActor.name }));
+	return hireling;
+}
+
+/**
+ * Dismiss a hireling (GM only)
+ * @param {Actor} partyActor
+ * @param {string} hirelingId
+ */
+export async function dismissHireling(partyActor, hirelingId) {
+	if (!game.user.isGM) return;
+	await setHirelings(partyActor, getHirelings(partyActor).filter(h => h.id !== hirelingId));
+}
+
+/**
+ * Adjust a hireling's loyalty (GM only)
+ * @param {Actor} partyActor
+ * @param {string} hirelingId
+ * @param {number} delta
+ */
+export async function adjustHirelingLoyalty(partyActor, hirelingId, delta) {
+	const hireling = getHirelings(partyActor).find(h => h.id === hirelingId);
+	if (!hireling) return;
+	const loyalty = Math.clamp(hireling.loyalty + delta, LOYALTY_MIN, LOYALTY_MAX);
+	await updateHireling(partyActor, hirelingId, { loyalty });
+}
+
+/**
+ * Roll a loyalty check for a hireling and post the result.
+ * The hireling stays loyal on a d20 roll equal to or under their loyalty.
+ * A failure costs a point of loyalty.
+ * @param {Actor} partyActor
+ * @param {string} hirelingId
+ * @returns {Promise<boolean|null>} True if the hireling stays loyal
+ */
+export async function rollLoyaltyCheck(partyActor, hirelingId) {
+	const hireling = getHirelings(partyActor).find(h => h.id === hirelingId);
+	if (!hireling) return null;
+
+	const roll = await new Roll("1d20").evaluate();
+	const success = roll.total <= hireling.loyalty && roll.total !== 20;
+	const loyalty = success ? hireling.loyalty : Math.max(LOYALTY_MIN, hireling.loyalty - 1);
+	if (!success && game.user.isGM) await updateHireling(partyActor, hirelingId, { loyalty });
+
+	const deserts = !success && loyalty <= DESERTION_THRESHOLD;
+	const resultKey = success ? "loyal" : (deserts ? "deserts" : "wavers");
+
+	const content = `
+		<div class="shadowdark chat-card sdx-hireling-card ${resultKey}">
+			<header class="sdx-hireling-card-header">
+				<i class="fas ${success ? "fa-handshake" : "fa-person-walking-arrow-right"}"></i>
+				<h3>${foundry.utils.escapeHTML(hireling.name)}</h3>
+			</header>
+			<p class="sdx-hireling-card-role">${game.i18n.localize(`SHADOWDARK_EXTRAS.hirelings.role.${hireling.role}`)} &middot; ${foundry.utils.escapeHTML(partyActor.name)}</p>
+			<div class="sdx-hireling-card-roll">${game.i18n.format("SHADOWDARK_EXTRAS.hirelings.check_roll", { loyalty: hireling.loyalty })}
+				<strong>${roll.total}</strong></div>
+			<div class="sdx-hireling-card-result">${game.i18n.localize(`SHADOWDARK_EXTRAS.hirelings.result.${resultKey}`)}</div>
+		</div>`;
+
+	await ChatMessage.create({
+		user: game.user.id,
+		speaker: { alias: game.i18n.localize("SHADOWDARK_EXTRAS.hirelings.title") },
+		content,
+		rolls: [roll],
+		whisper: ChatMessage.getWhisperRecipients("GM")
+	});
+
+	Hooks.callAll("sdx.hirelingLoyaltyCheck", partyActor, hireling, { roll, success });
+	return success;
+}
+
+/**
+ * Pay a party's hirelings for a number of days (GM only).
+ * Hirelings are paid in order; anyone the treasury can't cover is owed
+ * the wage and loses a point of loyalty per unpaid day. Zero days settles
+ * outstanding debts only.
+ * @param {Actor} partyActor
+ * @param {number} days
+ * @returns {Promise<Object|null>} { paidCp, unpaid: Object[] }
+ */
+export async function payHirelingWages(partyActor, days = 1) {
+	if (!game.user.isGM || days < 0) return null;
+
+	const hirelings = getHirelings(partyActor);
+	if (!hirelings.length) return null;
+
+	let paidCp = 0;
+	const unpaid = [];
+	for (const hireling of hirelings) {
+		// Settle old debts first, then today's wages
+		const dueCp = Math.round(((hireling.owed ?? 0) + (hireling.wage * days)) * 100);
+		if (dueCp <= 0) continue;
+
+		const result = await spendPartyCoins(partyActor, dueCp);
+		paidCp += result.paidCp;
+
+		if (result.shortfallCp > 0) {
+			hireling.owed = result.shortfallCp / 100;
+			hireling.loyalty = Math.max(LOYALTY_MIN, hireling.loyalty - days);
+			unpaid.push(hireling);
+		} else {
+			// Clearing a debt wins back some goodwill
+			if (hireling.owed > 0) hireling.loyalty = Math.min(LOYALTY_MAX, hireling.loyalty + 1);
+			hireling.owed = 0;
+		}
+	}
+
+	await setHirelings(partyActor, hirelings);
+
+	const atRisk = hirelings.filter(isAtRiskOfDesertion);
+	if (atRisk.length) await postDesertionWarning(partyActor, atRisk);
+
+	return { paidCp, unpaid };
+}
+
+/**
+ * Whisper the GM about hirelings who may desert
+ * @param {Actor} partyActor
+ * @param {Object[]} hirelings
+ */
+async function postDesertionWarning(partyActor, hirelings) {
+	const rows = hirelings.map(h => {
+		const reasons = [];
+		if (h.owed > 0) reasons.push(game.i18n.format("SHADOWDARK_EXTRAS.hirelings.owed_amount", { gp: h.owed }));
+		if (h.loyalty <= DESERTION_THRESHOLD) reasons.push(game.i18n.format("SHADOWDARK_EXTRAS.hirelings.low_loyalty", { loyalty: h.loyalty }));
+		return `<li><strong>${foundry.utils.escapeHTML(h.name)}</strong>: ${reasons.join(", ")}</li>`;
+	}).join("");
+
+	await ChatMessage.create({
+		user: game.user.id,
+		speaker: { alias: game.i18n.localize("SHADOWDARK_EXTRAS.hirelings.title") },
+		content: `
+			<div class="shadowdark chat-card sdx-hireling-card deserts">
+				<header class="sdx-hireling-card-header">
+					<i class="fas fa-triangle-exclamation"></i>
+					<h3>${game.i18n.format("SHADOWDARK_EXTRAS.hirelings.desertion_warning", { party: foundry.utils.escapeHTML(partyActor.name) })}</h3>
+				</header>
+				<ul class="sdx-hireling-card-list">${rows}</ul>
+			</div>`,
+		whisper: ChatMessage.getWhisperRecipients("GM")
+	});
+}
+
+/**
+ * Show the hiring dialog: generated candidates to choose from, with a reroll
+ * @param {Actor} partyActor
+ */
+export async function showHireDialog(partyActor) {
+	if (!game.user.isGM) return;
+
+	let candidates = await generateCandidates();
+
+	const renderContent = () => `
+		<div class="sdx-hire-candidates">
+			<p>${game.i18n.format("SHADOWDARK_EXTRAS.hirelings.hire_prompt", { party: foundry.utils.escapeHTML(partyActor.name) })}</p>
+			${candidates.map((c, index) => `
+				<label class="sdx-hire-candidate">
+					<input type="radio" name="candidate" value="${index}" ${index === 0 ? "checked" : ""} />
+					<div class="sdx-hire-candidate-info">
+						<strong>${foundry.utils.escapeHTML(c.name)}</strong>
+						<select name="role-${index}">
+							${HIRELING_ROLES.map(r => `<option value="${r.key}" ${r.key === c.role ? "selected" : ""}>${game.i18n.localize(`SHADOWDARK_EXTRAS.hirelings.role.${r.key}`)}</option>`).join("")}
+						</select>
+						<span class="sdx-hire-wage">
+							<input type="number" name="wage-${index}" value="${c.wage}" min="0" step="0.1" /> ${game.i18n.localize("SHADOWDARK_EXTRAS.hirelings.gp_per_day")}
+						</span>
+						<div class="sdx-hire-candidate-desc">${foundry.utils.escapeHTML(c.appearance)} (<em>${foundry.utils.escapeHTML(c.trait)}</em>)</div>
+					</div>
+				</label>`).join("")}
+		</div>`;
+
+	const dialog = new Dialog({
+		title: game.i18n.localize("SHADOWDARK_EXTRAS.hirelings.hire_title"),
+		content: renderContent(),
+		buttons: {
+			hire: {
+				icon: '<i class="fas fa-handshake"></i>',
+				label: game.i18n.localize("SHADOWDARK_EXTRAS.hirelings.hire"),
+				callback: async (html) => {
+					const form = html[0];
+					const index = Number(form.querySelector("input[name='candidate']:checked")?.value ?? 0);
+					const candidate = candidates[index];
+					if (!candidate) return;
+					candidate.role = form.querySelector(`[name='role-${index}']`)?.value ?? candidate.role;
+					candidate.wage = Number(form.querySelector(`[name='wage-${index}']`)?.value) || 0;
+					await hireCandidate(partyActor, candidate);
+				}
+			},
+			reroll: {
+				icon: '<i class="fas fa-dice"></i>',
+				label: game.i18n.localize("SHADOWDARK_EXTRAS.hirelings.reroll"),
+				callback: async () => {
+					candidates = await generateCandidates();
+					dialog.data.content = renderContent();
+					dialog.render(true);
+				}
+			}
+		},
+		default: "hire",
+		close: () => { }
+	}, { classes: ["dialog", "sdx-hire-dialog"], width: 420 });
+
+	// Keep the dialog open after rerolling
+	const originalSubmit = dialog.submit.bind(dialog);
+	dialog.submit = async function (button, event) {
+		if (button === this.data.buttons.reroll) {
+			await button.callback();
+			return;
+		}
+		return originalSubmit(button, event);
+	};
+
+	dialog.render(true);
+}
+
+/**
+ * Prepare hireling records for display on the party sheet
+ * @param {Actor} partyActor
+ * @returns {Object[]}
+ */
+export function prepareHirelings(partyActor) {
+	return getHirelings(partyActor).map(h => ({
+		...h,
+		roleLabel: game.i18n.localize(`SHADOWDARK_EXTRAS.hirelings.role.${h.role}`),
+		atRisk: isAtRiskOfDesertion(h),
+		details: [h.appearance, h.trait, h.pocket ? game.i18n.format("SHADOWDARK_EXTRAS.hirelings.pocket", { item: h.pocket }) : ""]
+			.filter(Boolean).join(". ")
+	}));
+}
+
+/**
+ * Hook: days passed on the calendar. Pay every party's hirelings.
+ * @param {Object} date
+ * @param {number} daysPassed
+ */
+async function onNewDay(date, daysPassed) {
+	if (!game.users.activeGM?.isSelf) return;
+	if (!game.settings.get(MODULE_ID, "hirelingWages")) return;
+
+	for (const actor of game.actors) {
+		if (actor.type !== "NPC" || !actor.getFlag(MODULE_ID, "isParty")) continue;
+		await payHirelingWages(actor, daysPassed);
+	}
+}
+
+/**
+ * Register Hireling settings
+ */
+export function registerHirelingSettings() {
+	game.settings.register(MODULE_ID, "hirelingWages", {
+		name: game.i18n.localize("SHADOWDARK_EXTRAS.settings.hireling_wages.name"),
+		hint: game.i18n.localize("SHADOWDARK_EXTRAS.settings.hireling_wages.hint"),
+		scope: "world",
+		config: true,
+		default: true,
+		type: Boolean,
+		requiresReload: false,
+	});
+}
+
+/**
+ * Initialize hireling hooks
+ */
+export function initHirelings() {
+	Hooks.on("sdx.newDay", onNewDay);
+
+	Hooks.once("ready", () => {
+		if (!game.shadowdarkExtras) game.shadowdarkExtras = {};
+		game.shadowdarkExtras.hirelings = {
+			get: getHirelings,
+			hire: hireCandidate,
+			dismiss: dismissHireling,
+			generateCandidates,
+			adjustLoyalty: adjustHirelingLoyalty,
+			rollLoyalty: rollLoyaltyCheck,
+			payWages: payHirelingWages,
+			showHireDialog
+		};
+	});
+}
@@ -0,0 +1,280 @@
+/**
+ * Initiative Modes for Shadowdark Extras
+ *
+ * Adds side and group initiative on top of the core per-combatant rolls,
+ * chosen in Combat Settings (initiativeMode):
+ * - individual: core behaviour, every combatant rolls
+ * - side: one roll per disposition. The friendly side rolls with the member of
+ *   their party (PartySheetSD) with the highest DEX, other sides with their
+ *   highest DEX combatant.
+ * - group: NPCs of the same actor share one roll, player characters roll
+ *   individually.
+ * Every combatant in a group gets the group's result, so turns stay
+ * per combatant and the end-of-turn hooks (untargeting, template and aura
+ * turn triggers) still fire for each of them. The tracker shows a header
+ * above each group.
+ *
+ * With rerollInitiative enabled, initiative is rolled again before every new
+ * round.
+ */
+
+import { getSocket } from "./CombatSettingsSD.mjs";
+import { getPartiesContainingActor, getPartyMembers } from "./PartySheetSD.mjs";
+
+const MODULE_ID = "shadowdark-extras";
+const SIDE_LABELS = {
+	[CONST.TOKEN_DISPOSITIONS.FRIENDLY]: "SHADOWDARK_EXTRAS.initiative.side_friendly",
+	[CONST.TOKEN_DISPOSITIONS.NEUTRAL]: "SHADOWDARK_EXTRAS.initiative.side_neutral",
+	[CONST.TOKEN_DISPOSITIONS.HOSTILE]: "SHADOWDARK_EXTRAS.initiative.side_hostile",
+	[CONST.TOKEN_DISPOSITIONS.SECRET]: "SHADOWDARK_EXTRAS.initiative.side_hostile"
+};
+
+/**
+ * Get the initiative options from Combat Settings
+ * @returns {{ mode: string, reroll: boolean }}
+ */
+export function getInitiativeSettings() {
+	const settings = game.settings.get(MODULE_ID, "combatSettings") ?? {};
+	return {
+		mode: settings.initiativeMode || "individual",
+		reroll: !!settings.rerollInitiative
+	};
+}
+
+/**
+ * Get an actor's DEX modifier
+ * @param {Actor} actor
+ * @returns {number}
+ */
+function getDexMod(actor) {
+	return actor?.abilityModifier?.("dex") ?? actor?.system?.abilities?.dex?.mod ?? 0;
+}
+
+/**
+ * Get the key of the initiative group a combatant belongs to
+ * @param {Combatant} combatant
+ * @param {string} mode
+ * @returns {string}
+ */
+export function getInitiativeGroupKey(combatant, mode = getInitiativeSettings().mode) {
+	if (mode === "side") {
+		const disposition = combatant.token?.disposition ?? CONST.TOKEN_DISPOSITIONS.NEUTRAL;
+		// Secret tokens roll with the hostile side so they aren't given away
+		return `side-${disposition === CONST.TOKEN_DISPOSITIONS.SECRET ? CONST.TOKEN_DISPOSITIONS.HOSTILE : disposition}`;
+	}
+	if (mode === "group" && combatant.actor?.type === "NPC") {
+		return `actor-${combatant.token?.actorId ?? combatant.actorId}`;
+	}
+	return `combatant-${combatant.id}`;
+}
+
+/**
+ * Get a display label for an initiative group
+ * @param {Combatant[]} members
+ * @param {string} mode
+ * @returns {string}
+ */
+function getGroupLabel(members, mode) {
+	if (mode === "side") {
+		const disposition = members[0].token?.disposition ?? CONST.TOKEN_DISPOSITIONS.NEUTRAL;
+		return game.i18n.localize(SIDE_LABELS[disposition] ?? SIDE_LABELS[CONST.TOKEN_DISPOSITIONS.NEUTRAL]);
+	}
+	return members[0].token?.baseActor?.name ?? members[0].actor?.name ?? members[0].name;
+}
+
+/**
+ * Pick the combatant whose initiative roll a group uses
+ * @param {Combatant[]} members
+ * @param {string} mode
+ * @returns {Combatant}
+ */
+function getGroupRoller(members, mode) {
+	let candidates = members;
+
+	// The friendly side rolls with the party's best DEX
+	if (mode === "side" && members[0].token?.disposition === CONST.TOKEN_DISPOSITIONS.FRIENDLY) {
+		const partyMemberIds = new Set();
+		for (const combatant of members) {
+			for (const party of getPartiesContainingActor(combatant.actor)) {
+				for (const member of getPartyMembers(party)) partyMemberIds.add(member.id);
+			}
+		}
+		const inParty = members.filter(c => partyMemberIds.has(c.actor?.id));
+		if (inParty.length) candidates = inParty;
+	}
+
+	return candidates.reduce((best, c) => getDexMod(c.actor) > getDexMod(best.actor) ? c : best);
+}
+
+/**
+ * Group a combat's combatants by initiative group
+ * @param {Combat} combat
+ * @param {string} mode
+ * @returns {Map<string, Combatant[]>}
+ */
+function getInitiativeGroups(combat, mode) {
+	const groups = new Map();
+	for (const combatant of combat.combatants) {
+		const key = getInitiativeGroupKey(combatant, mode);
+		if (!groups.has(key)) groups.set(key, []);
+		groups.get(key).push(combatant);
+	}
+	return groups;
+}
+
+/**
+ * Roll initiative for the groups of the given combatants.
+ * Combatants of a group that already has a result join it; otherwise the
+ * group rolls once and every member without initiative gets the result.
+ * @param {Combat} combat
+ * @param {string[]} ids - Combatant ids to roll for
+ * @param {Object} [options]
+ * @param {boolean} [options.updateTurn] - Keep the current combatant's turn
+ * @param {boolean} [options.reroll] - Replace existing results
+ * @returns {Promise<Combat>}
+ */
+export async function rollGroupInitiative(combat, ids, { updateTurn = true, reroll = false } = {}) {
+	const { mode } = getInitiativeSettings();
+	const groups = getInitiativeGroups(combat, mode);
+	const currentId = combat.combatant?.id;
+	const requested = new Set(ids);
+	const updates = [];
+	const takenTotals = new Set();
+	if (!reroll) {
+		for (const c of combat.combatants) if (c.initiative !== null && !requested.has(c.id)) takenTotals.add(c.initiative);
+	}
+
+	for (const members of groups.values()) {
+		if (!members.some(c => requested.has(c.id))) continue;
+
+		const existing = reroll ? null : members.find(c => c.initiative !== null && !requested.has(c.id));
+		let total = existing?.initiative ?? null;
+
+		if (total === null) {
+			const roller = getGroupRoller(members, mode);
+			let roll = await roller.getInitiativeRoll().evaluate();
+			// Groups sharing a total would interleave in the tracker, so roll again
+			for (let i = 0; i < 10 && takenTotals.has(roll.total) && members.length > 1; i++) {
+				roll = await roller.getInitiativeRoll().evaluate();
+			}
+			total = roll.total;
+
+			const label = getGroupLabel(members, mode);
+			await roll.toMessage({
+				speaker: ChatMessage.getSpeaker({ actor: roller.actor, token: roller.token }),
+				flavor: members.length > 1
+					? game.i18n.format("SHADOWDARK_EXTRAS.initiative.group_flavor", { group: label, name: roller.name })
+					: game.i18n.format("COMBAT.RollsInitiative", { name: roller.name }),
+				flags: { "core.initiativeRoll": true }
+			}, { rollMode: roller.hidden ? CONST.DICE_ROLL_MODES.PRIVATE : game.settings.get("core", "rollMode") });
+		}
+		takenTotals.add(total);
+
+		for (const c of members) {
+			if (reroll || c.initiative === null || requested.has(c.id)) updates.push({ _id: c.id, initiative: total });
+		}
+	}
+
+	if (!updates.length) return combat;
+	await combat.updateEmbeddedDocuments("Combatant", updates);
+
+	if (updateTurn && currentId) {
+		await combat.update({ turn: combat.turns.findIndex(t => t.id === currentId) });
+	}
+	return combat;
+}
+
+/**
+ * Roll initiative again for every combatant (used between rounds)
+ * @param {Combat} combat
+ * @returns {Promise<Combat>}
+ */
+export async function rerollAllInitiative(combat) {
+	const { mode } = getInitiativeSettings();
+	const ids = combat.combatants.map(c => c.id);
+	if (mode === "individual") {
+		await combat.resetAll();
+		return combat.rollInitiative(ids, { updateTurn: false });
+	}
+	return rollGroupInitiative(combat, ids, { updateTurn: false, reroll: true });
+}
+
+/**
+ * Wrap the combat document so initiative rolls and new rounds use the
+ * configured mode
+ */
+function wrapCombat() {
+	const CombatClass = CONFIG.Combat.documentClass;
+
+	const originalRollInitiative = CombatClass.prototype.rollInitiative;
+	CombatClass.prototype.rollInitiative = async function (ids, options = {}) {
+		if (getInitiativeSettings().mode === "individual") return originalRollInitiative.call(this, ids, options);
+
+		ids = typeof ids === "string" ? [ids] : Array.from(ids);
+		// Players can't update the other members of their group
+		if (!game.user.isGM) {
+			await getSocket()?.executeAsGM("rollGroupInitiative", { combatId: this.id, ids, updateTurn: options.updateTurn ?? true });
+			return this;
+		}
+		return rollGroupInitiative(this, ids, options);
+	};
+
+	const originalNextRound = CombatClass.prototype.nextRound;
+	CombatClass.prototype.nextRound = async function (...args) {
+		// Roll before the round advances so the new round starts with the new first combatant
+		if (getInitiativeSettings().reroll && this.started) {
+			if (game.user.isGM) await rerollAllInitiative(this);
+			else await getSocket()?.executeAsGM("rerollInitiative", { combatId: this.id });
+		}
+		return originalNextRound.apply(this, args);
+	};
+}
+
+/**
+ * Hook: add group headers to the combat tracker
+ * @param {CombatTracker} app
+ * @param {HTMLElement|jQuery} html
+ */
+function onRenderCombatTracker(app, html) {
+	const root = html instanceof HTMLElement ? html : html[0];
+	const combat = app.viewed ?? game.combat;
+	const { mode } = getInitiativeSettings();
+	if (!root || !combat || mode === "individual") return;
+
+	const groups = getInitiativeGroups(combat, mode);
+	let previousKey = null;
+	for (const combatant of combat.turns) {
+		const key = getInitiativeGroupKey(combatant, mode);
+		const li = root.querySelector(`[data-combatant-id="${combatant.id}"]`);
+		if (!li) continue;
+		const members = groups.get(key);
+		if (members.length > 1 || mode === "side") {
+			li.classList.add("sdx-initiative-grouped");
+			if (key !== previousKey && !li.previousElementSibling?.classList.contains("sdx-initiative-group-header")) {
+				const header = document.createElement("li");
+				header.className = "sdx-initiative-group-header";
+				header.textContent = getGroupLabel(members, mode);
+				li.before(header);
+			}
+		}
+		previousKey = key;
+	}
+}
+
+/**
+ * Initialize initiative modes
+ */
+export function initInitiative() {
+	Hooks.once("setup", wrapCombat);
+	Hooks.on("renderCombatTracker", onRenderCombatTracker);
+
+	Hooks.once("ready", () => {
+		if (!game.shadowdarkExtras) game.shadowdarkExtras = {};
+		game.shadowdarkExtras.initiative = {
+			getSettings: getInitiativeSettings,
+			getGroupKey: getInitiativeGroupKey,
+			rollGroups: rollGroupInitiative,
+			rerollAll: rerollAllInitiative
+		};
+	});
+}
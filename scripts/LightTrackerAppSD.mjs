@@ -5,6 +5,8 @@
  * Provides SDX styling while leveraging the existing tracking logic.
  */
 
+import { isWandRechargeEnabled, rechargeAll } from "./WandRechargeSD.mjs";
+
 const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
 
 const MODULE_ID = "shadowdark-extras";
@@ -38,7 +40,8 @@ export class LightTrackerAppSD extends HandlebarsApplicationMixin(ApplicationV2)
             disableLight: LightTrackerAppSD.onDisableLight,
             disableActorLights: LightTrackerAppSD.onDisableActorLights,
             disableAllLights: LightTrackerAppSD.onDisableAllLights,
-            toggleShowAll: LightTrackerAppSD.onToggleShowAll
+            toggleShowAll: LightTrackerAppSD.onToggleShowAll,
+            rechargeAllWands: LightTrackerAppSD.onRechargeAllWands
         }
     };
 
@@ -104,7 +107,8 @@ export class LightTrackerAppSD extends HandlebarsApplicationMixin(ApplicationV2)
             isRealtimeEnabled: tracker.realTime?.isEnabled() ?? false,
             paused: tracker.realTime?.isPaused() ?? false,
             showAllPlayerActors: this.showAllPlayerActors,
-            hasActiveLights: monitoredLightSources.some(a => a.lightSources?.length > 0)
+            hasActiveLights: monitoredLightSources.some(a => a.lightSources?.length > 0),
+            canRechargeWands: game.user.isGM && isWandRechargeEnabled()
         };
     }
 
@@ -298,6 +302,16 @@ export class LightTrackerAppSD extends HandlebarsApplicationMixin(ApplicationV2)
         this.showAllPlayerActors = !this.showAllPlayerActors;
         this.render({ force: true });
     }
+
+    /**
+     * Recharge every wand and staff on player characters (GM only)
+     */
+    static async onRechargeAllWands(event, target) {
+        if (!game.user.isGM) return;
+
+        console.log(`${MODULE_ID} | Recharging all wands and staves`);
+        await rechargeAll();
+    }
 }
 
 /**
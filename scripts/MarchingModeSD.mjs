@@ -531,6 +531,10 @@ function onPreUpdateToken(tokenDoc, changes, options, userId) {
     // Skip if no position change
     if (!changes.x && !changes.y) return true;
 
+    // Send the pre-move position along with the update: the GM client records
+    // the leader's path and distance, but only the moving client sees this hook
+    options.sdxMoveOrigin = { x: tokenDoc.x, y: tokenDoc.y };
+
     if (!marchingModeEnabled) return true;
     if (!leaderTokenId) return true;
 
@@ -592,6 +596,11 @@ async function onUpdateToken(tokenDoc, changes, options, userId) {
             gridPos: getGridPositionKey(tokenDoc.x, tokenDoc.y)
         };
 
+        // Let other systems (e.g. the crawl tracker) know how far the leader travelled
+        const origin = options.sdxMoveOrigin ?? startPosition;
+        const distance = canvas.grid.measurePath([origin, endPosition]).distance;
+        Hooks.callAll("sdx.marchingLeaderMoved", token, distance);
+
         // Add starting position if path is empty
         if (leaderMovementPath.length === 0) {
             leaderMovementPath.push(startPosition);
@@ -0,0 +1,265 @@
+/**
+ * Morale and Reactions for Shadowdark Extras
+ *
+ * Features:
+ * - Automatic morale checks (DC 15 WIS) when an NPC group is reduced to half
+ *   its numbers or its leader drops to 0 HP during combat
+ * - Per-NPC "fearless" flag for creatures that never check morale
+ * - Reaction rolls for NPC tokens (token toolbar button)
+ *
+ * An NPC group is every NPC combatant in the current combat sharing the same
+ * token disposition; its leader is the highest level member.
+ */
+
+import { getEncounterConfig, rollReactionCheck } from "./EncounterSD.mjs";
+
+const MODULE_ID = "shadowdark-extras";
+const MORALE_DC = 15;
+
+/**
+ * Whether an NPC never checks morale
+ * @param {Actor} actor
+ * @returns {boolean}
+ */
+export function isFearless(actor) {
+	return !!actor?.getFlag(MODULE_ID, "fearless");
+}
+
+/**
+ * Get an ability modifier for any actor type
+ * @param {Actor} actor
+ * @param {string} ability
+ * @returns {number}
+ */
+function getAbilityMod(actor, ability) {
+	return actor?.abilityModifier?.(ability) ?? actor?.system?.abilities?.[ability]?.mod ?? 0;
+}
+
+function getCombatantHp(combatant) {
+	return combatant.actor?.system?.attributes?.hp?.value ?? 0;
+}
+
+/**
+ * Get the NPC combatants sharing a disposition in a combat
+ * @param {Combat} combat
+ * @param {number} disposition
+ * @returns {Combatant[]}
+ */
+function getMoraleGroup(combat, disposition) {
+	return combat.combatants.filter(c => c.actor?.type === "NPC" && c.token?.disposition === disposition);
+}
+
+/**
+ * Find the leader of a group: the highest level member
+ * @param {Combatant[]} group
+ * @returns {Combatant|null}
+ */
+function getGroupLeader(group) {
+	return group.reduce((best, c) => {
+		const level = c.actor?.system?.level?.value ?? 0;
+		const bestLevel = best?.actor?.system?.level?.value ?? -Infinity;
+		return level > bestLevel ? c : best;
+	}, null);
+}
+
+/**
+ * Hook: an actor's HP changed. Triggers morale checks for NPC groups.
+ * @param {Actor} actor
+ * @param {Object} data - { oldHp, newHp }
+ */
+async function onHpChanged(actor, { oldHp, newHp }) {
+	if (!game.user.isGM) return;
+	if (!game.settings.get(MODULE_ID, "enableMoraleChecks")) return;
+	if (actor.type !== "NPC") return;
+	if (newHp > 0 || oldHp <= 0) return;
+
+	const combat = game.combat;
+	if (!combat?.started) return;
+
+	const combatant = combat.combatants.find(c =>
+		actor.isToken ? c.tokenId === actor.token?.id : c.actorId === actor.id
+	);
+	if (!combatant?.token) return;
+
+	const disposition = combatant.token.disposition;
+	const group = getMoraleGroup(combat, disposition);
+	if (group.length < 2) return;
+
+	const state = foundry.utils.deepClone(combat.getFlag(MODULE_ID, "morale")?.[disposition] ?? {});
+	const leader = getGroupLeader(group);
+	const survivors = group.filter(c => getCombatantHp(c) > 0);
+	if (!survivors.length) return;
+
+	let trigger = null;
+	if (leader?.id === combatant.id && !state.leaderChecked) {
+		state.leaderChecked = true;
+		trigger = "leader";
+	} else if (!state.halfChecked && survivors.length <= group.length / 2) {
+		state.halfChecked = true;
+		trigger = "half";
+	}
+	if (!trigger) return;
+
+	await combat.setFlag(MODULE_ID, `morale.${disposition}`, state);
+	await rollMoraleCheck(survivors.map(c => c.actor), trigger, { leaderName: combatant.name });
+}
+
+/**
+ * Roll a morale check for a group of NPCs and post the result.
+ * Fearless members always hold; the rest roll once using the best WIS modifier.
+ * @param {Actor[]} actors - The surviving members
+ * @param {string} trigger - "half", "leader" or "manual"
+ * @param {Object} [options]
+ * @param {string} [options.leaderName]
+ * @returns {Promise<boolean|null>} True if the group holds, null if nobody needed to check
+ */
+export async function rollMoraleCheck(actors, trigger = "manual", { leaderName = "" } = {}) {
+	const checking = actors.filter(a => !isFearless(a));
+	const fearless = actors.filter(a => isFearless(a));
+
+	let roll = null;
+	let holds = true;
+	if (checking.length) {
+		const wisMod = Math.max(...checking.map(a => getAbilityMod(a, "wis")));
+		roll = await new Roll(`1d20 + ${wisMod}`).evaluate();
+		holds = roll.total >= MORALE_DC;
+	}
+
+	const names = list => [...new Set(list.map(a => a.name))].join(", ");
+	const triggerText = game.i18n.format(`SHADOWDARK_EXTRAS.morale.trigger.${trigger}`, { name: leaderName });
+	const resultText = !roll
+		? game.i18n.localize("SHADOWDARK_EXTRAS.morale.all_fearless")
+		: game.i18n.localize(holds ? "SHADOWDARK_EXTRAS.morale.holds" : "SHADOWDARK_EXTRAS.morale.flees");
+
+	const content = `
+		<div class="shadowdark chat-card sdx-morale-card ${holds ? "holds" : "flees"}">
+			<header class="sdx-morale-header">
+				<i class="fas ${holds ? "fa-shield-halved" : "fa-person-running"}"></i>
+				<h3>${game.i18n.localize("SHADOWDARK_EXTRAS.morale.title")}</h3>
+			</header>
+			<p class="sdx-morale-trigger">${triggerText}</p>
+			${roll ? `<div class="sdx-morale-roll">${game.i18n.format("SHADOWDARK_EXTRAS.morale.roll", { dc: MORALE_DC })}
+				<strong>${roll.total}</strong> <em>(${roll.formula})</em></div>` : ""}
+			<div class="sdx-morale-result">${resultText}</div>
+			${checking.length ? `<p class="sdx-morale-names">${names(checking)}</p>` : ""}
+			${fearless.length ? `<p class="sdx-morale-fearless"><i class="fas fa-skull"></i>
+				${game.i18n.localize("SHADOWDARK_EXTRAS.morale.fearless")}: ${names(fearless)}</p>` : ""}
+		</div>`;
+
+	await ChatMessage.create({
+		user: game.user.id,
+		speaker: { alias: game.i18n.localize("SHADOWDARK_EXTRAS.morale.title") },
+		content,
+		rolls: roll ? [roll] : [],
+		whisper: ChatMessage.getWhisperRecipients("GM")
+	});
+
+	return roll ? holds : null;
+}
+
+/**
+ * Highest CHA modifier among player characters with a token on the current scene
+ * @returns {number}
+ */
+function getBestSceneChaMod() {
+	const mods = (canvas.tokens?.placeables ?? [])
+		.filter(t => t.actor?.type === "Player" && t.actor.hasPlayerOwner)
+		.map(t => getAbilityMod(t.actor, "cha"));
+	return mods.length ? Math.max(...mods) : 0;
+}
+
+/**
+ * Roll a reaction check for an NPC and post a result card
+ * @param {Actor} actor - The NPC
+ * @returns {Promise<Object>} { total, key }
+ */
+export async function rollReaction(actor) {
+	const chaMod = getBestSceneChaMod();
+	const result = await rollReactionCheck(chaMod);
+	const label = game.i18n.localize(`SHADOWDARK_EXTRAS.encounters.reaction.${result.key}`);
+
+	const content = `
+		<div class="shadowdark chat-card sdx-reaction-card">
+			<header class="sdx-encounter-creature">
+				<img src="${actor.img || "icons/svg/mystery-man.svg"}" />
+				<span class="sdx-encounter-name">${actor.name}</span>
+			</header>
+			<div class="sdx-reaction-result sdx-reaction-${result.key}">
+				<strong>${game.i18n.localize("SHADOWDARK_EXTRAS.encounters.reaction.label")}:</strong> ${label}
+				<em>(${result.total})</em>
+			</div>
+		</div>`;
+
+	await ChatMessage.create({
+		user: game.user.id,
+		speaker: ChatMessage.getSpeaker({ actor }),
+		content,
+		rolls: [result.roll],
+		flavor: game.i18n.localize("SHADOWDARK_EXTRAS.morale.reaction_flavor"),
+		whisper: getEncounterConfig().gmOnly ? ChatMessage.getWhisperRecipients("GM") : []
+	});
+
+	return { total: result.total, key: result.key };
+}
+
+/**
+ * Inject the "fearless" toggle into NPC sheets
+ * @param {Application} app - The NPC sheet application
+ * @param {jQuery|HTMLElement} html - The rendered HTML
+ * @param {Actor} actor - The NPC actor
+ */
+export function injectNpcFearlessToggle(app, html, actor) {
+	if (!game.user?.isGM) return;
+	if (!game.settings.get(MODULE_ID, "enableMoraleChecks")) return;
+
+	const $html = html instanceof HTMLElement ? $(html) : html;
+	const moraleHtml = `
+		<div class="SD-box sdx-morale-box">
+			<div class="header">
+				<label>${game.i18n.localize("SHADOWDARK_EXTRAS.morale.title")}</label>
+			</div>
+			<div class="content">
+				<label class="sdx-morale-fearless-toggle" data-tooltip="${game.i18n.localize("SHADOWDARK_EXTRAS.morale.fearless_hint")}">
+					<input type="checkbox" ${isFearless(actor) ? "checked" : ""}>
+					${game.i18n.localize("SHADOWDARK_EXTRAS.morale.fearless")}
+				</label>
+			</div>
+		</div>
+	`;
+
+	// Place after the creature type box when present, otherwise before the attacks box
+	const $creatureType = $html.find(".sdx-creature-type-box");
+	if ($creatureType.length) {
+		$creatureType.after(moraleHtml);
+	} else {
+		const $attacksBox = $html.find(".grid-1-columns .SD-box").first();
+		if (!$attacksBox.length) return;
+		$attacksBox.before(moraleHtml);
+	}
+
+	$html.find(".sdx-morale-fearless-toggle input").on("change", async (e) => {
+		await actor.setFlag(MODULE_ID, "fearless", e.currentTarget.checked);
+	});
+}
+
+/**
+ * Register Morale settings
+ */
+export function registerMoraleSettings() {
+	game.settings.register(MODULE_ID, "enableMoraleChecks", {
+		name: game.i18n.localize("SHADOWDARK_EXTRAS.settings.enable_morale_checks.name"),
+		hint: game.i18n.localize("SHADOWDARK_EXTRAS.settings.enable_morale_checks.hint"),
+		scope: "world",
+		config: true,
+		default: true,
+		type: Boolean,
+		requiresReload: false,
+	});
+}
+
+/**
+ * Initialize morale hooks
+ */
+export function initMorale() {
+	Hooks.on("sdx.hpChanged", onHpChanged);
+}
@@ -5,6 +5,8 @@
 
 const MODULE_ID = "shadowdark-extras";
 
+import { getDamageTypeChoices } from "./DamageTypesApp.mjs";
+
 const { DocumentSheetV2, HandlebarsApplicationMixin } = foundry.applications.api;
 
 /**
@@ -107,22 +109,10 @@ export default class NPCAttackSheetSD extends HandlebarsApplicationMixin(Documen
         // SDX flags with defaults
         context.sdxFlags = this._getSDXFlags();
 
-        // Damage types (matching the ones used for resistance/immunity/vulnerability)
+        // Damage types (from the damage type registry)
         context.damageTypes = [
             { value: "", label: "— Select Type —" },
-            { value: "bludgeoning", label: "Bludgeoning" },
-            { value: "slashing", label: "Slashing" },
-            { value: "piercing", label: "Piercing" },
-            { value: "physical", label: "Physical (Generic)" },
-            { value: "fire", label: "Fire" },
-            { value: "cold", label: "Cold" },
-            { value: "lightning", label: "Lightning" },
-            { value: "acid", label: "Acid" },
-            { value: "poison", label: "Poison" },
-            { value: "necrotic", label: "Necrotic" },
-            { value: "radiant", label: "Radiant" },
-            { value: "psychic", label: "Psychic" },
-            { value: "force", label: "Force" }
+            ...getDamageTypeChoices()
         ];
 
         // Attack ranges - prepare with checked state
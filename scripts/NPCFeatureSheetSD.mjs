@@ -5,6 +5,8 @@
 
 const MODULE_ID = "shadowdark-extras";
 
+import { getDamageTypeChoices } from "./DamageTypesApp.mjs";
+
 const { DocumentSheetV2, HandlebarsApplicationMixin } = foundry.applications.api;
 
 /**
@@ -143,18 +145,10 @@ export default class NPCFeatureSheetSD extends HandlebarsApplicationMixin(Docume
         // SDX flags with defaults
         context.sdxFlags = this._getSDXFlags();
 
-        // Damage types
+        // Damage types (from the damage type registry)
         context.damageTypes = [
             { value: "", label: "Select Type" },
-            { value: "Fire", label: "Fire" },
-            { value: "Cold", label: "Cold" },
-            { value: "Lightning", label: "Lightning" },
-            { value: "Acid", label: "Acid" },
-            { value: "Poison", label: "Poison" },
-            { value: "Necrotic", label: "Necrotic" },
-            { value: "Radiant", label: "Radiant" },
-            { value: "Force", label: "Force" },
-            { value: "Psychic", label: "Psychic" },
+            ...getDamageTypeChoices({ capitalize: true }),
             { value: "Healing", label: "Healing" }
         ];
 
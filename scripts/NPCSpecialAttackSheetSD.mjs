@@ -6,6 +6,7 @@
 const MODULE_ID = "shadowdark-extras";
 
 import NPCFeatureSheetSD from "./NPCFeatureSheetSD.mjs";
+import { getDamageTypeChoices } from "./DamageTypesApp.mjs";
 
 /**
  * AppV2-based Item Sheet for NPC Special Attack items
@@ -82,22 +83,10 @@ export default class NPCSpecialAttackSheetSD extends NPCFeatureSheetSD {
 
         // Add NPC Attack specific data
 
-        // Damage types (matching NPCAttackSheetSD)
+        // Damage types (from the damage type registry, matching NPCAttackSheetSD)
         context.damageTypes = [
             { value: "", label: "— Select Type —" },
-            { value: "bludgeoning", label: "Bludgeoning" },
-            { value: "slashing", label: "Slashing" },
-            { value: "piercing", label: "Piercing" },
-            { value: "physical", label: "Physical (Generic)" },
-            { value: "fire", label: "Fire" },
-            { value: "cold", label: "Cold" },
-            { value: "lightning", label: "Lightning" },
-            { value: "acid", label: "Acid" },
-            { value: "poison", label: "Poison" },
-            { value: "necrotic", label: "Necrotic" },
-            { value: "radiant", label: "Radiant" },
-            { value: "psychic", label: "Psychic" },
-            { value: "force", label: "Force" }
+            ...getDamageTypeChoices()
         ];
 
         // Attack ranges - prepare with checked state
@@ -0,0 +1,399 @@
+/**
+ * Opportunity Attacks for Shadowdark Extras
+ *
+ * When the active combatant moves out of a hostile combatant's melee reach
+ * during its own turn, the owners of the threatening token get a prompt card
+ * to make a free attack with their equipped melee weapon (or close NPC attack).
+ * - Reach is Close (adjacent, edge to edge) like the weapon range check, plus
+ *   5 ft for weapons with the Reach property.
+ * - Each threatening token gets one opportunity attack per round.
+ * - A combatant can disengage for the turn from the combat tracker; teleports
+ *   and moves made with the sdxForcedMovement option never provoke.
+ * - Incapacitated, dying or defeated combatants do not threaten.
+ *
+ * Enabled per combat: the GM toggles it from the combat tracker header, the
+ * world default comes from Combat Settings (opportunityAttacks).
+ *
+ * Storage:
+ * - combat flag opportunityAttacks: boolean override of the world default
+ * - actor flag disengaged: { combatId, round, turn }
+ * - actor flag opportunityUsed: { combatId, round }
+ */
+
+import { isDying } from "./DyingSD.mjs";
+
+const MODULE_ID = "shadowdark-extras";
+const INCAPACITATED_STATUSES = ["dead", "unconscious", "paralyzed", "stunned", "sleep", "asleep"];
+
+// Token positions captured before a move, keyed by token id
+const _previousPositions = new Map();
+
+/**
+ * Whether opportunity attacks are active for a combat
+ * @param {Combat} combat
+ * @returns {boolean}
+ */
+export function isOpportunityEnabled(combat) {
+	if (!combat) return false;
+	const override = combat.getFlag(MODULE_ID, "opportunityAttacks");
+	if (typeof override === "boolean") return override;
+	return !!game.settings.get(MODULE_ID, "combatSettings")?.opportunityAttacks;
+}
+
+/**
+ * Whether a flag value belongs to the given combat round (and turn)
+ * @param {Object|null} value
+ * @param {Combat} combat
+ * @param {boolean} [matchTurn]
+ * @returns {boolean}
+ */
+function isCurrent(value, combat, matchTurn = false) {
+	if (!value || value.combatId !== combat.id || value.round !== combat.round) return false;
+	return !matchTurn || value.turn === combat.turn;
+}
+
+/**
+ * Whether an actor has disengaged for the current turn
+ * @param {Actor} actor
+ * @param {Combat} combat
+ * @returns {boolean}
+ */
+export function isDisengaged(actor, combat) {
+	return isCurrent(actor?.getFlag(MODULE_ID, "disengaged"), combat, true);
+}
+
+/**
+ * Mark or clear an actor as disengaging for the current turn
+ * @param {Actor} actor
+ * @param {boolean} disengaged
+ * @param {Combat} [combat]
+ */
+export async function setDisengaged(actor, disengaged, combat = game.combat) {
+	if (!actor || !combat) return;
+	if (!disengaged) {
+		await actor.unsetFlag(MODULE_ID, "disengaged");
+		return;
+	}
+	await actor.setFlag(MODULE_ID, "disengaged", { combatId: combat.id, round: combat.round, turn: combat.turn });
+}
+
+/**
+ * Whether an item carries the Reach weapon property
+ * @param {Item} item
+ * @returns {boolean}
+ */
+function hasReachProperty(item) {
+	const properties = item?.system?.properties ?? [];
+	return properties.some(uuid => fromUuidSync(uuid)?.name?.toLowerCase() === "reach");
+}
+
+/**
+ * Get the weapon an actor would use for an opportunity attack
+ * @param {Actor} actor
+ * @returns {Item|null}
+ */
+export function getOpportunityWeapon(actor) {
+	if (!actor) return null;
+	if (actor.type === "NPC") {
+		return actor.items.find(i => i.type === "NPC Attack" && (i.system.ranges ?? []).includes("close")) ?? null;
+	}
+	const melee = actor.items.filter(i => i.type === "Weapon" && i.system.type === "melee" && i.system.equipped);
+	return melee.find(hasReachProperty) ?? melee[0] ?? null;
+}
+
+/**
+ * Edge-to-edge distance between two token rectangles, in scene units
+ * @param {Object} a - { x, y, width, height } in pixels
+ * @param {Object} b - { x, y, width, height } in pixels
+ * @returns {number}
+ */
+function getRectDistance(a, b) {
+	const overlapsX = !(b.x > a.x + a.width || a.x > b.x + b.width);
+	const overlapsY = !(b.y > a.y + a.height || a.y > b.y + b.height);
+	if (overlapsX && overlapsY) return 0;
+
+	// Nearest point on each rectangle to the other's center
+	const aCenter = { x: a.x + a.width / 2, y: a.y + a.height / 2 };
+	const bCenter = { x: b.x + b.width / 2, y: b.y + b.height / 2 };
+	const p1 = {
+		x: Math.max(a.x, Math.min(bCenter.x, a.x + a.width)),
+		y: Math.max(a.y, Math.min(bCenter.y, a.y + a.height))
+	};
+	const p2 = {
+		x: Math.max(b.x, Math.min(aCenter.x, b.x + b.width)),
+		y: Math.max(b.y, Math.min(aCenter.y, b.y + b.height))
+	};
+	return canvas.grid.measurePath([p1, p2]).distance;
+}
+
+/**
+ * Pixel rectangle of a token document at a position
+ * @param {TokenDocument} tokenDoc
+ * @param {number} x
+ * @param {number} y
+ * @returns {Object}
+ */
+function getTokenRect(tokenDoc, x, y) {
+	const gridSize = canvas.grid.size;
+	return { x, y, width: tokenDoc.width * gridSize, height: tokenDoc.height * gridSize };
+}
+
+/**
+ * Whether a combatant can currently make an opportunity attack
+ * @param {Combatant} combatant
+ * @param {Combat} combat
+ * @returns {boolean}
+ */
+function canThreaten(combatant, combat) {
+	const actor = combatant.actor;
+	if (!actor || combatant.isDefeated || !combatant.token) return false;
+	if (INCAPACITATED_STATUSES.some(s => actor.statuses?.has(s))) return false;
+	if (isDying(actor)) return false;
+	return !isCurrent(actor.getFlag(MODULE_ID, "opportunityUsed"), combat);
+}
+
+/**
+ * Find the combatants whose reach a token leaves with a move
+ * @param {TokenDocument} tokenDoc - The moving token
+ * @param {Object} from - { x, y } before the move
+ * @param {Object} to - { x, y } after the move
+ * @param {Combat} combat
+ * @returns {{ combatant: Combatant, weapon: Item }[]}
+ */
+export function getProvokedThreats(tokenDoc, from, to, combat) {
+	const fromRect = getTokenRect(tokenDoc, from.x, from.y);
+	const toRect = getTokenRect(tokenDoc, to.x, to.y);
+	const threats = [];
+
+	for (const combatant of combat.combatants) {
+		const threatDoc = combatant.token;
+		if (!threatDoc || threatDoc.id === tokenDoc.id || threatDoc.parent?.id !== tokenDoc.parent?.id) continue;
+		// Only opposed dispositions threaten each other
+		if (threatDoc.disposition * tokenDoc.disposition >= 0) continue;
+		if (!canThreaten(combatant, combat)) continue;
+
+		const weapon = getOpportunityWeapon(combatant.actor);
+		if (!weapon) continue;
+
+		const reach = hasReachProperty(weapon) ? 5 : 0;
+		const threatRect = getTokenRect(threatDoc, threatDoc.x, threatDoc.y);
+		if (getRectDistance(fromRect, threatRect) > reach) continue;
+		if (getRectDistance(toRect, threatRect) <= reach) continue;
+
+		threats.push({ combatant, weapon });
+	}
+	return threats;
+}
+
+/**
+ * Post the opportunity attack prompt to the owners of the threatening token
+ * @param {TokenDocument} moverDoc
+ * @param {Combatant} combatant
+ * @param {Item} weapon
+ * @param {Combat} combat
+ */
+async function postOpportunityCard(moverDoc, combatant, weapon, combat) {
+	const actor = combatant.actor;
+	const whisper = game.users.filter(u => u.isGM || actor.testUserPermission(u, "OWNER")).map(u => u.id);
+
+	const content = `
+		<div class="shadowdark chat-card sdx-opportunity-card">
+			<header class="sdx-opportunity-header">
+				<i class="fas fa-person-running"></i>
+				<h3>${game.i18n.localize("SHADOWDARK_EXTRAS.opportunity.title")}</h3>
+			</header>
+			<p class="sdx-opportunity-text">${game.i18n.format("SHADOWDARK_EXTRAS.opportunity.provoked", {
+				mover: moverDoc.name,
+				name: combatant.token.name
+			})}</p>
+			<div class="sdx-opportunity-buttons">
+				<button type="button" class="sdx-opportunity-attack">
+					<i class="fas fa-khanda"></i> ${game.i18n.format("SHADOWDARK_EXTRAS.opportunity.attack", { weapon: weapon.name })}
+				</button>
+			</div>
+		</div>`;
+
+	await ChatMessage.create({
+		user: game.user.id,
+		speaker: ChatMessage.getSpeaker({ token: combatant.token }),
+		content,
+		whisper,
+		flags: {
+			[MODULE_ID]: {
+				opportunityCard: {
+					combatId: combat.id,
+					round: combat.round,
+					actorUuid: actor.uuid,
+					weaponId: weapon.id,
+					targetTokenId: moverDoc.id
+				}
+			}
+		}
+	});
+}
+
+/**
+ * Make the opportunity attack offered by a card
+ * @param {Object} data - The card's opportunityCard flag
+ */
+export async function makeOpportunityAttack(data) {
+	const actor = fromUuidSync(data.actorUuid);
+	const combat = game.combats.get(data.combatId);
+	if (!actor?.isOwner || !combat) return;
+
+	if (isCurrent(actor.getFlag(MODULE_ID, "opportunityUsed"), combat)) {
+		ui.notifications.warn(game.i18n.format("SHADOWDARK_EXTRAS.opportunity.already_used", { name: actor.name }));
+		return;
+	}
+	await actor.setFlag(MODULE_ID, "opportunityUsed", { combatId: combat.id, round: combat.round });
+
+	const target = canvas.tokens.get(data.targetTokenId);
+	target?.setTarget(true, { releaseOthers: true });
+
+	// Reach was checked when the mover left it, so skip the weapon range check
+	await actor.rollAttack(data.weaponId, { _sdxChecked: true });
+}
+
+/**
+ * Hook: remember where a token started its move
+ * @param {TokenDocument} tokenDoc
+ * @param {Object} changes
+ */
+function onPreUpdateToken(tokenDoc, changes) {
+	if (changes.x === undefined && changes.y === undefined) return;
+	_previousPositions.set(tokenDoc.id, { x: tokenDoc.x, y: tokenDoc.y });
+}
+
+/**
+ * Hook: check a finished move for provoked opportunity attacks.
+ * Runs on the client that moved the token.
+ * @param {TokenDocument} tokenDoc
+ * @param {Object} changes
+ * @param {Object} options
+ * @param {string} userId
+ */
+async function onUpdateToken(tokenDoc, changes, options, userId) {
+	if (changes.x === undefined && changes.y === undefined) return;
+	const from = _previousPositions.get(tokenDoc.id);
+	_previousPositions.delete(tokenDoc.id);
+	if (userId !== game.user.id || !from) return;
+
+	const combat = game.combat;
+	if (!combat?.started || !isOpportunityEnabled(combat)) return;
+	if (combat.combatant?.tokenId !== tokenDoc.id) return;
+	if (options.teleport || options.sdxForcedMovement) return;
+
+	const actor = tokenDoc.actor;
+	if (!actor || isDisengaged(actor, combat)) return;
+
+	const to = { x: changes.x ?? tokenDoc.x, y: changes.y ?? tokenDoc.y };
+	for (const { combatant, weapon } of getProvokedThreats(tokenDoc, from, to, combat)) {
+		if (Hooks.call("sdx.preOpportunityAttack", tokenDoc, combatant.token, weapon) === false) continue;
+		await postOpportunityCard(tokenDoc, combatant, weapon, combat);
+	}
+}
+
+/**
+ * Hook: add the per-combat toggle and disengage buttons to the tracker
+ * @param {CombatTracker} app
+ * @param {HTMLElement|jQuery} html
+ */
+function onRenderCombatTracker(app, html) {
+	const root = html instanceof HTMLElement ? html : html[0];
+	const combat = app.viewed ?? game.combat;
+	if (!root || !combat) return;
+	const enabled = isOpportunityEnabled(combat);
+
+	const controls = root.querySelector(".encounter-controls") ?? root.querySelector(".combat-tracker-header");
+	if (game.user.isGM && controls && !controls.querySelector(".sdx-opportunity-toggle")) {
+		const toggle = document.createElement("button");
+		toggle.type = "button";
+		toggle.classList.add("inline-control", "icon", "fas", "fa-person-running", "sdx-opportunity-toggle");
+		toggle.classList.toggle("active", enabled);
+		toggle.dataset.tooltip = game.i18n.localize(enabled
+			? "SHADOWDARK_EXTRAS.opportunity.disable"
+			: "SHADOWDARK_EXTRAS.opportunity.enable");
+		toggle.addEventListener("click", async (ev) => {
+			ev.preventDefault();
+			await combat.setFlag(MODULE_ID, "opportunityAttacks", !enabled);
+		});
+		controls.append(toggle);
+	}
+
+	const combatant = combat.combatant;
+	if (!enabled || !combat.started || !combatant?.actor?.isOwner) return;
+	const li = root.querySelector(`[data-combatant-id="${combatant.id}"]`);
+	if (!li || li.querySelector(".sdx-disengage-toggle")) return;
+
+	const disengaged = isDisengaged(combatant.actor, combat);
+	const button = document.createElement("a");
+	button.classList.add("sdx-disengage-toggle");
+	button.classList.toggle("active", disengaged);
+	button.dataset.tooltip = game.i18n.localize(disengaged
+		? "SHADOWDARK_EXTRAS.opportunity.disengaged"
+		: "SHADOWDARK_EXTRAS.opportunity.disengage");
+	button.innerHTML = `<i class="fas fa-person-walking-arrow-right"></i>`;
+	button.addEventListener("click", async (ev) => {
+		ev.preventDefault();
+		ev.stopPropagation();
+		await setDisengaged(combatant.actor, !disengaged, combat);
+	});
+	(li.querySelector(".token-name") ?? li).append(button);
+}
+
+/**
+ * Hook: wire the opportunity card button
+ * @param {ChatMessage} message
+ * @param {jQuery} html
+ */
+function onRenderChatMessage(message, html) {
+	const data = message.getFlag(MODULE_ID, "opportunityCard");
+	if (!data) return;
+
+	html.find(".sdx-opportunity-attack").each((i, btn) => {
+		const actor = fromUuidSync(data.actorUuid);
+		const combat = game.combats.get(data.combatId);
+		if (!actor?.isOwner || !combat || combat.round !== data.round
+			|| isCurrent(actor.getFlag(MODULE_ID, "opportunityUsed"), combat)) {
+			btn.remove();
+			return;
+		}
+		btn.addEventListener("click", async (ev) => {
+			ev.preventDefault();
+			btn.disabled = true;
+			await makeOpportunityAttack(data);
+		});
+	});
+}
+
+/**
+ * Initialize opportunity attacks
+ */
+export function initOpportunityAttacks() {
+	Hooks.on("preUpdateToken", onPreUpdateToken);
+	Hooks.on("updateToken", onUpdateToken);
+	Hooks.on("renderCombatTracker", onRenderCombatTracker);
+	Hooks.on("renderChatMessage", onRenderChatMessage);
+
+	// Refresh the tracker when the toggle or a disengage changes
+	Hooks.on("updateCombat", (combat, changes) => {
+		if (foundry.utils.hasProperty(changes, `flags.${MODULE_ID}.opportunityAttacks`)) ui.combat?.render();
+	});
+	Hooks.on("updateActor", (actor, changes) => {
+		if (!foundry.utils.hasProperty(changes, `flags.${MODULE_ID}.disengaged`)
+			&& !foundry.utils.hasProperty(changes, `flags.${MODULE_ID}.-=disengaged`)) return;
+		ui.combat?.render();
+	});
+
+	Hooks.once("ready", () => {
+		if (!game.shadowdarkExtras) game.shadowdarkExtras = {};
+		game.shadowdarkExtras.opportunity = {
+			isEnabled: isOpportunityEnabled,
+			isDisengaged,
+			setDisengaged,
+			getWeapon: getOpportunityWeapon,
+			getProvokedThreats,
+			attack: makeOpportunityAttack
+		};
+	});
+}
@@ -6,6 +6,12 @@
 import { getHpWaveColor, isHpWavesEnabled } from "./HpWavesSettingsSD.mjs";
 import { getTravelActivities } from "./TravelActivitiesSettingsSD.mjs";
 import { getTravelSpeeds } from "./TravelSpeedsSettingsSD.mjs";
+import { DANGER_LEVELS, rollEncounterChecks } from "./EncounterSD.mjs";
+import { getClimates, getPartyWeather, isWeatherSlowed, hasWeatherLightPenalty, rollWeather, advanceWeather, clearWeather } from "./WeatherSD.mjs";
+import { getAvailableBiomes } from "./HexContentGenerator.mjs";
+import { getCalendarDate, formatCalendarDate, formatCalendarTime, getCalendarConfig, advanceTime } from "./CalendarSD.mjs";
+import { getPartyRoute, showPartyRoute, clearRouteDrawing } from "./HexRouteSD.mjs";
+import { prepareHirelings, showHireDialog, adjustHirelingLoyalty, rollLoyaltyCheck, dismissHireling, payHirelingWages } from "./HirelingsSD.mjs";
 import { getCustomLightSources } from "./shadowdark-extras.mjs";
 
 const MODULE_ID = "shadowdark-extras";
@@ -219,6 +225,11 @@ export default class PartySheetSD extends (foundry.appv1?.sheets?.ActorSheet ||
 		// Get party stats (aggregated)
 		context.partyStats = this._calculatePartyStats(context.members);
 
+		// Hirelings and their daily wages
+		context.hirelings = prepareHirelings(this.actor);
+		context.hirelingWages = Math.round(context.hirelings.reduce((sum, h) => sum + (Number(h.wage) || 0), 0) * 100) / 100;
+		context.hirelingsOwed = context.hirelings.some(h => h.owed > 0);
+
 		// Get shared inventory
 		context.inventory = this._prepareInventory();
 		context.coins = this._getPartyCoins();
@@ -255,6 +266,43 @@ export default class PartySheetSD extends (foundry.appv1?.sheets?.ActorSheet ||
 			selected: speed.key === selectedSpeed
 		}));
 
+		// Prepare current weather for Travel tab
+		const weather = getPartyWeather(this.actor);
+		const selectedClimate = this.actor.getFlag(MODULE_ID, "weatherClimate") ?? getClimates()[0]?.key;
+		context.weatherClimates = getClimates().map(climate => ({
+			key: climate.key,
+			name: climate.name,
+			selected: climate.key === selectedClimate
+		}));
+		context.weather = weather;
+		context.weatherSlowed = isWeatherSlowed(this.actor);
+
+		// Prepare the calendar date for Travel tab
+		const date = getCalendarDate();
+		context.calendar = {
+			date: formatCalendarDate(date),
+			time: formatCalendarTime(date),
+			timeOfDay: game.i18n.localize(`SHADOWDARK_EXTRAS.calendar.time_of_day.${date.timeOfDay}`),
+			timeOfDayIcon: date.timeOfDayIcon,
+			season: date.season
+		};
+
+		// Prepare the saved hex route for Travel tab
+		context.route = getPartyRoute(this.actor);
+
+		// Prepare encounter danger level and biome for Travel tab
+		const selectedDanger = this.actor.getFlag(MODULE_ID, "encounterDanger") ?? "unsafe";
+		context.encounterDangers = DANGER_LEVELS.map(key => ({
+			key,
+			label: game.i18n.localize(`SHADOWDARK_EXTRAS.encounters.danger.${key}`),
+			selected: key === selectedDanger
+		}));
+		const selectedBiome = this.actor.getFlag(MODULE_ID, "encounterBiome") ?? "auto";
+		context.encounterBiomes = [
+			{ key: "auto", label: game.i18n.localize("SHADOWDARK_EXTRAS.encounters.biome_auto") },
+			...await getAvailableBiomes()
+		].map(biome => ({ ...biome, selected: biome.key === selectedBiome }));
+
 		return context;
 	}
 
@@ -766,11 +814,7 @@ export default class PartySheetSD extends (foundry.appv1?.sheets?.ActorSheet ||
 	 * @returns {Object}
 	 */
 	_getPartyCoins() {
-		return {
-			gp: this.actor.getFlag(MODULE_ID, "coins.gp") ?? 0,
-			sp: this.actor.getFlag(MODULE_ID, "coins.sp") ?? 0,
-			cp: this.actor.getFlag(MODULE_ID, "coins.cp") ?? 0
-		};
+		return getPartyCoins(this.actor);
 	}
 
 	/**
@@ -845,8 +889,26 @@ export default class PartySheetSD extends (foundry.appv1?.sheets?.ActorSheet ||
 		html.find("[data-action='reward-xp']").click(this._onRewardXp.bind(this));
 		html.find("[data-action='reward-coins']").click(this._onRewardCoins.bind(this));
 		html.find("[data-action='sync-lights']").click(this._onSyncLights.bind(this));
+		html.find("[data-action='travel-day']").click(this._onTravelDay.bind(this));
+		html.find("[data-action='make-camp']").click(this._onMakeCamp.bind(this));
+		html.find("[data-action='show-route']").click(this._onShowRoute.bind(this));
+		html.find("[data-action='clear-route']").click(this._onClearRoute.bind(this));
 		html.find("[data-action='roll-weather']").click(this._onRollWeather.bind(this));
+		html.find("[data-action='advance-weather']").click(this._onAdvanceWeather.bind(this));
+		html.find("[data-action='clear-weather']").click(this._onClearWeather.bind(this));
+		html.find("[data-action='change-weather-climate']").change(this._onChangeWeatherClimate.bind(this));
 		html.find("[data-action='change-travel-speed']").change(this._onChangeTravelSpeed.bind(this));
+		html.find("[data-action='roll-encounter']").click(this._onRollEncounter.bind(this));
+		html.find("[data-action='change-encounter-danger']").change(this._onChangeEncounterDanger.bind(this));
+		html.find("[data-action='change-encounter-biome']").change(this._onChangeEncounterBiome.bind(this));
+
+		// Hireling controls
+		html.find("[data-action='hire-hireling']").click(this._onHireHireling.bind(this));
+		html.find("[data-action='hireling-loyalty-up']").click(this._onHirelingLoyalty.bind(this, 1));
+		html.find("[data-action='hireling-loyalty-down']").click(this._onHirelingLoyalty.bind(this, -1));
+		html.find("[data-action='hireling-loyalty-check']").click(this._onHirelingLoyaltyCheck.bind(this));
+		html.find("[data-action='dismiss-hireling']").click(this._onDismissHireling.bind(this));
+		html.find("[data-action='pay-hirelings']").click(this._onPayHirelings.bind(this));
 
 		// XP controls
 		html.find("[data-action='xp-increment']").click(this._onXpIncrement.bind(this));
@@ -1532,133 +1594,7 @@ export default class PartySheetSD extends (foundry.appv1?.sheets?.ActorSheet ||
 	 * @returns {Promise<boolean>} - Whether the token was placed
 	 */
 	async _placeTokenWithPreview(member) {
-		// For compendium actors, we need to import them to the world first
-		let actorToPlace = member;
-		const isCompendiumActor = member.uuid?.startsWith("Compendium.");
-
-		if (isCompendiumActor) {
-			// Check if already imported by looking for an actor with same name and compendium source
-			let existingActor = game.actors.find(a =>
-				a.name === member.name &&
-				a.flags?.core?.sourceId === member.uuid
-			);
-
-			if (!existingActor) {
-				// Import the actor from compendium
-				try {
-					const imported = await Actor.implementation.create(member.toObject());
-					if (imported) {
-						// Record the compendium source on the imported actor without using the deprecated core.sourceId flag
-						try {
-							await imported.update({ "_stats.compendiumSource": member.uuid });
-						} catch {
-							// Fallback to writing the legacy flag if update fails for any reason
-							await imported.setFlag("core", "sourceId", member.uuid);
-						}
-						existingActor = imported;
-						ui.notifications.info(
-							game.i18n.format("SHADOWDARK_EXTRAS.party.actor_imported", { name: member.name })
-						);
-					}
-				} catch (e) {
-					console.error(`${MODULE_ID} | Failed to import compendium actor`, e);
-					ui.notifications.error(
-						game.i18n.format("SHADOWDARK_EXTRAS.party.import_failed", { name: member.name })
-					);
-					return false;
-				}
-			}
-
-			if (!existingActor) {
-				ui.notifications.error(
-					game.i18n.format("SHADOWDARK_EXTRAS.party.import_failed", { name: member.name })
-				);
-				return false;
-			}
-
-			actorToPlace = existingActor;
-		}
-
-		// Get the token document for this actor
-		const tokenDocument = await actorToPlace.getTokenDocument();
-		const tokenData = tokenDocument.toObject();
-
-		// Create a preview token sprite for the cursor
-		const texture = await loadTexture(tokenData.texture.src);
-		const preview = new PIXI.Sprite(texture);
-		const gridSize = canvas.grid.size;
-		const tokenSize = tokenData.width * gridSize;
-
-		preview.anchor.set(0.5);
-		preview.width = tokenSize;
-		preview.height = tokenSize;
-		preview.alpha = 0.7;
-		preview.visible = false;
-
-		canvas.stage.addChild(preview);
-
-		return new Promise((resolve) => {
-			// Show placement instructions
-			ui.notifications.info(
-				game.i18n.format("SHADOWDARK_EXTRAS.party.place_member_instruction", { name: member.name })
-			);
-
-			const onMouseMove = (event) => {
-				const pos = event.data.getLocalPosition(canvas.stage);
-				// Snap to grid
-				const snapped = canvas.grid.getSnappedPoint({ x: pos.x, y: pos.y }, { mode: CONST.GRID_SNAPPING_MODES.TOP_LEFT_CORNER });
-				preview.position.set(snapped.x + tokenSize / 2, snapped.y + tokenSize / 2);
-				preview.visible = true;
-			};
-
-			const onClick = async (event) => {
-				// Left click to place
-				const pos = event.data.getLocalPosition(canvas.stage);
-				const snapped = canvas.grid.getSnappedPoint({ x: pos.x, y: pos.y }, { mode: CONST.GRID_SNAPPING_MODES.TOP_LEFT_CORNER });
-
-				// Cleanup
-				canvas.stage.off("mousemove", onMouseMove);
-				canvas.stage.off("mousedown", onClick);
-				canvas.stage.off("rightdown", onRightClick);
-				canvas.stage.removeChild(preview);
-				preview.destroy();
-
-				// Create the token
-				tokenData.x = snapped.x;
-				tokenData.y = snapped.y;
-				await canvas.scene.createEmbeddedDocuments("Token", [tokenData]);
-
-				resolve(true);
-			};
-
-			const onRightClick = (event) => {
-				// Right click to cancel
-				canvas.stage.off("mousemove", onMouseMove);
-				canvas.stage.off("mousedown", onClick);
-				canvas.stage.off("rightdown", onRightClick);
-				canvas.stage.removeChild(preview);
-				preview.destroy();
-
-				resolve(false);
-			};
-
-			const onKeyDown = (event) => {
-				if (event.key === "Escape") {
-					canvas.stage.off("mousemove", onMouseMove);
-					canvas.stage.off("mousedown", onClick);
-					canvas.stage.off("rightdown", onRightClick);
-					canvas.stage.removeChild(preview);
-					preview.destroy();
-					document.removeEventListener("keydown", onKeyDown);
-					resolve(false);
-				}
-			};
-
-			canvas.stage.on("mousemove", onMouseMove);
-			canvas.stage.on("mousedown", onClick);
-			canvas.stage.on("rightdown", onRightClick);
-			document.addEventListener("keydown", onKeyDown);
-		});
+		return placeActorTokenWithPreview(member);
 	}
 
 	/**
@@ -1995,15 +1931,7 @@ export default class PartySheetSD extends (foundry.appv1?.sheets?.ActorSheet ||
 		const { gp, sp, cp } = result;
 		if (gp === 0 && sp === 0 && cp === 0) return;
 
-		// Get current coins and add the new amounts
-		const currentCoins = this._getPartyCoins();
-		const newGp = Math.max(0, (parseInt(currentCoins.gp) || 0) + gp);
-		const newSp = Math.max(0, (parseInt(currentCoins.sp) || 0) + sp);
-		const newCp = Math.max(0, (parseInt(currentCoins.cp) || 0) + cp);
-
-		await this.actor.setFlag(MODULE_ID, "coins.gp", newGp);
-		await this.actor.setFlag(MODULE_ID, "coins.sp", newSp);
-		await this.actor.setFlag(MODULE_ID, "coins.cp", newCp);
+		await addPartyCoins(this.actor, { gp, sp, cp });
 
 		// Build notification message
 		const parts = [];
@@ -2016,6 +1944,59 @@ export default class PartySheetSD extends (foundry.appv1?.sheets?.ActorSheet ||
 		);
 	}
 
+	/**
+	 * Open the hiring dialog
+	 * @param {Event} event
+	 */
+	async _onHireHireling(event) {
+		event.preventDefault();
+		await showHireDialog(this.actor);
+	}
+
+	/**
+	 * Raise or lower a hireling's loyalty
+	 * @param {number} delta
+	 * @param {Event} event
+	 */
+	async _onHirelingLoyalty(delta, event) {
+		event.preventDefault();
+		const hirelingId = event.currentTarget.closest("[data-hireling-id]")?.dataset.hirelingId;
+		await adjustHirelingLoyalty(this.actor, hirelingId, delta);
+	}
+
+	/**
+	 * Roll a hireling's loyalty check
+	 * @param {Event} event
+	 */
+	async _onHirelingLoyaltyCheck(event) {
+		event.preventDefault();
+		const hirelingId = event.currentTarget.closest("[data-hireling-id]")?.dataset.hirelingId;
+		await rollLoyaltyCheck(this.actor, hirelingId);
+	}
+
+	/**
+	 * Dismiss a hireling after confirmation
+	 * @param {Event} event
+	 */
+	async _onDismissHireling(event) {
+		event.preventDefault();
+		const hirelingId = event.currentTarget.closest("[data-hireling-id]")?.dataset.hirelingId;
+		const confirmed = await Dialog.confirm({
+			title: game.i18n.localize("SHADOWDARK_EXTRAS.hirelings.dismiss"),
+			content: `<p>${game.i18n.localize("SHADOWDARK_EXTRAS.hirelings.dismiss_confirm")}</p>`
+		});
+		if (confirmed) await dismissHireling(this.actor, hirelingId);
+	}
+
+	/**
+	 * Settle wages owed to hirelings from the treasury
+	 * @param {Event} event
+	 */
+	async _onPayHirelings(event) {
+		event.preventDefault();
+		await payHirelingWages(this.actor, 0);
+	}
+
 	/**
 	 * Edit party description
 	 * @param {Event} event
@@ -2255,75 +2236,77 @@ export default class PartySheetSD extends (foundry.appv1?.sheets?.ActorSheet ||
 		}
 	}
 
+	/**
+	 * Handle spending a day on the road
+	 * @param {Event} event
+	 */
+	async _onTravelDay(event) {
+		event.preventDefault();
+		await advanceTime({ days: 1 }, "travel");
+	}
+
+	/**
+	 * Handle making camp for the night
+	 * @param {Event} event
+	 */
+	async _onMakeCamp(event) {
+		event.preventDefault();
+		await advanceTime({ hours: getCalendarConfig().campHours }, "camp");
+	}
+
+	/**
+	 * Draw the party's saved route on the canvas
+	 * @param {Event} event
+	 */
+	_onShowRoute(event) {
+		event.preventDefault();
+		showPartyRoute(this.actor);
+	}
+
+	/**
+	 * Remove the party's saved route
+	 * @param {Event} event
+	 */
+	async _onClearRoute(event) {
+		event.preventDefault();
+		clearRouteDrawing();
+		await this.actor.unsetFlag(MODULE_ID, "route");
+	}
+
 	/**
 	 * Handle rolling for weather
-	 * @param {Event} event 
+	 * @param {Event} event
 	 */
 	async _onRollWeather(event) {
 		event.preventDefault();
+		await rollWeather(this.actor);
+	}
 
-		// Play dice sound if available
-		if (shadowdark.utils.diceSound) {
-			shadowdark.utils.diceSound();
-		}
-
-		// Roll 1d6
-		const roll = await new Roll("1d6").evaluate({ async: true });
-
-		// Determine outcome
-		const isBadWeather = roll.total === 1;
-
-		let content = "";
-		let flavor = "Weather Check";
-
-		if (isBadWeather) {
-			// Roll duration for bad weather (1d4 days)
-			const durationRoll = await new Roll("1d4").evaluate({ async: true });
-
-			content = `
-				<div class="shadowdark chat-card item-card" style="border: 1px solid #ff3333; border-radius: 4px; overflow: hidden; box-shadow: 0 0 10px rgba(255, 51, 51, 0.2);">
-					<div class="card-header" style="display: flex; flex-direction: column; gap: 8px; padding: 10px; background: rgba(255, 51, 51, 0.1);">
-						<div style="display: flex; align-items: center; gap: 10px;">
-							<img src="icons/magic/air/fog-gas-smoke-swirling-yellow.webp" title="Bad Weather" style="width: 36px; height: 36px; border: 1px solid #c9aa58; border-radius: 4px;"/>
-							<h3 style="margin: 0; color: #ff3333; font-family: 'Montserrat', sans-serif; font-size: 1.2em; text-shadow: 1px 1px 2px #000;">Bad Weather</h3>
-						</div>
-						<div style="display: block !important; padding: 5px 0;">
-							<p style="margin: 4px 0;"><strong>Storms!</strong></p>
-							<p style="margin: 4px 0;">Normal terrain is <strong>difficult</strong> for <strong>${durationRoll.total} days</strong> (rolled 1d4).</p>
-							<p style="margin: 4px 0; font-size: 0.9em;"><em>If in an extreme climate, terrain is impassible.</em></p>
-						</div>
-						<div cstyle="display: block !important; font-size: 0.85em; border-top: 1px solid rgba(255, 255, 255, 0.1); padding-top: 5px; color: #aaa;">
-							<span>Rolled 1 on 1d6</span>
-						</div>
-					</div>
-				</div>
-			`;
-		} else {
-			content = `
-				<div class="shadowdark chat-card item-card" style="border: 1px solid #c9aa58; border-radius: 4px; overflow: hidden; box-shadow: 0 0 10px rgba(201, 170, 88, 0.2);">
-					<div class="card-header" style="display: flex; flex-direction: column; gap: 8px; padding: 10px; background: rgba(201, 170, 88, 0.05);">
-						<div style="display: flex; align-items: center; gap: 10px;">
-							<img src="icons/magic/light/explosion-star-large-blue-yellow.webp" title="Good Weather" style="width: 36px; height: 36px; border: 1px solid #c9aa58; border-radius: 4px;"/>
-							<h3 style="margin: 0; color: #c9aa58; font-family: 'Montserrat', sans-serif; font-size: 1.2em; text-shadow: 1px 1px 2px #000;">Good Weather</h3>
-						</div>
-						<div style="display: block !important; padding: 5px 0;">
-							<p style="margin: 4px 0; color: #eee;">The weather is clear and favorable for travel.</p>
-						</div>
-						<div style="display: block !important; font-size: 0.85em; border-top: 1px solid rgba(255, 255, 255, 0.1); padding-top: 5px; color: #aaa;">
-							<span>Rolled ${roll.total} on 1d6</span>
-						</div>
-					</div>
-				</div>
-			`;
-		}
+	/**
+	 * Handle advancing the weather by one day
+	 * @param {Event} event
+	 */
+	async _onAdvanceWeather(event) {
+		event.preventDefault();
+		await advanceWeather(this.actor, 1);
+	}
 
-		// Create chat message
-		ChatMessage.create({
-			user: game.user.id,
-			speaker: ChatMessage.getSpeaker({ actor: this.actor }),
-			content: content,
-			flavor: flavor
-		});
+	/**
+	 * Handle clearing the current weather
+	 * @param {Event} event
+	 */
+	async _onClearWeather(event) {
+		event.preventDefault();
+		await clearWeather(this.actor);
+	}
+
+	/**
+	 * Handle changing the weather climate
+	 * @param {Event} event
+	 */
+	async _onChangeWeatherClimate(event) {
+		event.preventDefault();
+		await this.actor.setFlag(MODULE_ID, "weatherClimate", event.currentTarget.value);
 	}
 
 	/**
@@ -2335,6 +2318,173 @@ export default class PartySheetSD extends (foundry.appv1?.sheets?.ActorSheet ||
 		const speedKey = event.currentTarget.value;
 		await this.actor.setFlag(MODULE_ID, "travelSpeed", speedKey);
 	}
+
+	/**
+	 * Handle rolling the day's random encounter checks
+	 * @param {Event} event
+	 */
+	async _onRollEncounter(event) {
+		event.preventDefault();
+		await rollEncounterChecks(this.actor);
+	}
+
+	/**
+	 * Handle changing the encounter danger level
+	 * @param {Event} event
+	 */
+	async _onChangeEncounterDanger(event) {
+		event.preventDefault();
+		await this.actor.setFlag(MODULE_ID, "encounterDanger", event.currentTarget.value);
+	}
+
+	/**
+	 * Handle changing the encounter biome (or "auto" to read the hex terrain)
+	 * @param {Event} event
+	 */
+	async _onChangeEncounterBiome(event) {
+		event.preventDefault();
+		await this.actor.setFlag(MODULE_ID, "encounterBiome", event.currentTarget.value);
+	}
+}
+
+// ============================================
+// TOKEN PLACEMENT
+// ============================================
+
+/**
+ * Place a single token with crosshair preview.
+ * Compendium actors are imported to the world first.
+ * @param {Actor} member - The actor to place
+ * @returns {Promise<boolean>} - Whether the token was placed
+ */
+export async function placeActorTokenWithPreview(member) {
+	// For compendium actors, we need to import them to the world first
+	let actorToPlace = member;
+	const isCompendiumActor = member.uuid?.startsWith("Compendium.");
+
+	if (isCompendiumActor) {
+		// Check if already imported by looking for an actor with same name and compendium source
+		let existingActor = game.actors.find(a =>
+			a.name === member.name &&
+			a.flags?.core?.sourceId === member.uuid
+		);
+
+		if (!existingActor) {
+			// Import the actor from compendium
+			try {
+				const imported = await Actor.implementation.create(member.toObject());
+				if (imported) {
+					// Record the compendium source on the imported actor without using the deprecated core.sourceId flag
+					try {
+						await imported.update({ "_stats.compendiumSource": member.uuid });
+					} catch {
+						// Fallback to writing the legacy flag if update fails for any reason
+						await imported.setFlag("core", "sourceId", member.uuid);
+					}
+					existingActor = imported;
+					ui.notifications.info(
+						game.i18n.format("SHADOWDARK_EXTRAS.party.actor_imported", { name: member.name })
+					);
+				}
+			} catch (e) {
+				console.error(`${MODULE_ID} | Failed to import compendium actor`, e);
+				ui.notifications.error(
+					game.i18n.format("SHADOWDARK_EXTRAS.party.import_failed", { name: member.name })
+				);
+				return false;
+			}
+		}
+
+		if (!existingActor) {
+			ui.notifications.error(
+				game.i18n.format("SHADOWDARK_EXTRAS.party.import_failed", { name: member.name })
+			);
+			return false;
+		}
+
+		actorToPlace = existingActor;
+	}
+
+	// Get the token document for this actor
+	const tokenDocument = await actorToPlace.getTokenDocument();
+	const tokenData = tokenDocument.toObject();
+
+	// Create a preview token sprite for the cursor
+	const texture = await loadTexture(tokenData.texture.src);
+	const preview = new PIXI.Sprite(texture);
+	const gridSize = canvas.grid.size;
+	const tokenSize = tokenData.width * gridSize;
+
+	preview.anchor.set(0.5);
+	preview.width = tokenSize;
+	preview.height = tokenSize;
+	preview.alpha = 0.7;
+	preview.visible = false;
+
+	canvas.stage.addChild(preview);
+
+	return new Promise((resolve) => {
+		// Show placement instructions
+		ui.notifications.info(
+			game.i18n.format("SHADOWDARK_EXTRAS.party.place_member_instruction", { name: member.name })
+		);
+
+		const onMouseMove = (event) => {
+			const pos = event.data.getLocalPosition(canvas.stage);
+			// Snap to grid
+			const snapped = canvas.grid.getSnappedPoint({ x: pos.x, y: pos.y }, { mode: CONST.GRID_SNAPPING_MODES.TOP_LEFT_CORNER });
+			preview.position.set(snapped.x + tokenSize / 2, snapped.y + tokenSize / 2);
+			preview.visible = true;
+		};
+
+		const onClick = async (event) => {
+			// Left click to place
+			const pos = event.data.getLocalPosition(canvas.stage);
+			const snapped = canvas.grid.getSnappedPoint({ x: pos.x, y: pos.y }, { mode: CONST.GRID_SNAPPING_MODES.TOP_LEFT_CORNER });
+
+			// Cleanup
+			canvas.stage.off("mousemove", onMouseMove);
+			canvas.stage.off("mousedown", onClick);
+			canvas.stage.off("rightdown", onRightClick);
+			canvas.stage.removeChild(preview);
+			preview.destroy();
+
+			// Create the token
+			tokenData.x = snapped.x;
+			tokenData.y = snapped.y;
+			await canvas.scene.createEmbeddedDocuments("Token", [tokenData]);
+
+			resolve(true);
+		};
+
+		const onRightClick = (event) => {
+			// Right click to cancel
+			canvas.stage.off("mousemove", onMouseMove);
+			canvas.stage.off("mousedown", onClick);
+			canvas.stage.off("rightdown", onRightClick);
+			canvas.stage.removeChild(preview);
+			preview.destroy();
+
+			resolve(false);
+		};
+
+		const onKeyDown = (event) => {
+			if (event.key === "Escape") {
+				canvas.stage.off("mousemove", onMouseMove);
+				canvas.stage.off("mousedown", onClick);
+				canvas.stage.off("rightdown", onRightClick);
+				canvas.stage.removeChild(preview);
+				preview.destroy();
+				document.removeEventListener("keydown", onKeyDown);
+				resolve(false);
+			}
+		};
+
+		canvas.stage.on("mousemove", onMouseMove);
+		canvas.stage.on("mousedown", onClick);
+		canvas.stage.on("rightdown", onRightClick);
+		document.addEventListener("keydown", onKeyDown);
+	});
 }
 
 // ============================================
@@ -2478,6 +2628,12 @@ export async function syncPartyTokenLight(partyActor) {
 	// Get the brightest light from party members
 	const brightestLight = await getBrightestPartyLight(partyActor);
 
+	// Weather such as fog or blizzards halves the party's light radius
+	if (brightestLight && hasWeatherLightPenalty(partyActor)) {
+		brightestLight.bright = Math.floor(brightestLight.bright / 2);
+		brightestLight.dim = Math.floor(brightestLight.dim / 2);
+	}
+
 	// Find all tokens for this party actor on the current scene
 	const partyTokens = canvas?.tokens?.placeables?.filter(t => t.actor?.id === partyActor.id) ?? [];
 
@@ -2543,3 +2699,141 @@ export function getPartiesContainingActor(actor) {
 
 	return parties;
 }
+
+/**
+ * Member key stored in a party's members flag: the id for world actors, the UUID for compendium actors
+ * @param {Actor} actor
+ * @returns {string}
+ */
+function getMemberKey(actor) {
+	return actor.uuid?.startsWith("Compendium.") ? actor.uuid : actor.id;
+}
+
+/**
+ * Get the members of a party (world actors only)
+ * @param {Actor} partyActor
+ * @returns {Actor[]}
+ */
+export function getPartyMembers(partyActor) {
+	const memberIds = partyActor?.getFlag(MODULE_ID, "members") ?? [];
+	return memberIds
+		.map(id => game.actors.get(id) ?? (id.includes(".") ? fromUuidSync(id) : null))
+		.filter(actor => actor && (actor.type === "Player" || actor.type === "NPC"));
+}
+
+/**
+ * Add an actor to a party, keeping player characters ahead of NPCs
+ * @param {Actor} partyActor
+ * @param {Actor} actor - A Player or NPC actor
+ * @returns {Promise<boolean>} False if the actor cannot join or is already a member
+ */
+export async function addPartyMember(partyActor, actor) {
+	if (!partyActor || (actor?.type !== "Player" && actor?.type !== "NPC")) return false;
+	const memberIds = partyActor.getFlag(MODULE_ID, "members") ?? [];
+	const memberKey = getMemberKey(actor);
+	if (memberIds.includes(memberKey)) return false;
+
+	const players = [];
+	const npcs = [];
+	for (const id of [...memberIds, memberKey]) {
+		const member = id === memberKey ? actor : (game.actors.get(id) ?? (id.includes(".") ? fromUuidSync(id) : null));
+		(member?.type === "NPC" ? npcs : players).push(id);
+	}
+	await partyActor.setFlag(MODULE_ID, "members", [...players, ...npcs]);
+	return true;
+}
+
+/**
+ * Remove an actor from a party
+ * @param {Actor} partyActor
+ * @param {Actor|string} actor - The member, or its stored id/UUID
+ * @returns {Promise<boolean>} False if it was not a member
+ */
+export async function removePartyMember(partyActor, actor) {
+	if (!partyActor || !actor) return false;
+	const memberIds = partyActor.getFlag(MODULE_ID, "members") ?? [];
+	const keys = typeof actor === "string" ? [actor] : [actor.id, actor.uuid];
+	const next = memberIds.filter(id => !keys.includes(id));
+	if (next.length === memberIds.length) return false;
+	await partyActor.setFlag(MODULE_ID, "members", next);
+	return true;
+}
+
+/**
+ * Get the coins held in a party's treasury
+ * @param {Actor} partyActor
+ * @returns {Object} { gp, sp, cp }
+ */
+export function getPartyCoins(partyActor) {
+	return {
+		gp: partyActor?.getFlag(MODULE_ID, "coins.gp") ?? 0,
+		sp: partyActor?.getFlag(MODULE_ID, "coins.sp") ?? 0,
+		cp: partyActor?.getFlag(MODULE_ID, "coins.cp") ?? 0
+	};
+}
+
+/**
+ * Add coins to (or, with negative amounts, remove coins from) a party's treasury.
+ * Each denomination is clamped at zero.
+ * @param {Actor} partyActor
+ * @param {Object} coins - { gp, sp, cp }
+ * @returns {Promise<Object>} The new treasury
+ */
+export async function addPartyCoins(partyActor, { gp = 0, sp = 0, cp = 0 } = {}) {
+	const currentCoins = getPartyCoins(partyActor);
+	const next = {
+		gp: Math.max(0, (parseInt(currentCoins.gp) || 0) + gp),
+		sp: Math.max(0, (parseInt(currentCoins.sp) || 0) + sp),
+		cp: Math.max(0, (parseInt(currentCoins.cp) || 0) + cp)
+	};
+
+	await partyActor.setFlag(MODULE_ID, "coins.gp", next.gp);
+	await partyActor.setFlag(MODULE_ID, "coins.sp", next.sp);
+	await partyActor.setFlag(MODULE_ID, "coins.cp", next.cp);
+	return next;
+}
+
+/**
+ * Spend coins from a party's treasury, making change across denominations
+ * @param {Actor} partyActor
+ * @param {number} costCp - Amount to spend in copper pieces
+ * @returns {Promise<Object>} { paidCp, shortfallCp }
+ */
+export async function spendPartyCoins(partyActor, costCp) {
+	const coins = getPartyCoins(partyActor);
+	const totalCp = (Math.max(0, parseInt(coins.gp) || 0) * 100)
+		+ (Math.max(0, parseInt(coins.sp) || 0) * 10)
+		+ Math.max(0, parseInt(coins.cp) || 0);
+	const cost = Math.max(0, Math.round(costCp));
+	const paidCp = Math.min(cost, totalCp);
+	if (paidCp === 0) return { paidCp: 0, shortfallCp: cost };
+
+	// Take copper first, then silver, then gold, breaking larger coins as needed
+	let remaining = paidCp;
+	let { gp, sp, cp } = coins;
+	gp = Math.max(0, parseInt(gp) || 0);
+	sp = Math.max(0, parseInt(sp) || 0);
+	cp = Math.max(0, parseInt(cp) || 0);
+
+	const fromCp = Math.min(cp, remaining);
+	cp -= fromCp;
+	remaining -= fromCp;
+
+	const fromSp = Math.min(sp, Math.ceil(remaining / 10));
+	sp -= fromSp;
+	cp += (fromSp * 10) - Math.min(remaining, fromSp * 10);
+	remaining -= Math.min(remaining, fromSp * 10);
+
+	if (remaining > 0) {
+		const fromGp = Math.ceil(remaining / 100);
+		gp -= fromGp;
+		const change = (fromGp * 100) - remaining;
+		sp += Math.floor(change / 10);
+		cp += change % 10;
+	}
+
+	await partyActor.setFlag(MODULE_ID, "coins.gp", gp);
+	await partyActor.setFlag(MODULE_ID, "coins.sp", sp);
+	await partyActor.setFlag(MODULE_ID, "coins.cp", cp);
+	return { paidCp, shortfallCp: cost - paidCp };
+}
@@ -1,6 +1,10 @@
 
 
 import { JournalPinRenderer } from "./JournalPinsSD.mjs";
+import {
+	isPartyKnowledgeEnabled, getViewerKnowledge, getPartiesForToken, getViewAsParty,
+	revealForParties, paintPartyFog, forgetForAllParties
+} from "./HexKnowledgeSD.mjs";
 
 const MODULE_ID = "shadowdark-extras";
 const HEX_JOURNAL_NAME = "__sdx_hex_data__";
@@ -537,10 +541,9 @@ export function isPositionRevealed(x, y) {
 	if (!enabled || !canvas.grid?.isHexagonal) return true;
 	const offset = canvas.grid.getOffset({ x, y });
 	const key = `${offset.i}-${offset.j}`;
-	const revealed = canvas.scene.getFlag(MODULE_ID, "hexFogRevealed") || {};
+	const { revealed, exploredKeys } = _getFogState(canvas.scene);
 	if (revealed[key]) return true;
 	if (key in _paintOverlay) return _paintOverlay[key];
-	const exploredKeys = _getExploredHexKeys(canvas.scene.id);
 	return exploredKeys.has(key);
 }
 
@@ -607,6 +610,13 @@ export function initHexFog() {
 			canvas.perception.update({ refreshVision: true });
 		}
 	});
+
+	// Party knowledge changed or the GM switched the party they view as
+	Hooks.on("sdx.hexKnowledgeChanged", () => {
+		if (!enabled || !isPartyKnowledgeEnabled()) return;
+		_drawFog();
+		canvas.perception.update({ refreshVision: true });
+	});
 }
 
 
@@ -686,6 +696,24 @@ function _onUpdateToken(tokenDoc, changes) {
 	});
 
 	const scene = canvas.scene;
+
+	// Per-party knowledge: the token reveals for its parties instead of the whole table
+	const parties = isPartyKnowledgeEnabled() ? getPartiesForToken(tokenDoc) : [];
+
+	// World scripts can drop keys from the set or cancel the reveal
+	if (Hooks.call("sdx.preHexReveal", scene, toReveal, { token: tokenDoc, parties }) === false) return;
+
+	if (parties.length) {
+		if (game.user.isGM) {
+			const entered = pathCells.map(c => `${c.i}_${c.j}`).filter(key => key !== originKey);
+			const previewed = isHexPreviewEnabled() ? _collectPreviewRingKeys(toReveal) : new Set();
+			revealForParties(parties, scene.id, { revealed: toReveal, previewed, entered });
+			if (toReveal.size) Hooks.callAll("sdx.hexRevealed", scene, [...toReveal], { token: tokenDoc, parties });
+			if (rollTableCells.length > 0) _processRollTables(scene, rollTableCells);
+		}
+		return;
+	}
+
 	const existing = scene.getFlag(MODULE_ID, "hexFogRevealed") || {};
 	const existingPreview = scene.getFlag(MODULE_ID, "hexFogPreviewed") || {};
 	const exploredKeys = _getExploredHexKeys(scene.id);
@@ -693,9 +721,11 @@ function _onUpdateToken(tokenDoc, changes) {
 	let previewChanged = false;
 	const updated = { ...existing };
 	const updatedPreview = { ...existingPreview };
+	const newlyRevealed = [];
 	for (const key of toReveal) {
 		if (!updated[key]) {
 			updated[key] = true;
+			newlyRevealed.push(key);
 			changed = true;
 		}
 		if (updatedPreview[key]) {
@@ -717,7 +747,10 @@ function _onUpdateToken(tokenDoc, changes) {
 
 	if ((changed || previewChanged) && game.user.isGM) {
 		if (previewChanged) scene.setFlag(MODULE_ID, "hexFogPreviewed", updatedPreview);
-		if (changed) scene.setFlag(MODULE_ID, "hexFogRevealed", updated);
+		if (changed) {
+			scene.setFlag(MODULE_ID, "hexFogRevealed", updated);
+			Hooks.callAll("sdx.hexRevealed", scene, newlyRevealed, { token: tokenDoc, parties });
+		}
 	}
 
 	_drawFog();
@@ -908,6 +941,30 @@ function _getExploredHexKeys(sceneId) {
 	return explored;
 }
 
+/**
+ * Revealed, previewed and explored hexes as seen by the current user.
+ * With per-party knowledge the viewer's parties add their own reveals on top
+ * of the scene-wide state.
+ */
+function _getFogState(scene) {
+	const revealed = { ...(scene.getFlag(MODULE_ID, "hexFogRevealed") || {}) };
+	const previewed = { ...(scene.getFlag(MODULE_ID, "hexFogPreviewed") || {}) };
+	const exploredKeys = _getExploredHexKeys(scene.id);
+
+	const knowledge = getViewerKnowledge(scene.id);
+	if (knowledge) {
+		for (const key of Object.keys(knowledge.revealed)) revealed[key] = true;
+		for (const key of Object.keys(knowledge.previewed)) previewed[key] = true;
+		for (const [hexKey, hex] of Object.entries(knowledge.hexes)) {
+			if (hex.exploration === "explored" || hex.exploration === "mapped") {
+				exploredKeys.add(hexKey.replace("_", "-"));
+			}
+		}
+	}
+
+	return { revealed, previewed, exploredKeys };
+}
+
 
 
 function _initFog() {
@@ -1024,8 +1081,25 @@ function _onPaintUp() {
 	_paintMode = null;
 	_paintKeys = null;
 
-	// Batch-save all changes to the scene flag
 	const scene = canvas.scene;
+	const painted = Object.entries(_paintOverlay).filter(([, val]) => val).map(([key]) => key);
+
+	// Previewing a party: paint its knowledge instead of the shared fog
+	const party = isPartyKnowledgeEnabled() ? getViewAsParty() : null;
+	if (party) {
+		paintPartyFog(party, scene.id, _paintOverlay);
+		_paintOverlay = {};
+		if (painted.length) Hooks.callAll("sdx.hexRevealed", scene, painted, { token: null, parties: [party], painted: true });
+		return;
+	}
+
+	// Re-fogging the shared map also makes every party forget those hexes
+	if (isPartyKnowledgeEnabled()) {
+		const hidden = Object.entries(_paintOverlay).filter(([, val]) => !val).map(([key]) => key);
+		forgetForAllParties(scene.id, hidden);
+	}
+
+	// Batch-save all changes to the scene flag
 	const revealed = { ...(scene.getFlag(MODULE_ID, "hexFogRevealed") || {}) };
 	const previewed = { ...(scene.getFlag(MODULE_ID, "hexFogPreviewed") || {}) };
 	for (const [key, val] of Object.entries(_paintOverlay)) {
@@ -1036,6 +1110,7 @@ function _onPaintUp() {
 	_paintOverlay = {};
 	scene.setFlag(MODULE_ID, "hexFogPreviewed", previewed);
 	scene.setFlag(MODULE_ID, "hexFogRevealed", revealed);
+	if (painted.length) Hooks.callAll("sdx.hexRevealed", scene, painted, { token: null, parties: [], painted: true });
 }
 
 function _paintHex(key) {
@@ -1102,9 +1177,8 @@ function _drawFog() {
 	if (!canvas.grid?.isHexagonal) return;
 
 	const scene = canvas.scene;
-	const revealed = scene.getFlag(MODULE_ID, "hexFogRevealed") || {};
-	const exploredKeys = _getExploredHexKeys(scene.id);
-	const previewKeys = _getStoredHexPreviewKeys(scene, revealed, exploredKeys);
+	const { revealed, previewed, exploredKeys } = _getFogState(scene);
+	const previewKeys = _getStoredHexPreviewKeys(previewed, revealed, exploredKeys);
 	const alpha = game.user.isGM ? 0.5 : 1.0;
 	const previewAlpha = alpha * 0.5;
 	const unexploredColor = scene.fog?.colors?.unexplored?.css || "#000000";
@@ -1197,10 +1271,9 @@ function _drawFogMask(revealed, exploredKeys, previewKeys, rows, cols, cellShape
 	}
 }
 
-function _getStoredHexPreviewKeys(scene, revealed, exploredKeys) {
+function _getStoredHexPreviewKeys(storedPreview, revealed, exploredKeys) {
 	const previewKeys = new Set();
 	if (!isHexPreviewEnabled()) return previewKeys;
-	const storedPreview = scene.getFlag(MODULE_ID, "hexFogPreviewed") || {};
 	for (const [key, isPreviewed] of Object.entries(storedPreview)) {
 		if (!isPreviewed) continue;
 		if (revealed[key] || exploredKeys.has(key)) continue;
@@ -1,9 +1,21 @@
 /**
  * SceneExporter: Exports a Foundry VTT scene with all dependencies as a ZIP file
+ *
+ * Hex crawl scenes are exported as a "region package": besides the scene and its
+ * assets, region.json carries the hex records, content registry entries, journal
+ * pins and hex fog state so the whole crawl can be moved to another world.
  */
 
+import { getAllContent } from "./ContentRegistry.mjs";
+
 const MODULE_ID = "shadowdark-extras";
 
+export const REGION_PACKAGE_FORMAT = "sdx-region";
+export const REGION_PACKAGE_VERSION = 2;
+
+// Scene flags that make up the hex fog exploration state
+export const REGION_FOG_FLAGS = ["hexFogEnabled", "hexFogRevealed", "hexFogPreviewed", "hexFogEffect", "hexRolledCells"];
+
 export class SceneExporter {
 
     /**
@@ -23,10 +35,12 @@ export class SceneExporter {
             const sceneData = await this.collectSceneData(scene);
             const referencedDocs = await this.collectReferencedDocuments(scene);
             const hexData = await this.collectHexData(scene);
+            const region = this.collectRegionData(scene, hexData);
+            await this.collectRegionDocuments(region, referencedDocs);
             const images = await this.collectImages(sceneData, referencedDocs, hexData);
 
             // Create ZIP package
-            const zipBlob = await this.createZipPackage(scene.name, sceneData, referencedDocs, images, hexData);
+            const zipBlob = await this.createZipPackage(scene.name, sceneData, referencedDocs, images, hexData, region);
 
             // Trigger download
             await this.downloadZip(zipBlob, `${this.sanitizeFilename(scene.name)}.zip`);
@@ -112,8 +126,82 @@ export class SceneExporter {
         return {
             actors: Array.from(referenced.actors.values()),
             items: Array.from(referenced.items.values()),
-            journals: Array.from(referenced.journals.values())
+            journals: Array.from(referenced.journals.values()),
+            tables: []
+        };
+    }
+
+    /**
+     * Collect the hex crawl state that belongs to the scene
+     * @param {Scene} scene - The scene to collect region data from
+     * @param {Object|null} hexData - Hex tooltip data
+     * @returns {Object} Region data: hex records, registry entries, journal pins and fog state
+     */
+    static collectRegionData(scene, hexData) {
+        const pins = scene.getFlag(MODULE_ID, "journalPins");
+        const fog = {};
+        for (const key of REGION_FOG_FLAGS) {
+            const value = scene.getFlag(MODULE_ID, key);
+            if (value !== undefined) fog[key] = foundry.utils.deepClone(value);
+        }
+
+        const region = {
+            sceneId: scene.id,
+            hexData: hexData ?? {},
+            registry: getAllContent(scene.id),
+            pins: Array.isArray(pins) ? foundry.utils.deepClone(pins) : [],
+            fog
         };
+
+        console.log(`${MODULE_ID} | Collected region data:`, {
+            hexes: Object.keys(region.hexData).length,
+            registry: region.registry.length,
+            pins: region.pins.length,
+            fog: Object.keys(fog).length
+        });
+
+        return region;
+    }
+
+    /**
+     * Add the journals and roll tables linked from the region to the referenced documents
+     * @param {Object} region - Region data from collectRegionData
+     * @param {Object} referencedDocs - Referenced documents, updated in place
+     */
+    static async collectRegionDocuments(region, referencedDocs) {
+        const journalIds = new Set();
+        const tableUuids = new Set();
+
+        for (const record of Object.values(region.hexData)) {
+            for (const feature of record.features ?? []) {
+                if (feature.type === "journal" && feature.journalId) journalIds.add(feature.journalId);
+            }
+            if (record.rollTable) tableUuids.add(record.rollTable);
+        }
+        for (const entry of region.registry) {
+            if (entry.journalId) journalIds.add(entry.journalId);
+        }
+        for (const pin of region.pins) {
+            if (pin.journalId) journalIds.add(pin.journalId);
+        }
+
+        const knownJournals = new Set(referencedDocs.journals.map(j => j._id));
+        for (const id of journalIds) {
+            const journal = game.journal.get(id);
+            if (journal && !knownJournals.has(id)) {
+                referencedDocs.journals.push(journal.toObject());
+                knownJournals.add(id);
+            }
+        }
+
+        // Only world tables can travel with the package; compendium links stay as they are
+        for (const uuid of tableUuids) {
+            if (!uuid.startsWith("RollTable.")) continue;
+            const table = await fromUuid(uuid);
+            if (table && !referencedDocs.tables.some(t => t._id === table.id)) {
+                referencedDocs.tables.push(table.toObject());
+            }
+        }
     }
 
     /**
@@ -207,9 +295,11 @@ export class SceneExporter {
      * @param {Object} sceneData - Scene data object
      * @param {Object} referencedDocs - Referenced documents
      * @param {Map} images - Map of image paths to blobs
+     * @param {Object|null} hexData - Hex tooltip data
+     * @param {Object} region - Region data from collectRegionData
      * @returns {Blob} ZIP file blob
      */
-    static async createZipPackage(sceneName, sceneData, referencedDocs, images, hexData) {
+    static async createZipPackage(sceneName, sceneData, referencedDocs, images, hexData, region) {
         const zip = new JSZip();
 
         // Add scene data
@@ -220,9 +310,15 @@ export class SceneExporter {
             zip.file("hex-data.json", JSON.stringify(hexData, null, 2));
         }
 
+        // Add region data (registry entries, journal pins, fog state)
+        zip.file("region.json", JSON.stringify(region, null, 2));
+
         // Add manifest with metadata
         const manifest = {
-            version: "1.0",
+            format: REGION_PACKAGE_FORMAT,
+            version: REGION_PACKAGE_VERSION,
+            moduleVersion: game.modules.get(MODULE_ID)?.version,
+            sceneId: sceneData._id,
             sceneName: sceneName,
             exportDate: new Date().toISOString(),
             foundryVersion: game.version,
@@ -232,8 +328,11 @@ export class SceneExporter {
                 actors: referencedDocs.actors.length,
                 items: referencedDocs.items.length,
                 journals: referencedDocs.journals.length,
+                tables: referencedDocs.tables.length,
                 images: images.size,
-                hexTooltips: hexData ? Object.keys(hexData).length : 0
+                hexTooltips: hexData ? Object.keys(hexData).length : 0,
+                registryEntries: region.registry.length,
+                journalPins: region.pins.length
             }
         };
         zip.file("manifest.json", JSON.stringify(manifest, null, 2));
@@ -249,6 +348,9 @@ export class SceneExporter {
         if (referencedDocs.journals.length > 0) {
             docsFolder.file("journals.json", JSON.stringify(referencedDocs.journals, null, 2));
         }
+        if (referencedDocs.tables.length > 0) {
+            docsFolder.file("tables.json", JSON.stringify(referencedDocs.tables, null, 2));
+        }
 
         // Add image paths mapping
         const imagePaths = {};
@@ -1,9 +1,30 @@
 /**
  * SceneImporter: Imports a Foundry VTT scene from a ZIP file exported by SceneExporter
+ *
+ * Region packages (manifest format "sdx-region") are validated before anything is
+ * created. Document IDs are kept where possible so UUID links survive the move; on
+ * an ID collision the user picks whether to import a copy, reuse the existing
+ * document or replace it, and every link to a re-keyed document is remapped.
  */
 
+import { REGION_PACKAGE_FORMAT, REGION_PACKAGE_VERSION, REGION_FOG_FLAGS } from "./SceneExporter.mjs";
+import { importContent } from "./ContentRegistry.mjs";
+
 const MODULE_ID = "shadowdark-extras";
 
+// Packaged document files and the collections they are imported into
+const DOCUMENT_FILES = [
+    { type: "Actor", filename: "actors.json" },
+    { type: "JournalEntry", filename: "journals.json" },
+    { type: "RollTable", filename: "tables.json" }
+];
+
+const COLLISION_MODES = {
+    copy: "Import as a copy (new ID)",
+    reuse: "Keep the existing document",
+    replace: "Replace the existing document"
+};
+
 export class SceneImporter {
 
     /**
@@ -23,6 +44,15 @@ export class SceneImporter {
                 </div>
                 <p class="notes">Select a .zip or .txt file exported by Shadowdark Extras.</p>
             </div>
+            <div class="form-group">
+                <label>If a document already exists</label>
+                <div class="form-fields">
+                    <select id="import-collision">
+                        ${Object.entries(COLLISION_MODES).map(([key, label]) => `<option value="${key}">${label}</option>`).join("")}
+                    </select>
+                </div>
+                <p class="notes">Applies when an actor, journal, roll table or the scene in the package has the same ID as one in this world.</p>
+            </div>
         `;
 
         new Dialog({
@@ -39,7 +69,8 @@ export class SceneImporter {
                             ui.notifications.warn("No file selected.");
                             return;
                         }
-                        await this.importScene(file);
+                        const collision = html.find("#import-collision").val() || "copy";
+                        await this.importScene(file, { collision });
                     }
                 },
                 cancel: {
@@ -53,9 +84,11 @@ export class SceneImporter {
 
     /**
      * Main import function
-     * @param {File} file - The ZIP file object 
+     * @param {File} file - The ZIP file object
+     * @param {Object} [options]
+     * @param {string} [options.collision] - How to resolve ID collisions: copy, reuse or replace
      */
-    static async importScene(file) {
+    static async importScene(file, { collision = "copy" } = {}) {
         ui.notifications.info(`Reading archive: ${file.name}...`);
         console.log(`${MODULE_ID} | Starting import of: ${file.name}`);
 
@@ -71,20 +104,35 @@ export class SceneImporter {
             const manifest = JSON.parse(await zipContent.file("manifest.json").async("string"));
             console.log(`${MODULE_ID} | Manifest loaded:`, manifest);
 
+            const pkg = await this.readPackage(zipContent);
+            const errors = this.validatePackage(manifest, pkg);
+            if (errors.length) {
+                console.error(`${MODULE_ID} | Package validation failed:`, errors);
+                throw new Error(`Invalid package: ${errors.slice(0, 3).join("; ")}${errors.length > 3 ? ` (+${errors.length - 3} more)` : ""}`);
+            }
+
+            // Work out the ID of every document before anything is created
+            const idMap = this.planDocumentIds(pkg, collision);
+
             // Determine unique scene name
-            let sceneName = manifest.sceneName || "Imported Scene";
-            sceneName = await this.getUniqueDocumentName("Scene", sceneName);
+            let sceneName = manifest.sceneName || pkg.scene.name || "Imported Scene";
+            if (idMap.Scene.get(pkg.scene._id)?.action !== "replace") {
+                sceneName = await this.getUniqueDocumentName("Scene", sceneName);
+            }
 
             ui.notifications.info(`Importing as "${sceneName}"... (this may take a moment)`);
 
             // 1. Extract and Upload Assets
             const assetMap = await this.processAssets(zipContent, sceneName);
 
-            // 2. Create Documents (Actors, Items, Journals)
-            const idMap = await this.createDocuments(zipContent, sceneName, assetMap);
+            // 2. Point asset paths and document links at their new locations
+            const remapped = this.remapPackage(pkg, assetMap, idMap);
+
+            // 3. Create Documents (Actors, Journals, Roll Tables)
+            await this.createDocuments(remapped, sceneName, idMap);
 
-            // 3. Create Scene
-            await this.createScene(zipContent, sceneName, assetMap, idMap);
+            // 4. Create Scene and restore its region state
+            await this.createScene(remapped, sceneName, idMap);
 
             ui.notifications.info(`Scene "${sceneName}" imported successfully!`);
         } catch (error) {
@@ -93,6 +141,174 @@ export class SceneImporter {
         }
     }
 
+    /**
+     * Parse every JSON file of the package
+     * @param {JSZip} zip - Loaded archive
+     * @returns {Object} { scene, documents, hexData, region }
+     */
+    static async readPackage(zip) {
+        const readJson = async (path) => {
+            const file = zip.file(path);
+            if (!file) return null;
+            try {
+                return JSON.parse(await file.async("string"));
+            } catch (e) {
+                throw new Error(`Invalid archive: ${path} is not valid JSON`);
+            }
+        };
+
+        const documents = {};
+        for (const { type, filename } of DOCUMENT_FILES) {
+            documents[type] = (await readJson(`documents/${filename}`)) ?? [];
+        }
+
+        const region = await readJson("region.json");
+        return {
+            scene: await readJson("scene.json"),
+            documents,
+            // Version 1 archives only carry hex-data.json
+            hexData: region?.hexData ?? (await readJson("hex-data.json")) ?? {},
+            region
+        };
+    }
+
+    /**
+     * Check the manifest and package contents against the region package schema
+     * @param {Object} manifest - Parsed manifest.json
+     * @param {Object} pkg - Parsed package from readPackage
+     * @returns {string[]} Validation errors, empty when the package is valid
+     */
+    static validatePackage(manifest, pkg) {
+        const errors = [];
+        const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+        const isString = (value) => typeof value === "string" && value.length > 0;
+
+        if (!isObject(manifest)) return ["manifest.json must be an object"];
+        if (manifest.format !== undefined && manifest.format !== REGION_PACKAGE_FORMAT) {
+            errors.push(`unknown package format "${manifest.format}"`);
+        }
+        const version = manifest.format ? Number(manifest.version) : 1;
+        if (!Number.isInteger(version) || version < 1) {
+            errors.push(`unknown package version "${manifest.version}"`);
+        } else if (version > REGION_PACKAGE_VERSION) {
+            errors.push(`package version ${version} was made by a newer version of Shadowdark Extras`);
+        }
+
+        const scene = pkg.scene;
+        if (!isObject(scene)) {
+            errors.push("scene.json must be an object");
+        } else {
+            if (!isString(scene._id)) errors.push("scene.json is missing its _id");
+            if (!isString(scene.name)) errors.push("scene.json is missing its name");
+            for (const key of ["tokens", "notes", "tiles", "walls"]) {
+                if (scene[key] !== undefined && !Array.isArray(scene[key])) errors.push(`scene.${key} must be an array`);
+            }
+        }
+
+        for (const { type, filename } of DOCUMENT_FILES) {
+            const docs = pkg.documents[type];
+            if (!Array.isArray(docs)) {
+                errors.push(`documents/${filename} must be an array`);
+                continue;
+            }
+            docs.forEach((doc, index) => {
+                if (!isObject(doc) || !isString(doc._id) || !isString(doc.name)) {
+                    errors.push(`documents/${filename}[${index}] needs an _id and a name`);
+                }
+            });
+        }
+
+        if (!isObject(pkg.hexData)) {
+            errors.push("hex data must be an object keyed by hex");
+        } else {
+            for (const [hexKey, record] of Object.entries(pkg.hexData)) {
+                if (!/^-?\d+_-?\d+$/.test(hexKey)) errors.push(`invalid hex key "${hexKey}"`);
+                if (!isObject(record)) errors.push(`hex ${hexKey} must be an object`);
+                else if (record.features !== undefined && !Array.isArray(record.features)) errors.push(`hex ${hexKey} features must be an array`);
+            }
+        }
+
+        const region = pkg.region;
+        if (region !== null) {
+            if (!isObject(region)) {
+                errors.push("region.json must be an object");
+            } else {
+                if (!Array.isArray(region.registry)) errors.push("region.registry must be an array");
+                else region.registry.forEach((entry, index) => {
+                    if (!isObject(entry) || !isString(entry.hexKey) || !isString(entry.name) || !isString(entry.type)) {
+                        errors.push(`region.registry[${index}] needs a hexKey, type and name`);
+                    }
+                });
+                if (!Array.isArray(region.pins)) errors.push("region.pins must be an array");
+                else region.pins.forEach((pin, index) => {
+                    if (!isObject(pin) || !isString(pin.id)) errors.push(`region.pins[${index}] needs an id`);
+                });
+                if (!isObject(region.fog)) errors.push("region.fog must be an object");
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Decide the ID each packaged document will have in this world.
+     * Documents keep their ID unless it collides with an existing document, in which
+     * case the collision mode decides: copy (new ID), reuse (skip) or replace.
+     * @param {Object} pkg - Parsed package
+     * @param {string} collision - copy, reuse or replace
+     * @returns {Object} Maps of OldID -> { id, action } keyed by document type
+     */
+    static planDocumentIds(pkg, collision) {
+        const plan = (collection, docs, mode) => {
+            const map = new Map();
+            for (const doc of docs) {
+                if (!collection.has(doc._id)) {
+                    map.set(doc._id, { id: doc._id, action: "create" });
+                } else if (mode === "reuse") {
+                    map.set(doc._id, { id: doc._id, action: "skip" });
+                } else if (mode === "replace") {
+                    map.set(doc._id, { id: doc._id, action: "replace" });
+                } else {
+                    map.set(doc._id, { id: foundry.utils.randomID(), action: "create" });
+                }
+            }
+            return map;
+        };
+
+        const idMap = {};
+        for (const { type } of DOCUMENT_FILES) {
+            idMap[type] = plan(game.collections.get(type), pkg.documents[type], collision);
+        }
+        // The scene itself is never skipped: reusing falls back to a copy
+        idMap.Scene = plan(game.scenes, [pkg.scene], collision === "replace" ? "replace" : "copy");
+        return idMap;
+    }
+
+    /**
+     * Apply the asset map and ID map to every part of the package.
+     * Document IDs are 16 character random strings, so replacing each re-keyed ID
+     * wherever it appears updates _id fields, plain ID references (actorId,
+     * journalId, sceneId...) and UUID links (@UUID[JournalEntry.id]) alike.
+     * @param {Object} pkg - Parsed package
+     * @param {Map<string, string>} assetMap - Original path -> new local path
+     * @param {Object} idMap - From planDocumentIds
+     * @returns {Object} A remapped copy of the package
+     */
+    static remapPackage(pkg, assetMap, idMap) {
+        const idReplacements = new Map();
+        for (const map of Object.values(idMap)) {
+            for (const [oldId, { id }] of map) {
+                if (oldId !== id) idReplacements.set(oldId, id);
+            }
+        }
+
+        let content = this.replaceStringPaths(JSON.stringify(pkg), assetMap);
+        for (const [oldId, newId] of idReplacements) {
+            content = content.replace(new RegExp(`\\b${oldId}\\b`, "g"), newId);
+        }
+        return JSON.parse(content);
+    }
+
     /**
      * ensure unique name for a document type
      */
@@ -184,99 +400,86 @@ export class SceneImporter {
     }
 
     /**
-     * Create Actors, Items, Journals from the zip
-     * @returns {Object} Maps of OldID -> NewID
+     * Create Actors, Journals and Roll Tables from the remapped package.
+     * Items are not imported separately: they are embedded in Actors and importing
+     * them again causes massive redundancy.
+     * @param {Object} pkg - Remapped package
+     * @param {string} sceneName - Used as the folder name
+     * @param {Object} idMap - From planDocumentIds
      */
-    static async createDocuments(zip, sceneName, assetMap) {
-        const idMap = {
-            Actor: new Map(),
-            Item: new Map(),
-            JournalEntry: new Map()
-        };
-
-        const createDocs = async (type, filename, collectionName) => {
-            // SKIP ITEMS: They are embedded in Actors and importing them separately causes massive redundancy.
-            if (type === "Item") return;
-
-            const file = zip.file(`documents/${filename}`);
-            if (!file) return;
+    static async createDocuments(pkg, sceneName, idMap) {
+        for (const { type } of DOCUMENT_FILES) {
+            const docsData = pkg.documents[type];
+            if (!docsData.length) continue;
 
-            const content = await file.async("string");
-            // Replace asset paths in the raw JSON before parsing
-            const processedContent = this.replaceStringPaths(content, assetMap);
-            const docsData = JSON.parse(processedContent);
-
-            // Create Folder
-            const folder = await this.getOrCreateFolder(type, sceneName);
+            // Index the plan by the (possibly new) ID the data now carries
+            const actions = new Map([...idMap[type].values()].map(({ id, action }) => [id, action]));
+            const cls = getDocumentClass(type);
+            let folder = null;
 
             for (const docData of docsData) {
-                const oldId = docData._id;
-                delete docData._id; // New ID
-                docData.folder = folder.id;
-
-                // Strip ownership/permission to defaults
-                // docData.ownership = { default: 0 }; 
+                const action = actions.get(docData._id) ?? "create";
+                if (action === "skip") {
+                    console.log(`${MODULE_ID} | Kept existing ${type}: ${docData.name}`);
+                    continue;
+                }
 
                 try {
-                    const cls = getDocumentClass(type);
-                    const doc = await cls.create(docData);
-                    idMap[type].set(oldId, doc.id);
-                    console.log(`${MODULE_ID} | Created ${type}: ${doc.name}`);
+                    const existing = game.collections.get(type).get(docData._id);
+                    if (action === "replace" && existing) {
+                        // Replacing keeps the existing document's folder
+                        docData.folder = existing.folder?.id ?? null;
+                        await existing.delete();
+                    } else {
+                        folder ??= await this.getOrCreateFolder(type, sceneName);
+                        docData.folder = folder.id;
+                    }
+
+                    const doc = await cls.create(docData, { keepId: true });
+                    console.log(`${MODULE_ID} | ${action === "replace" ? "Replaced" : "Created"} ${type}: ${doc.name}`);
                 } catch (e) {
                     console.error(`${MODULE_ID} | Failed to create ${type}:`, e);
                 }
             }
-        };
-
-        await createDocs("Actor", "actors.json", "actors");
-        await createDocs("Item", "items.json", "items");
-        await createDocs("JournalEntry", "journals.json", "journal");
-
-        return idMap;
+        }
     }
 
     /**
-     * Create the final scene
+     * Create the final scene and restore its hex crawl region state
+     * @param {Object} pkg - Remapped package
+     * @param {string} sceneName - Name for the new scene
+     * @param {Object} idMap - From planDocumentIds
      */
-    static async createScene(zip, sceneName, assetMap, idMap) {
-        const file = zip.file("scene.json");
-        if (!file) return;
-
-        let content = await file.async("string");
-
-        // 1. Replace Asset Paths
-        content = this.replaceStringPaths(content, assetMap);
-
-        // 2. Parse
-        const sceneData = JSON.parse(content);
-
-        // 3. Update Document IDs (Tokens, Notes)
-        // Tokens
-        if (sceneData.tokens) {
-            sceneData.tokens.forEach(token => {
-                if (token.actorId && idMap.Actor.has(token.actorId)) {
-                    token.actorId = idMap.Actor.get(token.actorId);
-                }
-            });
-        }
-
-        // Notes (Journal Pins)
-        if (sceneData.notes) {
-            sceneData.notes.forEach(note => {
-                if (note.entryId && idMap.JournalEntry.has(note.entryId)) {
-                    note.entryId = idMap.JournalEntry.get(note.entryId);
-                }
-            });
+    static async createScene(pkg, sceneName, idMap) {
+        const sceneData = pkg.scene;
+        const region = pkg.region;
+
+        // Region packages carry the authoritative pins and fog state
+        if (region) {
+            sceneData.flags ??= {};
+            sceneData.flags[MODULE_ID] ??= {};
+            const flags = sceneData.flags[MODULE_ID];
+            flags.journalPins = region.pins;
+            for (const key of REGION_FOG_FLAGS) {
+                if (region.fog[key] !== undefined) flags[key] = region.fog[key];
+                else delete flags[key];
+            }
         }
 
-        // Clean up
-        delete sceneData._id;
         sceneData.name = sceneName;
 
-        const [newScene] = await Scene.create([sceneData]);
+        const [{ action }] = idMap.Scene.values();
+        if (action === "replace") {
+            await game.scenes.get(sceneData._id)?.delete();
+        }
+        const newScene = await Scene.create(sceneData, { keepId: true });
 
-        // Import hex tooltip data under the new scene ID
-        await this.importHexData(zip, newScene.id, assetMap);
+        // Import hex tooltip data and registry entries under the new scene ID
+        await this.importHexData(pkg.hexData, newScene.id);
+        if (region?.registry.length) {
+            const count = await importContent(region.registry.map(entry => ({ ...entry, sceneId: newScene.id })));
+            console.log(`${MODULE_ID} | Imported ${count} content registry entries`);
+        }
     }
 
     /**
@@ -294,15 +497,12 @@ export class SceneImporter {
     }
 
     /**
-     * Import hex tooltip data from the ZIP into the hex journal
+     * Import hex tooltip data into the hex journal
+     * @param {Object} hexData - Remapped hex records keyed by hexKey
+     * @param {string} newSceneId - ID of the imported scene
      */
-    static async importHexData(zip, newSceneId, assetMap) {
-        const file = zip.file("hex-data.json");
-        if (!file) return;
-
-        let content = await file.async("string");
-        content = this.replaceStringPaths(content, assetMap);
-        const hexData = JSON.parse(content);
+    static async importHexData(hexData, newSceneId) {
+        if (!hexData || Object.keys(hexData).length === 0) return;
 
         // Find or create the hex data journal
         let journal = game.journal.find(j => j.name === "__sdx_hex_data__");
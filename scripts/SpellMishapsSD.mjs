@@ -0,0 +1,537 @@
+/**
+ * Spell Mishaps and Penance for Shadowdark Extras
+ *
+ * Handles the consequences of a natural 1 on a spellcasting check:
+ * - Classes in "mishap" mode (wizards by default) roll the mishap RollTable
+ *   configured for the spell's tier. Results linking to Effect items are
+ *   applied to the caster.
+ * - Classes in "penance" mode (priests by default) lose the spell until they
+ *   perform penance. Resting doesn't restore it; the spell row on the sheet
+ *   shows a badge that opens the penance dialog, which optionally takes the
+ *   sacrifice cost in gold and restores the spell. A table can be configured
+ *   for these classes too.
+ *
+ * Tables and penance costs are edited in the Spell Mishaps menu. A tier
+ * without a table uses the nearest lower tier's table.
+ *
+ * Storage (actor flag):
+ * - penance.<itemId>: { spellName, tier, cost }
+ */
+
+import { getSocket } from "./CombatSettingsSD.mjs";
+
+const MODULE_ID = "shadowdark-extras";
+const SPELL_TIERS = [1, 2, 3, 4, 5];
+export const MISHAP_MODES = ["mishap", "penance"];
+
+const DEFAULT_MISHAP_CONFIG = {
+	classes: [
+		{ className: "Wizard", mode: "mishap", tables: {} },
+		{ className: "Priest", mode: "penance", tables: {} }
+	],
+	penanceCosts: { 1: 5, 2: 20, 3: 40, 4: 90, 5: 150 }
+};
+
+/**
+ * Get the spell mishap configuration merged over the defaults
+ * @returns {Object}
+ */
+export function getSpellMishapConfig() {
+	let saved = {};
+	try {
+		saved = game.settings.get(MODULE_ID, "spellMishapConfig") ?? {};
+	} catch (e) {
+		// Setting not registered yet, return defaults
+	}
+	return foundry.utils.mergeObject(foundry.utils.deepClone(DEFAULT_MISHAP_CONFIG), saved, { inplace: false });
+}
+
+/**
+ * Whether mishap and penance handling is enabled
+ * @returns {boolean}
+ */
+function isEnabled() {
+	try {
+		return game.settings.get(MODULE_ID, "enableSpellMishaps");
+	} catch (e) {
+		return false;
+	}
+}
+
+/**
+ * Find the class entry that handles a caster's critical failures with a spell.
+ * A caster with a class always uses their own class, so a spell shared by
+ * several class lists rolls the caster's table. NPCs and classless casters
+ * fall back to the spell's classes.
+ * @param {Actor} actor
+ * @param {Item} item
+ * @returns {Object|null} { className, mode, tables }
+ */
+export function getMishapClassEntry(actor, item) {
+	const { classes } = getSpellMishapConfig();
+	const actorClass = actor?.system?.class ? fromUuidSync(actor.system.class)?.name?.toLowerCase() : null;
+	const spellClasses = Array.isArray(item?.system?.class) ? item.system.class : [];
+	const names = actorClass
+		? [actorClass]
+		: spellClasses.map(uuid => fromUuidSync(uuid)?.name?.toLowerCase()).filter(Boolean);
+
+	for (const name of names) {
+		const entry = classes.find(c => c.className?.trim().toLowerCase() === name);
+		if (entry) return entry;
+	}
+	return null;
+}
+
+/**
+ * Get the table a class rolls for a spell tier, falling back to the nearest
+ * lower tier with a table
+ * @param {Object} entry - Class entry from the config
+ * @param {number} tier
+ * @returns {Promise<RollTable|null>}
+ */
+export async function getMishapTable(entry, tier) {
+	for (let t = Math.clamp(Number(tier) || 1, 1, 5); t >= 1; t--) {
+		const uuid = entry?.tables?.[t];
+		if (!uuid) continue;
+		const table = await fromUuid(uuid);
+		if (table instanceof RollTable) return table;
+	}
+	return null;
+}
+
+/**
+ * Get the penance cost in gold for a spell tier
+ * @param {number} tier
+ * @returns {number}
+ */
+export function getPenanceCost(tier) {
+	return Number(getSpellMishapConfig().penanceCosts?.[tier]) || 0;
+}
+
+/**
+ * Get an actor's outstanding penances
+ * @param {Actor} actor
+ * @returns {Object} Keyed by spell item id
+ */
+export function getPenances(actor) {
+	return actor?.getFlag(MODULE_ID, "penance") ?? {};
+}
+
+/**
+ * Apply the Effect items linked from table results to the caster
+ * @param {Actor} actor
+ * @param {TableResult[]} results
+ * @returns {Promise<string[]>} Names of the applied effects
+ */
+async function applyResultEffects(actor, results) {
+	const applied = [];
+	const token = actor.getActiveTokens()[0];
+
+	for (const result of results) {
+		const uuid = result.documentUuid;
+		if (!uuid) continue;
+		const effect = await fromUuid(uuid);
+		if (effect?.documentName !== "Item" || effect.type !== "Effect") continue;
+
+		if (token) {
+			await getSocket()?.executeAsGM("applyTokenCondition", {
+				tokenId: token.id,
+				effectUuid: effect.uuid,
+				cumulative: false
+			});
+		} else {
+			const data = effect.toObject();
+			foundry.utils.setProperty(data, "_stats.compendiumSource", effect.uuid);
+			await actor.createEmbeddedDocuments("Item", [data]);
+		}
+		applied.push(effect.name);
+	}
+	return applied;
+}
+
+/**
+ * Get the display text of a table result
+ * @param {TableResult} result
+ * @returns {string}
+ */
+function getResultText(result) {
+	return result.description || result.text || result.name || "";
+}
+
+/**
+ * Post the mishap / penance card
+ * @param {Actor} actor
+ * @param {Item} item
+ * @param {Object} data
+ */
+async function postMishapCard(actor, item, { mode, table, roll, results, applied, cost }) {
+	const isPenance = mode === "penance";
+	const title = game.i18n.format(
+		isPenance ? "SHADOWDARK_EXTRAS.spell_mishaps.penance_title" : "SHADOWDARK_EXTRAS.spell_mishaps.mishap_title",
+		{ spell: item.name }
+	);
+
+	const resultsHtml = results.length ? `
+			<div class="sdx-mishap-results">
+				<div class="sdx-mishap-table">${table.name}${roll ? ` <strong>${roll.total}</strong>` : ""}</div>
+				${results.map(r => `<div class="sdx-mishap-result">${getResultText(r)}</div>`).join("")}
+			</div>` : "";
+	const appliedHtml = applied.length ? `
+			<p class="sdx-mishap-applied"><i class="fas fa-bolt"></i> ${game.i18n.format("SHADOWDARK_EXTRAS.spell_mishaps.effects_applied", { effects: applied.join(", ") })}</p>` : "";
+	const penanceHtml = isPenance ? `
+			<p class="sdx-mishap-text">${game.i18n.format("SHADOWDARK_EXTRAS.spell_mishaps.penance_text", { name: actor.name, spell: item.name, cost })}</p>
+			<button type="button" class="sdx-perform-penance" data-actor-uuid="${actor.uuid}" data-item-id="${item.id}">
+				<i class="fas fa-hands-praying"></i> ${game.i18n.localize("SHADOWDARK_EXTRAS.spell_mishaps.perform_penance")}
+			</button>` : "";
+
+	const content = `
+		<div class="shadowdark chat-card sdx-mishap-card ${mode}">
+			<header class="sdx-mishap-header">
+				<i class="fas ${isPenance ? "fa-hands-praying" : "fa-burst"}"></i>
+				<h3>${title}</h3>
+			</header>${penanceHtml}${resultsHtml}${appliedHtml}
+		</div>`;
+
+	await ChatMessage.create({
+		user: game.user.id,
+		speaker: ChatMessage.getSpeaker({ actor }),
+		content,
+		rolls: roll ? [roll] : [],
+		flags: { [MODULE_ID]: { spellMishapCard: true } }
+	});
+}
+
+/**
+ * Resolve a critical spellcasting failure: roll the class table, apply its
+ * effects and, for penance classes, lose the spell until penance is done
+ * @param {Actor} actor
+ * @param {Item} item - The spell
+ * @returns {Promise<Object|null>} { mode, table, results } or null when the class isn't configured
+ */
+export async function resolveSpellMishap(actor, item) {
+	const entry = getMishapClassEntry(actor, item);
+	if (!entry) return null;
+
+	const mode = MISHAP_MODES.includes(entry.mode) ? entry.mode : "mishap";
+	const tier = Number(item.system?.tier) || 1;
+	const table = await getMishapTable(entry, tier);
+
+	let roll = null;
+	let results = [];
+	if (table) {
+		const draw = await table.draw({ displayChat: false });
+		roll = draw.roll;
+		results = draw.results;
+	}
+
+	const data = { mode, table, results };
+	Hooks.callAll("sdx.spellMishap", actor, item, data);
+
+	const applied = await applyResultEffects(actor, results);
+
+	let cost = 0;
+	if (mode === "penance") {
+		cost = getPenanceCost(tier);
+		await actor.setFlag(MODULE_ID, `penance.${item.id}`, { spellName: item.name, tier, cost });
+		if (!item.system.lost) await item.update({ "system.lost": true });
+	}
+
+	if (table || mode === "penance") {
+		await postMishapCard(actor, item, { mode, table, roll, results, applied, cost });
+	}
+	return data;
+}
+
+/**
+ * Perform penance for a spell: ask for the sacrifice, then restore the spell
+ * @param {Actor} actor
+ * @param {string} itemId
+ * @returns {Promise<boolean>} Whether penance was performed
+ */
+export async function performPenance(actor, itemId) {
+	const penance = getPenances(actor)[itemId];
+	if (!penance || !actor.isOwner) return false;
+	const item = actor.items.get(itemId);
+
+	const gp = Number(actor.system?.coins?.gp) || 0;
+	const content = `
+		<p>${game.i18n.format("SHADOWDARK_EXTRAS.spell_mishaps.penance_prompt", { spell: penance.spellName, cost: penance.cost })}</p>
+		<div class="form-group">
+			<label>
+				<input type="checkbox" name="payGold" ${penance.cost > 0 && gp >= penance.cost ? "checked" : ""} ${penance.cost > 0 ? "" : "disabled"}>
+				${game.i18n.format("SHADOWDARK_EXTRAS.spell_mishaps.pay_gold", { cost: penance.cost, gp })}
+			</label>
+		</div>`;
+
+	const payGold = await foundry.applications.api.DialogV2.wait({
+		window: { title: game.i18n.localize("SHADOWDARK_EXTRAS.spell_mishaps.perform_penance"), icon: "fas fa-hands-praying" },
+		content,
+		buttons: [
+			{
+				action: "perform",
+				label: game.i18n.localize("SHADOWDARK_EXTRAS.spell_mishaps.perform_penance"),
+				icon: "fas fa-check",
+				default: true,
+				callback: (event, button) => button.form.elements.payGold.checked
+			},
+			{ action: "cancel", label: game.i18n.localize("Cancel"), icon: "fas fa-times" }
+		],
+		rejectClose: false
+	});
+	if (payGold === null || payGold === "cancel") return false;
+
+	if (payGold) {
+		if (gp < penance.cost) {
+			ui.notifications.warn(game.i18n.format("SHADOWDARK_EXTRAS.spell_mishaps.not_enough_gold", { cost: penance.cost }));
+			return false;
+		}
+		await actor.update({ "system.coins.gp": gp - penance.cost });
+	}
+
+	await actor.unsetFlag(MODULE_ID, `penance.${itemId}`);
+	if (item?.system.lost) await item.update({ "system.lost": false }, { sdxPenance: true });
+
+	Hooks.callAll("sdx.penancePerformed", actor, item, { cost: payGold ? penance.cost : 0 });
+
+	const text = game.i18n.format(
+		payGold ? "SHADOWDARK_EXTRAS.spell_mishaps.penance_done_paid" : "SHADOWDARK_EXTRAS.spell_mishaps.penance_done",
+		{ name: actor.name, spell: penance.spellName, cost: penance.cost }
+	);
+	await ChatMessage.create({
+		user: game.user.id,
+		speaker: ChatMessage.getSpeaker({ actor }),
+		content: `
+		<div class="shadowdark chat-card sdx-mishap-card restored">
+			<header class="sdx-mishap-header">
+				<i class="fas fa-hands-praying"></i>
+				<h3>${game.i18n.localize("SHADOWDARK_EXTRAS.spell_mishaps.penance_done_title")}</h3>
+			</header>
+			<p class="sdx-mishap-text">${text}</p>
+		</div>`,
+		flags: { [MODULE_ID]: { spellMishapCard: true } }
+	});
+	return true;
+}
+
+/**
+ * Add penance badges to the spell rows of a player sheet
+ * @param {jQuery} html
+ * @param {Actor} actor
+ */
+export function injectPenanceIndicators(html, actor) {
+	if (!isEnabled()) return;
+	const penances = getPenances(actor);
+	if (!Object.keys(penances).length) return;
+
+	const $spellsTab = html.find('.tab[data-tab="tab-spells"]');
+	for (const [itemId, penance] of Object.entries(penances)) {
+		const $item = $spellsTab.find(`.item[data-item-id="${itemId}"]`);
+		const $name = $item.find(".item-name").first();
+		if (!$name.length || $item.find(".sdx-penance-badge").length) continue;
+
+		const tooltip = game.i18n.format("SHADOWDARK_EXTRAS.spell_mishaps.penance_badge", { cost: penance.cost });
+		const $badge = $(`<a class="sdx-penance-badge" data-tooltip="${tooltip}"><i class="fas fa-hands-praying"></i></a>`);
+		$badge.on("click", async (ev) => {
+			ev.preventDefault();
+			ev.stopPropagation();
+			await performPenance(actor, itemId);
+		});
+		$name.append($badge);
+	}
+}
+
+/**
+ * Hook: roll mishaps for critical spellcasting failures and wire the card buttons
+ * @param {ChatMessage} message
+ * @param {jQuery} html
+ */
+async function onRenderChatMessage(message, html) {
+	if (message.getFlag(MODULE_ID, "spellMishapCard")) {
+		html.find(".sdx-perform-penance").each((i, btn) => {
+			const actor = fromUuidSync(btn.dataset.actorUuid);
+			if (!actor?.isOwner || !getPenances(actor)[btn.dataset.itemId]) {
+				btn.remove();
+				return;
+			}
+			btn.addEventListener("click", async (ev) => {
+				ev.preventDefault();
+				await performPenance(actor, btn.dataset.itemId);
+			});
+		});
+		return;
+	}
+
+	// Only process once per message, on the caster's client
+	if (message._sdxSpellMishapProcessed) return;
+	message._sdxSpellMishapProcessed = true;
+	if (message.author?.id !== game.user.id || !isEnabled()) return;
+	if (message.flags?.shadowdark?.rolls?.main?.critical !== "failure") return;
+	if (message.getFlag(MODULE_ID, "spellMishapResolved")) return;
+
+	const cardData = html.find(".chat-card").data();
+	if (!cardData?.itemId || !cardData?.actorId) return;
+	const actor = game.actors.get(cardData.actorId);
+	const item = actor?.items.get(cardData.itemId);
+	if (actor?.type !== "Player" || item?.type !== "Spell") return;
+
+	// Persist the guard first so a reload never rolls the table twice
+	await message.setFlag(MODULE_ID, "spellMishapResolved", true);
+	await resolveSpellMishap(actor, item);
+}
+
+/**
+ * Hook: keep spells owing penance lost until penance is performed
+ * @param {Item} item
+ * @param {Object} changes
+ * @param {Object} options
+ */
+function onPreUpdateItem(item, changes, options) {
+	if (options.sdxPenance || item.type !== "Spell" || !item.parent) return;
+	if (foundry.utils.getProperty(changes, "system.lost") !== false) return;
+	if (!getPenances(item.parent)[item.id]) return;
+	if ("system.lost" in changes) delete changes["system.lost"];
+	else delete changes.system.lost;
+}
+
+/**
+ * Spell Mishaps configuration application
+ * Edits the per-class mode and per-tier tables, and the penance costs
+ */
+export class SpellMishapsApp extends FormApplication {
+	static get defaultOptions() {
+		return foundry.utils.mergeObject(super.defaultOptions, {
+			id: "sdx-spell-mishaps",
+			title: game.i18n.localize("SHADOWDARK_EXTRAS.spell_mishaps.editor_title"),
+			template: `modules/${MODULE_ID}/templates/spell-mishaps-app.hbs`,
+			classes: ["shadowdark", "shadowdark-extras", "spell-mishaps-app"],
+			width: 640,
+			height: "auto",
+			resizable: true,
+			closeOnSubmit: false,
+			submitOnChange: true,
+			dragDrop: [{ dragSelector: null, dropSelector: ".sdx-mishap-table-input" }]
+		});
+	}
+
+	getData(options = {}) {
+		const config = getSpellMishapConfig();
+		return {
+			classes: config.classes.map((entry, index) => ({
+				...entry,
+				index,
+				modes: MISHAP_MODES.map(mode => ({
+					value: mode,
+					label: game.i18n.localize(`SHADOWDARK_EXTRAS.spell_mishaps.mode.${mode}`),
+					selected: mode === entry.mode
+				})),
+				tiers: SPELL_TIERS.map(tier => {
+					const uuid = entry.tables?.[tier] ?? "";
+					return { tier, uuid, name: uuid ? fromUuidSync(uuid)?.name ?? "" : "" };
+				})
+			})),
+			penanceCosts: SPELL_TIERS.map(tier => ({ tier, cost: config.penanceCosts?.[tier] ?? 0 }))
+		};
+	}
+
+	activateListeners(html) {
+		super.activateListeners(html);
+
+		html.find('[data-action="add-class"]').on("click", async () => {
+			const config = getSpellMishapConfig();
+			config.classes.push({ className: "", mode: "mishap", tables: {} });
+			await game.settings.set(MODULE_ID, "spellMishapConfig", config);
+			this.render(false);
+		});
+
+		html.on("click", '[data-action="delete-class"]', async (ev) => {
+			const config = getSpellMishapConfig();
+			config.classes.splice(Number(ev.currentTarget.dataset.index), 1);
+			await game.settings.set(MODULE_ID, "spellMishapConfig", config);
+			this.render(false);
+		});
+
+		html.on("click", '[data-action="open-table"]', async (ev) => {
+			const table = await fromUuid(ev.currentTarget.dataset.uuid);
+			table?.sheet?.render(true);
+		});
+	}
+
+	async _onDrop(event) {
+		const data = TextEditor.getDragEventData(event);
+		if (data?.type !== "RollTable") return;
+		const input = event.target.closest(".sdx-mishap-table-input");
+		if (!input) return;
+		input.value = data.uuid;
+		await this.submit();
+		this.render(false);
+	}
+
+	async _updateObject(event, formData) {
+		const data = foundry.utils.expandObject(formData);
+		const config = getSpellMishapConfig();
+
+		config.classes = Object.values(data.classes ?? {}).map(entry => ({
+			className: entry.className?.trim() ?? "",
+			mode: MISHAP_MODES.includes(entry.mode) ? entry.mode : "mishap",
+			tables: Object.fromEntries(
+				Object.entries(entry.tables ?? {}).filter(([tier, uuid]) => uuid?.trim()).map(([tier, uuid]) => [tier, uuid.trim()])
+			)
+		}));
+		config.penanceCosts = Object.fromEntries(
+			SPELL_TIERS.map(tier => [tier, Math.max(0, parseInt(data.penanceCosts?.[tier]) || 0)])
+		);
+
+		await game.settings.set(MODULE_ID, "spellMishapConfig", config);
+	}
+}
+
+/**
+ * Register Spell Mishaps settings
+ */
+export function registerSpellMishapSettings() {
+	game.settings.register(MODULE_ID, "enableSpellMishaps", {
+		name: game.i18n.localize("SHADOWDARK_EXTRAS.settings.enable_spell_mishaps.name"),
+		hint: game.i18n.localize("SHADOWDARK_EXTRAS.settings.enable_spell_mishaps.hint"),
+		scope: "world",
+		config: true,
+		default: false,
+		type: Boolean,
+		requiresReload: false,
+	});
+
+	game.settings.register(MODULE_ID, "spellMishapConfig", {
+		name: "Spell Mishaps Configuration",
+		scope: "world",
+		config: false,
+		type: Object,
+		default: foundry.utils.deepClone(DEFAULT_MISHAP_CONFIG)
+	});
+
+	game.settings.registerMenu(MODULE_ID, "manageSpellMishaps", {
+		name: game.i18n.localize("SHADOWDARK_EXTRAS.settings.manage_spell_mishaps.name"),
+		label: game.i18n.localize("SHADOWDARK_EXTRAS.settings.manage_spell_mishaps.name"),
+		hint: game.i18n.localize("SHADOWDARK_EXTRAS.settings.manage_spell_mishaps.hint"),
+		icon: "fas fa-burst",
+		type: SpellMishapsApp,
+		restricted: true
+	});
+}
+
+/**
+ * Initialize spell mishap and penance hooks
+ */
+export function initSpellMishaps() {
+	Hooks.on("renderChatMessage", onRenderChatMessage);
+	Hooks.on("preUpdateItem", onPreUpdateItem);
+
+	Hooks.once("ready", () => {
+		if (!game.shadowdarkExtras) game.shadowdarkExtras = {};
+		game.shadowdarkExtras.spellMishaps = {
+			getConfig: getSpellMishapConfig,
+			getPenances,
+			resolve: resolveSpellMishap,
+			performPenance,
+			openConfig: () => new SpellMishapsApp().render(true)
+		};
+	});
+}
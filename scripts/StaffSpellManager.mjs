@@ -3,6 +3,8 @@
  * Dialog for managing spells attached to staff weapons
  */
 
+import { RECHARGE_SCHEDULES, getRechargeRules, isWandRechargeEnabled } from "./WandRechargeSD.mjs";
+
 const MODULE_ID = "shadowdark-extras";
 
 const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
@@ -71,6 +73,16 @@ export default class StaffSpellManager extends HandlebarsApplicationMixin(Applic
         context.hasSpells = staffSpells.length > 0;
         context.destroyAtZero = destroyAtZero;
 
+        // Recharge schedule and overcharge rules
+        const rechargeRules = getRechargeRules(this.weapon);
+        context.rechargeEnabled = isWandRechargeEnabled();
+        context.rechargeRules = rechargeRules;
+        context.schedules = RECHARGE_SCHEDULES.map(value => ({
+            value,
+            label: game.i18n.localize(`SHADOWDARK_EXTRAS.wand_recharge.schedule.${value}`),
+            selected: rechargeRules.schedule === value
+        }));
+
         return context;
     }
 
@@ -83,6 +95,7 @@ export default class StaffSpellManager extends HandlebarsApplicationMixin(Applic
         this._setupDragDrop();
         this._setupMaxUsesInputs();
         this._setupDestroyAtZeroCheckbox(context);
+        this._setupRechargeRules();
     }
 
     /**
@@ -132,6 +145,20 @@ export default class StaffSpellManager extends HandlebarsApplicationMixin(Applic
         });
     }
 
+    /**
+     * Setup recharge schedule, formula and overcharge handlers
+     */
+    _setupRechargeRules() {
+        const inputs = this.element.querySelectorAll("[data-recharge-field]");
+        inputs.forEach(input => {
+            input.addEventListener("change", async (event) => {
+                const field = event.target.dataset.rechargeField;
+                const value = event.target.type === "checkbox" ? event.target.checked : event.target.value.trim();
+                await this.weapon.setFlag(MODULE_ID, `rechargeRules.${field}`, value);
+            });
+        });
+    }
+
     /**
      * Setup drag-and-drop functionality for spell items
      */
@@ -0,0 +1,521 @@
+/**
+ * Stronghold Sheet for Shadowdark RPG
+ * Domain management for the endgame: buildings, garrison, hirelings,
+ * monthly upkeep and income, and stronghold events.
+ *
+ * Strongholds are NPC actors flagged with isStronghold (like parties are
+ * flagged with isParty). Monthly gold flows into a linked party's treasury.
+ *
+ * Hooks:
+ * - sdx.strongholdMonthResolved (stronghold, result)
+ */
+
+import { getPartyCoins, addPartyCoins, spendPartyCoins } from "./PartySheetSD.mjs";
+import { getCalendarConfig, getCalendarDate, formatCalendarDate } from "./CalendarSD.mjs";
+
+const MODULE_ID = "shadowdark-extras";
+const FLAG_KEY = "stronghold";
+const MAX_LOG_ENTRIES = 20;
+
+const DEFAULT_STRONGHOLD = {
+	partyId: "",
+	buildings: [],
+	garrison: [],
+	hirelings: [],
+	eventsTable: "",
+	eventChance: 25,
+	autoMonthly: false,
+	lastMonthKey: "",
+	log: []
+};
+
+/**
+ * Check if an actor is a Stronghold actor (flagged NPC)
+ * @param {Actor} actor
+ * @returns {boolean}
+ */
+export function isStrongholdActor(actor) {
+	return actor?.type === "NPC" && actor?.getFlag(MODULE_ID, "isStronghold") === true;
+}
+
+/**
+ * Get a stronghold's data merged over the defaults
+ * @param {Actor} actor
+ * @returns {Object}
+ */
+export function getStrongholdData(actor) {
+	const saved = actor?.getFlag(MODULE_ID, FLAG_KEY) ?? {};
+	return foundry.utils.mergeObject(foundry.utils.deepClone(DEFAULT_STRONGHOLD), saved, { inplace: false });
+}
+
+/**
+ * Save changes to a stronghold's data
+ * @param {Actor} actor
+ * @param {Object} changes
+ */
+async function updateStrongholdData(actor, changes) {
+	const data = foundry.utils.mergeObject(getStrongholdData(actor), changes, { inplace: false });
+	await actor.setFlag(MODULE_ID, FLAG_KEY, data);
+}
+
+/**
+ * Get the party whose treasury a stronghold pays into
+ * @param {Actor} actor - The stronghold
+ * @returns {Actor|null}
+ */
+export function getStrongholdParty(actor) {
+	const { partyId } = getStrongholdData(actor);
+	return partyId ? game.actors.get(partyId) ?? null : null;
+}
+
+/**
+ * Key identifying the current calendar month
+ * @returns {string}
+ */
+function getMonthKey(date = getCalendarDate()) {
+	return `${date.year}-${date.monthIndex}`;
+}
+
+/**
+ * Number of months the calendar has entered since a month key
+ * @param {string} lastMonthKey - From getMonthKey, empty if never resolved
+ * @param {Object} [date] - Calendar date
+ * @returns {number}
+ */
+function getMonthsSince(lastMonthKey, date = getCalendarDate()) {
+	const [year, monthIndex] = String(lastMonthKey ?? "").split("-").map(n => parseInt(n));
+	if (!Number.isFinite(year) || !Number.isFinite(monthIndex)) return 1;
+	const monthsPerYear = getCalendarConfig().months.length;
+	return Math.max(0, ((date.year - year) * monthsPerYear) + (date.monthIndex - monthIndex));
+}
+
+/**
+ * Total monthly upkeep of a stronghold in gp
+ * @param {Object} data - Stronghold data
+ * @returns {Object} { buildings, garrison, total }
+ */
+export function getStrongholdUpkeep(data) {
+	const buildings = data.buildings.reduce((sum, b) => sum + (Number(b.upkeep) || 0), 0);
+	const garrison = data.garrison.reduce((sum, g) => sum + ((Number(g.count) || 0) * (Number(g.upkeep) || 0)), 0);
+	return { buildings, garrison, total: buildings + garrison };
+}
+
+/**
+ * Resolve a month for a stronghold (GM only):
+ * roll each building's income, pay upkeep, move the net gold into the
+ * linked party's treasury and possibly roll on the events table.
+ * @param {Actor} actor - The stronghold
+ * @returns {Promise<Object|null>} The month's result
+ */
+export async function resolveStrongholdMonth(actor) {
+	if (!game.user.isGM || !isStrongholdActor(actor)) return null;
+
+	const data = getStrongholdData(actor);
+	const party = getStrongholdParty(actor);
+
+	// Roll income per building
+	const income = [];
+	const rolls = [];
+	for (const building of data.buildings) {
+		const formula = String(building.income ?? "").trim();
+		if (!formula) continue;
+		try {
+			const roll = await new Roll(formula).evaluate();
+			rolls.push(roll);
+			income.push({ name: building.name, formula, total: Math.max(0, Math.floor(roll.total)) });
+		} catch (err) {
+			console.warn(`${MODULE_ID} | Invalid stronghold income formula "${formula}"`, err);
+		}
+	}
+	const totalIncome = income.reduce((sum, i) => sum + i.total, 0);
+	const upkeep = getStrongholdUpkeep(data);
+	const net = totalIncome - upkeep.total;
+
+	// Pay into (or out of) the party treasury, making change from silver and copper
+	let shortfall = 0;
+	if (party && net > 0) {
+		await addPartyCoins(party, { gp: net });
+	} else if (party && net < 0) {
+		const { shortfallCp } = await spendPartyCoins(party, -net * 100);
+		shortfall = shortfallCp / 100;
+	} else if (!party && net < 0) {
+		shortfall = -net;
+	}
+
+	// Roll for a stronghold event
+	let event = null;
+	const table = data.eventsTable ? await fromUuid(data.eventsTable) : null;
+	if (table && data.eventChance > 0) {
+		const chanceRoll = await new Roll("1d100").evaluate();
+		if (chanceRoll.total <= data.eventChance) {
+			const draw = await table.draw({ displayChat: true });
+			event = draw.results.map(r => r.description || r.text || r.name).filter(Boolean).join(", ");
+		}
+	}
+
+	const date = formatCalendarDate();
+	const result = { date, income, totalIncome, upkeep, net, shortfall, party, event };
+
+	await postMonthCard(actor, result, rolls);
+
+	const log = [
+		{
+			id: foundry.utils.randomID(),
+			date,
+			text: game.i18n.format("SHADOWDARK_EXTRAS.stronghold.log_month", {
+				income: totalIncome,
+				upkeep: upkeep.total,
+				net: net > 0 ? `+${net}` : `${net}`
+			}),
+			event: event ?? ""
+		},
+		...data.log
+	].slice(0, MAX_LOG_ENTRIES);
+
+	await updateStrongholdData(actor, { log, lastMonthKey: getMonthKey() });
+
+	Hooks.callAll("sdx.strongholdMonthResolved", actor, result);
+	return result;
+}
+
+/**
+ * Post the month summary chat card
+ * @param {Actor} actor
+ * @param {Object} result
+ * @param {Roll[]} rolls
+ */
+async function postMonthCard(actor, result, rolls) {
+	const esc = foundry.utils.escapeHTML;
+	const incomeRows = result.income.map(i =>
+		`<li>${esc(i.name)} <em>(${esc(i.formula)})</em>: <strong>${i.total}</strong> gp</li>`
+	).join("");
+
+	const content = `
+		<div class="shadowdark chat-card sdx-stronghold-card">
+			<header class="sdx-stronghold-card-header">
+				<img src="${actor.img}" />
+				<h3>${esc(actor.name)}</h3>
+			</header>
+			<p class="sdx-stronghold-card-date">${esc(result.date)}</p>
+			${incomeRows ? `<ul class="sdx-stronghold-card-income">${incomeRows}</ul>` : ""}
+			<div class="sdx-stronghold-card-line">${game.i18n.localize("SHADOWDARK_EXTRAS.stronghold.income")}: <strong>${result.totalIncome}</strong> gp</div>
+			<div class="sdx-stronghold-card-line">${game.i18n.localize("SHADOWDARK_EXTRAS.stronghold.upkeep")}: <strong>${result.upkeep.total}</strong> gp</div>
+			<div class="sdx-stronghold-card-net ${result.net < 0 ? "loss" : "gain"}">
+				${game.i18n.localize("SHADOWDARK_EXTRAS.stronghold.net")}: <strong>${result.net > 0 ? "+" : ""}${result.net}</strong> gp
+			</div>
+			${result.party ? `<p class="sdx-stronghold-card-party"><i class="fas fa-coins"></i>
+				${game.i18n.format("SHADOWDARK_EXTRAS.stronghold.paid_to", { party: esc(result.party.name) })}</p>` : ""}
+			${result.shortfall > 0 ? `<p class="sdx-stronghold-card-shortfall"><i class="fas fa-triangle-exclamation"></i>
+				${game.i18n.format("SHADOWDARK_EXTRAS.stronghold.shortfall", { gp: result.shortfall })}</p>` : ""}
+			${result.event ? `<p class="sdx-stronghold-card-event"><i class="fas fa-scroll"></i>
+				${game.i18n.localize("SHADOWDARK_EXTRAS.stronghold.event")}: ${result.event}</p>` : ""}
+		</div>`;
+
+	await ChatMessage.create({
+		user: game.user.id,
+		speaker: ChatMessage.getSpeaker({ actor }),
+		content,
+		rolls
+	});
+}
+
+/**
+ * Stronghold Actor Sheet
+ */
+export default class StrongholdSheetSD extends (foundry.appv1?.sheets?.ActorSheet || ActorSheet) {
+
+	/** @inheritdoc */
+	static get defaultOptions() {
+		return foundry.utils.mergeObject(super.defaultOptions, {
+			classes: ["shadowdark", "sheet", "party", "shadowdark-extras-party", "sdx-stronghold"],
+			width: 700,
+			height: 620,
+			resizable: true,
+			tabs: [
+				{
+					navSelector: ".SD-nav",
+					contentSelector: ".SD-content-body",
+					initial: "tab-overview",
+				},
+			],
+			dragDrop: [{ dragSelector: null, dropSelector: null }],
+		});
+	}
+
+	/** @inheritdoc */
+	get template() {
+		return `modules/${MODULE_ID}/templates/stronghold.hbs`;
+	}
+
+	/** @inheritdoc */
+	get title() {
+		return this.actor.name;
+	}
+
+	/** @inheritdoc */
+	async getData(options) {
+		const context = await super.getData(options);
+		const data = getStrongholdData(this.actor);
+
+		context.cssClass = this.actor.isOwner ? "editable" : "locked";
+		context.owner = this.actor.isOwner;
+		context.isGM = game.user.isGM;
+
+		context.stronghold = data;
+		context.upkeep = getStrongholdUpkeep(data);
+
+		const party = getStrongholdParty(this.actor);
+		context.party = party;
+		context.treasury = party ? getPartyCoins(party) : null;
+		context.parties = game.actors
+			.filter(a => a.type === "NPC" && a.getFlag(MODULE_ID, "isParty"))
+			.map(a => ({ id: a.id, name: a.name, selected: a.id === data.partyId }));
+		context.tables = game.tables.contents
+			.map(t => ({ uuid: t.uuid, name: t.name, selected: t.uuid === data.eventsTable }))
+			.sort((a, b) => a.name.localeCompare(b.name));
+
+		context.buildings = data.buildings;
+		context.garrison = data.garrison.map(g => ({
+			...g,
+			total: (Number(g.count) || 0) * (Number(g.upkeep) || 0)
+		}));
+		context.garrisonCount = data.garrison.reduce((sum, g) => sum + (Number(g.count) || 0), 0);
+
+		const buildingOptions = data.buildings.map(b => ({ id: b.id, name: b.name }));
+		context.hirelings = [];
+		for (const hireling of data.hirelings) {
+			const actor = game.actors.get(hireling.actorId);
+			if (!actor) continue;
+			context.hirelings.push({
+				actorId: actor.id,
+				name: actor.name,
+				img: actor.img,
+				buildings: buildingOptions.map(b => ({ ...b, selected: b.id === hireling.buildingId }))
+			});
+		}
+
+		context.log = data.log;
+		context.calendarDate = formatCalendarDate();
+
+		return context;
+	}
+
+	/** @inheritdoc */
+	activateListeners(html) {
+		super.activateListeners(html);
+		if (!this.actor.isOwner) return;
+
+		html.find("[data-action='add-building']").click(this._onAddEntry.bind(this, "buildings"));
+		html.find("[data-action='add-garrison']").click(this._onAddEntry.bind(this, "garrison"));
+		html.find("[data-action='remove-entry']").click(this._onRemoveEntry.bind(this));
+		html.find(".sdx-sh-field").change(this._onEntryFieldChange.bind(this));
+		html.find("[data-setting]").change(this._onSettingChange.bind(this));
+
+		html.find("[data-action='open-hireling']").click(this._onOpenHireling.bind(this));
+		html.find("[data-action='remove-hireling']").click(this._onRemoveHireling.bind(this));
+		html.find(".sdx-sh-hireling-assign").change(this._onAssignHireling.bind(this));
+
+		html.find("[data-action='resolve-month']").click(this._onResolveMonth.bind(this));
+		html.find("[data-action='roll-event']").click(this._onRollEvent.bind(this));
+		html.find("[data-action='clear-log']").click(this._onClearLog.bind(this));
+	}
+
+	/**
+	 * Add a building or garrison unit
+	 * @param {string} list - "buildings" or "garrison"
+	 * @param {Event} event
+	 */
+	async _onAddEntry(list, event) {
+		event.preventDefault();
+		const data = getStrongholdData(this.actor);
+		const entry = list === "buildings"
+			? { id: foundry.utils.randomID(), name: game.i18n.localize("SHADOWDARK_EXTRAS.stronghold.new_building"), upkeep: 0, income: "", notes: "" }
+			: { id: foundry.utils.randomID(), name: game.i18n.localize("SHADOWDARK_EXTRAS.stronghold.new_unit"), count: 1, upkeep: 0 };
+		await updateStrongholdData(this.actor, { [list]: [...data[list], entry] });
+	}
+
+	/**
+	 * Remove a building or garrison unit
+	 * @param {Event} event
+	 */
+	async _onRemoveEntry(event) {
+		event.preventDefault();
+		const { list, id } = event.currentTarget.dataset;
+		const data = getStrongholdData(this.actor);
+		const changes = { [list]: data[list].filter(e => e.id !== id) };
+
+		// Unassign hirelings from a demolished building
+		if (list === "buildings") {
+			changes.hirelings = data.hirelings.map(h => h.buildingId === id ? { ...h, buildingId: "" } : h);
+		}
+		await updateStrongholdData(this.actor, changes);
+	}
+
+	/**
+	 * Edit a field of a building or garrison unit
+	 * @param {Event} event
+	 */
+	async _onEntryFieldChange(event) {
+		event.preventDefault();
+		event.stopPropagation();
+		const input = event.currentTarget;
+		const { list, id, field } = input.dataset;
+		const value = input.type === "number" ? Math.max(0, Number(input.value) || 0) : input.value;
+
+		const data = getStrongholdData(this.actor);
+		const entries = data[list].map(e => e.id === id ? { ...e, [field]: value } : e);
+		await updateStrongholdData(this.actor, { [list]: entries });
+	}
+
+	/**
+	 * Change a stronghold setting (party, events table, event chance, auto monthly)
+	 * @param {Event} event
+	 */
+	async _onSettingChange(event) {
+		event.preventDefault();
+		event.stopPropagation();
+		const input = event.currentTarget;
+		const { setting } = input.dataset;
+		let value = input.value;
+		if (input.type === "checkbox") value = input.checked;
+		else if (input.type === "number") value = Math.clamp(Number(value) || 0, 0, 100);
+
+		const changes = { [setting]: value };
+		// Start counting from the current month so enabling doesn't collect immediately
+		if (setting === "autoMonthly" && value) changes.lastMonthKey = getMonthKey();
+		await updateStrongholdData(this.actor, changes);
+	}
+
+	/** @inheritdoc */
+	async _onDropActor(event, data) {
+		if (!this.actor.isOwner) return false;
+		const actor = await fromUuid(data.uuid);
+		if (!actor || actor.pack || actor.id === this.actor.id) return false;
+
+		if (!["Player", "NPC"].includes(actor.type) || actor.getFlag(MODULE_ID, "isParty") || isStrongholdActor(actor)) {
+			ui.notifications.warn(game.i18n.localize("SHADOWDARK_EXTRAS.stronghold.warn_hireling_type"));
+			return false;
+		}
+
+		const { hirelings } = getStrongholdData(this.actor);
+		if (hirelings.some(h => h.actorId === actor.id)) return false;
+
+		await updateStrongholdData(this.actor, { hirelings: [...hirelings, { actorId: actor.id, buildingId: "" }] });
+		ui.notifications.info(game.i18n.format("SHADOWDARK_EXTRAS.stronghold.hireling_added", { name: actor.name }));
+		return true;
+	}
+
+	/** @inheritdoc */
+	async _onDropItem(event, data) {
+		// Strongholds don't hold items
+		return false;
+	}
+
+	/**
+	 * Open a hireling's sheet
+	 * @param {Event} event
+	 */
+	_onOpenHireling(event) {
+		event.preventDefault();
+		const actorId = event.currentTarget.closest("[data-actor-id]")?.dataset.actorId;
+		game.actors.get(actorId)?.sheet.render(true);
+	}
+
+	/**
+	 * Remove a hireling from the stronghold
+	 * @param {Event} event
+	 */
+	async _onRemoveHireling(event) {
+		event.preventDefault();
+		const actorId = event.currentTarget.closest("[data-actor-id]")?.dataset.actorId;
+		const { hirelings } = getStrongholdData(this.actor);
+		await updateStrongholdData(this.actor, { hirelings: hirelings.filter(h => h.actorId !== actorId) });
+	}
+
+	/**
+	 * Assign a hireling to a building
+	 * @param {Event} event
+	 */
+	async _onAssignHireling(event) {
+		event.preventDefault();
+		event.stopPropagation();
+		const actorId = event.currentTarget.closest("[data-actor-id]")?.dataset.actorId;
+		const buildingId = event.currentTarget.value;
+		const { hirelings } = getStrongholdData(this.actor);
+		await updateStrongholdData(this.actor, {
+			hirelings: hirelings.map(h => h.actorId === actorId ? { ...h, buildingId } : h)
+		});
+	}
+
+	/**
+	 * Resolve the month: income, upkeep and events
+	 * @param {Event} event
+	 */
+	async _onResolveMonth(event) {
+		event.preventDefault();
+		if (!game.user.isGM) return;
+		if (!getStrongholdParty(this.actor)) {
+			ui.notifications.warn(game.i18n.localize("SHADOWDARK_EXTRAS.stronghold.warn_no_party"));
+		}
+		await resolveStrongholdMonth(this.actor);
+	}
+
+	/**
+	 * Roll on the events table outside of the monthly check
+	 * @param {Event} event
+	 */
+	async _onRollEvent(event) {
+		event.preventDefault();
+		const { eventsTable } = getStrongholdData(this.actor);
+		const table = eventsTable ? await fromUuid(eventsTable) : null;
+		if (!table) {
+			ui.notifications.warn(game.i18n.localize("SHADOWDARK_EXTRAS.stronghold.warn_no_table"));
+			return;
+		}
+		await table.draw({ displayChat: true });
+	}
+
+	/**
+	 * Clear the monthly log
+	 * @param {Event} event
+	 */
+	async _onClearLog(event) {
+		event.preventDefault();
+		await updateStrongholdData(this.actor, { log: [] });
+	}
+}
+
+/**
+ * Hook: a new day began. Resolve every month the calendar has entered since
+ * the last collection for strongholds set to collect automatically.
+ */
+async function onNewDay() {
+	if (!game.users.activeGM?.isSelf) return;
+
+	const date = getCalendarDate();
+	for (const actor of game.actors) {
+		if (!isStrongholdActor(actor)) continue;
+		const data = getStrongholdData(actor);
+		if (!data.autoMonthly) continue;
+		const months = getMonthsSince(data.lastMonthKey, date);
+		for (let i = 0; i < months; i++) await resolveStrongholdMonth(actor);
+	}
+}
+
+/**
+ * Initialize stronghold hooks
+ */
+export function initStronghold() {
+	Hooks.on("sdx.newDay", onNewDay);
+
+	Hooks.once("ready", () => {
+		if (!game.shadowdarkExtras) game.shadowdarkExtras = {};
+		game.shadowdarkExtras.stronghold = {
+			isStronghold: isStrongholdActor,
+			getData: getStrongholdData,
+			getParty: getStrongholdParty,
+			getUpkeep: getStrongholdUpkeep,
+			resolveMonth: resolveStrongholdMonth
+		};
+	});
+}
@@ -0,0 +1,355 @@
+/**
+ * Temporary Hit Points and Damage Shields for Shadowdark Extras
+ *
+ * Temporary HP is a pool that soaks damage of any type before real HP. It does
+ * not stack: a new grant replaces the pool only when it is larger. Shields are
+ * typed pools ("absorbs 10 fire") that soak matching damage components after
+ * resistance, immunity and vulnerability have been applied; a "physical"
+ * shield soaks every type in the physical category and an "all" shield soaks
+ * anything. Shields stack, each keeping its own remaining value.
+ *
+ * Grants come from active effect changes, so Effect items, spells and potions
+ * (via the effects on their Activity tab) can all grant them:
+ * - flags.shadowdark-extras.grantTempHp         = amount or formula
+ * - flags.shadowdark-extras.grantShield.<type>  = amount or formula
+ * Pools granted by an effect are removed when that effect (or its item) is
+ * removed from the actor.
+ *
+ * Storage (actor flags):
+ * - tempHp:  { value, max, source }
+ * - shields: [{ id, type, value, max, source, name }]
+ */
+
+import { getDamageTypeLabel, isPhysicalDamageType } from "./DamageTypesApp.mjs";
+
+const MODULE_ID = "shadowdark-extras";
+
+/**
+ * Get an actor's temporary HP
+ * @param {Actor} actor
+ * @returns {{value: number, max: number, source: string|null}}
+ */
+export function getTempHp(actor) {
+	const tempHp = actor?.getFlag(MODULE_ID, "tempHp") ?? {};
+	return {
+		value: Math.max(0, Number(tempHp.value) || 0),
+		max: Math.max(0, Number(tempHp.max) || 0),
+		source: tempHp.source ?? null
+	};
+}
+
+/**
+ * Get an actor's damage shields
+ * @param {Actor} actor
+ * @returns {Object[]}
+ */
+export function getShields(actor) {
+	const shields = actor?.getFlag(MODULE_ID, "shields");
+	return Array.isArray(shields) ? foundry.utils.deepClone(shields) : [];
+}
+
+/**
+ * Summary of an actor's temp HP and active shields for display
+ * @param {Actor} actor
+ * @returns {{tempHp: number, shields: Object[], shieldTotal: number, tooltip: string}}
+ */
+export function getWardSummary(actor) {
+	const tempHp = getTempHp(actor).value;
+	const shields = getShields(actor).filter(s => s.value > 0);
+	const shieldTotal = shields.reduce((sum, s) => sum + s.value, 0);
+	const lines = shields.map(s => {
+		const line = game.i18n.format("SHADOWDARK_EXTRAS.temp_hp.shield_line", {
+			value: s.value,
+			max: s.max,
+			type: getShieldTypeLabel(s.type)
+		});
+		return s.name ? `${line} (${foundry.utils.escapeHTML(s.name)})` : line;
+	});
+	return { tempHp, shields, shieldTotal, tooltip: lines.join("<br>") };
+}
+
+/**
+ * Localized label for a shield type
+ * @param {string} type
+ * @returns {string}
+ */
+export function getShieldTypeLabel(type) {
+	if (type === "all") return game.i18n.localize("SHADOWDARK_EXTRAS.temp_hp.type_all");
+	return getDamageTypeLabel(type);
+}
+
+/**
+ * Snapshot an actor's pools so a damage application can consume them in memory
+ * and write the result with the HP update
+ * @param {Actor} actor
+ * @returns {Object} Ward state
+ */
+export function getWardState(actor) {
+	return {
+		tempHp: getTempHp(actor),
+		shields: getShields(actor),
+		soaked: { tempHp: 0, shields: {} },
+		changed: false
+	};
+}
+
+/**
+ * Whether a shield soaks a damage type
+ * @param {Object} shield
+ * @param {string} type
+ * @returns {boolean}
+ */
+function shieldMatches(shield, type) {
+	if (shield.type === "all") return true;
+	if (shield.type === type) return true;
+	return shield.type === "physical" && isPhysicalDamageType(type);
+}
+
+/**
+ * Soak damage of one type with matching shields. Exact-type shields are used
+ * first, then physical, then "all".
+ * @param {Object} state - From getWardState
+ * @param {number} amount
+ * @param {string} type
+ * @returns {{remaining: number, absorbed: number}}
+ */
+export function absorbWithShields(state, amount, type) {
+	let remaining = Math.max(0, amount);
+	const rank = s => (s.type === type ? 0 : s.type === "physical" ? 1 : 2);
+	const matching = state.shields
+		.filter(s => s.value > 0 && shieldMatches(s, type))
+		.sort((a, b) => rank(a) - rank(b));
+
+	for (const shield of matching) {
+		if (remaining <= 0) break;
+		const soaked = Math.min(shield.value, remaining);
+		shield.value -= soaked;
+		remaining -= soaked;
+		state.soaked.shields[shield.id] = (state.soaked.shields[shield.id] ?? 0) + soaked;
+		state.changed = true;
+	}
+
+	return { remaining, absorbed: Math.max(0, amount) - remaining };
+}
+
+/**
+ * Soak damage with temporary HP
+ * @param {Object} state - From getWardState
+ * @param {number} amount
+ * @returns {{remaining: number, absorbed: number}}
+ */
+export function absorbWithTempHp(state, amount) {
+	const soaked = Math.min(state.tempHp.value, Math.max(0, amount));
+	if (soaked > 0) {
+		state.tempHp.value -= soaked;
+		state.soaked.tempHp += soaked;
+		state.changed = true;
+	}
+	return { remaining: Math.max(0, amount) - soaked, absorbed: soaked };
+}
+
+/**
+ * Actor update data for a consumed ward state. Depleted shields granted by an
+ * effect stay until the effect ends; others are dropped.
+ * @param {Object} state
+ * @returns {Object}
+ */
+export function getWardUpdateData(state) {
+	if (!state.changed) return {};
+	return {
+		[`flags.${MODULE_ID}.tempHp`]: state.tempHp.value > 0 ? state.tempHp : { value: 0, max: 0, source: null },
+		[`flags.${MODULE_ID}.shields`]: state.shields.filter(s => s.value > 0 || s.source)
+	};
+}
+
+/**
+ * Actor update data that gives back what a damage application soaked (undo)
+ * @param {Actor} actor
+ * @param {{tempHp: number, shields: Object<string, number>}} soaked
+ * @returns {Object}
+ */
+export function getWardRestoreData(actor, soaked) {
+	if (!soaked) return {};
+	const updates = {};
+
+	if (soaked.tempHp > 0) {
+		const tempHp = getTempHp(actor);
+		const value = tempHp.value + soaked.tempHp;
+		updates[`flags.${MODULE_ID}.tempHp`] = { ...tempHp, value, max: Math.max(tempHp.max, value) };
+	}
+
+	const shieldIds = Object.keys(soaked.shields ?? {});
+	if (shieldIds.length) {
+		const shields = getShields(actor);
+		for (const shield of shields) {
+			if (soaked.shields[shield.id]) shield.value = Math.min(shield.max, shield.value + soaked.shields[shield.id]);
+		}
+		updates[`flags.${MODULE_ID}.shields`] = shields;
+	}
+
+	return updates;
+}
+
+/**
+ * Grant temporary HP. Temp HP does not stack; the larger pool is kept.
+ * @param {Actor} actor
+ * @param {number} amount
+ * @param {Object} [options]
+ * @param {string} [options.source] - UUID of the granting effect
+ * @returns {Promise<boolean>} Whether the pool changed
+ */
+export async function grantTempHp(actor, amount, { source = null } = {}) {
+	amount = Math.max(0, Math.floor(Number(amount) || 0));
+	if (!actor || amount <= 0) return false;
+	if (getTempHp(actor).value >= amount) return false;
+	await actor.setFlag(MODULE_ID, "tempHp", { value: amount, max: amount, source });
+	return true;
+}
+
+/**
+ * Remove an actor's temporary HP
+ * @param {Actor} actor
+ */
+export async function clearTempHp(actor) {
+	await actor?.setFlag(MODULE_ID, "tempHp", { value: 0, max: 0, source: null });
+}
+
+/**
+ * Add a typed damage shield
+ * @param {Actor} actor
+ * @param {Object} data
+ * @param {string} data.type - Damage type, "physical" or "all"
+ * @param {number} data.value - Damage it absorbs
+ * @param {string} [data.source] - UUID of the granting effect
+ * @param {string} [data.name]
+ * @returns {Promise<Object|null>} The shield
+ */
+export async function addShield(actor, { type = "all", value = 0, source = null, name = "" } = {}) {
+	value = Math.max(0, Math.floor(Number(value) || 0));
+	if (!actor || value <= 0) return null;
+
+	const shields = getShields(actor);
+	const shield = { id: foundry.utils.randomID(), type: String(type).toLowerCase(), value, max: value, source, name };
+	shields.push(shield);
+	await actor.setFlag(MODULE_ID, "shields", shields);
+	return shield;
+}
+
+/**
+ * Remove a damage shield
+ * @param {Actor} actor
+ * @param {string} shieldId
+ */
+export async function removeShield(actor, shieldId) {
+	const shields = getShields(actor);
+	const remaining = shields.filter(s => s.id !== shieldId);
+	if (remaining.length !== shields.length) await actor.setFlag(MODULE_ID, "shields", remaining);
+}
+
+/**
+ * Evaluate a grant value (number or formula) against the actor
+ * @param {*} value
+ * @param {Actor} actor
+ * @returns {Promise<number>}
+ */
+async function evaluateGrant(value, actor) {
+	const raw = String(value ?? "").trim();
+	if (!raw) return 0;
+	if (/^\d+$/.test(raw)) return Number(raw);
+	try {
+		const roll = await new Roll(raw, actor.getRollData()).evaluate();
+		return Math.max(0, Math.floor(roll.total));
+	} catch (err) {
+		console.warn(`${MODULE_ID} | Invalid temp HP / shield formula "${raw}":`, err);
+		return 0;
+	}
+}
+
+/**
+ * Apply the temp HP and shield grants of an active effect to its actor
+ * @param {ActiveEffect} effect
+ * @param {Actor} actor
+ */
+async function applyEffectGrants(effect, actor) {
+	if (!actor || effect.disabled) return;
+	if (effect.parent instanceof Item && !effect.transfer) return;
+
+	const tempHpKey = `flags.${MODULE_ID}.grantTempHp`;
+	const shieldPrefix = `flags.${MODULE_ID}.grantShield.`;
+
+	for (const change of effect.changes ?? []) {
+		if (change.key === tempHpKey) {
+			await grantTempHp(actor, await evaluateGrant(change.value, actor), { source: effect.uuid });
+		} else if (change.key.startsWith(shieldPrefix)) {
+			await addShield(actor, {
+				type: change.key.slice(shieldPrefix.length),
+				value: await evaluateGrant(change.value, actor),
+				source: effect.uuid,
+				name: effect.parent instanceof Item ? effect.parent.name : effect.name
+			});
+		}
+	}
+}
+
+/**
+ * Remove pools granted by effects whose UUID starts with a prefix
+ * @param {Actor} actor
+ * @param {string} sourcePrefix - Effect UUID, or an item UUID for all its effects
+ */
+async function revokeGrants(actor, sourcePrefix) {
+	if (!actor) return;
+	const matches = source => !!source && (source === sourcePrefix || source.startsWith(`${sourcePrefix}.`));
+	const updates = {};
+
+	if (matches(getTempHp(actor).source)) {
+		updates[`flags.${MODULE_ID}.tempHp`] = { value: 0, max: 0, source: null };
+	}
+
+	const shields = getShields(actor);
+	const remaining = shields.filter(s => !matches(s.source));
+	if (remaining.length !== shields.length) updates[`flags.${MODULE_ID}.shields`] = remaining;
+
+	if (Object.keys(updates).length) await actor.update(updates);
+}
+
+/**
+ * Initialize temp HP and shield grants
+ */
+export function initTempHp() {
+	const isResponsible = () => !!game.users.activeGM?.isSelf;
+
+	Hooks.on("createActiveEffect", (effect) => {
+		if (!isResponsible()) return;
+		const actor = effect.parent instanceof Actor ? effect.parent : effect.parent?.actor;
+		applyEffectGrants(effect, actor);
+	});
+
+	// Effects embedded in a newly created item (e.g. Effect items from spells and potions)
+	Hooks.on("createItem", async (item) => {
+		if (!isResponsible() || !item.actor) return;
+		for (const effect of item.effects) await applyEffectGrants(effect, item.actor);
+	});
+
+	Hooks.on("deleteActiveEffect", (effect) => {
+		if (!isResponsible()) return;
+		const actor = effect.parent instanceof Actor ? effect.parent : effect.parent?.actor;
+		revokeGrants(actor, effect.uuid);
+	});
+
+	Hooks.on("deleteItem", (item) => {
+		if (!isResponsible() || !item.actor || !item.effects.size) return;
+		revokeGrants(item.actor, item.uuid);
+	});
+
+	Hooks.once("ready", () => {
+		if (!game.shadowdarkExtras) game.shadowdarkExtras = {};
+		game.shadowdarkExtras.tempHp = {
+			get: getTempHp,
+			grant: grantTempHp,
+			clear: clearTempHp,
+			getShields,
+			addShield,
+			removeShield
+		};
+	});
+}
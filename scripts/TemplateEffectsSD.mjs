@@ -1435,7 +1435,8 @@ export async function setupTemplateEffectFlags(templateDoc, config) {
         runItemMacro: config.runItemMacro || false,
         spellId: config.spellId || null,
         initialEnterTriggered: config.initialEnterTriggered || false,
-        effectsRequirement: config.effectsRequirement || ""
+        effectsRequirement: config.effectsRequirement || "",
+        zones: config.zones || {}
     });
 
     // Store initial contained tokens
@@ -0,0 +1,283 @@
+/**
+ * Template Zone Modifiers for Shadowdark Extras
+ *
+ * Lets spell templates change the environment inside their area while they
+ * last. Zones are switched on per spell in the Template Effects section of the
+ * Activity tab and stored with the rest of the template's effect config:
+ * - Difficult terrain: a scene Region with a Modify Movement Cost behavior
+ *   that doubles movement cost inside the template.
+ * - Darkness: a darkness light source covering the template, which puts out
+ *   lights and blocks vision inside it. Only circle and cone templates can be
+ *   matched by a light, so rays and rectangles skip darkness with a warning.
+ * - Silence: casting from inside the template is blocked like the Silenced
+ *   effect (following the Effects & Conditions settings).
+ * - Obscurement: attacks made from or into the template have disadvantage,
+ *   which cancels advantage when the Advantage button is used.
+ *
+ * The region and light are owned by the template: they follow it when it is
+ * moved and are deleted with it, whether it expires, is dispelled or removed
+ * by hand. Silence and obscurement are read live from the templates around a
+ * token, so nothing needs cleaning up for them.
+ *
+ * Storage:
+ * - Template flag templateEffects.zones: { difficultTerrain, darkness, silence, obscured }
+ * - Template flag zoneDocuments: { regionId, lightId }
+ */
+
+import { getTemplatesContainingToken } from "./TemplateEffectsSD.mjs";
+
+const MODULE_ID = "shadowdark-extras";
+
+export const ZONE_TYPES = ["difficultTerrain", "darkness", "silence", "obscured"];
+
+// Template fields that change its area
+const GEOMETRY_FIELDS = ["x", "y", "t", "distance", "direction", "angle", "width"];
+
+/**
+ * Get the zone modifiers a template applies
+ * @param {MeasuredTemplateDocument} templateDoc
+ * @returns {string[]} Zone types from ZONE_TYPES
+ */
+export function getTemplateZones(templateDoc) {
+	const config = templateDoc?.flags?.[MODULE_ID]?.templateEffects;
+	if (!config?.enabled || !config.zones) return [];
+	return ZONE_TYPES.filter(zone => config.zones[zone]);
+}
+
+/**
+ * Get the zone modifiers affecting a token
+ * @param {Token} token
+ * @returns {Set<string>}
+ */
+export function getZonesAtToken(token) {
+	const zones = new Set();
+	for (const templateDoc of getTemplatesContainingToken(token)) {
+		for (const zone of getTemplateZones(templateDoc)) zones.add(zone);
+	}
+	return zones;
+}
+
+/**
+ * Whether any of an actor's tokens on the canvas stands in a zone
+ * @param {Actor} actor
+ * @param {string} zone - One of ZONE_TYPES
+ * @returns {boolean}
+ */
+export function isActorInZone(actor, zone) {
+	if (!canvas.ready || !actor) return false;
+	return actor.getActiveTokens().some(token => getZonesAtToken(token).has(zone));
+}
+
+/**
+ * Whether an attack is made from or into an obscured zone
+ * @param {Actor} attacker
+ * @param {Token} [targetToken] - Defaults to the user's first target
+ * @returns {boolean}
+ */
+export function isAttackObscured(attacker, targetToken = game.user.targets.first()) {
+	if (isActorInZone(attacker, "obscured")) return true;
+	return !!targetToken && getZonesAtToken(targetToken).has("obscured");
+}
+
+/**
+ * Build the obscurement notice shown in the attack roll dialog
+ * @returns {HTMLElement}
+ */
+export function buildObscuredNotice() {
+	const notice = document.createElement("div");
+	notice.className = "sdx-zone-notice obscured";
+	notice.innerHTML = `<i class="fas fa-smog"></i> `;
+	notice.append(game.i18n.localize("SHADOWDARK_EXTRAS.template_zones.notice_obscured"));
+	return notice;
+}
+
+/**
+ * Convert a template's area into Region shape data
+ * @param {MeasuredTemplate} template - The template placeable
+ * @returns {Object|null}
+ */
+function getRegionShape(template) {
+	const shape = template.shape;
+	if (shape instanceof PIXI.Circle) {
+		return { type: "circle", x: template.x + shape.x, y: template.y + shape.y, radius: shape.radius };
+	}
+	if (shape instanceof PIXI.Rectangle) {
+		return { type: "rectangle", x: template.x + shape.x, y: template.y + shape.y, width: shape.width, height: shape.height };
+	}
+	if (shape instanceof PIXI.Polygon) {
+		return { type: "polygon", points: shape.points.map((v, i) => v + (i % 2 ? template.y : template.x)) };
+	}
+	return null;
+}
+
+/**
+ * Build the darkness light that covers a template. Only circles and cones map
+ * onto a light's area; other shapes get no darkness rather than a light that
+ * spills far outside the template.
+ * @param {MeasuredTemplate} template - The template placeable
+ * @returns {Object|null}
+ */
+function getDarknessLightData(template) {
+	const doc = template.document;
+	if (doc.t !== "circle" && doc.t !== "cone") {
+		ui.notifications.warn(game.i18n.format("SHADOWDARK_EXTRAS.template_zones.darkness_unsupported", {
+			spell: doc.flags?.[MODULE_ID]?.templateEffects?.spellName ?? ""
+		}));
+		return null;
+	}
+
+	const data = { x: doc.x, y: doc.y, rotation: 0, angle: 360, radius: doc.distance };
+	if (doc.t === "cone") {
+		// Lights aim down at rotation 0, templates aim right at direction 0
+		data.rotation = Math.normalizeDegrees(doc.direction - 90);
+		data.angle = doc.angle;
+	}
+
+	return {
+		x: data.x,
+		y: data.y,
+		rotation: data.rotation,
+		walls: true,
+		config: {
+			negative: true,
+			bright: data.radius,
+			dim: data.radius,
+			angle: data.angle
+		},
+		flags: { [MODULE_ID]: { zoneTemplateId: doc.id } }
+	};
+}
+
+/**
+ * Build the difficult terrain region for a template
+ * @param {MeasuredTemplate} template - The template placeable
+ * @returns {Object|null}
+ */
+function getDifficultTerrainRegionData(template) {
+	if (!CONFIG.RegionBehavior?.dataModels?.modifyMovementCost) {
+		console.warn(`${MODULE_ID} | Movement cost regions are not available, skipping difficult terrain`);
+		return null;
+	}
+	const shape = getRegionShape(template);
+	if (!shape) return null;
+
+	// Double the cost of every movement action that actually crosses the ground
+	const difficulties = {};
+	for (const [action, config] of Object.entries(CONFIG.Token.movement?.actions ?? { walk: {} })) {
+		if (!config.teleport) difficulties[action] = 2;
+	}
+
+	const spellName = template.document.flags?.[MODULE_ID]?.templateEffects?.spellName ?? "";
+	return {
+		name: game.i18n.format("SHADOWDARK_EXTRAS.template_zones.region_name", { spell: spellName }),
+		color: "#8b5a2b",
+		shapes: [shape],
+		behaviors: [{
+			name: game.i18n.localize("SHADOWDARK_EXTRAS.template_zones.difficultTerrain"),
+			type: "modifyMovementCost",
+			system: { difficulties }
+		}],
+		flags: { [MODULE_ID]: { zoneTemplateId: template.document.id } }
+	};
+}
+
+/**
+ * Delete the region and light a template created for its zones
+ * @param {MeasuredTemplateDocument} templateDoc
+ */
+async function removeZoneDocuments(templateDoc) {
+	const scene = templateDoc.parent;
+	const { regionId, lightId } = templateDoc.flags?.[MODULE_ID]?.zoneDocuments ?? {};
+
+	if (regionId && scene?.regions.has(regionId)) {
+		await scene.deleteEmbeddedDocuments("Region", [regionId]);
+	}
+	if (lightId && scene?.lights.has(lightId)) {
+		await scene.deleteEmbeddedDocuments("AmbientLight", [lightId]);
+	}
+}
+
+/**
+ * Create (or recreate) the region and light backing a template's zones (GM only)
+ * @param {MeasuredTemplateDocument} templateDoc
+ */
+export async function syncZoneDocuments(templateDoc) {
+	if (!game.user.isGM) return;
+	const scene = templateDoc.parent;
+	const template = templateDoc.object;
+
+	await removeZoneDocuments(templateDoc);
+
+	const zones = getTemplateZones(templateDoc);
+	const documents = { regionId: null, lightId: null };
+
+	if (zones.includes("difficultTerrain") || zones.includes("darkness")) {
+		if (!template?.shape) {
+			console.warn(`${MODULE_ID} | Template ${templateDoc.id} is not drawn, cannot place its zones`);
+		} else {
+			if (zones.includes("difficultTerrain")) {
+				const regionData = getDifficultTerrainRegionData(template);
+				if (regionData) {
+					const [region] = await scene.createEmbeddedDocuments("Region", [regionData]);
+					documents.regionId = region?.id ?? null;
+				}
+			}
+			const lightData = zones.includes("darkness") ? getDarknessLightData(template) : null;
+			if (lightData) {
+				const [light] = await scene.createEmbeddedDocuments("AmbientLight", [lightData]);
+				documents.lightId = light?.id ?? null;
+			}
+		}
+	}
+
+	const stored = templateDoc.flags?.[MODULE_ID]?.zoneDocuments;
+	if (documents.regionId || documents.lightId || stored) {
+		await templateDoc.update({ [`flags.${MODULE_ID}.zoneDocuments`]: documents }, { sdxZoneSync: true });
+	}
+}
+
+/**
+ * Hook: place zones when a template's effects are configured or it moves
+ * @param {MeasuredTemplateDocument} templateDoc
+ * @param {Object} changes
+ * @param {Object} options
+ */
+async function onUpdateMeasuredTemplate(templateDoc, changes, options) {
+	if (options.sdxZoneSync || !game.users.activeGM?.isSelf) return;
+
+	const zonesChanged = foundry.utils.hasProperty(changes, `flags.${MODULE_ID}.templateEffects`);
+	const moved = GEOMETRY_FIELDS.some(field => field in changes);
+	if (!zonesChanged && !(moved && templateDoc.flags?.[MODULE_ID]?.zoneDocuments)) return;
+
+	// Let the template redraw so its shape matches the update
+	await new Promise(r => setTimeout(r, 100));
+	await syncZoneDocuments(templateDoc);
+}
+
+/**
+ * Hook: remove a template's zones with it
+ * @param {MeasuredTemplateDocument} templateDoc
+ */
+async function onDeleteMeasuredTemplate(templateDoc) {
+	if (!game.users.activeGM?.isSelf) return;
+	await removeZoneDocuments(templateDoc);
+}
+
+/**
+ * Initialize template zone hooks
+ */
+export function initTemplateZones() {
+	Hooks.on("updateMeasuredTemplate", onUpdateMeasuredTemplate);
+	Hooks.on("deleteMeasuredTemplate", onDeleteMeasuredTemplate);
+
+	Hooks.once("ready", () => {
+		if (!game.shadowdarkExtras) game.shadowdarkExtras = {};
+		game.shadowdarkExtras.templateZones = {
+			getTemplateZones,
+			getZonesAtToken,
+			isActorInZone,
+			isAttackObscured,
+			sync: syncZoneDocuments
+		};
+	});
+}
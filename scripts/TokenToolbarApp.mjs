@@ -6,7 +6,7 @@
  * Supports drag-to-reposition with position persistence.
  */
 
-import { openSheet, changeLuck, handleHpChange, terminateFocusSpell, terminateDurationSpell } from "./TokenToolbarSD.mjs";
+import { openSheet, changeLuck, handleHpChange, terminateFocusSpell, terminateDurationSpell, rollToolbarReaction } from "./TokenToolbarSD.mjs";
 
 const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
 
@@ -93,6 +93,8 @@ export class TokenToolbarApp extends HandlebarsApplicationMixin(ApplicationV2) {
             equippedItems: this.tokenData.equippedItems || [],
             focusSpells: this.tokenData.focusSpells || [],
             durationSpells: this.tokenData.durationSpells || [],
+            canRollReaction: this.tokenData.canRollReaction,
+            fearless: this.tokenData.fearless,
         };
     }
 
@@ -224,6 +226,11 @@ export class TokenToolbarApp extends HandlebarsApplicationMixin(ApplicationV2) {
             });
         }
 
+        // Reaction roll for NPCs
+        toolbar.querySelectorAll(".sdx-toolbar-reaction").forEach(el => {
+            el.addEventListener("click", rollToolbarReaction);
+        });
+
         // HP input handling
         const hpInput = toolbar.querySelector(".sdx-toolbar-hp-current");
         if (hpInput) {
@@ -2,6 +2,8 @@
 
 import { TokenToolbarApp } from "./TokenToolbarApp.mjs";
 import { getActiveFocusSpells, getActiveDurationSpells, endFocusSpell, endDurationSpell } from "./FocusSpellTrackerSD.mjs";
+import { rollReaction, isFearless } from "./MoraleSD.mjs";
+import { getWardSummary } from "./TempHpSD.mjs";
 
 const MODULE_ID = "shadowdark-extras";
 
@@ -144,6 +146,9 @@ export async function getEntityData(entity) {
     const hpMax = actor.system.attributes?.hp?.max ?? 0;
     const hpPercent = calculateHpPercent(hp, hpMax);
 
+    // Temporary HP and damage shields
+    const wards = getWardSummary(actor);
+
     // Level and AC
     const level = actor.system.level?.value ?? 1;
     const ac = actor.system.attributes?.ac?.value ?? 10;
@@ -191,11 +196,17 @@ export async function getEntityData(entity) {
             max: hpMax,
             percent: hpPercent,
             status: getHpStatus(hpPercent),
+            temp: wards.tempHp,
+            tempPercent: calculateHpPercent(wards.tempHp, hpMax),
+            shield: wards.shieldTotal,
+            shieldTooltip: wards.tooltip,
         },
         activeEffects: activeEffects,
         equippedItems: equippedItems,
         focusSpells: focusSpells,
         durationSpells: durationSpells,
+        canRollReaction: game.user.isGM && actor.type === "NPC",
+        fearless: isFearless(actor),
     };
 }
 
@@ -455,6 +466,18 @@ export async function openSheet(event) {
     }
 }
 
+/**
+ * Roll a reaction check for the toolbar's NPC
+ * @param {Event} event - Click event
+ */
+export async function rollToolbarReaction(event) {
+    const uuid = event.currentTarget.dataset.uuid;
+    const actor = await fromUuid(uuid);
+    if (actor) {
+        await rollReaction(actor);
+    }
+}
+
 /**
  * Toggle luck (standard mode) or be called with increment (pulp mode)
  * @param {Event} event - Click event
@@ -514,6 +514,15 @@ export default class TradeWindowSD extends HandlebarsApplicationMixin(Applicatio
 				throw new Error("Trade actors not found");
 			}
 
+			// World scripts can veto either side of the trade before anything moves
+			const docsA = state.itemsA.map(i => actorA.items.get(i._id)).filter(Boolean);
+			const docsB = state.itemsB.map(i => actorB.items.get(i._id)).filter(Boolean);
+			if ((docsA.length && Hooks.call("sdx.preTransferItems", actorA, actorB, docsA, { via: "trade" }) === false)
+				|| (docsB.length && Hooks.call("sdx.preTransferItems", actorB, actorA, docsB, { via: "trade" }) === false)) {
+				ui.notifications.warn(game.i18n.localize("SHADOWDARK_EXTRAS.trade.failed"));
+				return;
+			}
+
 			// Transfer items from A to B
 			if (state.itemsA.length > 0) {
 				const itemsA = state.itemsA.map(i => ({ _id: i._id, quantity: i.system?.quantity ?? 1 }));
@@ -544,6 +553,9 @@ export default class TradeWindowSD extends HandlebarsApplicationMixin(Applicatio
 				console.log(`${MODULE_ID} | Currency transfer B->A result:`, result);
 			}
 
+			if (docsA.length) Hooks.callAll("sdx.itemsTransferred", actorA, actorB, docsA, { via: "trade" });
+			if (docsB.length) Hooks.callAll("sdx.itemsTransferred", actorB, actorA, docsB, { via: "trade" });
+
 			// Mark trade as complete
 			state.complete = true;
 			await saveTradeData(this.tradeId, state);
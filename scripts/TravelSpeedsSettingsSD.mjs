@@ -7,11 +7,14 @@ const MODULE_ID = "shadowdark-extras";
 
 // Default travel speeds
 const DEFAULT_TRAVEL_SPEEDS = [
-	{ key: "slow", name: "Slow" },
-	{ key: "normal", name: "Normal" },
-	{ key: "fast", name: "Fast" }
+	{ key: "slow", name: "Slow", hexesPerDay: 2 },
+	{ key: "normal", name: "Normal", hexesPerDay: 4 },
+	{ key: "fast", name: "Fast", hexesPerDay: 6 }
 ];
 
+// Used for speeds saved before hexes per day was configurable
+const FALLBACK_HEXES_PER_DAY = 4;
+
 /**
  * Travel Speeds Settings Application
  */
@@ -52,6 +55,7 @@ export class TravelSpeedsSettingsApp extends FormApplication {
 		return {
 			speeds: speeds.map((speed, index) => ({
 				...speed,
+				hexesPerDay: getHexesPerDay(speed.key),
 				index
 			})),
 			MODULE_ID
@@ -131,6 +135,8 @@ export class TravelSpeedsSettingsApp extends FormApplication {
 				<input type="text" name="speeds.${newIndex}.name"
 					placeholder="${game.i18n.localize("SHADOWDARK_EXTRAS.travel_speeds.name_placeholder")}"
 					value="" class="sdx-speed-name"/>
+				<input type="number" name="speeds.${newIndex}.hexesPerDay" value="${FALLBACK_HEXES_PER_DAY}" min="0.5" step="0.5"
+					class="sdx-speed-hexes" data-tooltip="${game.i18n.localize("SHADOWDARK_EXTRAS.travel_speeds.hexes_per_day")}"/>
 				<button type="button" class="sdx-remove-speed" data-tooltip="${game.i18n.localize("SHADOWDARK_EXTRAS.travel_speeds.remove")}">
 					<i class="fas fa-trash"></i>
 				</button>
@@ -210,7 +216,8 @@ export class TravelSpeedsSettingsApp extends FormApplication {
 			if (data.name && data.name.trim()) {
 				speeds.push({
 					key: data.key || `speed${Date.now()}_${index}`,
-					name: data.name.trim()
+					name: data.name.trim(),
+					hexesPerDay: Math.max(0.5, Number(data.hexesPerDay) || FALLBACK_HEXES_PER_DAY)
 				});
 			}
 		}
@@ -273,3 +280,16 @@ export function registerTravelSpeedsSettings() {
 }
 
 export { DEFAULT_TRAVEL_SPEEDS };
+
+/**
+ * Get how many hexes a party covers in a day of travel at a speed
+ * @param {string} speedKey - Travel speed key
+ * @returns {number}
+ */
+export function getHexesPerDay(speedKey) {
+	const speed = getTravelSpeeds().find(s => s.key === speedKey);
+	const hexes = Number(speed?.hexesPerDay)
+		|| DEFAULT_TRAVEL_SPEEDS.find(s => s.key === speedKey)?.hexesPerDay
+		|| FALLBACK_HEXES_PER_DAY;
+	return Math.max(0.5, hexes);
+}
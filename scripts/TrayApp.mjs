@@ -420,6 +420,39 @@ export class TrayApp extends HandlebarsApplicationMixin(ApplicationV2) {
             }
         });
 
+        // Crawl Tracker Button
+        elem.querySelector(".tray-handle-button-tool[data-action='crawl-tracker']")?.addEventListener("click", (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            if (game.shadowdarkExtras?.crawlTracker?.toggle) {
+                game.shadowdarkExtras.crawlTracker.toggle();
+            } else {
+                ui.notifications.warn("Crawl Tracker not ready.");
+            }
+        });
+
+        // Route Planner Button
+        elem.querySelector(".tray-handle-button-tool[data-action='hex-route']")?.addEventListener("click", (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            if (game.shadowdarkExtras?.route?.toggle) {
+                game.shadowdarkExtras.route.toggle();
+            } else {
+                ui.notifications.warn("Route Planner not ready.");
+            }
+        });
+
+        // Damage Ledger Button
+        elem.querySelector(".tray-handle-button-tool[data-action='damage-ledger']")?.addEventListener("click", (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            if (game.shadowdarkExtras?.damageLedger?.toggle) {
+                game.shadowdarkExtras.damageLedger.toggle();
+            } else {
+                ui.notifications.warn("Damage Ledger not ready.");
+            }
+        });
+
         // Carousing Button
         elem.querySelector(".tray-handle-button-tool[data-action='carousing']")?.addEventListener("click", (e) => {
             e.preventDefault();
@@ -431,6 +464,28 @@ export class TrayApp extends HandlebarsApplicationMixin(ApplicationV2) {
             }
         });
 
+        // Calendar Button
+        elem.querySelector(".tray-handle-button-tool[data-action='calendar']")?.addEventListener("click", (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            if (game.shadowdarkExtras?.calendar?.toggle) {
+                game.shadowdarkExtras.calendar.toggle();
+            } else {
+                ui.notifications.warn("Calendar not ready.");
+            }
+        });
+
+        // Hex Journal Button
+        elem.querySelector(".tray-handle-button-tool[data-action='hex-knowledge']")?.addEventListener("click", (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            if (game.shadowdarkExtras?.hexKnowledge?.toggle) {
+                game.shadowdarkExtras.hexKnowledge.toggle();
+            } else {
+                ui.notifications.warn("Hex Journal not ready.");
+            }
+        });
+
         // Drawing Tools Button
         elem.querySelector(".tray-handle-button-tool[data-action='sdx-drawing']")?.addEventListener("click", (e) => {
             e.preventDefault();
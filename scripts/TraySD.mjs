@@ -310,6 +310,19 @@ export function registerTraySettings() {
         onChange: () => refreshHexFog()
     });
 
+    game.settings.register(MODULE_ID, "hexFog.perPartyKnowledge", {
+        name: "Per-Party Hex Knowledge",
+        hint: "Each party keeps its own revealed hexes, exploration, rumours and notes. Hex fog and tooltips show what the viewing player's parties know; split parties no longer share one fog. The GM can preview a party's map from the Hex Journal.",
+        scope: "world",
+        config: true,
+        type: Boolean,
+        default: false,
+        onChange: () => {
+            Hooks.callAll("sdx.hexKnowledgeChanged", null, canvas.scene?.id ?? null);
+            refreshHexFog();
+        }
+    });
+
     game.settings.register(MODULE_ID, "hexPainter.customTileWidth", {
         scope: "client",
         config: false,
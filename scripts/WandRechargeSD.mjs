@@ -0,0 +1,412 @@
+/**
+ * Wand and Staff Recharge for Shadowdark Extras
+ *
+ * Recharge, overcharge and breakage rules for charged magic items:
+ * - Wands with uses tracking (wandUses flag) and weapons with limited-use
+ *   attached spells (staffSpells flag) can recharge after a rest or each
+ *   dawn. A recharge formula (e.g. 1d4) restores that many charges, an empty
+ *   formula restores them all.
+ * - Rests are the calendar's rest and camp time skips (sdx.timeAdvanced),
+ *   dawns are calendar days passing (sdx.newDay), the same clock events that
+ *   burn down light sources.
+ * - Items set to overcharge can still be used at 0 charges, at the risk of
+ *   breaking. The break chance is rolled on a d100 and a broken item draws
+ *   from the breakage table (if one is set) before it is destroyed.
+ * - The GM can recharge every wand and staff at once from the light tracker.
+ *
+ * Storage (item flag):
+ * - rechargeRules: { schedule: "none" | "rest" | "day", formula, overcharge }
+ */
+
+const MODULE_ID = "shadowdark-extras";
+const FLAG_KEY = "rechargeRules";
+
+export const RECHARGE_SCHEDULES = ["none", "rest", "day"];
+
+// Calendar time skip reasons that count as a rest
+const REST_REASONS = ["rest", "camp"];
+
+const DEFAULT_RECHARGE_RULES = {
+	schedule: "none",
+	formula: "",
+	overcharge: false
+};
+
+/**
+ * Whether recharge and overcharge rules are enabled
+ * @returns {boolean}
+ */
+export function isWandRechargeEnabled() {
+	try {
+		return game.settings.get(MODULE_ID, "enableWandRecharge");
+	} catch (e) {
+		return false;
+	}
+}
+
+/**
+ * Get an item's recharge rules merged over the defaults
+ * @param {Item} item - A Wand or a Weapon with attached spells
+ * @returns {{ schedule: string, formula: string, overcharge: boolean }}
+ */
+export function getRechargeRules(item) {
+	return foundry.utils.mergeObject(
+		foundry.utils.deepClone(DEFAULT_RECHARGE_RULES),
+		item?.getFlag(MODULE_ID, FLAG_KEY) ?? {},
+		{ inplace: false }
+	);
+}
+
+/**
+ * Whether an item tracks charges that can be recharged
+ * @param {Item} item
+ * @returns {boolean}
+ */
+export function hasCharges(item) {
+	if (item?.type === "Wand") return !!item.getFlag(MODULE_ID, "wandUses")?.enabled;
+	if (item?.type === "Weapon") {
+		return (item.getFlag(MODULE_ID, "staffSpells") ?? []).some(s => s.maxUses !== null && s.maxUses !== undefined);
+	}
+	return false;
+}
+
+/**
+ * Whether an item may be used past 0 charges
+ * @param {Item} item
+ * @returns {boolean}
+ */
+export function canOvercharge(item) {
+	return isWandRechargeEnabled() && hasCharges(item) && getRechargeRules(item).overcharge;
+}
+
+/**
+ * Restore charges on a wand or staff
+ * @param {Item} item
+ * @param {Object} [options]
+ * @param {string} [options.formula] - Charges to restore; defaults to the item's formula, empty restores all
+ * @param {string} [options.reason] - rest, day, manual, ...
+ * @returns {Promise<{ item: Item, gained: number, roll: Roll|null }|null>} Null when nothing was restored
+ */
+export async function rechargeItem(item, { formula, reason = "manual" } = {}) {
+	if (!hasCharges(item)) return null;
+	formula = (formula ?? getRechargeRules(item).formula)?.trim();
+
+	// Collect the charge pools that are not full before rolling anything
+	const isWand = item.type === "Wand";
+	const wandUses = item.getFlag(MODULE_ID, "wandUses");
+	const staffSpells = isWand ? null : foundry.utils.deepClone(item.getFlag(MODULE_ID, "staffSpells") ?? []);
+	const pools = isWand
+		? [{ current: wandUses.current ?? 0, max: wandUses.max ?? 0 }]
+		: staffSpells.filter(s => s.maxUses !== null && s.maxUses !== undefined)
+			.map(s => ({ spell: s, current: s.currentUses ?? s.maxUses, max: s.maxUses }));
+	if (!pools.some(p => p.current < p.max)) return null;
+
+	let roll = null;
+	let amount = Infinity;
+	if (formula) {
+		try {
+			roll = await new Roll(formula, item.parent?.getRollData?.() ?? {}).evaluate();
+			amount = Math.max(0, roll.total);
+		} catch (err) {
+			console.error(`${MODULE_ID} | Invalid recharge formula "${formula}" on ${item.name}:`, err);
+			return null;
+		}
+	}
+
+	let gained = 0;
+	for (const pool of pools) {
+		pool.after = Math.max(pool.current, Math.min(pool.max, pool.current + amount));
+		gained += pool.after - pool.current;
+		if (pool.spell) pool.spell.currentUses = pool.after;
+	}
+	if (gained <= 0) return null;
+
+	if (isWand) await item.update({ [`flags.${MODULE_ID}.wandUses.current`]: pools[0].after });
+	else await item.setFlag(MODULE_ID, "staffSpells", staffSpells);
+
+	Hooks.callAll("sdx.wandRecharged", item, { gained, roll, reason });
+	return { item, gained, roll };
+}
+
+/**
+ * Recharge an actor's items that follow a schedule
+ * @param {Actor} actor
+ * @param {string} schedule - rest or day
+ * @param {Object} [options]
+ * @param {number} [options.times=1] - How many times the schedule came around
+ * @param {string} [options.reason]
+ * @returns {Promise<Object[]>} One { item, gained, rolls } per recharged item
+ */
+export async function rechargeActor(actor, schedule, { times = 1, reason = schedule } = {}) {
+	const results = [];
+	for (const item of actor.items) {
+		if (!hasCharges(item) || getRechargeRules(item).schedule !== schedule) continue;
+
+		let gained = 0;
+		const rolls = [];
+		for (let i = 0; i < times; i++) {
+			const result = await rechargeItem(item, { reason });
+			if (!result) break;
+			gained += result.gained;
+			if (result.roll) rolls.push(result.roll);
+		}
+		if (gained > 0) results.push({ item, gained, rolls });
+	}
+	return results;
+}
+
+/**
+ * Recharge every wand and staff on player characters to full (GM only)
+ * @returns {Promise<Object[]>} One { item, gained, rolls } per recharged item
+ */
+export async function rechargeAll() {
+	if (!game.user.isGM) return [];
+
+	const results = [];
+	for (const actor of game.actors.filter(a => a.type === "Player")) {
+		for (const item of actor.items) {
+			const result = await rechargeItem(item, { formula: "", reason: "manual" });
+			if (result) results.push({ item, gained: result.gained, rolls: [] });
+		}
+	}
+
+	await postRechargeCard(results, game.i18n.localize("SHADOWDARK_EXTRAS.wand_recharge.all_title"));
+	if (!results.length) ui.notifications.info(game.i18n.localize("SHADOWDARK_EXTRAS.wand_recharge.all_full"));
+	return results;
+}
+
+/**
+ * Post a card listing recharged items
+ * @param {Object[]} results - { item, gained, rolls }
+ * @param {string} title
+ */
+async function postRechargeCard(results, title) {
+	if (!results.length) return;
+
+	const rows = results.map(({ item, gained, rolls }) => `
+				<li>
+					<strong>${item.parent?.name ?? ""}</strong> ${item.name}
+					<span class="sdx-wand-recharge-gained">+${gained}</span>
+					${rolls.length ? `<span class="sdx-wand-recharge-roll">(${rolls.map(r => r.total).join(", ")})</span>` : ""}
+				</li>`).join("");
+
+	await ChatMessage.create({
+		user: game.user.id,
+		content: `
+		<div class="shadowdark chat-card sdx-wand-recharge-card">
+			<header class="sdx-wand-recharge-header">
+				<i class="fas fa-bolt"></i>
+				<h3>${title}</h3>
+			</header>
+			<ul class="sdx-wand-recharge-list">${rows}
+			</ul>
+		</div>`,
+		flags: { [MODULE_ID]: { wandRechargeCard: true } }
+	});
+}
+
+/**
+ * Ask whether to overcharge a depleted item
+ * @param {Item} item
+ * @returns {Promise<boolean>}
+ */
+export async function confirmOvercharge(item) {
+	const chance = getBreakChance();
+	return !!(await foundry.applications.api.DialogV2.confirm({
+		window: { title: game.i18n.localize("SHADOWDARK_EXTRAS.wand_recharge.overcharge"), icon: "fas fa-bolt" },
+		content: `<p>${game.i18n.format("SHADOWDARK_EXTRAS.wand_recharge.overcharge_confirm", { name: item.name, chance })}</p>`,
+		rejectClose: false
+	}));
+}
+
+/**
+ * Get the chance (percent) that an overcharged item breaks
+ * @returns {number}
+ */
+function getBreakChance() {
+	return Math.clamp(Number(game.settings.get(MODULE_ID, "wandBreakChance")) || 0, 0, 100);
+}
+
+/**
+ * Roll for breakage after an item was used past 0 charges. A broken item
+ * draws from the breakage table and is destroyed.
+ * @param {Actor} actor
+ * @param {Item} item
+ * @returns {Promise<boolean>} Whether the item broke
+ */
+export async function rollOvercharge(actor, item) {
+	const chance = getBreakChance();
+	const roll = await new Roll("1d100").evaluate();
+	const broken = roll.total <= chance;
+
+	let table = null;
+	let results = [];
+	if (broken) {
+		const uuid = game.settings.get(MODULE_ID, "wandBreakageTable");
+		table = uuid ? await fromUuid(uuid).catch(() => null) : null;
+		if (table instanceof RollTable) {
+			const draw = await table.draw({ displayChat: false });
+			results = draw.results;
+		} else {
+			table = null;
+		}
+	}
+
+	Hooks.callAll("sdx.wandOvercharged", actor, item, { roll, chance, broken, table, results });
+
+	const text = game.i18n.format(
+		broken ? "SHADOWDARK_EXTRAS.wand_recharge.broken" : "SHADOWDARK_EXTRAS.wand_recharge.held",
+		{ name: actor.name, item: item.name, chance }
+	);
+	const resultsHtml = results.length ? `
+			<div class="sdx-wand-breakage-results">
+				<div class="sdx-wand-breakage-table">${table.name}</div>
+				${results.map(r => `<div class="sdx-wand-breakage-result">${r.description || r.text || r.name || ""}</div>`).join("")}
+			</div>` : "";
+
+	await ChatMessage.create({
+		user: game.user.id,
+		speaker: ChatMessage.getSpeaker({ actor }),
+		content: `
+		<div class="shadowdark chat-card sdx-wand-recharge-card sdx-wand-overcharge ${broken ? "broken" : ""}">
+			<header class="sdx-wand-recharge-header">
+				<img src="${item.img}" alt="${item.name}">
+				<h3>${game.i18n.format("SHADOWDARK_EXTRAS.wand_recharge.overcharge_title", { item: item.name })}</h3>
+			</header>
+			<p>${text}</p>${resultsHtml}
+		</div>`,
+		rolls: [roll],
+		flags: { [MODULE_ID]: { wandRechargeCard: true } }
+	});
+
+	if (broken) {
+		ui.notifications.warn(game.i18n.format("SHADOWDARK_EXTRAS.wand_recharge.broken_notice", { item: item.name }));
+		// Give the spell card's automation a moment to read the item before it goes
+		setTimeout(async () => {
+			try {
+				await item.delete();
+			} catch (err) {
+				// Item may already be deleted, ignore error
+			}
+		}, 1000);
+	}
+	return broken;
+}
+
+/**
+ * Build the recharge fields for the wand sheet, laid out like the uses row
+ * @param {Item} item
+ * @returns {string}
+ */
+export function buildWandRechargeHTML(item) {
+	const rules = getRechargeRules(item);
+	const options = RECHARGE_SCHEDULES.map(s => `
+				<option value="${s}" ${rules.schedule === s ? "selected" : ""}>${game.i18n.localize(`SHADOWDARK_EXTRAS.wand_recharge.schedule.${s}`)}</option>`).join("");
+
+	return `
+		<h3 class="sdx-wand-uses-row">${game.i18n.localize("SHADOWDARK_EXTRAS.wand_recharge.recharge")}</h3>
+		<div class="sdx-wand-uses-row sdx-wand-recharge-inputs">
+			<select name="flags.${MODULE_ID}.${FLAG_KEY}.schedule">${options}
+			</select>
+			<input type="text"
+				name="flags.${MODULE_ID}.${FLAG_KEY}.formula"
+				value="${rules.formula}"
+				placeholder="${game.i18n.localize("SHADOWDARK_EXTRAS.wand_recharge.formula_placeholder")}"
+				data-tooltip="${game.i18n.localize("SHADOWDARK_EXTRAS.wand_recharge.formula_hint")}"
+			/>
+		</div>
+		<h3 class="sdx-wand-uses-row">${game.i18n.localize("SHADOWDARK_EXTRAS.wand_recharge.overcharge")}</h3>
+		<div class="sdx-wand-uses-row sdx-wand-uses-checkbox">
+			<input type="checkbox"
+				name="flags.${MODULE_ID}.${FLAG_KEY}.overcharge"
+				${rules.overcharge ? "checked" : ""}
+				data-dtype="Boolean"
+				data-tooltip="${game.i18n.localize("SHADOWDARK_EXTRAS.wand_recharge.overcharge_hint")}"
+			/>
+		</div>
+	`;
+}
+
+/**
+ * Hook: rests taken through the calendar recharge "per rest" items
+ * @param {number} delta
+ * @param {Object} context
+ */
+async function onTimeAdvanced(delta, { reason } = {}) {
+	if (!REST_REASONS.includes(reason)) return;
+	if (!game.users.activeGM?.isSelf || !isWandRechargeEnabled()) return;
+
+	const results = [];
+	for (const actor of game.actors.filter(a => a.type === "Player")) {
+		results.push(...await rechargeActor(actor, "rest", { reason }));
+	}
+	await postRechargeCard(results, game.i18n.localize("SHADOWDARK_EXTRAS.wand_recharge.rest_title"));
+}
+
+/**
+ * Hook: every dawn recharges "per day" items
+ * @param {Object} date
+ * @param {number} daysPassed
+ */
+async function onNewDay(date, daysPassed) {
+	if (!game.users.activeGM?.isSelf || !isWandRechargeEnabled()) return;
+
+	const results = [];
+	for (const actor of game.actors.filter(a => a.type === "Player")) {
+		results.push(...await rechargeActor(actor, "day", { times: daysPassed, reason: "day" }));
+	}
+	await postRechargeCard(results, game.i18n.localize("SHADOWDARK_EXTRAS.wand_recharge.dawn_title"));
+}
+
+/**
+ * Register wand recharge settings
+ */
+export function registerWandRechargeSettings() {
+	game.settings.register(MODULE_ID, "enableWandRecharge", {
+		name: game.i18n.localize("SHADOWDARK_EXTRAS.settings.enable_wand_recharge.name"),
+		hint: game.i18n.localize("SHADOWDARK_EXTRAS.settings.enable_wand_recharge.hint"),
+		scope: "world",
+		config: true,
+		default: false,
+		type: Boolean,
+		requiresReload: false,
+	});
+
+	game.settings.register(MODULE_ID, "wandBreakChance", {
+		name: game.i18n.localize("SHADOWDARK_EXTRAS.settings.wand_break_chance.name"),
+		hint: game.i18n.localize("SHADOWDARK_EXTRAS.settings.wand_break_chance.hint"),
+		scope: "world",
+		config: true,
+		default: 25,
+		type: Number,
+		range: { min: 0, max: 100, step: 5 }
+	});
+
+	game.settings.register(MODULE_ID, "wandBreakageTable", {
+		name: game.i18n.localize("SHADOWDARK_EXTRAS.settings.wand_breakage_table.name"),
+		hint: game.i18n.localize("SHADOWDARK_EXTRAS.settings.wand_breakage_table.hint"),
+		scope: "world",
+		config: true,
+		default: "",
+		type: String
+	});
+}
+
+/**
+ * Initialize wand recharge hooks
+ */
+export function initWandRecharge() {
+	Hooks.on("sdx.timeAdvanced", onTimeAdvanced);
+	Hooks.on("sdx.newDay", onNewDay);
+
+	Hooks.once("ready", () => {
+		if (!game.shadowdarkExtras) game.shadowdarkExtras = {};
+		game.shadowdarkExtras.wandRecharge = {
+			getRules: getRechargeRules,
+			recharge: rechargeItem,
+			rechargeActor,
+			rechargeAll,
+			rollOvercharge
+		};
+	});
+}
@@ -8,6 +8,8 @@
  * - Effect/condition application on hit with chance percentage
  */
 
+import { getDamageTypeOptionsHtml } from "./DamageTypesApp.mjs";
+
 const MODULE_ID = "shadowdark-extras";
 
 /**
@@ -476,19 +478,7 @@ function buildDamageBonusRowHtml(bonus, index) {
 						placeholder="Label (optional, e.g., vs Undead)" title="Label" />
 					<select class="sdx-damage-bonus-type" title="Damage Type">
 						<option value="" ${!bonus.damageType ? 'selected' : ''}>Standard Damage</option>
-						<option value="bludgeoning" ${bonus.damageType === 'bludgeoning' ? 'selected' : ''}>Bludgeoning</option>
-						<option value="slashing" ${bonus.damageType === 'slashing' ? 'selected' : ''}>Slashing</option>
-						<option value="piercing" ${bonus.damageType === 'piercing' ? 'selected' : ''}>Piercing</option>
-						<option value="physical" ${bonus.damageType === 'physical' ? 'selected' : ''}>Physical (Generic)</option>
-						<option value="fire" ${bonus.damageType === 'fire' ? 'selected' : ''}>Fire</option>
-						<option value="cold" ${bonus.damageType === 'cold' ? 'selected' : ''}>Cold</option>
-						<option value="lightning" ${bonus.damageType === 'lightning' ? 'selected' : ''}>Lightning</option>
-						<option value="acid" ${bonus.damageType === 'acid' ? 'selected' : ''}>Acid</option>
-						<option value="poison" ${bonus.damageType === 'poison' ? 'selected' : ''}>Poison</option>
-						<option value="necrotic" ${bonus.damageType === 'necrotic' ? 'selected' : ''}>Necrotic</option>
-						<option value="radiant" ${bonus.damageType === 'radiant' ? 'selected' : ''}>Radiant</option>
-						<option value="psychic" ${bonus.damageType === 'psychic' ? 'selected' : ''}>Psychic</option>
-						<option value="force" ${bonus.damageType === 'force' ? 'selected' : ''}>Force</option>
+						${getDamageTypeOptionsHtml(bonus.damageType)}
 					</select>
 					<input type="number" class="sdx-damage-bonus-usage" value="${usage}" min="0" step="1"
 						placeholder="∞" title="${game.i18n.localize("SHADOWDARK_EXTRAS.weaponBonus.usage.tooltip")}" />
@@ -1704,13 +1694,33 @@ function evaluateNumeric(testValue, operator, value) {
 }
 
 /**
- * Get the to-hit bonus for a weapon
+ * Get the to-hit bonus for a weapon.
+ * Fires sdx.preEvaluateAttackBonus (return false to drop every bonus) and
+ * sdx.attackBonusEvaluated, whose listeners may edit hitBonusParts.
  * @param {Item} weapon - The weapon item
  * @param {Actor} attacker - The attacking actor
  * @param {Actor} target - The target actor (optional)
  * @returns {Object} - { hitBonus, hitBonusParts }
  */
 export function getWeaponHitBonuses(weapon, attacker, target) {
+	if (Hooks.call("sdx.preEvaluateAttackBonus", weapon, attacker, target) === false) {
+		return { hitBonus: "", hitBonusParts: [] };
+	}
+
+	const result = collectWeaponHitBonuses(weapon, attacker, target);
+	Hooks.callAll("sdx.attackBonusEvaluated", weapon, attacker, target, result);
+	result.hitBonus = result.hitBonusParts.map(b => b.formula).filter(f => f).join(" + ");
+	return result;
+}
+
+/**
+ * Collect the configured to-hit bonuses whose requirements match
+ * @param {Item} weapon - The weapon item
+ * @param {Actor} attacker - The attacking actor
+ * @param {Actor} target - The target actor (optional)
+ * @returns {Object} - { hitBonus, hitBonusParts }
+ */
+function collectWeaponHitBonuses(weapon, attacker, target) {
 	const flags = weapon.flags?.[MODULE_ID]?.weaponBonus;
 	if (!flags?.enabled) {
 		return { hitBonus: "", hitBonusParts: [] };
@@ -0,0 +1,458 @@
+/**
+ * Weather System for Shadowdark Extras
+ * Climate tables, persistent party weather and its mechanical effects.
+ *
+ * Features:
+ * - GM-editable climate profiles (temperate, arctic, desert, coastal, ...)
+ * - Current weather stored on the party actor with a day countdown
+ * - Difficult terrain halves the party's hexes per day
+ * - Light penalty halves the party token light radius
+ * - Disadvantage on ability checks for party members
+ */
+
+import { getHexesPerDay } from "./TravelSpeedsSettingsSD.mjs";
+import { getPartiesContainingActor, syncPartyTokenLight } from "./PartySheetSD.mjs";
+
+const MODULE_ID = "shadowdark-extras";
+
+// Default climates (temperate matches the original hardcoded 1d6 weather check)
+const DEFAULT_CLIMATES = [
+	{
+		key: "temperate",
+		name: "Temperate",
+		formula: "1d6",
+		results: [
+			{ range: "1", name: "Storms", img: "icons/magic/air/fog-gas-smoke-swirling-yellow.webp", duration: "1d4", difficultTerrain: true, lightPenalty: false, checkDisadvantage: false, description: "Normal terrain is difficult. If in an extreme climate, terrain is impassable." },
+			{ range: "2-6", name: "Clear", img: "icons/magic/light/explosion-star-large-blue-yellow.webp", duration: "1", difficultTerrain: false, lightPenalty: false, checkDisadvantage: false, description: "The weather is clear and favorable for travel." }
+		]
+	},
+	{
+		key: "arctic",
+		name: "Arctic",
+		formula: "1d6",
+		results: [
+			{ range: "1-2", name: "Blizzard", img: "icons/magic/water/snowflake-ice-blue-white.webp", duration: "1d4", difficultTerrain: true, lightPenalty: true, checkDisadvantage: true, description: "Howling snow blinds travelers. Terrain is difficult and light sources sputter." },
+			{ range: "3", name: "Snowfall", img: "icons/magic/water/snowflake-ice-blue-white.webp", duration: "1d2", difficultTerrain: true, lightPenalty: false, checkDisadvantage: false, description: "Fresh snow covers the ground. Terrain is difficult." },
+			{ range: "4-6", name: "Bitter Cold", img: "icons/magic/light/explosion-star-large-blue-yellow.webp", duration: "1", difficultTerrain: false, lightPenalty: false, checkDisadvantage: false, description: "Clear skies and biting cold." }
+		]
+	},
+	{
+		key: "desert",
+		name: "Desert",
+		formula: "1d6",
+		results: [
+			{ range: "1", name: "Sandstorm", img: "icons/magic/air/wind-tornado-wall-blue.webp", duration: "1d3", difficultTerrain: true, lightPenalty: true, checkDisadvantage: true, description: "Scouring sand fills the air. Terrain is difficult and vision is poor." },
+			{ range: "2", name: "Heatwave", img: "icons/magic/fire/flame-burning-creature-skeleton.webp", duration: "1d4", difficultTerrain: false, lightPenalty: false, checkDisadvantage: true, description: "Oppressive heat saps strength. Checks are made with disadvantage." },
+			{ range: "3-6", name: "Clear", img: "icons/magic/light/explosion-star-large-blue-yellow.webp", duration: "1", difficultTerrain: false, lightPenalty: false, checkDisadvantage: false, description: "Hot and cloudless." }
+		]
+	},
+	{
+		key: "coastal",
+		name: "Coastal",
+		formula: "1d6",
+		results: [
+			{ range: "1", name: "Gale", img: "icons/magic/air/wind-tornado-wall-blue.webp", duration: "1d3", difficultTerrain: true, lightPenalty: false, checkDisadvantage: true, description: "Violent winds lash the coast. Terrain is difficult." },
+			{ range: "2", name: "Sea Fog", img: "icons/magic/air/fog-gas-smoke-swirling-yellow.webp", duration: "1", difficultTerrain: false, lightPenalty: true, checkDisadvantage: false, description: "Thick fog rolls in from the sea, swallowing light." },
+			{ range: "3", name: "Rain", img: "icons/magic/water/water-drop-swirl-blue.webp", duration: "1", difficultTerrain: false, lightPenalty: false, checkDisadvantage: false, description: "Steady, cold rain." },
+			{ range: "4-6", name: "Clear", img: "icons/magic/light/explosion-star-large-blue-yellow.webp", duration: "1", difficultTerrain: false, lightPenalty: false, checkDisadvantage: false, description: "A fair breeze and clear skies." }
+		]
+	}
+];
+
+/**
+ * Get the configured climates
+ * @returns {Object[]} Array of climate objects
+ */
+export function getClimates() {
+	try {
+		const saved = game.settings.get(MODULE_ID, "weatherClimates");
+		if (saved?.climates && Array.isArray(saved.climates) && saved.climates.length > 0) {
+			return saved.climates;
+		}
+	} catch (e) {
+		// Setting not registered yet, return defaults
+	}
+	return foundry.utils.deepClone(DEFAULT_CLIMATES);
+}
+
+/**
+ * Parse a table range such as "3" or "2-4"
+ * @param {string} range
+ * @returns {{min: number, max: number}}
+ */
+function parseRange(range) {
+	const [min, max] = String(range).split("-").map(n => parseInt(n.trim()));
+	return { min: min ?? 0, max: Number.isFinite(max) ? max : min };
+}
+
+/**
+ * Get the party's current weather
+ * @param {Actor} partyActor
+ * @returns {Object|null}
+ */
+export function getPartyWeather(partyActor) {
+	return partyActor?.getFlag(MODULE_ID, "weather") ?? null;
+}
+
+/**
+ * Whether the party's weather makes terrain difficult
+ * @param {Actor} partyActor
+ * @returns {boolean}
+ */
+export function isWeatherSlowed(partyActor) {
+	return !!getPartyWeather(partyActor)?.difficultTerrain;
+}
+
+/**
+ * Get how many hexes the party covers in a day after weather is applied.
+ * Difficult terrain halves the party's chosen travel speed.
+ * @param {Actor} partyActor
+ * @returns {number}
+ */
+export function getEffectiveHexesPerDay(partyActor) {
+	const hexes = getHexesPerDay(partyActor.getFlag(MODULE_ID, "travelSpeed") ?? "normal");
+	return isWeatherSlowed(partyActor) ? hexes / 2 : hexes;
+}
+
+/**
+ * Whether the party's weather halves light radius
+ * @param {Actor} partyActor
+ * @returns {boolean}
+ */
+export function hasWeatherLightPenalty(partyActor) {
+	return !!getPartyWeather(partyActor)?.lightPenalty;
+}
+
+/**
+ * Whether an actor suffers weather disadvantage on ability checks
+ * (true if any party the actor belongs to has such weather)
+ * @param {Actor} actor
+ * @returns {boolean}
+ */
+export function hasWeatherDisadvantage(actor) {
+	return getPartiesContainingActor(actor).some(party => getPartyWeather(party)?.checkDisadvantage);
+}
+
+/**
+ * Roll new weather for a party from its climate and store it
+ * @param {Actor} partyActor
+ * @returns {Promise<Object|null>} The new weather
+ */
+export async function rollWeather(partyActor) {
+	const climates = getClimates();
+	const climateKey = partyActor.getFlag(MODULE_ID, "weatherClimate") ?? climates[0]?.key;
+	const climate = climates.find(c => c.key === climateKey) ?? climates[0];
+	if (!climate) return null;
+
+	if (shadowdark.utils.diceSound) {
+		shadowdark.utils.diceSound();
+	}
+
+	const roll = await new Roll(climate.formula || "1d6").evaluate();
+	const result = climate.results.find(r => {
+		const { min, max } = parseRange(r.range);
+		return roll.total >= min && roll.total <= max;
+	});
+
+	if (!result) {
+		ui.notifications.warn(game.i18n.format("SHADOWDARK_EXTRAS.weather.no_result", { total: roll.total, climate: climate.name }));
+		return null;
+	}
+
+	let days = 1;
+	try {
+		const durationRoll = await new Roll(result.duration || "1").evaluate();
+		days = Math.max(1, durationRoll.total);
+	} catch (e) {
+		console.warn(`${MODULE_ID} | Invalid weather duration formula "${result.duration}"`, e);
+	}
+
+	const weather = {
+		climate: climate.key,
+		name: result.name,
+		img: result.img,
+		description: result.description,
+		daysRemaining: days,
+		totalDays: days,
+		difficultTerrain: !!result.difficultTerrain,
+		lightPenalty: !!result.lightPenalty,
+		checkDisadvantage: !!result.checkDisadvantage
+	};
+
+	await partyActor.setFlag(MODULE_ID, "weather", weather);
+	await postWeatherCard(partyActor, weather, { climate, roll });
+	Hooks.callAll("sdx.weatherChanged", partyActor, weather);
+	return weather;
+}
+
+/**
+ * Advance the party's weather by a number of days.
+ * When the current weather runs out, new weather is rolled.
+ * @param {Actor} partyActor
+ * @param {number} days
+ * @returns {Promise<Object|null>} The weather after advancing
+ */
+export async function advanceWeather(partyActor, days = 1) {
+	const weather = getPartyWeather(partyActor);
+	if (!weather) return rollWeather(partyActor);
+
+	const remaining = (weather.daysRemaining ?? 0) - days;
+	if (remaining <= 0) return rollWeather(partyActor);
+
+	await partyActor.setFlag(MODULE_ID, "weather.daysRemaining", remaining);
+	return { ...weather, daysRemaining: remaining };
+}
+
+/**
+ * Clear the party's weather
+ * @param {Actor} partyActor
+ */
+export async function clearWeather(partyActor) {
+	await partyActor.unsetFlag(MODULE_ID, "weather");
+	Hooks.callAll("sdx.weatherChanged", partyActor, null);
+}
+
+/**
+ * Post a weather chat card
+ * @param {Actor} partyActor
+ * @param {Object} weather
+ * @param {Object} options
+ */
+async function postWeatherCard(partyActor, weather, { climate, roll }) {
+	const isBad = weather.difficultTerrain || weather.lightPenalty || weather.checkDisadvantage;
+	const color = isBad ? "#ff3333" : "#c9aa58";
+	const shadow = isBad ? "rgba(255, 51, 51, 0.2)" : "rgba(201, 170, 88, 0.2)";
+	const background = isBad ? "rgba(255, 51, 51, 0.1)" : "rgba(201, 170, 88, 0.05)";
+
+	const effects = [];
+	if (weather.difficultTerrain) effects.push(game.i18n.localize("SHADOWDARK_EXTRAS.weather.effect.difficult_terrain"));
+	if (weather.lightPenalty) effects.push(game.i18n.localize("SHADOWDARK_EXTRAS.weather.effect.light_penalty"));
+	if (weather.checkDisadvantage) effects.push(game.i18n.localize("SHADOWDARK_EXTRAS.weather.effect.check_disadvantage"));
+
+	const effectsHtml = effects.map(e => `<p style="margin: 4px 0;"><strong>${e}</strong></p>`).join("");
+	const duration = game.i18n.format("SHADOWDARK_EXTRAS.weather.duration", { days: weather.totalDays });
+
+	const content = `
+		<div class="shadowdark chat-card item-card" style="border: 1px solid ${color}; border-radius: 4px; overflow: hidden; box-shadow: 0 0 10px ${shadow};">
+			<div class="card-header" style="display: flex; flex-direction: column; gap: 8px; padding: 10px; background: ${background};">
+				<div style="display: flex; align-items: center; gap: 10px;">
+					<img src="${weather.img || "icons/magic/light/explosion-star-large-blue-yellow.webp"}" title="${weather.name}" style="width: 36px; height: 36px; border: 1px solid #c9aa58; border-radius: 4px;"/>
+					<h3 style="margin: 0; color: ${color}; font-family: 'Montserrat', sans-serif; font-size: 1.2em; text-shadow: 1px 1px 2px #000;">${weather.name}</h3>
+				</div>
+				<div style="display: block !important; padding: 5px 0;">
+					<p style="margin: 4px 0;">${weather.description ?? ""}</p>
+					${effectsHtml}
+					<p style="margin: 4px 0;">${duration}</p>
+				</div>
+				<div style="display: block !important; font-size: 0.85em; border-top: 1px solid rgba(255, 255, 255, 0.1); padding-top: 5px; color: #aaa;">
+					<span>${climate.name} · ${game.i18n.format("SHADOWDARK_EXTRAS.weather.rolled", { total: roll.total, formula: roll.formula })}</span>
+				</div>
+			</div>
+		</div>
+	`;
+
+	await ChatMessage.create({
+		user: game.user.id,
+		speaker: ChatMessage.getSpeaker({ actor: partyActor }),
+		content,
+		flavor: game.i18n.localize("SHADOWDARK_EXTRAS.weather.flavor")
+	});
+}
+
+/**
+ * Weather Climates Settings Application
+ */
+export class WeatherSettingsApp extends FormApplication {
+	constructor(object = {}, options = {}) {
+		super(object, options);
+		this._climateKey = null;
+	}
+
+	static get defaultOptions() {
+		return foundry.utils.mergeObject(super.defaultOptions, {
+			id: "sdx-weather-settings",
+			title: game.i18n.localize("SHADOWDARK_EXTRAS.weather.settings_title"),
+			template: `modules/${MODULE_ID}/templates/weather-settings.hbs`,
+			classes: ["shadowdark", "shadowdark-extras", "weather-settings-app"],
+			width: 720,
+			height: "auto",
+			resizable: true,
+			closeOnSubmit: false,
+			submitOnChange: true,
+			scrollY: [".sdx-weather-results"]
+		});
+	}
+
+	getData(options = {}) {
+		const climates = getClimates();
+		if (!climates.some(c => c.key === this._climateKey)) this._climateKey = climates[0]?.key ?? null;
+		const climate = climates.find(c => c.key === this._climateKey);
+
+		return {
+			climates: climates.map(c => ({ key: c.key, name: c.name, selected: c.key === this._climateKey })),
+			climate: climate ? {
+				...climate,
+				results: climate.results.map((result, index) => ({ ...result, index }))
+			} : null,
+			MODULE_ID
+		};
+	}
+
+	activateListeners(html) {
+		super.activateListeners(html);
+
+		html.find("[name='selectedClimate']").on("change", (ev) => {
+			this._climateKey = ev.currentTarget.value;
+			this.render(false);
+		});
+
+		html.find(".sdx-weather-add-result").on("click", async (ev) => {
+			ev.preventDefault();
+			await this._modifyClimates(climates => {
+				const climate = climates.find(c => c.key === this._climateKey);
+				climate?.results.push({
+					range: "", name: "", img: "", duration: "1",
+					difficultTerrain: false, lightPenalty: false, checkDisadvantage: false, description: ""
+				});
+			});
+		});
+
+		html.on("click", ".sdx-weather-remove-result", async (ev) => {
+			ev.preventDefault();
+			const index = Number(ev.currentTarget.dataset.index);
+			await this._modifyClimates(climates => {
+				climates.find(c => c.key === this._climateKey)?.results.splice(index, 1);
+			});
+		});
+
+		html.find(".sdx-weather-add-climate").on("click", async (ev) => {
+			ev.preventDefault();
+			const key = `climate${Date.now()}`;
+			await this._modifyClimates(climates => {
+				climates.push({
+					key,
+					name: game.i18n.localize("SHADOWDARK_EXTRAS.weather.new_climate"),
+					formula: "1d6",
+					results: []
+				});
+			});
+			this._climateKey = key;
+			this.render(false);
+		});
+
+		html.find(".sdx-weather-remove-climate").on("click", async (ev) => {
+			ev.preventDefault();
+			const climates = getClimates();
+			if (climates.length <= 1) return;
+			const confirmed = await Dialog.confirm({
+				title: game.i18n.localize("SHADOWDARK_EXTRAS.weather.remove_climate"),
+				content: `<p>${game.i18n.localize("SHADOWDARK_EXTRAS.weather.remove_climate_confirm")}</p>`
+			});
+			if (!confirmed) return;
+			await this._modifyClimates(list => list.filter(c => c.key !== this._climateKey));
+		});
+
+		html.find(".sdx-reset-defaults").on("click", async (ev) => {
+			ev.preventDefault();
+			const confirmed = await Dialog.confirm({
+				title: game.i18n.localize("SHADOWDARK_EXTRAS.weather.reset_confirm_title"),
+				content: `<p>${game.i18n.localize("SHADOWDARK_EXTRAS.weather.reset_confirm_content")}</p>`
+			});
+			if (confirmed) {
+				await game.settings.set(MODULE_ID, "weatherClimates", { climates: foundry.utils.deepClone(DEFAULT_CLIMATES) });
+				this.render(true);
+				ui.notifications.info(game.i18n.localize("SHADOWDARK_EXTRAS.weather.reset_complete"));
+			}
+		});
+	}
+
+	/**
+	 * Apply a mutation to the saved climates and re-render
+	 * @param {Function} fn - Receives the climates array; may mutate it or return a replacement
+	 */
+	async _modifyClimates(fn) {
+		let climates = foundry.utils.deepClone(getClimates());
+		climates = fn(climates) ?? climates;
+		await game.settings.set(MODULE_ID, "weatherClimates", { climates });
+		this.render(false);
+	}
+
+	async _updateObject(event, formData) {
+		// Switching the edited climate is view state, not a change to save
+		if (event?.target?.name === "selectedClimate") return;
+
+		const data = foundry.utils.expandObject(formData);
+		const climates = foundry.utils.deepClone(getClimates());
+		const climate = climates.find(c => c.key === this._climateKey);
+		if (!climate) return;
+
+		climate.name = data.climate?.name?.trim() || climate.name;
+		climate.formula = data.climate?.formula?.trim() || "1d6";
+
+		for (const [index, values] of Object.entries(data.results ?? {})) {
+			const result = climate.results[Number(index)];
+			if (!result) continue;
+			result.range = String(values.range ?? "").trim();
+			result.name = String(values.name ?? "").trim();
+			result.img = String(values.img ?? "").trim();
+			result.duration = String(values.duration ?? "").trim() || "1";
+			result.description = String(values.description ?? "").trim();
+			result.difficultTerrain = !!values.difficultTerrain;
+			result.lightPenalty = !!values.lightPenalty;
+			result.checkDisadvantage = !!values.checkDisadvantage;
+		}
+
+		await game.settings.set(MODULE_ID, "weatherClimates", { climates });
+
+		// Refresh any open party sheets to show changes
+		for (const app of Object.values(ui.windows)) {
+			if (app.constructor.name === "PartySheetSD") {
+				app.render(false);
+			}
+		}
+	}
+}
+
+/**
+ * Register Weather settings
+ */
+export function registerWeatherSettings() {
+	game.settings.register(MODULE_ID, "weatherClimates", {
+		name: "Weather Climates Configuration",
+		scope: "world",
+		config: false,
+		type: Object,
+		default: { climates: foundry.utils.deepClone(DEFAULT_CLIMATES) }
+	});
+
+	game.settings.registerMenu(MODULE_ID, "weatherClimatesMenu", {
+		name: game.i18n.localize("SHADOWDARK_EXTRAS.settings.weather.name"),
+		label: game.i18n.localize("SHADOWDARK_EXTRAS.settings.weather.label"),
+		hint: game.i18n.localize("SHADOWDARK_EXTRAS.settings.weather.hint"),
+		icon: "fas fa-cloud-sun-rain",
+		type: WeatherSettingsApp,
+		restricted: true
+	});
+}
+
+/**
+ * Initialize weather hooks
+ */
+export function initWeather() {
+	// Keep the party token light in sync with weather light penalties
+	Hooks.on("sdx.weatherChanged", async (partyActor) => {
+		if (!game.user.isGM) return;
+		await syncPartyTokenLight(partyActor);
+	});
+
+	// Weather counts down as calendar days pass
+	Hooks.on("sdx.newDay", async (date, daysPassed) => {
+		if (!game.users.activeGM?.isSelf) return;
+		for (const partyActor of game.actors) {
+			if (!getPartyWeather(partyActor)) continue;
+			await advanceWeather(partyActor, daysPassed);
+		}
+	});
+}
+
+export { DEFAULT_CLIMATES };
@@ -3,13 +3,24 @@
  * Adds Renown tracking, additional light sources, NPC inventory, and Party management to Shadowdark RPG
  */
 
-import PartySheetSD, { syncPartyTokenLight, getPartiesContainingActor } from "./PartySheetSD.mjs";
-import TradeWindowSD, { initializeTradeSocket, showTradeDialog, ensureTradeJournal } from "./TradeWindowSD.mjs";
-import { CombatSettingsApp, registerCombatSettings, injectDamageCard, setupCombatSocket, setupScrollingCombatText, setupSummonExpiryHook, trackSummonedTokensForExpiry, spawnSummonedCreatures } from "./CombatSettingsSD.mjs";
+import PartySheetSD, { syncPartyTokenLight, getPartiesContainingActor, getPartyMembers, addPartyMember, removePartyMember, getPartyCoins, addPartyCoins } from "./PartySheetSD.mjs";
+import StrongholdSheetSD, { isStrongholdActor, initStronghold } from "./StrongholdSheetSD.mjs";
+import TradeWindowSD, { initializeTradeSocket, showTradeDialog, ensureTradeJournal, initiateTradeWithPlayer } from "./TradeWindowSD.mjs";
+import { CombatSettingsApp, registerCombatSettings, injectDamageCard, setupCombatSocket, setupScrollingCombatText, setupSummonExpiryHook, trackSummonedTokensForExpiry, spawnSummonedCreatures, applyDamageToToken } from "./CombatSettingsSD.mjs";
 import { EffectsSettingsApp, registerEffectsSettings } from "./EffectsSettingsSD.mjs";
 import { HpWavesSettingsApp, registerHpWavesSettings, getHpWaveColor, isHpWavesEnabled } from "./HpWavesSettingsSD.mjs";
 import { TravelActivitiesSettingsApp, registerTravelActivitiesSettings, getTravelActivities } from "./TravelActivitiesSettingsSD.mjs";
 import { TravelSpeedsSettingsApp, registerTravelSpeedsSettings, getTravelSpeeds } from "./TravelSpeedsSettingsSD.mjs";
+import { registerEncounterSettings, initEncounters } from "./EncounterSD.mjs";
+import { registerWeatherSettings, initWeather, hasWeatherDisadvantage } from "./WeatherSD.mjs";
+import { registerCalendarSettings, initCalendar } from "./CalendarSD.mjs";
+import { registerCrawlTrackerSettings, initCrawlTracker } from "./CrawlTrackerSD.mjs";
+import { registerHexRouteSettings, initHexRoute } from "./HexRouteSD.mjs";
+import { initHexKnowledge } from "./HexKnowledgeSD.mjs";
+import { registerMoraleSettings, initMorale, injectNpcFearlessToggle } from "./MoraleSD.mjs";
+import { registerHirelingSettings, initHirelings } from "./HirelingsSD.mjs";
+import { registerDamageLedgerSettings, initDamageLedger, getLedger, requestUndoDamageEntry } from "./DamageLedgerSD.mjs";
+import { initTempHp, getWardSummary, grantTempHp, addShield } from "./TempHpSD.mjs";
 import { generateSpellConfig, generatePotionConfig, generateScrollConfig, generateWandConfig } from "./templates/ItemTypeConfigs.mjs";
 import { activateTemplateTargetingListeners } from "./templates/TemplateTargetingConfig.mjs";
 import {
@@ -32,17 +43,29 @@ import { initWeaponAnimations } from "./WeaponAnimationSD.mjs";
 import { initLevelUpAnimations } from "./LevelUpAnimationSD.mjs";
 import { openWeaponAnimationConfig } from "./WeaponAnimationConfig.mjs";
 import { initFocusSpellTracker, endFocusSpell, linkEffectToFocusSpell, getActiveFocusSpells, isFocusingOnSpell, startDurationSpell, endDurationSpell, registerSpellModification, getActiveDurationSpells } from "./FocusSpellTrackerSD.mjs";
-import { initCarousing, injectCarousingButton, ensureCarousingJournal, ensureCarousingTablesJournal, initCarousingSocket, getCustomCarousingTables, getCarousingTableById, setCarousingTable } from "./CarousingSD.mjs";
+import { initCarousing, injectCarousingButton, ensureCarousingJournal, ensureCarousingTablesJournal, initCarousingSocket, getCustomCarousingTables, getCarousingTableById, setCarousingTable, getCarousingMode, getCarousingSession, getCarousingParticipants, executeCarousingRolls, resetCarousingSession } from "./CarousingSD.mjs";
 import { openCarousingOverlay, refreshCarousingOverlay } from "./CarousingOverlaySD.mjs";
 import { openCarousingTablesEditor } from "./CarousingTablesApp.mjs";
 import { openExpandedCarousingTablesEditor } from "./ExpandedCarousingTablesApp.mjs";
 import { initTemplateEffects, processTemplateTurnEffects, setupTemplateEffectFlags } from "./TemplateEffectsSD.mjs";
-import { initAuraEffects, createAuraOnActor, getActiveAuras, getTokensInAura } from "./AuraEffectsSD.mjs";
+import { initAuraEffects, createAuraOnActor, getActiveAuras, getTokensInAura, refreshSceneAuras, removeAuraEffectsFromAll } from "./AuraEffectsSD.mjs";
 import { registerDisplayNpcEnricher } from "./DisplayNpc.mjs";
 import { registerDisplayTableEnricher } from "./DisplayTable.mjs";
 import { registerDisplayItemEnricher } from "./DisplayItem.mjs";
 import { initEasyReferenceMenu, registerEasyReferenceSettings } from "./easy-reference/EasyReferenceMenu.mjs";
 import { CreatureTypesApp, getCreatureTypes } from "./CreatureTypesApp.mjs";
+import { registerDamageTypeSettings, initDamageTypes, getDamageTypes, getDamageTypeLabel, getDamageTypeOptionsHtml } from "./DamageTypesApp.mjs";
+import { registerDefensesSettings, initDefenses, injectDefensesBox, getActorDefenses, setActorDefense } from "./DefensesSD.mjs";
+import { registerDyingSettings, initDying } from "./DyingSD.mjs";
+import { initOpportunityAttacks } from "./OpportunityAttackSD.mjs";
+import { initInitiative } from "./InitiativeSD.mjs";
+import { initAttackRoutines, injectAttackRoutinesBox } from "./AttackRoutinesSD.mjs";
+import { registerSpellMishapSettings, initSpellMishaps, injectPenanceIndicators } from "./SpellMishapsSD.mjs";
+import { registerDispelSettings, initDispel, injectDispelButton } from "./DispelSD.mjs";
+import { registerCraftingSettings, initCrafting, injectCraftingQueue } from "./CraftingSD.mjs";
+import { initTemplateZones, isActorInZone, isAttackObscured, buildObscuredNotice } from "./TemplateZonesSD.mjs";
+import { registerWandRechargeSettings, initWandRecharge, isWandRechargeEnabled, canOvercharge, confirmOvercharge, rollOvercharge, buildWandRechargeHTML } from "./WandRechargeSD.mjs";
+import { initCover, getAttackCover, getCoverHitPart, getCoverMode, buildCoverNotice } from "./CoverSD.mjs";
 import SheetEditorConfig from "./SheetEditorConfig.mjs";
 import PotionSheetSD from "./PotionSheetSD.mjs";
 import BackgroundSheetSD from "./BackgroundSheetSD.mjs";
@@ -65,7 +88,7 @@ import { SceneImporter } from "./SceneImporter.mjs";
 import { initJournalPins } from "./JournalPinsSD.mjs";
 import { registerPinStyleSettings } from "./PinStyleEditorSD.mjs";
 import SheetLockManager from "./SheetLockManager.mjs";
-import "./SpellMacrosSD.mjs";
+import { identifyItem } from "./SpellMacrosSD.mjs";
 import { initMysteriousCasting } from "./MysteriousCasting.mjs";
 import { TomSD } from "./TomSD.mjs";
 import { WallContextMenuSD } from "./WallContextMenuSD.mjs";
@@ -74,7 +97,7 @@ import { sdxDrawingToolbar } from "./SDXDrawingToolbar.mjs";
 import { SDXRollerApp } from "./SDXRollerApp.mjs";
 import { initSDXCoords, registerSDXCoordsSettings, registerSDXCoordsMenu } from "./SDXCoordsSD.mjs";
 import { SDXCoordsSettingsApp } from "./SDXCoordsSettingsSD.mjs";
-import { initHexTooltip, HEX_JOURNAL_NAME } from "./HexTooltipSD.mjs";
+import { initHexTooltip, HEX_JOURNAL_NAME, getHexRecord, getSceneHexData, saveHexRecord } from "./HexTooltipSD.mjs";
 import { initHexFog } from "./SDXHexFogSD.mjs";
 import { registerMaphubHooks } from "./MaphubSD.mjs";
 
@@ -103,6 +126,29 @@ initJournalPins();
 initSDXCoords();
 initHexTooltip();
 initHexFog();
+initHexKnowledge();
+initEncounters();
+initWeather();
+initCalendar();
+initCrawlTracker();
+initHexRoute();
+initMorale();
+initHirelings();
+initDamageLedger();
+initTempHp();
+initDamageTypes();
+initDefenses();
+initDying();
+initOpportunityAttacks();
+initCover();
+initInitiative();
+initAttackRoutines();
+initSpellMishaps();
+initDispel();
+initCrafting();
+initWandRecharge();
+initTemplateZones();
+initStronghold();
 registerMaphubHooks();
 Hooks.once("init", () => {
 	// Register GSAP Plugins
@@ -1084,6 +1130,16 @@ function isUnidentified(item) {
 	return Boolean(item?.getFlag?.(MODULE_ID, "unidentified"));
 }
 
+/**
+ * Mark an item as unidentified (or identified) without the Identify reveal
+ * @param {Item} item
+ * @param {boolean} unidentified
+ */
+async function setUnidentified(item, unidentified = true) {
+	if (!item) return;
+	await item.setFlag(MODULE_ID, "unidentified", Boolean(unidentified));
+}
+
 /**
  * Get the masked name for an unidentified item
  * Returns custom unidentified name if set, otherwise the default "Unidentified Item" label
@@ -1230,7 +1286,7 @@ function wrapBuildWeaponDisplayForUnidentified() {
 				// 1. Base Damage Type
 				const baseDamageType = sdxFlags.baseDamageType;
 				if (baseDamageType && baseDamageType !== "physical") {
-					const typeLabel = game.i18n.localize(`SHADOWDARK_EXTRAS.damage_type.${baseDamageType}`);
+					const typeLabel = getDamageTypeLabel(baseDamageType);
 					options.baseDamage += ` [${typeLabel}]`;
 				}
 
@@ -1239,7 +1295,7 @@ function wrapBuildWeaponDisplayForUnidentified() {
 				const extraParts = (Array.isArray(extraDamages) ? extraDamages : Object.values(extraDamages))
 					.filter(d => d.formula)
 					.map(d => {
-						const label = game.i18n.localize(`SHADOWDARK_EXTRAS.damage_type.${d.damageType}`);
+						const label = getDamageTypeLabel(d.damageType);
 						return `${d.formula} [${label}]`;
 					});
 
@@ -1253,7 +1309,7 @@ function wrapBuildWeaponDisplayForUnidentified() {
 							// Show if no requirements OR if it has a label (Phase 2)
 							const hasRequirements = bonus.requirements && bonus.requirements.length > 0;
 							if (bonus.formula && (!hasRequirements || bonus.label)) {
-								const typeLabel = bonus.damageType ? game.i18n.localize(`SHADOWDARK_EXTRAS.damage_type.${bonus.damageType}`) : "";
+								const typeLabel = bonus.damageType ? getDamageTypeLabel(bonus.damageType) : "";
 								const typeSuffix = typeLabel ? ` [${typeLabel}]` : "";
 								const labelSuffix = bonus.label ? ` (${bonus.label})` : "";
 								extraParts.push(`${bonus.formula}${typeSuffix}${labelSuffix}`);
@@ -2270,6 +2326,30 @@ async function setContainedState(item, containerId) {
 	}
 }
 
+/**
+ * Put an item into a container on the same actor
+ * @param {Item} containerItem
+ * @param {Item} item
+ * @returns {Promise<boolean>} False if the item cannot go into that container
+ */
+async function addItemToContainer(containerItem, item) {
+	if (!isContainerItem(containerItem) || !item || item.id === containerItem.id) return false;
+	if (!item.parent || item.parent !== containerItem.parent) return false;
+	await setContainedState(item, containerItem.id);
+	return true;
+}
+
+/**
+ * Take an item out of its container
+ * @param {Item} item
+ * @returns {Promise<boolean>} False if the item was not in a container
+ */
+async function removeItemFromContainer(item) {
+	if (!getParentContainer(item)) return false;
+	await setContainedState(item, null);
+	return true;
+}
+
 async function setItemContainerId(item, containerId) {
 	if (!item) return;
 	if (containerId) return item.setFlag(MODULE_ID, "containerId", containerId);
@@ -4146,6 +4226,9 @@ function registerSettings() {
 	// Combat Settings Menu (registered via registerCombatSettings)
 	registerCombatSettings();
 
+	// Damage ledger storage (registered via registerDamageLedgerSettings)
+	registerDamageLedgerSettings();
+
 	// Effects Settings Menu (registered via registerEffectsSettings)
 	registerEffectsSettings();
 
@@ -4158,6 +4241,21 @@ function registerSettings() {
 	// Travel Speeds Settings Menu (registered via registerTravelSpeedsSettings)
 	registerTravelSpeedsSettings();
 
+	// Encounter Tables Settings Menu (registered via registerEncounterSettings)
+	registerEncounterSettings();
+
+	// Weather Climates Settings Menu (registered via registerWeatherSettings)
+	registerWeatherSettings();
+
+	// Calendar Settings Menu (registered via registerCalendarSettings)
+	registerCalendarSettings();
+
+	// Crawl Tracker state (registered via registerCrawlTrackerSettings)
+	registerCrawlTrackerSettings();
+
+	// Hex Route Settings Menu (registered via registerHexRouteSettings)
+	registerHexRouteSettings();
+
 	// Inventory Styles data setting (hidden)
 	game.settings.register(MODULE_ID, "inventoryStyles", {
 		name: "Inventory Styles Configuration",
@@ -5018,6 +5116,30 @@ function registerSettings() {
 		requiresReload: false,
 	});
 
+	// NPC morale checks (registered via registerMoraleSettings)
+	registerMoraleSettings();
+
+	// Defenses box on actor sheets (registered via registerDefensesSettings)
+	registerDefensesSettings();
+
+	// Dying and death timer automation (registered via registerDyingSettings)
+	registerDyingSettings();
+
+	// Spell mishap tables and priest penance (registered via registerSpellMishapSettings)
+	registerSpellMishapSettings();
+
+	// Counterspell buttons on spell cards (registered via registerDispelSettings)
+	registerDispelSettings();
+
+	// Scroll, potion and wand crafting (registered via registerCraftingSettings)
+	registerCraftingSettings();
+
+	// Wand and staff recharge, overcharge and breakage (registered via registerWandRechargeSettings)
+	registerWandRechargeSettings();
+
+	// Hireling wages (registered via registerHirelingSettings)
+	registerHirelingSettings();
+
 	// Custom creature types storage
 	game.settings.register(MODULE_ID, "customCreatureTypes", {
 		scope: "world",
@@ -5036,6 +5158,9 @@ function registerSettings() {
 		restricted: true,
 	});
 
+	// Damage type registry and editor (registered via registerDamageTypeSettings)
+	registerDamageTypeSettings();
+
 	// ═══════════════════════════════════════════════════════════════
 	// 7. VISUAL & ANIMATION
 	// ═══════════════════════════════════════════════════════════════
@@ -7734,6 +7859,13 @@ async function injectEnhancedHeader(app, html, actor) {
 	// Calculate HP percentage for bar
 	const hpPercent = hp.max > 0 ? Math.min(100, Math.max(0, (hp.value / hp.max) * 100)) : 0;
 	const hpColor = hpPercent > 50 ? '#4ade80' : hpPercent > 25 ? '#fbbf24' : '#ef4444';
+
+	// Temporary HP overlays the bar; shields show as a badge
+	const wards = getWardSummary(actor);
+	const tempHpPercent = hp.max > 0 ? Math.min(100, (wards.tempHp / hp.max) * 100) : 0;
+	const wardsHtml = `
+					${wards.tempHp > 0 ? `<div class="sdx-temp-hp-bar" style="width: ${tempHpPercent}%;"></div>` : ''}
+					${wards.shieldTotal > 0 ? `<div class="sdx-hp-shield" data-tooltip="${wards.tooltip}"><i class="fas fa-shield-halved"></i> ${wards.shieldTotal}</div>` : ''}`;
 	// Wave translate: at 100% HP waves are hidden (translateY 85%), at 0% HP fully visible (translateY 0%)
 	const hpWaveTranslate = Math.max(0, Math.round(hpPercent) - 15);
 	const hpWaveClass = hpPercent >= 100 ? 'hp-full' : (hpPercent <= 0 ? 'hp-dead' : '');
@@ -7802,12 +7934,14 @@ async function injectEnhancedHeader(app, html, actor) {
 			<div class="sdx-portrait-container">
 				<img class="sdx-portrait" src="${actor.img}" data-edit="img" data-tooltip="${actor.name}" />
 				${hpWavesHtml}
-				<div class="sdx-hp-bar-container" data-tooltip="HP: ${hp.value} / ${hp.max}">
+				<div class="sdx-hp-bar-container" data-tooltip="HP: ${hp.value} / ${hp.max}${wards.tempHp > 0 ? ` (+${wards.tempHp} temp)` : ''}">
 					<div class="sdx-hp-bar" style="width: ${hpPercent}%; background-color: ${hpColor};"></div>
+					${wardsHtml}
 					<div class="sdx-hp-text">
 						<span class="sdx-hp-value" data-field="hp-value">${hp.value}</span>
 						<span class="sdx-hp-separator">/</span>
 						<span class="sdx-hp-max">${hp.max}</span>
+						${wards.tempHp > 0 ? `<span class="sdx-hp-temp">+${wards.tempHp}</span>` : ''}
 					</div>
 				</div>
 			</div>
@@ -9182,6 +9316,27 @@ function registerPartySheet() {
 	//console.log(`${MODULE_ID} | Party sheet registered`);
 }
 
+/**
+ * Register the Stronghold sheet
+ */
+function registerStrongholdSheet() {
+	// Register the Stronghold sheet for NPC actors that are flagged as strongholds
+	Actors.registerSheet(MODULE_ID, StrongholdSheetSD, {
+		types: ["NPC"],
+		makeDefault: false,
+		label: game.i18n.localize("SHADOWDARK_EXTRAS.stronghold.name")
+	});
+
+	// Force the Stronghold sheet for stronghold actors
+	const originalGetSheetClass = CONFIG.Actor.documentClass.prototype._getSheetClass;
+	CONFIG.Actor.documentClass.prototype._getSheetClass = function () {
+		if (isStrongholdActor(this)) {
+			return StrongholdSheetSD;
+		}
+		return originalGetSheetClass.call(this);
+	};
+}
+
 /**
  * Register the AppV2 Potion item sheet
  */
@@ -9313,14 +9468,16 @@ function addPartyOptionToSelect(html) {
 	// Check if Party option already exists
 	if (typeSelect.find('option[value="Party"]').length > 0) return;
 
+	const strongholdOption = `<option value="Stronghold">${game.i18n.localize("SHADOWDARK_EXTRAS.stronghold.name")}</option>`;
+
 	// Add Party option
 	const npcOption = typeSelect.find('option[value="NPC"]');
 	if (npcOption.length > 0) {
-		npcOption.after(`<option value="Party">${game.i18n.localize("SHADOWDARK_EXTRAS.party.name")}</option>`);
+		npcOption.after(`<option value="Party">${game.i18n.localize("SHADOWDARK_EXTRAS.party.name")}</option>`, strongholdOption);
 		//console.log(`${MODULE_ID} | Added Party option to actor type select`);
 	} else {
 		// Fallback: append to the end
-		typeSelect.append(`<option value="Party">${game.i18n.localize("SHADOWDARK_EXTRAS.party.name")}</option>`);
+		typeSelect.append(`<option value="Party">${game.i18n.localize("SHADOWDARK_EXTRAS.party.name")}</option>`, strongholdOption);
 		//console.log(`${MODULE_ID} | Added Party option to actor type select (appended)`);
 	}
 
@@ -9337,6 +9494,11 @@ function addPartyOptionToSelect(html) {
 				if (hiddenInput.length === 0) {
 					$(this).append('<input type="hidden" name="flags.shadowdark-extras.isParty" value="true">');
 				}
+			} else if (select.val() === 'Stronghold') {
+				select.val('NPC');
+				if ($(this).find('input[name="flags.shadowdark-extras.isStronghold"]').length === 0) {
+					$(this).append('<input type="hidden" name="flags.shadowdark-extras.isStronghold" value="true">');
+				}
 			}
 		});
 	}
@@ -9353,6 +9515,12 @@ function wrapActorCreate() {
 		const createData = Array.isArray(data) ? data : [data];
 
 		for (const d of createData) {
+			if (d.type === "Stronghold") {
+				d.type = "NPC";
+				d.img = d.img || "icons/environment/settlement/castle.webp";
+				foundry.utils.setProperty(d, "flags.shadowdark-extras.isStronghold", true);
+				continue;
+			}
 			if (d.type === "Party") {
 				d.type = "NPC";
 				d.img = d.img || "icons/environment/people/group.webp";
@@ -9490,15 +9658,16 @@ function patchNpcSheetForItemDrops(app) {
 
 /**
  * Transfer an item to another player's character using Item Piles API
+ * @returns {Promise<boolean>} Whether the item was transferred
  */
 async function transferItemToPlayer(sourceActor, item, targetActorId) {
-	if (!sourceActor || !item) return;
+	if (!sourceActor || !item) return false;
 
 	// Check if Item Piles is available
 	if (!game.modules.get("item-piles")?.active || !game.itempiles?.API) {
 		ui.notifications.error("Item Piles module is required for player-to-player transfers.");
 		console.error(`${MODULE_ID} | Item Piles API not available`);
-		return;
+		return false;
 	}
 
 	const targetActor = game.actors.get(targetActorId);
@@ -9506,9 +9675,12 @@ async function transferItemToPlayer(sourceActor, item, targetActorId) {
 		ui.notifications.error(
 			game.i18n.localize("SHADOWDARK_EXTRAS.notifications.transfer_no_target")
 		);
-		return;
+		return false;
 	}
 
+	// World scripts can veto the transfer
+	if (Hooks.call("sdx.preTransferItems", sourceActor, targetActor, [item], { via: "transfer" }) === false) return false;
+
 	// Get the display name - mask if unidentified and user is not GM
 	const itemName = (isUnidentified(item) && !game.user.isGM)
 		? getUnidentifiedName(item)
@@ -9532,15 +9704,18 @@ async function transferItemToPlayer(sourceActor, item, targetActorId) {
 					target: targetActor.name
 				})
 			);
-		} else {
-			console.warn(`${MODULE_ID} | Transfer returned no results`);
-			ui.notifications.warn("Transfer may not have completed successfully.");
+			Hooks.callAll("sdx.itemsTransferred", sourceActor, targetActor, [item], { via: "transfer" });
+			return true;
 		}
+		console.warn(`${MODULE_ID} | Transfer returned no results`);
+		ui.notifications.warn("Transfer may not have completed successfully.");
+		return false;
 	} catch (error) {
 		console.error(`${MODULE_ID} | Error during transfer:`, error);
 		ui.notifications.error(
 			game.i18n.localize("SHADOWDARK_EXTRAS.notifications.transfer_failed")
 		);
+		return false;
 	}
 }
 
@@ -10310,6 +10485,9 @@ Hooks.once("init", () => {
 	// Register the Party sheet early
 	registerPartySheet();
 
+	// Register the Stronghold sheet
+	registerStrongholdSheet();
+
 	// Register the Potion sheet
 	registerPotionSheet();
 
@@ -10588,6 +10766,22 @@ Hooks.once("ready", async () => {
 				} catch (err) {
 					console.error(`${MODULE_ID} | Error applying weapon hit bonus:`, err);
 				}
+			} else if (this.type === "NPC Attack" && data?.actor && data?.item) {
+				// NPC attacks have no weapon bonuses, but cover still raises the target's AC
+				try {
+					const coverPart = getCoverHitPart(data.actor, options.targetToken || null);
+					if (coverPart && !parts.includes("@sdxHitBonus")) {
+						parts.push("@sdxHitBonus");
+						data.sdxHitBonus = coverPart.formula;
+						_pendingHitBonusInfo.set(`${data.actor._id || data.actor.id}-${this.id}`, {
+							formula: coverPart.formula,
+							parts: [coverPart],
+							timestamp: Date.now()
+						});
+					}
+				} catch (err) {
+					console.error(`${MODULE_ID} | Error applying cover:`, err);
+				}
 			}
 
 			// Call original method
@@ -10747,6 +10941,8 @@ Hooks.on("createActor", async (actor, options, userId) => {
 	if (isPartyActor(actor)) {
 		// Set the Party sheet as the default for this actor
 		await actor.setFlag("core", "sheetClass", `${MODULE_ID}.PartySheetSD`);
+	} else if (isStrongholdActor(actor)) {
+		await actor.setFlag("core", "sheetClass", `${MODULE_ID}.StrongholdSheetSD`);
 	}
 });
 
@@ -10759,6 +10955,9 @@ Hooks.on("renderPlayerSheetSD", async (app, html, data) => {
 	enhanceAbilitiesTab(app, html, app.actor);
 	injectSkillsBox(html, app.actor);
 	enhanceSpellsTab(app, html, app.actor);
+	injectPenanceIndicators(html, app.actor);
+	injectDispelButton(html, app.actor);
+	injectCraftingQueue(html, app.actor);
 	await injectStaffSpellsUI(app, html, data);
 	enhanceTalentsTab(app, html, app.actor);
 	enhanceInventoryTab(app, html, app.actor);
@@ -10766,6 +10965,7 @@ Hooks.on("renderPlayerSheetSD", async (app, html, data) => {
 	injectWeaponSpellRechargeButtons(app, html, app.actor);
 	enhanceEffectsTab(app, html, app.actor);
 	injectRenownSection(html, app.actor);
+	injectDefensesBox(app, html, app.actor);
 	attachContainerContentsToActorSheet(app, html);
 	addUnidentifiedIndicatorForGM(app, html);
 	maskUnidentifiedItemsOnSheet(app, html);
@@ -10812,6 +11012,15 @@ Hooks.on("renderNpcSheetSD", (app, html, data) => {
 
 	// Inject the creature type dropdown (before ATTACKS section)
 	injectNpcCreatureType(app, html, app.actor);
+
+	// Inject the fearless toggle for morale checks
+	injectNpcFearlessToggle(app, html, app.actor);
+
+	// Inject the resistances/immunities editor
+	injectDefensesBox(app, html, app.actor);
+
+	// Inject the multi-attack routines ("2 claws + 1 bite")
+	injectAttackRoutinesBox(app, html, app.actor);
 });
 
 // Apply inventory styles to Party sheets
@@ -14006,6 +14215,7 @@ function injectWandUsesUI(html, item) {
 					data-dtype="Number"
 				/>
 			</div>
+			${isWandRechargeEnabled() ? buildWandRechargeHTML(item) : ''}
 		` : ''}
 	`;
 
@@ -14050,8 +14260,16 @@ function setupWandUsesBlocker() {
 				const currentUses = wandUsesFlags.current ?? 0;
 
 				if (currentUses <= 0) {
-					ui.notifications.warn(game.i18n.format("SHADOWDARK_EXTRAS.wand.no_uses_remaining", { name: item.name }));
-					return null;
+					if (!canOvercharge(item)) {
+						ui.notifications.warn(game.i18n.format("SHADOWDARK_EXTRAS.wand.no_uses_remaining", { name: item.name }));
+						return null;
+					}
+
+					// Overcharging: cast anyway, then roll to see if the wand breaks
+					if (!(await confirmOvercharge(item))) return null;
+					const result = await originalCastSpell.call(this, itemId, options);
+					if (result) await rollOvercharge(this, item);
+					return result;
 				}
 			}
 		}
@@ -15011,27 +15229,9 @@ function injectWeaponDamageTypeDropdown(app, html, item) {
 	// Get current damage type from flags
 	const currentDamageType = item.getFlag(MODULE_ID, 'baseDamageType') || 'standard';
 
-	// Build damage type options
-	const damageTypes = [
-		{ id: "standard", name: "Standard Damage" },
-		{ id: "bludgeoning", name: "Bludgeoning" },
-		{ id: "slashing", name: "Slashing" },
-		{ id: "piercing", name: "Piercing" },
-		{ id: "physical", name: "Physical" },
-		{ id: "fire", name: "Fire" },
-		{ id: "cold", name: "Cold" },
-		{ id: "lightning", name: "Lightning" },
-		{ id: "acid", name: "Acid" },
-		{ id: "poison", name: "Poison" },
-		{ id: "necrotic", name: "Necrotic" },
-		{ id: "radiant", name: "Radiant" },
-		{ id: "psychic", name: "Psychic" },
-		{ id: "force", name: "Force" }
-	];
-
-	const optionsHtml = damageTypes.map(type =>
-		`<option value="${type.id}" ${currentDamageType === type.id ? 'selected' : ''}>${type.name}</option>`
-	).join('');
+	// Build damage type options from the damage type registry
+	const optionsHtml = `<option value="standard" ${currentDamageType === 'standard' ? 'selected' : ''}>Standard Damage</option>`
+		+ getDamageTypeOptionsHtml(currentDamageType);
 
 	// Create the h3 label and select matching the existing style
 	const $damageLabel = $('<h3>Damage Type</h3>');
@@ -15122,7 +15322,8 @@ async function getEquippedStaffSpells(actor) {
 						spellImg: spell.img,
 						spellData: spell,
 						maxUses: spellRef.maxUses,
-						currentUses: spellRef.currentUses
+						currentUses: spellRef.currentUses,
+						overcharge: canOvercharge(staff)
 					});
 				}
 			} catch (err) {
@@ -15140,7 +15341,7 @@ async function getEquippedStaffSpells(actor) {
 function buildStaffSpellsHtml(staffSpells) {
 	let spellsHtml = "";
 
-	for (const { staffName, staffId, spell, spellName, spellImg, currentUses, maxUses, spellData } of staffSpells) {
+	for (const { staffName, staffId, spell, spellName, spellImg, currentUses, maxUses, overcharge, spellData } of staffSpells) {
 		// Get spell duration and range
 		const durationType = spellData?.system?.duration?.type || "";
 		const durationValue = spellData?.system?.duration?.value || "";
@@ -15162,8 +15363,8 @@ function buildStaffSpellsHtml(staffSpells) {
 			durationDisplay = durationType;
 		}
 
-		// Check if depleted
-		const isDepleted = maxUses !== null && currentUses === 0;
+		// Check if depleted (overcharging weapons can still cast)
+		const isDepleted = maxUses !== null && currentUses === 0 && !overcharge;
 
 		// Build uses display for actions section
 		let usesHtml = "";
@@ -15300,10 +15501,14 @@ async function injectStaffSpellsUI(sheet, html, data) {
 				return;
 			}
 
-			// Check if has uses remaining
-			if (spellRef.maxUses !== null && spellRef.currentUses === 0) {
-				ui.notifications.warn("This spell has no uses remaining");
-				return;
+			// Check if has uses remaining, unless the weapon can be overcharged
+			const overcharging = spellRef.maxUses !== null && spellRef.currentUses === 0;
+			if (overcharging) {
+				if (!canOvercharge(staff)) {
+					ui.notifications.warn("This spell has no uses remaining");
+					return;
+				}
+				if (!(await confirmOvercharge(staff))) return;
 			}
 
 			// Load the spell from UUID
@@ -15391,6 +15596,13 @@ async function injectStaffSpellsUI(sheet, html, data) {
 				}
 			}, 1000);
 
+			// An overcharged cast has no use left to consume, it risks the weapon instead
+			if (overcharging) {
+				await rollOvercharge(actor, staff);
+				sheet.render(false);
+				return;
+			}
+
 			// Consume a use if limited
 			if (spellRef.maxUses !== null && spellRef.maxUses > 0) {
 				spellRef.currentUses = Math.max(0, (spellRef.currentUses ?? spellRef.maxUses) - 1);
@@ -15455,10 +15667,14 @@ async function injectStaffSpellsUI(sheet, html, data) {
 				return;
 			}
 
-			// Check if has uses remaining
-			if (spellRef.maxUses !== null && spellRef.currentUses === 0) {
-				ui.notifications.warn("This spell has no uses remaining");
-				return;
+			// Check if has uses remaining, unless the weapon can be overcharged
+			const overcharging = spellRef.maxUses !== null && spellRef.currentUses === 0;
+			if (overcharging) {
+				if (!canOvercharge(staff)) {
+					ui.notifications.warn("This spell has no uses remaining");
+					return;
+				}
+				if (!(await confirmOvercharge(staff))) return;
 			}
 
 			// Load the spell from UUID
@@ -15546,6 +15762,13 @@ async function injectStaffSpellsUI(sheet, html, data) {
 				}
 			}, 1000);
 
+			// An overcharged cast has no use left to consume, it risks the weapon instead
+			if (overcharging) {
+				await rollOvercharge(actor, staff);
+				sheet.render(false);
+				return;
+			}
+
 			// Consume a use if limited
 			if (spellRef.maxUses !== null && spellRef.maxUses > 0) {
 				spellRef.currentUses = Math.max(0, (spellRef.currentUses ?? spellRef.maxUses) - 1);
@@ -17551,155 +17774,26 @@ Hooks.once("init", () => {
 		},
 	};
 
-	// Define all custom damage types with proper icons for resistance, immunity, and vulnerability
-	const sdxDamageTypes = [
-		{
-			id: "bludgeoning",
-			name: "Bludgeoning",
-			resistanceImg: "icons/skills/melee/shield-block-bash-blue.webp",
-			immunityImg: "icons/skills/melee/shield-block-gray-yellow.webp",
-			vulnerabilityImg: "icons/skills/melee/strike-hammer-destructive-orange.webp",
-			absorptionImg: "icons/magic/life/heart-cross-blue.webp"
-		},
-		{
-			id: "slashing",
-			name: "Slashing",
-			resistanceImg: "icons/skills/melee/shield-damaged-broken-blue.webp",
-			immunityImg: "icons/skills/melee/shield-damaged-broken-gold.webp",
-			vulnerabilityImg: "icons/skills/melee/strike-blade-blood-red.webp",
-			absorptionImg: "icons/magic/life/heart-cross-green.webp"
-		},
-		{
-			id: "piercing",
-			name: "Piercing",
-			resistanceImg: "icons/skills/melee/shield-block-bash-yellow.webp",
-			immunityImg: "icons/skills/melee/shield-block-gray-orange.webp",
-			vulnerabilityImg: "icons/skills/melee/strike-spear-red.webp",
-			absorptionImg: "icons/magic/life/heart-cross-red.webp"
-		},
-		{
-			id: "physical",
-			name: "Physical",
-			resistanceImg: "icons/skills/melee/shield-damaged-broken-brown.webp",
-			immunityImg: "icons/skills/melee/shield-damaged-broken-orange.webp",
-			vulnerabilityImg: "icons/skills/wounds/blood-drip-droplet-red.webp",
-			absorptionImg: "icons/magic/life/heart-cross-purple-orange.webp"
-		},
-		{
-			id: "fire",
-			name: "Fire",
-			resistanceImg: "icons/magic/fire/barrier-wall-flame-ring-yellow.webp",
-			immunityImg: "icons/magic/fire/orb-vortex.webp",
-			vulnerabilityImg: "icons/magic/fire/explosion-fireball-medium-orange.webp",
-			absorptionImg: "icons/magic/fire/flame-burning-hand-orange.webp"
-		},
-		{
-			id: "cold",
-			name: "Cold",
-			resistanceImg: "icons/magic/water/barrier-ice-crystal-wall-jagged-blue.webp",
-			immunityImg: "icons/magic/water/snowflake-ice-blue-white.webp",
-			vulnerabilityImg: "icons/magic/water/ice-crystal-white.webp",
-			absorptionImg: "icons/magic/water/heart-ice-cold.webp"
-		},
-		{
-			id: "lightning",
-			name: "Lightning",
-			resistanceImg: "icons/magic/lightning/bolt-forked-blue.webp",
-			immunityImg: "icons/magic/lightning/orb-ball-blue.webp",
-			vulnerabilityImg: "icons/magic/lightning/bolt-strike-blue.webp",
-			absorptionImg: "icons/magic/lightning/bolt-blue.webp"
-		},
-		{
-			id: "acid",
-			name: "Acid",
-			resistanceImg: "icons/magic/acid/projectile-faceted-glob.webp",
-			immunityImg: "icons/magic/acid/orb-bubble-smoke-drip.webp",
-			vulnerabilityImg: "icons/magic/acid/dissolve-arm-flesh.webp",
-			absorptionImg: "icons/magic/acid/orb-bubble-green.webp"
-		},
-		{
-			id: "poison",
-			name: "Poison",
-			resistanceImg: "icons/skills/toxins/poison-bottle-corked-fire-green.webp",
-			immunityImg: "icons/consumables/potions/flask-ornate-skull-green.webp",
-			vulnerabilityImg: "icons/skills/toxins/symbol-poison-drop-skull-green.webp",
-			absorptionImg: "icons/consumables/potions/potion-tube-corked-teal.webp"
-		},
-		{
-			id: "necrotic",
-			name: "Necrotic",
-			resistanceImg: "icons/magic/death/skull-humanoid-crown-white-blue.webp",
-			immunityImg: "icons/magic/death/skull-energy-light-purple.webp",
-			vulnerabilityImg: "icons/magic/death/hand-withered-gray.webp",
-			absorptionImg: "icons/magic/death/undead-skeleton-rags-green.webp"
-		},
-		{
-			id: "radiant",
-			name: "Radiant",
-			resistanceImg: "icons/magic/holy/angel-wings-gray.webp",
-			immunityImg: "icons/magic/holy/barrier-shield-winged-cross.webp",
-			vulnerabilityImg: "icons/magic/light/explosion-star-glow-yellow.webp",
-			absorptionImg: "icons/magic/holy/angel-winged-humanoid-yellow.webp"
-		},
-		{
-			id: "psychic",
-			name: "Psychic",
-			resistanceImg: "icons/magic/control/silhouette-hold-beam-blue.webp",
-			immunityImg: "icons/magic/control/fear-fright-monster-grin-red-orange.webp",
-			vulnerabilityImg: "icons/commodities/biological/organ-brain-pink-purple.webp",
-			absorptionImg: "icons/magic/control/telepathy-psychic-mind.webp"
-		},
-		{
-			id: "force",
-			name: "Force",
-			resistanceImg: "icons/magic/sonic/explosion-shock-wave-teal.webp",
-			immunityImg: "icons/magic/defensive/barrier-shield-dome-blue-purple.webp",
-			vulnerabilityImg: "icons/magic/sonic/explosion-impact-shock-wave.webp",
-			absorptionImg: "icons/magic/sonic/barrier-shock-wave-blue.webp"
-		}
-	];
-
-
-	// Register Resistance, Immunity, and Vulnerability effects for each type
-	for (const type of sdxDamageTypes) {
-		const capId = type.id.charAt(0).toUpperCase() + type.id.slice(1);
+	// Resistance, immunity, vulnerability, absorption and shield effects for each
+	// damage type are registered from the damage type registry (DamageTypesApp.mjs)
 
-		// Resistance
-		abilityAdvantageEffects[`resistance${capId}`] = {
-			defaultValue: true,
-			effectKey: `flags.${MODULE_ID}.resistance.${type.id}`,
-			img: type.resistanceImg || "icons/equipment/shield/buckler-wooden-boss-brass.webp",
-			name: `SHADOWDARK_EXTRAS.item.effect.predefined_effect.resistance${capId}`,
-			mode: "CONST.ACTIVE_EFFECT_MODES.OVERRIDE"
-		};
-
-		// Immunity
-		abilityAdvantageEffects[`immunity${capId}`] = {
-			defaultValue: true,
-			effectKey: `flags.${MODULE_ID}.immunity.${type.id}`,
-			img: type.immunityImg || "icons/magic/defensive/shield-barrier-blue.webp",
-			name: `SHADOWDARK_EXTRAS.item.effect.predefined_effect.immunity${capId}`,
-			mode: "CONST.ACTIVE_EFFECT_MODES.OVERRIDE"
-		};
-
-		// Vulnerability (double damage)
-		abilityAdvantageEffects[`vulnerability${capId}`] = {
-			defaultValue: true,
-			effectKey: `flags.${MODULE_ID}.vulnerability.${type.id}`,
-			img: type.vulnerabilityImg || "icons/skills/wounds/injury-pain-body-orange.webp",
-			name: `SHADOWDARK_EXTRAS.item.effect.predefined_effect.vulnerability${capId}`,
-			mode: "CONST.ACTIVE_EFFECT_MODES.OVERRIDE"
-		};
+	// Damage shield against any damage type
+	abilityAdvantageEffects.shieldAll = {
+		defaultValue: 10,
+		effectKey: `flags.${MODULE_ID}.grantShield.all`,
+		img: "icons/magic/defensive/shield-barrier-blue.webp",
+		name: `SHADOWDARK_EXTRAS.item.effect.predefined_effect.shieldAll`,
+		mode: "CONST.ACTIVE_EFFECT_MODES.OVERRIDE"
+	};
 
-		// Absorption (value -1 = heal from damage, value 1 = double damage)
-		abilityAdvantageEffects[`absorption${capId}`] = {
-			defaultValue: -1,
-			effectKey: `flags.${MODULE_ID}.absorption.${type.id}`,
-			img: type.absorptionImg || "icons/magic/life/heart-cross-purple-orange.webp",
-			name: `SHADOWDARK_EXTRAS.item.effect.predefined_effect.absorption${capId}`,
-			mode: "CONST.ACTIVE_EFFECT_MODES.OVERRIDE"
-		};
-	}
+	// Temporary hit points (value may be a formula, rolled when the effect is applied)
+	abilityAdvantageEffects.tempHp = {
+		defaultValue: 5,
+		effectKey: `flags.${MODULE_ID}.grantTempHp`,
+		img: "icons/magic/life/heart-cross-blue.webp",
+		name: `SHADOWDARK_EXTRAS.item.effect.predefined_effect.tempHp`,
+		mode: "CONST.ACTIVE_EFFECT_MODES.OVERRIDE"
+	};
 
 	// Resistance and Immunity to Non-Magical Weapon attacks
 	abilityAdvantageEffects.resistanceNonMagic = {
@@ -17784,7 +17878,8 @@ Hooks.once("ready", () => {
 	if (ActorSD.prototype.castSpell) {
 		const _originalCastSpell = ActorSD.prototype.castSpell;
 		ActorSD.prototype.castSpell = async function (itemId, options = {}) {
-			const isSilenced = this.getFlag(MODULE_ID, "silenced");
+			// Standing in a silence zone counts as being silenced
+			const isSilenced = this.getFlag(MODULE_ID, "silenced") || isActorInZone(this, "silence");
 			if (isSilenced) {
 				const item = this.items.get(itemId);
 				if (item) {
@@ -18096,6 +18191,11 @@ Hooks.once("ready", () => {
 			if (dis.includes(data.rollType)) {
 				return true;
 			}
+
+			// Harsh weather imposes disadvantage on ability checks for party members
+			if (data.rollType === "ability" && hasWeatherDisadvantage(this)) {
+				return true;
+			}
 		}
 
 		return false;
@@ -18105,8 +18205,16 @@ Hooks.once("ready", () => {
 	if (CONFIG.DiceSD?.RollDialog) {
 		//console.log(`${MODULE_ID} | Overriding CONFIG.DiceSD.RollDialog for highlights and promptable bonuses`);
 		CONFIG.DiceSD.RollDialog = async function (parts, data, options = {}) {
+			// Attacks made from or into an obscured zone carry disadvantage, which
+			// cancels advantage like any other source rather than replacing it
+			const attackItem = data.item || options.item;
+			const obscured = (attackItem?.type === "Weapon" || attackItem?.type === "NPC Attack") && data.actor
+				? isAttackObscured(data.actor)
+				: false;
+			const rollAdv = adv => obscured ? Math.max(-1, adv - 1) : adv;
+
 			if (options.skipPrompt) {
-				return await this.Roll(parts, data, false, options.adv ?? 0, options);
+				return await this.Roll(parts, data, false, rollAdv(options.adv ?? 0), options);
 			}
 
 			if (!options.title) {
@@ -18148,6 +18256,11 @@ Hooks.once("ready", () => {
 			}
 
 
+			// Cover between the attacker and its target
+			const cover = (weaponItem?.type === "Weapon" || weaponItem?.type === "NPC Attack") && actor && getCoverMode() !== "none"
+				? getAttackCover(actor)
+				: null;
+
 			// Store promptable bonuses in data for later access
 			data._sdxPromptableHitBonuses = promptableHitBonuses;
 			data._sdxPromptableDamageBonuses = promptableDamageBonuses;
@@ -18162,7 +18275,7 @@ Hooks.once("ready", () => {
 						callback: async html => {
 							// Process selected promptable bonuses
 							await this._processPromptableBonuses(html, data, parts);
-							return this.Roll(parts, data, html, 1, options);
+							return this.Roll(parts, data, html, rollAdv(1), options);
 						},
 					},
 					normal: {
@@ -18170,7 +18283,7 @@ Hooks.once("ready", () => {
 						callback: async html => {
 							// Process selected promptable bonuses
 							await this._processPromptableBonuses(html, data, parts);
-							return this.Roll(parts, data, html, 0, options);
+							return this.Roll(parts, data, html, rollAdv(0), options);
 						},
 					},
 					disadvantage: {
@@ -18204,6 +18317,34 @@ Hooks.once("ready", () => {
 							.addClass("talent-highlight");
 					}
 
+					// Cover notice, and the disadvantage prompt when cover imposes it
+					const coverNotice = buildCoverNotice(cover);
+					if (coverNotice) {
+						const dialogContent = html.find('.shadowdark-dialog')[0];
+						const lastHr = dialogContent?.querySelectorAll('hr');
+						if (lastHr?.length) lastHr[lastHr.length - 1].before(coverNotice);
+						else dialogContent?.appendChild(coverNotice);
+
+						if (getCoverMode() === "disadvantage" && cover.level !== "total") {
+							html.find("button.disadvantage")
+								.attr("title", cover.label)
+								.addClass("talent-highlight");
+						}
+					}
+
+					// Obscurement notice; the roll itself is forced to disadvantage above
+					if (obscured) {
+						const dialogContent = html.find('.shadowdark-dialog')[0];
+						const lastHr = dialogContent?.querySelectorAll('hr');
+						const obscuredNotice = buildObscuredNotice();
+						if (lastHr?.length) lastHr[lastHr.length - 1].before(obscuredNotice);
+						else dialogContent?.appendChild(obscuredNotice);
+
+						html.find("button.disadvantage")
+							.attr("title", game.i18n.localize("SHADOWDARK_EXTRAS.template_zones.obscured"))
+							.addClass("talent-highlight");
+					}
+
 					// Inject promptable bonus checkboxes directly into DOM (bypasses sanitization)
 					if (promptableHitBonuses.length > 0 || promptableDamageBonuses.length > 0) {
 						const dialogContent = html.find('.shadowdark-dialog')[0];
@@ -20849,19 +20990,83 @@ SDX.templates = {
 
 // ============================================
 // MODULE API
-// Export functions for use in item macros
+// Public surface for item macros and world scripts, documented in the
+// README ("Module API"). Bump the major version on breaking changes.
 // ============================================
 
+const API_VERSION = "1.0.0";
+
 Hooks.on("setup", () => {
 	const module = game.modules.get("shadowdark-extras");
 	if (module) {
 		module.api = {
+			version: API_VERSION,
+			// Duration spells and conditions
 			startDurationSpell: startDurationSpell,
 			endDurationSpell: endDurationSpell,
 			registerSpellModification: registerSpellModification,
 			getActiveDurationSpells: getActiveDurationSpells,
 			showConditionsModal: showConditionsModal,
-			getConditionsData: getConditionsData
+			getConditionsData: getConditionsData,
+			damage: {
+				apply: applyDamageToToken,
+				getLedger,
+				undo: requestUndoDamageEntry,
+				getTypes: getDamageTypes,
+				getDefenses: getActorDefenses,
+				setDefense: setActorDefense,
+				getWards: getWardSummary,
+				grantTempHp,
+				addShield
+			},
+			containers: {
+				isContainer: isContainerItem,
+				getContents: getContainedItems,
+				getContainer: getParentContainer,
+				addItem: addItemToContainer,
+				removeItem: removeItemFromContainer
+			},
+			unidentified: {
+				isUnidentified,
+				getMaskedName: getUnidentifiedName,
+				setUnidentified,
+				identify: identifyItem
+			},
+			trade: {
+				open: showTradeDialog,
+				start: initiateTradeWithPlayer,
+				transferItem: transferItemToPlayer,
+				transferCoins: transferCoinsToPlayer
+			},
+			carousing: {
+				open: openCarousingOverlay,
+				getMode: getCarousingMode,
+				getSession: getCarousingSession,
+				getParticipants: getCarousingParticipants,
+				roll: executeCarousingRolls,
+				reset: resetCarousingSession
+			},
+			hexes: {
+				getRecord: getHexRecord,
+				getSceneRecords: getSceneHexData,
+				saveRecord: saveHexRecord
+			},
+			party: {
+				isParty: isPartyActor,
+				getParties: getPartiesContainingActor,
+				getMembers: getPartyMembers,
+				addMember: addPartyMember,
+				removeMember: removePartyMember,
+				getCoins: getPartyCoins,
+				addCoins: addPartyCoins
+			},
+			auras: {
+				getActive: getActiveAuras,
+				getTokensInAura,
+				create: createAuraOnActor,
+				refresh: refreshSceneAuras,
+				removeFromAll: removeAuraEffectsFromAll
+			}
 		};
 		//console.log(`${MODULE_ID} | Module API registered`);
 	}
@@ -21952,7 +22157,7 @@ Hooks.once('ready', () => {
 
 		// Base Damage Type
 		if (sdxFlags.baseDamageType && sdxFlags.baseDamageType !== "physical") {
-			const typeLabel = game.i18n.localize(`SHADOWDARK_EXTRAS.damage_type.${sdxFlags.baseDamageType}`);
+			const typeLabel = getDamageTypeLabel(sdxFlags.baseDamageType);
 			extraText += ` [${typeLabel}]`;
 		}
 
@@ -21964,7 +22169,7 @@ Hooks.once('ready', () => {
 			const parts = extraDamages
 				.filter(d => d.formula)
 				.map(d => {
-					const label = game.i18n.localize(`SHADOWDARK_EXTRAS.damage_type.${d.damageType}`);
+					const label = getDamageTypeLabel(d.damageType);
 					return `${d.formula} [${label}]`;
 				});
 			if (parts.length > 0) {
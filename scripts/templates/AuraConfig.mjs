@@ -3,6 +3,8 @@
  * Generates HTML for the aura configuration section in spell/scroll/wand Activity tab
  */
 
+import { getDamageTypeOptionsHtml } from "../DamageTypesApp.mjs";
+
 const MODULE_ID = "shadowdark-extras";
 
 /**
@@ -202,15 +204,7 @@ export function generateAuraConfigHTML(moduleId, flags) {
                         <label style="font-size: 11px; color: #999;">Damage Type</label>
                         <select name="flags.${moduleId}.auraEffects.damage.type" style="width: 100%;">
                             <option value="" ${!damage.type ? 'selected' : ''}>-- None --</option>
-                            <option value="fire" ${damage.type === 'fire' ? 'selected' : ''}>Fire</option>
-                            <option value="cold" ${damage.type === 'cold' ? 'selected' : ''}>Cold</option>
-                            <option value="lightning" ${damage.type === 'lightning' ? 'selected' : ''}>Lightning</option>
-                            <option value="acid" ${damage.type === 'acid' ? 'selected' : ''}>Acid</option>
-                            <option value="poison" ${damage.type === 'poison' ? 'selected' : ''}>Poison</option>
-                            <option value="necrotic" ${damage.type === 'necrotic' ? 'selected' : ''}>Necrotic</option>
-                            <option value="radiant" ${damage.type === 'radiant' ? 'selected' : ''}>Radiant</option>
-                            <option value="psychic" ${damage.type === 'psychic' ? 'selected' : ''}>Psychic</option>
-                            <option value="force" ${damage.type === 'force' ? 'selected' : ''}>Force</option>
+                            ${getDamageTypeOptionsHtml(damage.type)}
                             <option value="healing" ${damage.type === 'healing' ? 'selected' : ''}>Healing</option>
                             <option value="temphp" ${damage.type === 'temphp' ? 'selected' : ''}>Temp HP</option>
                         </select>
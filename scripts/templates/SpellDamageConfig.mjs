@@ -1,3 +1,5 @@
+import { getDamageTypeOptionsHtml } from "../DamageTypesApp.mjs";
+
 /**
  * Generate the Spell Damage/Heal configuration HTML
  * @param {string} MODULE_ID - The module identifier
@@ -37,15 +39,7 @@ export function generateSpellDamageConfigHTML(MODULE_ID, flags, effectsListHtml,
 					<h3>Type</h3>
 					<select name="flags.${MODULE_ID}.spellDamage.damageType" class="sdx-spell-damage-type-input">
 						<option value="">Select Type</option>
-						<option value="Fire" ${flags.damageType === 'Fire' ? 'selected' : ''}>Fire</option>
-						<option value="Cold" ${flags.damageType === 'Cold' ? 'selected' : ''}>Cold</option>
-						<option value="Lightning" ${flags.damageType === 'Lightning' ? 'selected' : ''}>Lightning</option>
-						<option value="Acid" ${flags.damageType === 'Acid' ? 'selected' : ''}>Acid</option>
-						<option value="Poison" ${flags.damageType === 'Poison' ? 'selected' : ''}>Poison</option>
-						<option value="Necrotic" ${flags.damageType === 'Necrotic' ? 'selected' : ''}>Necrotic</option>
-						<option value="Radiant" ${flags.damageType === 'Radiant' ? 'selected' : ''}>Radiant</option>
-						<option value="Force" ${flags.damageType === 'Force' ? 'selected' : ''}>Force</option>
-						<option value="Psychic" ${flags.damageType === 'Psychic' ? 'selected' : ''}>Psychic</option>
+						${getDamageTypeOptionsHtml(flags.damageType, { capitalize: true })}
 						<option value="Healing" ${flags.damageType === 'Healing' ? 'selected' : ''}>Healing</option>
 					</select>
 					
@@ -4,6 +4,7 @@
  */
 
 import { generateAuraConfigHTML, setupAuraConfigHandlers } from './AuraConfig.mjs';
+import { getDamageTypeOptionsHtml } from '../DamageTypesApp.mjs';
 
 /**
  * Generate the Template Effects configuration HTML
@@ -31,7 +32,13 @@ function generateTemplateEffectsHTML(MODULE_ID, flags) {
 			halfOnSuccess: true
 		},
 		applyConfiguredEffects: false,
-		runItemMacro: false
+		runItemMacro: false,
+		zones: {
+			difficultTerrain: false,
+			darkness: false,
+			silence: false,
+			obscured: false
+		}
 	};
 
 	const enabled = templateEffects.enabled || false;
@@ -40,6 +47,7 @@ function generateTemplateEffectsHTML(MODULE_ID, flags) {
 	const save = templateEffects.save || {};
 	const applyConfiguredEffects = templateEffects.applyConfiguredEffects || false;
 	const runItemMacro = templateEffects.runItemMacro || false;
+	const zones = templateEffects.zones || {};
 
 	return `
 		<div class="sdx-template-effects-section" style="grid-column: 1 / -1; margin-top: 12px; padding-top: 12px; border-top: 1px solid var(--color-border-light-tertiary);">
@@ -96,16 +104,7 @@ function generateTemplateEffectsHTML(MODULE_ID, flags) {
 						<label style="font-size: 11px; color: #999;">Damage Type</label>
 						<select name="flags.${MODULE_ID}.templateEffects.damage.type" style="width: 100%;">
 							<option value="" ${!damage.type ? 'selected' : ''}>-- None --</option>
-							<option value="fire" ${damage.type === 'fire' ? 'selected' : ''}>Fire</option>
-							<option value="cold" ${damage.type === 'cold' ? 'selected' : ''}>Cold</option>
-							<option value="lightning" ${damage.type === 'lightning' ? 'selected' : ''}>Lightning</option>
-							<option value="acid" ${damage.type === 'acid' ? 'selected' : ''}>Acid</option>
-							<option value="poison" ${damage.type === 'poison' ? 'selected' : ''}>Poison</option>
-							<option value="necrotic" ${damage.type === 'necrotic' ? 'selected' : ''}>Necrotic</option>
-							<option value="radiant" ${damage.type === 'radiant' ? 'selected' : ''}>Radiant</option>
-							<option value="psychic" ${damage.type === 'psychic' ? 'selected' : ''}>Psychic</option>
-							<option value="force" ${damage.type === 'force' ? 'selected' : ''}>Force</option>
-							<option value="physical" ${damage.type === 'physical' ? 'selected' : ''}>Physical</option>
+							${getDamageTypeOptionsHtml(damage.type)}
 						</select>
 					</div>
 				</div>
@@ -174,6 +173,41 @@ function generateTemplateEffectsHTML(MODULE_ID, flags) {
 						Runs the spell's Item Macro when template effects fire. Use for custom behaviors like level-based instant death.
 					</p>
 				</div>
+
+				<div style="margin-top: 8px; padding-top: 8px; border-top: 1px dashed var(--color-border-light-tertiary);">
+					<label style="display: block; font-weight: bold; margin-bottom: 6px;">
+						<i class="fas fa-mountain" style="margin-right: 4px;"></i>Zone Modifiers
+					</label>
+					<div class="SD-grid" style="grid-template-columns: 1fr 1fr; gap: 8px;">
+						<label class="sdx-checkbox-option" style="display: flex; align-items: center; gap: 4px;">
+							<input type="checkbox" 
+								name="flags.${MODULE_ID}.templateEffects.zones.difficultTerrain"
+								${zones.difficultTerrain ? 'checked' : ''}>
+							<span>Difficult Terrain</span>
+						</label>
+						<label class="sdx-checkbox-option" style="display: flex; align-items: center; gap: 4px;">
+							<input type="checkbox" 
+								name="flags.${MODULE_ID}.templateEffects.zones.darkness"
+								${zones.darkness ? 'checked' : ''}>
+							<span>Magical Darkness</span>
+						</label>
+						<label class="sdx-checkbox-option" style="display: flex; align-items: center; gap: 4px;">
+							<input type="checkbox" 
+								name="flags.${MODULE_ID}.templateEffects.zones.silence"
+								${zones.silence ? 'checked' : ''}>
+							<span>Silence</span>
+						</label>
+						<label class="sdx-checkbox-option" style="display: flex; align-items: center; gap: 4px;">
+							<input type="checkbox" 
+								name="flags.${MODULE_ID}.templateEffects.zones.obscured"
+								${zones.obscured ? 'checked' : ''}>
+							<span>Obscured</span>
+						</label>
+					</div>
+					<p style="font-size: 10px; color: #888; margin: 4px 0 0 0;">
+						While the template lasts: difficult terrain doubles movement cost, darkness puts out lights and blocks vision (circles and cones only), silence blocks spellcasting and obscurement gives attacks disadvantage
+					</p>
+				</div>
 			</div>
 		</div>
 	`;